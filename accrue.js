@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Daily accrual script.
+// Runs the same engine as the server's midnight job (utils/accruals.js), so it
+// can be run by hand or from an external scheduler without paying a date twice.
+//
+//   node accrue.js                    pay every missed date up to today
+//   node accrue.js --date 2024-05-01  pay one business date
+//
+// The database is db.sqlite, or DB_PATH when set.
+
+require('dotenv').config();
+const { initDB } = require('./utils/db');
+const { runMigrations } = require('./utils/migrations');
+const { catchUpAccruals, runAccrualsForDate } = require('./utils/accruals');
+
+async function main() {
+  const dateIndex = process.argv.indexOf('--date');
+  const date = dateIndex === -1 ? null : process.argv[dateIndex + 1];
+  if (dateIndex !== -1 && !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    console.error('Usage: node accrue.js [--date YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  await initDB();
+  await runMigrations();
+
+  if (date) {
+    await runAccrualsForDate(date, { source: 'cli' });
+  } else {
+    await catchUpAccruals({ source: 'cli' });
+  }
+  console.log('Accrual processing complete!');
+}
+
+main().catch(error => {
+  console.error('Accrual error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Mobile money simulator.
+// A stand-in for the Airtel Money and MTN MoMo collection APIs, used by the
+// mock provider (MOBILE_MONEY_PROVIDER=mock) in development and tests.
+// Collections are kept in memory and are added over HTTP:
+//
+//   node mobile-money-simulator.js                 listen on port 4010
+//   node mobile-money-simulator.js --port 4020     listen on another port
+//   node mobile-money-simulator.js --accept-all    report unknown references as
+//                                                  successful (amount not reported)
+//
+//   POST   /:wallet/collections             { reference, amount, msisdn?, status? }
+//   GET    /:wallet/collections             list the wallet's collections
+//   GET    /:wallet/collections/:reference  look one up (404 when unknown)
+//   DELETE /collections                     forget every collection
+//
+// wallet is airtel or mtn, amount is in Kwacha (e.g. "250.00") as the live
+// APIs report it, and status is successful (default), pending or failed.
+
+const express = require('express');
+
+const WALLETS = ['airtel', 'mtn'];
+const STATUSES = ['successful', 'pending', 'failed'];
+
+const portIndex = process.argv.indexOf('--port');
+const PORT = portIndex === -1 ? (process.env.MOBILE_MONEY_SIMULATOR_PORT || 4010) : Number(process.argv[portIndex + 1]);
+const ACCEPT_ALL = process.argv.includes('--accept-all');
+
+// { wallet: Map(REFERENCE -> collection) }
+const collections = { airtel: new Map(), mtn: new Map() };
+
+const app = express();
+app.use(express.json());
+
+app.param('wallet', (req, res, next, wallet) => {
+  if (!WALLETS.includes(wallet)) {
+    return res.status(404).json({ error: `Unknown wallet ${wallet}` });
+  }
+  next();
+});
+
+app.post('/:wallet/collections', (req, res) => {
+  const { reference, amount, msisdn = null, status = 'successful' } = req.body;
+  if (!reference || typeof reference !== 'string') {
+    return res.status(400).json({ error: 'reference is required' });
+  }
+  if (!Number.isFinite(Number(amount)) || Number(amount) <= 0) {
+    return res.status(400).json({ error: 'amount must be a positive number of Kwacha' });
+  }
+  if (!STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+  }
+
+  const collection = {
+    reference: reference.trim(),
+    amount: Number(amount).toFixed(2),
+    msisdn,
+    status,
+    createdAt: new Date().toISOString()
+  };
+  collections[req.params.wallet].set(collection.reference.toUpperCase(), collection);
+  console.log(`${req.params.wallet} collection ${collection.reference}: K${collection.amount} ${status}`);
+  res.status(201).json(collection);
+});
+
+app.get('/:wallet/collections', (req, res) => {
+  res.json([...collections[req.params.wallet].values()]);
+});
+
+app.get('/:wallet/collections/:reference', (req, res) => {
+  const reference = req.params.reference.trim();
+  const collection = collections[req.params.wallet].get(reference.toUpperCase());
+  if (collection) {
+    return res.json(collection);
+  }
+  if (ACCEPT_ALL) {
+    return res.json({ reference, amount: null, msisdn: null, status: 'successful' });
+  }
+  res.status(404).json({ error: 'Transaction not found' });
+});
+
+app.delete('/collections', (req, res) => {
+  WALLETS.forEach(wallet => collections[wallet].clear());
+  res.json({ message: 'Collections cleared' });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mobile money simulator running on http://localhost:${PORT}${ACCEPT_ALL ? ' (accepting all references)' : ''}`);
+});
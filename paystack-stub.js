@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// Paystack stub.
+// A stand-in for the parts of the Paystack API the app uses, so top-ups can be
+// tested end to end without a Paystack account. Point the app at it with
+// PAYSTACK_API_URL=http://localhost:4020 and give both the same
+// PAYSTACK_SECRET_KEY. Transactions are kept in memory:
+//
+//   node paystack-stub.js                  listen on port 4020
+//   node paystack-stub.js --port 4030      listen on another port
+//   node paystack-stub.js --no-webhook     do not send webhooks (the app then
+//                                          learns of payments from the callback
+//                                          page's check)
+//
+//   POST /transaction/initialize        { email, amount, reference, metadata, callback_url }
+//   GET  /transaction/verify/:reference  as Paystack reports it
+//   GET  /checkout/:reference           checkout page with Pay, Decline and Cancel
+//   POST /checkout/:reference           { action: pay | decline | cancel }
+//
+// Paying sends a signed charge.success webhook to PAYSTACK_WEBHOOK_URL
+// (default http://localhost:3000/api/paystack/webhook) and, like declining or
+// cancelling, sends the browser back to the transaction's callback_url.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+
+const portIndex = process.argv.indexOf('--port');
+const PORT = portIndex === -1 ? (process.env.PAYSTACK_STUB_PORT || 4020) : Number(process.argv[portIndex + 1]);
+const SEND_WEBHOOKS = !process.argv.includes('--no-webhook');
+const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || '';
+const PAYSTACK_WEBHOOK_URL = process.env.PAYSTACK_WEBHOOK_URL || 'http://localhost:3000/api/paystack/webhook';
+const STUB_URL = `http://localhost:${PORT}`;
+
+// reference -> transaction; status is abandoned until the checkout page is
+// used, as Paystack reports unpaid transactions
+const transactions = new Map();
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+// The API calls need the secret key, as on Paystack
+function requireSecretKey(req, res, next) {
+  if (PAYSTACK_SECRET_KEY && req.headers.authorization !== `Bearer ${PAYSTACK_SECRET_KEY}`) {
+    return res.status(401).json({ status: false, message: 'Invalid key' });
+  }
+  next();
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// The transaction as GET /transaction/verify returns it
+function transactionData(transaction) {
+  return {
+    id: transaction.id,
+    status: transaction.status,
+    reference: transaction.reference,
+    amount: transaction.amount,
+    currency: 'ZMW',
+    paid_at: transaction.paidAt,
+    channel: transaction.channel,
+    customer: { email: transaction.email },
+    metadata: transaction.metadata
+  };
+}
+
+async function sendWebhook(transaction) {
+  const body = JSON.stringify({ event: 'charge.success', data: transactionData(transaction) });
+  const signature = crypto.createHmac('sha512', PAYSTACK_SECRET_KEY).update(body).digest('hex');
+  try {
+    const response = await axios.post(PAYSTACK_WEBHOOK_URL, body, {
+      headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature },
+      timeout: 10000
+    });
+    console.log(`Webhook charge.success ${transaction.reference}: ${response.status}`);
+  } catch (error) {
+    console.error(`Webhook charge.success ${transaction.reference} failed:`, error.response?.status || error.message);
+  }
+}
+
+app.post('/transaction/initialize', requireSecretKey, (req, res) => {
+  const { email, amount, reference, metadata = {}, callback_url: callbackUrl = null } = req.body;
+  if (!email) {
+    return res.status(400).json({ status: false, message: 'Email is required' });
+  }
+  if (!Number.isInteger(Number(amount)) || Number(amount) <= 0) {
+    return res.status(400).json({ status: false, message: 'Invalid amount' });
+  }
+  const transactionReference = reference || `STUB_${Date.now()}`;
+  if (transactions.has(transactionReference)) {
+    return res.status(400).json({ status: false, message: 'Duplicate Transaction Reference' });
+  }
+
+  const transaction = {
+    id: transactions.size + 1,
+    reference: transactionReference,
+    amount: Number(amount),
+    email,
+    metadata,
+    callbackUrl,
+    status: 'abandoned',
+    channel: null,
+    paidAt: null
+  };
+  transactions.set(transactionReference, transaction);
+  console.log(`Initialized ${transactionReference}: ${transaction.amount} ngwee for ${email}`);
+
+  res.json({
+    status: true,
+    message: 'Authorization URL created',
+    data: {
+      authorization_url: `${STUB_URL}/checkout/${encodeURIComponent(transactionReference)}`,
+      access_code: crypto.randomBytes(8).toString('hex'),
+      reference: transactionReference
+    }
+  });
+});
+
+app.get('/transaction/verify/:reference', requireSecretKey, (req, res) => {
+  const transaction = transactions.get(req.params.reference);
+  if (!transaction) {
+    return res.status(400).json({ status: false, message: 'Transaction reference not found' });
+  }
+  res.json({ status: true, message: 'Verification successful', data: transactionData(transaction) });
+});
+
+app.get('/checkout/:reference', (req, res) => {
+  const transaction = transactions.get(req.params.reference);
+  if (!transaction) {
+    return res.status(404).send('Transaction not found');
+  }
+  const reference = escapeHtml(transaction.reference);
+  res.send(`<!DOCTYPE html>
+<html>
+<head><title>Paystack stub checkout</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+  <h2>Paystack stub checkout</h2>
+  <p>${escapeHtml(transaction.email)}</p>
+  <p style="font-size: 28px;">ZMW ${(transaction.amount / 100).toFixed(2)}</p>
+  <p><small>${reference} - ${escapeHtml(transaction.status)}</small></p>
+  <form method="POST" action="/checkout/${encodeURIComponent(transaction.reference)}">
+    <button name="action" value="pay">Pay</button>
+    <button name="action" value="decline">Decline</button>
+    <button name="action" value="cancel">Cancel</button>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/checkout/:reference', async (req, res) => {
+  const transaction = transactions.get(req.params.reference);
+  if (!transaction) {
+    return res.status(404).send('Transaction not found');
+  }
+  const action = req.body.action;
+  if (!['pay', 'decline', 'cancel'].includes(action)) {
+    return res.status(400).send('action must be pay, decline or cancel');
+  }
+
+  if (transaction.status !== 'success') {
+    if (action === 'pay') {
+      transaction.status = 'success';
+      transaction.channel = 'card';
+      transaction.paidAt = new Date().toISOString();
+    } else if (action === 'decline') {
+      transaction.status = 'failed';
+    }
+    console.log(`Checkout ${transaction.reference}: ${action} (${transaction.status})`);
+    if (action === 'pay' && SEND_WEBHOOKS) {
+      await sendWebhook(transaction);
+    }
+  }
+
+  if (!transaction.callbackUrl) {
+    return res.send(`Transaction ${escapeHtml(transaction.reference)} is ${escapeHtml(transaction.status)}`);
+  }
+  const callback = new URL(transaction.callbackUrl);
+  callback.searchParams.set('trxref', transaction.reference);
+  callback.searchParams.set('reference', transaction.reference);
+  res.redirect(callback.toString());
+});
+
+app.listen(PORT, () => {
+  console.log(`Paystack stub running on ${STUB_URL}${SEND_WEBHOOKS ? `, sending webhooks to ${PAYSTACK_WEBHOOK_URL}` : ' (no webhooks)'}`);
+  if (!PAYSTACK_SECRET_KEY) {
+    console.warn('⚠️ PAYSTACK_SECRET_KEY is not set; webhooks will not pass the app\'s signature check');
+  }
+});
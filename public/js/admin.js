@@ -21,6 +21,9 @@ async function initAdmin() {
     return;
   }
 
+  // Dates are rendered in the platform timezone; level lists come from the catalog
+  await Promise.all([platformConfigReady, levelsReady]);
+
   // Load admin data
   await loadAdminData();
 }
@@ -31,13 +34,14 @@ async function loadAdminData() {
 
   try {
     // Load all data in parallel
-    const [usersResponse, investmentsResponse, statsResponse, withdrawalRequestsResponse, depositsResponse, announcementsResponse] = await Promise.all([
+    const [usersResponse, investmentsResponse, statsResponse, withdrawalRequestsResponse, depositsResponse, announcementsResponse, packagesResponse] = await Promise.all([
       fetch(`${API_BASE}/api/admin/users`, { headers: getAuthHeaders() }),
       fetch(`${API_BASE}/api/admin/investments`, { headers: getAuthHeaders() }),
       fetch(`${API_BASE}/api/admin/stats`, { headers: getAuthHeaders() }),
       fetch(`${API_BASE}/api/admin/withdrawal-requests`, { headers: getAuthHeaders() }),
       fetch(`${API_BASE}/api/admin/deposits`, { headers: getAuthHeaders() }),
-      fetch(`${API_BASE}/api/admin/announcements`, { headers: getAuthHeaders() })
+      fetch(`${API_BASE}/api/admin/announcements`, { headers: getAuthHeaders() }),
+      fetch(`${API_BASE}/api/admin/packages`, { headers: getAuthHeaders() })
     ]);
 
     // Auth guard
@@ -61,8 +65,9 @@ async function loadAdminData() {
       : [];
     const deposits = depositsResponse.ok ? await depositsResponse.json() : [];
     const announcements = announcementsResponse.ok ? await announcementsResponse.json() : [];
+    const packages = packagesResponse.ok ? await packagesResponse.json() : [];
 
-    renderAdminDashboard(users, investments, stats, withdrawalRequests, deposits, announcements);
+    renderAdminDashboard(users, investments, stats, withdrawalRequests, deposits, announcements, packages);
   } catch (error) {
     console.error('Admin error:', error);
     adminContent.innerHTML = `
@@ -74,8 +79,11 @@ async function loadAdminData() {
 // Store users data globally for search functionality
 let allUsersData = [];
 
+// Package catalog rows, for the edit modal
+let allPackagesData = [];
+
 // Render admin dashboard
-function renderAdminDashboard(users, investments, stats, withdrawalRequests, deposits, announcements) {
+function renderAdminDashboard(users, investments, stats, withdrawalRequests, deposits, announcements, packages = []) {
   const adminContent = document.getElementById('adminContent');
   
   // Sort users: Admin first (is_admin = 1), then by creation date (newest first)
@@ -130,6 +138,9 @@ function renderAdminDashboard(users, investments, stats, withdrawalRequests, dep
                 <button class="btn btn-warning" onclick="resetUserPassword(${user.id}, '${(getUserPhone(user) || user.email || 'User').replace(/'/g, "\\'")}', this)" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;" title="Reset Password">
                   🔑 Reset Password
                 </button>
+                <button class="btn btn-secondary" onclick="showUserTransactionsModal(${user.id}, '${(getUserPhone(user) || user.email || 'User').replace(/'/g, "\\'")}')" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;" title="Transactions">
+                  📜 Transactions
+                </button>
                 ${!user.is_admin ? `
                   <button class="btn btn-danger" onclick="deleteUser(${user.id}, '${(getUserPhone(user) || user.email || 'User').replace(/'/g, "\\'")}')" style="padding: 5px 10px; font-size: 12px;" title="Delete User">
                     🗑️ Delete
@@ -165,11 +176,11 @@ function renderAdminDashboard(users, investments, stats, withdrawalRequests, dep
             <tr>
               <td>${investment.id}</td>
               <td>${investment.email}</td>
-              <td>K${investment.package_amount}</td>
-              <td>K${investment.deposit_amount.toFixed(2)}</td>
+              <td>${formatKwacha(investment.package_amount, { whole: true })}</td>
+              <td>${formatKwacha(investment.deposit_amount)}</td>
               <td>${formatDate(investment.start_date)}</td>
               <td>${formatDate(investment.maturity_date)}</td>
-              <td>K${investment.total_accruals.toFixed(2)}</td>
+              <td>${formatKwacha(investment.total_accruals)}</td>
               <td>
                 <select onchange="updateInvestmentStatus(${investment.id}, this.value)" style="padding: 5px; color: #333; background: #fff;">
                   <option value="active" ${investment.status === 'active' ? 'selected' : ''}>Active</option>
@@ -199,17 +210,21 @@ function renderAdminDashboard(users, investments, stats, withdrawalRequests, dep
         <div class="stat-label">Total Investments</div>
       </div>
       <div class="stat-card">
-        <div class="stat-value">K${stats.totalDeposits.toFixed(2)}</div>
+        <div class="stat-value">${formatKwacha(stats.totalDeposits)}</div>
         <div class="stat-label">Total Deposits</div>
       </div>
       <div class="stat-card">
-        <div class="stat-value">K${stats.totalAccruals.toFixed(2)}</div>
+        <div class="stat-value">${formatKwacha(stats.totalAccruals)}</div>
         <div class="stat-label">Total Accruals</div>
       </div>
       <div class="stat-card" style="background: ${pendingRequests.length > 0 ? '#ff9800' : '#4caf50'};">
         <div class="stat-value">${pendingRequests.length}</div>
         <div class="stat-label">Pending Withdrawals</div>
       </div>
+      <div class="stat-card" onclick="showReferenceFlagsModal()" style="cursor: pointer; background: ${stats.openReferenceFlags > 0 ? '#dc3545' : '#4caf50'};">
+        <div class="stat-value">${stats.openReferenceFlags || 0}</div>
+        <div class="stat-label">Reference Flags</div>
+      </div>
     </div>
 
     <div class="admin-actions">
@@ -219,12 +234,28 @@ function renderAdminDashboard(users, investments, stats, withdrawalRequests, dep
       <button class="btn" onclick="showBulkDailyIncomeByLevelModal()">📈 Bulk Daily by Level</button>
       <button class="btn btn-success" onclick="showAddBonusModal()">💎 Add Individual Bonus</button>
       <button class="btn" onclick="showAnnouncementsModal()" style="background: #17a2b8; color: white;">📢 Manage Announcements</button>
+      <button class="btn btn-secondary" onclick="showTrialBalanceModal()">📒 Ledger Trial Balance</button>
+      <button class="btn btn-secondary" onclick="verifyHashChain()">🔗 Verify Transaction Chain</button>
+      <button class="btn btn-secondary" onclick="showReconciliationModal()">🧮 Accrual Reconciliation</button>
+      <button class="btn" onclick="showAccrualRunsModal()">⏱️ Accrual Runs</button>
+      <button class="btn btn-secondary" onclick="showPaymentEventsModal()">💳 Payment Events</button>
+    </div>
+
+    <div class="card mt-20">
+      <div class="card-header" style="display: flex; justify-content: space-between; align-items: center;">
+        <span>Packages (${packages.length})</span>
+        <button class="btn" onclick="showPackageModal()" style="padding: 8px 15px; font-size: 12px;">➕ Add Package</button>
+      </div>
+      ${renderPackagesTable(packages)}
     </div>
 
     <div class="card mt-20">
       <div class="card-header" style="display: flex; justify-content: space-between; align-items: center;">
         <span>Deposits (${deposits.length})</span>
-        <button class="btn btn-danger" onclick="bulkDeleteDeposits()" style="padding: 8px 15px; font-size: 12px;" id="deleteDepositsBtn" disabled>🗑️ Delete Selected</button>
+        <div>
+          <button class="btn" onclick="showStatementImportModal()" style="padding: 8px 15px; font-size: 12px; margin-right: 5px;">📄 Import Statement</button>
+          <button class="btn btn-danger" onclick="bulkDeleteDeposits()" style="padding: 8px 15px; font-size: 12px;" id="deleteDepositsBtn" disabled>🗑️ Delete Selected</button>
+        </div>
       </div>
       ${renderDepositsTable(deposits)}
     </div>
@@ -232,7 +263,11 @@ function renderAdminDashboard(users, investments, stats, withdrawalRequests, dep
     <div class="card mt-20">
       <div class="card-header" style="display: flex; justify-content: space-between; align-items: center;">
         <span>Withdrawal Requests (${withdrawalRequests.length})</span>
-        <button class="btn btn-danger" onclick="bulkDeleteWithdrawalRequests()" style="padding: 8px 15px; font-size: 12px;" id="deleteRequestsBtn" disabled>🗑️ Delete Selected</button>
+        <div>
+          <button class="btn" onclick="showPayoutBatchesModal()" style="padding: 8px 15px; font-size: 12px; margin-right: 5px;">💸 Payout Batches</button>
+          <button class="btn" onclick="showWithdrawalFeesModal()" style="padding: 8px 15px; font-size: 12px; margin-right: 5px;">🧾 Withdrawal Fees</button>
+          <button class="btn btn-danger" onclick="bulkDeleteWithdrawalRequests()" style="padding: 8px 15px; font-size: 12px;" id="deleteRequestsBtn" disabled>🗑️ Delete Selected</button>
+        </div>
       </div>
       ${renderWithdrawalRequests(withdrawalRequests)}
     </div>
@@ -275,6 +310,277 @@ function renderAdminDashboard(users, investments, stats, withdrawalRequests, dep
   `;
 }
 
+// Render the package catalog table
+function renderPackagesTable(packages) {
+  allPackagesData = packages;
+  if (packages.length === 0) {
+    return '<p class="empty-state">No packages yet. Add one so users can buy a level.</p>';
+  }
+
+  return `
+    <table class="table">
+      <thead>
+        <tr>
+          <th>Order</th>
+          <th>Level</th>
+          <th>Price</th>
+          <th>Daily Income</th>
+          <th>Daily Rate</th>
+          <th>Lock-in</th>
+          <th>Withdrawal Fee</th>
+          <th>Terms</th>
+          <th>Description</th>
+          <th>Investments</th>
+          <th>Status</th>
+          <th>Actions</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${packages.map(pkg => `
+          <tr style="${pkg.active ? '' : 'color: #6c757d;'}">
+            <td>${pkg.display_order}</td>
+            <td><strong>${pkg.level}</strong>${pkg.name ? `<br><small>${pkg.name}</small>` : ''}</td>
+            <td>${formatKwacha(pkg.amount)}</td>
+            <td>${formatKwacha(pkg.daily_income)}</td>
+            <td>${(pkg.daily_rate * 100).toFixed(2)}%</td>
+            <td>${pkg.lock_in_days ? `${pkg.lock_in_days} days` : 'None'}</td>
+            <td>${pkg.withdrawal_fee_percent}%</td>
+            <td><a href="#" onclick="showPackageVersions(${pkg.id}); return false;">v${pkg.version}</a></td>
+            <td>${pkg.description || ''}</td>
+            <td>${pkg.investments_count}</td>
+            <td>${pkg.active ? '<span style="color: #28a745;">Active</span>' : 'Inactive'}</td>
+            <td>
+              <button class="btn btn-secondary" onclick="showPackageModal(${pkg.id})" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;">✏️ Edit</button>
+              <button class="btn ${pkg.active ? 'btn-warning' : 'btn-success'}" onclick="setPackageActive(${pkg.id}, ${!pkg.active})" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;">
+                ${pkg.active ? 'Deactivate' : 'Activate'}
+              </button>
+              ${pkg.investments_count === 0 ? `
+                <button class="btn btn-danger" onclick="deletePackage(${pkg.id})" style="padding: 5px 10px; font-size: 12px;">🗑️ Delete</button>
+              ` : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Create (no packageId) or edit a package
+function showPackageModal(packageId = null) {
+  const pkg = packageId ? allPackagesData.find(p => p.id === packageId) : null;
+  if (packageId && !pkg) {
+    showAlert('Package not found. Reload the page and try again.', 'Error');
+    return;
+  }
+
+  const modal = document.createElement('div');
+  modal.id = 'packageModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 8px; max-width: 500px; width: 90%; max-height: 90vh; margin: 20px auto; display: flex; flex-direction: column;">
+      <div style="padding: 20px; border-bottom: 1px solid #e9ecef;">
+        <h3 style="margin: 0;">${pkg ? `Edit Package ${pkg.level}` : 'Add Package'}</h3>
+      </div>
+      <div style="flex: 1; overflow-y: auto; padding: 20px;">
+        <form id="packageForm">
+          <div class="form-group">
+            <label>Level *</label>
+            <input type="text" id="packageLevel" required placeholder="e.g., L11" value="${pkg ? pkg.level : ''}" ${pkg && pkg.investments_count > 0 ? 'disabled' : ''} class="form-control">
+            ${pkg && pkg.investments_count > 0 ? '<small style="color: #6c757d;">The level cannot change once the package has investments.</small>' : ''}
+          </div>
+          <div class="form-group">
+            <label>Display Name</label>
+            <input type="text" id="packageName" maxlength="50" placeholder="Shown instead of the level code, e.g. Gold" value="${pkg && pkg.name ? pkg.name : ''}" class="form-control">
+          </div>
+          <div class="form-group">
+            <label>Price (K) *</label>
+            <input type="number" id="packageAmount" required min="0.01" step="0.01" value="${pkg ? toKwacha(pkg.amount) : ''}" class="form-control">
+          </div>
+          <div class="form-group">
+            <label>Daily Income (K) *</label>
+            <input type="number" id="packageDailyIncome" required min="0.01" step="0.01" value="${pkg ? toKwacha(pkg.daily_income) : ''}" class="form-control">
+          </div>
+          <div class="form-group">
+            <label>Lock-in (days)</label>
+            <input type="number" id="packageLockInDays" min="1" step="1" value="${pkg ? (pkg.lock_in_days || '') : 26}" placeholder="None" class="form-control">
+            <small style="color: #6c757d;">Leave empty for investments that run until the investor switches level.</small>
+          </div>
+          <div class="form-group">
+            <label>Withdrawal Fee (%) *</label>
+            <input type="number" id="packageWithdrawalFee" required min="0" max="100" step="0.01" value="${pkg ? pkg.withdrawal_fee_percent : 12}" class="form-control">
+          </div>
+          ${pkg ? `
+            <div style="padding: 10px; background: #e7f3ff; border-radius: 4px; margin-bottom: 15px;">
+              <small>Changing the price, daily income, lock-in or fee creates terms version ${pkg.version + 1}. It applies to new purchases only; existing investments keep the terms they bought.</small>
+            </div>
+          ` : ''}
+          <div class="form-group">
+            <label>Description</label>
+            <textarea id="packageDescription" rows="3" maxlength="500" class="form-control" style="resize: vertical;">${pkg && pkg.description ? pkg.description : ''}</textarea>
+          </div>
+          <div class="form-group">
+            <label>Display Order</label>
+            <input type="number" id="packageDisplayOrder" min="0" step="1" value="${pkg ? pkg.display_order : ''}" placeholder="Last" class="form-control">
+          </div>
+          <div class="form-group">
+            <label>
+              <input type="checkbox" id="packageActive" ${!pkg || pkg.active ? 'checked' : ''}> Active (users can buy it)
+            </label>
+          </div>
+        </form>
+      </div>
+      <div style="padding: 20px; border-top: 1px solid #e9ecef; background: #f8f9fa; border-radius: 0 0 8px 8px;">
+        <div style="display: flex; gap: 10px; justify-content: flex-end;">
+          <button type="button" class="btn btn-secondary" onclick="document.getElementById('packageModal').remove()">Cancel</button>
+          <button type="submit" form="packageForm" class="btn">${pkg ? 'Save' : 'Create'}</button>
+        </div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  document.getElementById('packageForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await savePackage(packageId);
+  });
+}
+
+async function savePackage(packageId) {
+  const displayOrder = document.getElementById('packageDisplayOrder').value;
+  const lockInDays = document.getElementById('packageLockInDays').value;
+  const levelInput = document.getElementById('packageLevel');
+  const payload = {
+    amount: toNgwee(document.getElementById('packageAmount').value),
+    dailyIncome: toNgwee(document.getElementById('packageDailyIncome').value),
+    lockInDays: lockInDays === '' ? null : parseInt(lockInDays),
+    withdrawalFeePercent: parseFloat(document.getElementById('packageWithdrawalFee').value),
+    name: document.getElementById('packageName').value.trim(),
+    description: document.getElementById('packageDescription').value.trim(),
+    active: document.getElementById('packageActive').checked
+  };
+  if (!levelInput.disabled) {
+    payload.level = levelInput.value.trim().toUpperCase();
+  }
+  if (displayOrder !== '') {
+    payload.displayOrder = parseInt(displayOrder);
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/packages${packageId ? `/${packageId}` : ''}`, {
+      method: packageId ? 'PUT' : 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(payload)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.details ? data.details.map(d => d.msg).join(', ') : (data.error || 'Failed to save package'));
+    }
+
+    document.getElementById('packageModal').remove();
+    showAlert(data.message, 'Success');
+    loadLevels();
+    loadAdminData();
+  } catch (error) {
+    showAlert(`Error saving package: ${error.message}`, 'Error');
+  }
+}
+
+// Terms versions of a package and how many investments hold each
+async function showPackageVersions(packageId) {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/packages/${packageId}/versions`, {
+      headers: getAuthHeaders()
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load package versions');
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'packageVersionsModal';
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001; overflow-y: auto;';
+    modal.innerHTML = `
+      <div style="background: white; border-radius: 8px; max-width: 800px; width: 90%; max-height: 90vh; margin: 20px auto; display: flex; flex-direction: column;">
+        <div style="padding: 20px; border-bottom: 1px solid #e9ecef;">
+          <h3 style="margin: 0;">${data.package.level} Terms Versions</h3>
+        </div>
+        <div style="flex: 1; overflow-y: auto; padding: 20px;">
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>Price</th>
+                <th>Daily Income</th>
+                <th>Lock-in</th>
+                <th>Withdrawal Fee</th>
+                <th>Investments</th>
+                <th>Created</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${data.versions.map(version => `
+                <tr>
+                  <td><strong>v${version.version}</strong>${version.id === data.package.current_version_id ? ' (current)' : ''}</td>
+                  <td>${formatKwacha(version.amount)}</td>
+                  <td>${formatKwacha(version.daily_income)}</td>
+                  <td>${version.lock_in_days ? `${version.lock_in_days} days` : 'None'}</td>
+                  <td>${version.withdrawal_fee_percent}%</td>
+                  <td>${version.investments_count}</td>
+                  <td>${formatDateTime(version.created_at)}${version.created_by_phone ? `<br><small>${version.created_by_phone}</small>` : ''}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <div style="padding: 20px; border-top: 1px solid #e9ecef; background: #f8f9fa; border-radius: 0 0 8px 8px; text-align: right;">
+          <button type="button" class="btn btn-secondary" onclick="document.getElementById('packageVersionsModal').remove()">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  } catch (error) {
+    showAlert(`Error loading package versions: ${error.message}`, 'Error');
+  }
+}
+
+async function setPackageActive(packageId, active) {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/packages/${packageId}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ active })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to update package');
+    }
+    loadAdminData();
+  } catch (error) {
+    showAlert(`Error updating package: ${error.message}`, 'Error');
+  }
+}
+
+async function deletePackage(packageId) {
+  const pkg = allPackagesData.find(p => p.id === packageId);
+  const confirmed = await showConfirm(`Delete package ${pkg ? pkg.level : `#${packageId}`}? This cannot be undone.`, 'Delete Package');
+  if (!confirmed) return;
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/packages/${packageId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to delete package');
+    }
+    showAlert(data.message, 'Success');
+    loadAdminData();
+  } catch (error) {
+    showAlert(`Error deleting package: ${error.message}`, 'Error');
+  }
+}
+
 // Render deposits table
 function renderDepositsTable(deposits) {
   if (deposits.length === 0) {
@@ -300,7 +606,6 @@ function renderDepositsTable(deposits) {
           <th>User Name</th>
           <th>Phone Number</th>
           <th>Amount</th>
-          <th>Level</th>
           <th>Transaction TXT</th>
           <th>Wallet</th>
           <th>Status</th>
@@ -312,13 +617,12 @@ function renderDepositsTable(deposits) {
         ${deposits.map(deposit => `
           <tr style="${deposit.status === 'pending' ? 'background-color: #fff3cd;' : ''}">
             <td>
-              <input type="checkbox" class="deposit-checkbox" value="${deposit.investment_id}" id="dep_${deposit.investment_id}" onchange="updateDepositsDeleteButton(); updateSelectedDepositsCount();">
+              <input type="checkbox" class="deposit-checkbox" value="${deposit.id}" id="dep_${deposit.id}" onchange="updateDepositsDeleteButton(); updateSelectedDepositsCount();">
             </td>
-            <td>${deposit.investment_id}</td>
+            <td>${deposit.id}</td>
             <td>${deposit.full_name || deposit.email || 'N/A'}</td>
             <td>${deposit.phone || 'N/A'}</td>
-            <td>K${deposit.amount.toFixed(2)}</td>
-            <td>${deposit.level || 'N/A'}</td>
+            <td>${formatKwacha(deposit.amount)}</td>
             <td>
               <code style="background: #f8f9fa; padding: 4px 8px; border-radius: 4px; font-family: monospace;">
                 ${deposit.transaction_txt || 'N/A'}
@@ -326,17 +630,18 @@ function renderDepositsTable(deposits) {
             </td>
             <td>${deposit.wallet ? deposit.wallet.toUpperCase() : 'N/A'}</td>
             <td>
-              <span class="badge ${deposit.status === 'active' ? 'badge-success' : deposit.status === 'pending' ? 'badge-warning' : deposit.status === 'matured' ? 'badge-warning' : deposit.status === 'withdrawn' ? 'badge-danger' : deposit.status === 'denied' ? 'badge-danger' : 'badge-secondary'}">
+              <span class="badge ${deposit.status === 'approved' ? 'badge-success' : deposit.status === 'pending' ? 'badge-warning' : deposit.status === 'denied' ? 'badge-danger' : 'badge-secondary'}">
                 ${deposit.status}
               </span>
+              ${deposit.admin_notes ? `<div style="font-size: 11px; color: #6c757d; margin-top: 4px;">${deposit.admin_notes}</div>` : ''}
             </td>
-            <td>${formatDateTime(deposit.deposit_date)}</td>
+            <td>${formatDateTime(deposit.created_at)}</td>
             <td>
               ${deposit.status === 'pending' ? `
-                <button class="btn btn-success" onclick="processDeposit(${deposit.investment_id}, 'approve')" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;">✓ Approve</button>
-                <button class="btn btn-danger" onclick="processDeposit(${deposit.investment_id}, 'deny')" style="padding: 5px 10px; font-size: 12px;">✗ Deny</button>
+                <button class="btn btn-success" onclick="processDeposit(${deposit.id}, 'approve')" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;">✓ Approve</button>
+                <button class="btn btn-danger" onclick="processDeposit(${deposit.id}, 'deny')" style="padding: 5px 10px; font-size: 12px;">✗ Deny</button>
               ` : `
-                <span style="color: #6c757d;">Processed</span>
+                <span style="color: #6c757d;">Processed${deposit.processed_at ? ` ${formatDateTime(deposit.processed_at)}` : ''}</span>
               `}
             </td>
           </tr>
@@ -388,13 +693,13 @@ function renderWithdrawalRequests(requests) {
             </td>
             <td>${req.id}</td>
             <td>${req.full_name || req.phone || req.email || 'N/A'}</td>
-            <td>K${req.gross_amount.toFixed(2)}</td>
-            <td>K${req.charge.toFixed(2)}</td>
-            <td>K${req.net_amount.toFixed(2)}</td>
+            <td>${formatKwacha(req.gross_amount)}</td>
+            <td>${formatKwacha(req.charge)}</td>
+            <td>${formatKwacha(req.net_amount)}</td>
             <td>${req.wallet.toUpperCase()}</td>
             <td>${req.phone || 'N/A'}</td>
             <td>
-              <span class="badge ${req.status === 'pending' ? 'badge-warning' : req.status === 'paid' ? 'badge-success' : req.status === 'denied' ? 'badge-danger' : 'badge-secondary'}">
+              <span class="badge ${['pending', 'approved', 'processing'].includes(req.status) ? 'badge-warning' : req.status === 'paid' ? 'badge-success' : ['denied', 'failed', 'reversed'].includes(req.status) ? 'badge-danger' : 'badge-secondary'}">
                 ${req.status}
               </span>
             </td>
@@ -403,6 +708,12 @@ function renderWithdrawalRequests(requests) {
               ${req.status === 'pending' ? `
                 <button class="btn btn-success" onclick="processWithdrawalRequest(${req.id}, 'approve')" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;">✓ Approve</button>
                 <button class="btn btn-danger" onclick="processWithdrawalRequest(${req.id}, 'deny')" style="padding: 5px 10px; font-size: 12px;">✗ Deny</button>
+              ` : ['approved', 'processing'].includes(req.status) ? `
+                ${req.status === 'approved' ? `<button class="btn" onclick="processWithdrawalRequest(${req.id}, 'process')" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;">📤 Sent</button>` : ''}
+                <button class="btn btn-success" onclick="processWithdrawalRequest(${req.id}, 'pay')" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;">✓ Paid</button>
+                <button class="btn btn-danger" onclick="processWithdrawalRequest(${req.id}, 'fail')" style="padding: 5px 10px; font-size: 12px;">✗ Failed</button>
+              ` : req.status === 'paid' ? `
+                <button class="btn btn-danger" onclick="processWithdrawalRequest(${req.id}, 'reverse')" style="padding: 5px 10px; font-size: 12px;">↩ Reverse</button>
               ` : `
                 <span style="color: #6c757d;">Processed</span>
               `}
@@ -674,14 +985,30 @@ setTimeout(() => {
   });
 }, 100);
 
-// Process withdrawal request (approve/deny)
+// Prompt for each withdrawal action; fail and reverse return the full amount
+// to the user's balance and need a reason
+const WITHDRAWAL_ACTION_PROMPTS = {
+  approve: 'Enter notes for approval (optional):',
+  deny: 'Enter notes for denial (optional):',
+  process: 'Payout sent to the wallet provider. Enter a payout reference or notes (optional):',
+  pay: 'Payout received by the user. Enter notes (optional):',
+  fail: 'Why did the payout fail? The full amount will be returned to the user\'s balance:',
+  reverse: 'Why was the payout reversed? The full amount will be returned to the user\'s balance:'
+};
+
+// Move a withdrawal request to its next state (approve, deny, process, pay, fail, reverse)
 async function processWithdrawalRequest(requestId, action) {
-  const adminNotes = prompt(`Enter notes for ${action === 'approve' ? 'approval' : 'denial'} (optional):`);
-  
+  const adminNotes = prompt(WITHDRAWAL_ACTION_PROMPTS[action]);
+  if (adminNotes === null) return;
+
   if (action === 'deny' && !adminNotes) {
     const confirmDeny = await showConfirm('Are you sure you want to deny this withdrawal request without notes?', 'Confirm Denial');
     if (!confirmDeny) return;
   }
+  if ((action === 'fail' || action === 'reverse') && !adminNotes.trim()) {
+    showAlert('A reason is required', 'Error');
+    return;
+  }
 
   try {
     const response = await fetch(`${API_BASE}/api/admin/withdrawal-requests/${requestId}`, {
@@ -699,7 +1026,7 @@ async function processWithdrawalRequest(requestId, action) {
       throw new Error(data.error || `Failed to ${action} withdrawal request`);
     }
 
-    showAlert(`Withdrawal request ${action === 'approve' ? 'approved' : 'denied'} successfully!`, 'Success');
+    showAlert(`${data.message}.`, 'Success');
     await loadAdminData();
   } catch (error) {
     console.error('Process withdrawal request error:', error);
@@ -846,127 +1173,1526 @@ async function bulkDenyDeposits() {
   }
 }
 
-// Show add daily income modal
-function showAddDailyIncomeModal() {
-  const modalHTML = `
-    <div id="addDailyIncomeModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;">
-      <div style="background: white; border-radius: 8px; padding: 30px; max-width: 500px; width: 90%; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-        <h3 style="margin-bottom: 20px; color: #007BFF;">Add Daily Income</h3>
-        <div class="form-group">
-          <label>Phone Number:</label>
-          <input type="tel" id="dailyIncomePhone" placeholder="Enter user's phone number (e.g., 0977123456)" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;" required>
-          <small style="color: #6c757d; display: block; margin-top: 5px;">📱 Enter the phone number of the user to receive daily income</small>
-        </div>
-        <div class="form-group" style="margin-top: 15px;">
-          <label>Amount (K):</label>
-          <input type="number" id="dailyIncomeAmount" step="0.01" min="0.01" placeholder="Enter amount in Kwacha (e.g., 5.00)" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;" required>
-          <small style="color: #6c757d; display: block; margin-top: 5px;">💰 Enter the daily income amount to add to the user's account</small>
-        </div>
-        <div style="margin-top: 20px; text-align: right;">
-          <button onclick="document.getElementById('addDailyIncomeModal').remove()" class="btn btn-secondary" style="margin-right: 10px;">Cancel</button>
-          <button onclick="addDailyIncome()" class="btn">Add Income</button>
-        </div>
+// Statement import: upload an Airtel Money / MTN MoMo statement export and
+// match it against the pending deposits
+async function showStatementImportModal() {
+  let imports = [];
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/statement-imports`, { headers: getAuthHeaders() });
+    imports = response.ok ? await response.json() : [];
+  } catch (error) {
+    console.error('Error loading statement imports:', error);
+  }
+
+  const modal = document.createElement('div');
+  modal.id = 'statementImportModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 9999; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 8px; padding: 30px; max-width: 700px; width: 90%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+      <h3 style="margin-bottom: 10px; color: #007BFF;">Import Mobile Money Statement</h3>
+      <p style="color: #6c757d; margin-bottom: 20px;">Upload the CSV or XLSX statement export. Incoming transactions are matched by transaction ID and amount against the deposits.</p>
+      <div class="form-group">
+        <label>Wallet:</label>
+        <select id="statementWallet" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
+          <option value="airtel">Airtel Money</option>
+          <option value="mtn">MTN MoMo</option>
+        </select>
+      </div>
+      <div class="form-group">
+        <label>Statement file (.csv or .xlsx):</label>
+        <input type="file" id="statementFile" accept=".csv,.xlsx,.txt" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
       </div>
+      <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;">
+        <button type="button" class="btn btn-secondary" onclick="document.getElementById('statementImportModal').remove()">Cancel</button>
+        <button type="button" class="btn btn-success" id="uploadStatementBtn" onclick="uploadStatement()">Upload & Match</button>
+      </div>
+      ${imports.length > 0 ? `
+        <h4 style="margin: 30px 0 10px;">Recent Imports</h4>
+        <table class="table">
+          <thead>
+            <tr><th>ID</th><th>Wallet</th><th>File</th><th>Rows</th><th>Matched</th><th>Approved</th><th>Uploaded</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${imports.map(item => `
+              <tr>
+                <td>${item.id}</td>
+                <td>${item.wallet.toUpperCase()}</td>
+                <td>${item.filename || 'N/A'}</td>
+                <td>${item.rows_count}</td>
+                <td>${item.matched_count}</td>
+                <td>${item.approved_count}</td>
+                <td>${formatDateTime(item.created_at)}${item.uploaded_by_phone ? `<br><small>${item.uploaded_by_phone}</small>` : ''}</td>
+                <td><button class="btn" onclick="document.getElementById('statementImportModal').remove(); showStatementImport(${item.id})" style="padding: 5px 10px; font-size: 12px;">View</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
     </div>
   `;
-  
-  const modal = document.createElement('div');
-  modal.innerHTML = modalHTML;
   document.body.appendChild(modal);
 }
 
-// Add daily income
-async function addDailyIncome() {
-  const phone = document.getElementById('dailyIncomePhone').value.trim();
-  const amount = parseFloat(document.getElementById('dailyIncomeAmount').value);
-
-  if (!phone || !amount || amount <= 0) {
-    showAlert('Please fill in phone number and amount', 'Missing Information');
+async function uploadStatement() {
+  const wallet = document.getElementById('statementWallet').value;
+  const file = document.getElementById('statementFile').files[0];
+  if (!file) {
+    showAlert('Please select a statement file', 'No File');
     return;
   }
 
+  const button = document.getElementById('uploadStatementBtn');
+  button.disabled = true;
+  button.textContent = 'Matching...';
+
   try {
-    const response = await fetch(`${API_BASE}/api/admin/daily-income`, {
+    const formData = new FormData();
+    formData.append('wallet', wallet);
+    formData.append('statement', file);
+
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE}/api/admin/statement-imports`, {
       method: 'POST',
-      headers: getAuthHeaders(),
-      body: JSON.stringify({
-        accountId: phone,
-        amount: amount
-      })
+      headers: {
+        'Authorization': `Bearer ${token}`
+        // Don't set Content-Type - browser will set it with boundary for FormData
+      },
+      body: formData
     });
-
+    const data = await response.json();
     if (!response.ok) {
-      let errorMessage = 'Failed to add daily income';
-      try {
-        const errorData = await response.json();
-        errorMessage = errorData.error || errorData.message || errorMessage;
-        if (errorData.details && Array.isArray(errorData.details)) {
-          const detailMessages = errorData.details.map(d => d.msg || d.message).join(', ');
-          if (detailMessages) {
-            errorMessage += ': ' + detailMessages;
-          }
-        }
-      } catch (e) {
-        errorMessage = `Error ${response.status}: ${response.statusText || 'Bad Request'}`;
-      }
-      throw new Error(errorMessage);
+      throw new Error(data.error || 'Failed to import statement');
     }
 
-    const data = await response.json();
-    showAlert(`Daily income of K${amount.toFixed(2)} added successfully to ${data.phone || 'user'}!`, 'Success');
-    document.getElementById('addDailyIncomeModal').remove();
-    await loadAdminData();
+    document.getElementById('statementImportModal').remove();
+    renderStatementImportModal(data);
   } catch (error) {
-    console.error('Add daily income error:', error);
-    showAlert(`Failed to add daily income: ${error.message}`, 'Error');
+    showAlert(`Failed to import statement: ${error.message}`, 'Error');
+    button.disabled = false;
+    button.textContent = 'Upload & Match';
   }
 }
 
-// Show bulk daily income by level modal
-function showBulkDailyIncomeByLevelModal() {
-  const modalHTML = `
-    <div id="bulkDailyIncomeModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;">
-      <div style="background: white; border-radius: 8px; padding: 30px; max-width: 520px; width: 90%; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-        <h3 style="margin-bottom: 20px; color: #007BFF;">Bulk Daily Income by Level</h3>
-        <div class="form-group">
-          <label>Level:</label>
-          <select id="bulkLevel" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
-            ${Array.from({length:10}).map((_,i)=>`<option value="L${i+1}">L${i+1}</option>`).join('')}
-          </select>
-        </div>
-        <div class="form-group" style="margin-top: 15px;">
-          <label>Amount per account (K):</label>
-          <input type="number" id="bulkAmount" step="0.01" min="0.01" placeholder="Enter amount per account (e.g., 6.00)" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
-          <small style="color: #6c757d; display: block; margin-top: 5px;">💰 This amount will be added to ALL accounts at the selected level</small>
-        </div>
-        <p style="margin-top: 10px; color: #6c757d;">This will add the specified amount to ALL accounts at the selected level.</p>
-        <div style="margin-top: 20px; text-align: right;">
-          <button onclick="document.getElementById('bulkDailyIncomeModal').remove()" class="btn btn-secondary" style="margin-right: 10px;">Cancel</button>
-          <button onclick="addDailyIncomeByLevel()" class="btn">Confirm</button>
-        </div>
-      </div>
-    </div>
-  `;
-  const modal = document.createElement('div');
-  modal.innerHTML = modalHTML;
-  document.body.appendChild(modal);
+async function showStatementImport(importId) {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/statement-imports/${importId}`, { headers: getAuthHeaders() });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load statement import');
+    }
+    renderStatementImportModal(data);
+  } catch (error) {
+    showAlert(`Error loading statement import: ${error.message}`, 'Error');
+  }
 }
 
-// Add daily income by level
-async function addDailyIncomeByLevel() {
-  const level = document.getElementById('bulkLevel').value;
-  const amount = parseFloat(document.getElementById('bulkAmount').value);
-
-  if (!level || !amount || amount <= 0) {
-    showAlert('Please select a level and enter a valid amount', 'Missing Information');
-    return;
+// Statement lines as a table; withDeposit adds the deposit the line refers to
+function renderStatementLines(lines, { withDeposit = false, withApproval = false } = {}) {
+  return `
+    <table class="table">
+      <thead>
+        <tr>
+          <th>Row</th>
+          <th>Reference</th>
+          <th>Amount</th>
+          <th>Date</th>
+          <th>Sender</th>
+          ${withDeposit ? '<th>Deposit</th>' : ''}
+          <th>Note</th>
+          ${withApproval ? '<th>Status</th>' : ''}
+        </tr>
+      </thead>
+      <tbody>
+        ${lines.map(line => `
+          <tr>
+            <td>${line.row_number}</td>
+            <td><code style="background: #f8f9fa; padding: 2px 6px; border-radius: 4px;">${line.reference || 'N/A'}</code></td>
+            <td>${line.amount !== null ? formatKwacha(line.amount) : 'N/A'}</td>
+            <td>${line.transaction_date || ''}</td>
+            <td>${line.sender || ''}</td>
+            ${withDeposit ? `<td>${line.deposit_id ? `#${line.deposit_id} ${formatKwacha(line.deposit_amount)}<br><small>${line.full_name || line.phone || ''}</small>` : ''}</td>` : ''}
+            <td>${line.note || ''}</td>
+            ${withApproval ? `<td>${line.approved_at ? `✅ Approved ${formatDateTime(line.approved_at)}` : line.deposit_status === 'pending' ? '⏳ Pending' : line.deposit_status}</td>` : ''}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderStatementImportModal(data) {
+  const byResult = result => data.lines.filter(line => line.result === result);
+  const matched = byResult('matched');
+  const mismatched = data.lines.filter(line => line.result === 'amount_mismatch' || line.result === 'wallet_mismatch');
+  const unknown = byResult('unknown');
+  const duplicates = byResult('duplicate');
+  const processed = byResult('already_processed');
+  const skipped = byResult('skipped');
+  const approvable = matched.filter(line => !line.approved_at && line.deposit_status === 'pending');
+
+  const section = (title, color, lines, options = {}) => `
+    <div style="margin-bottom: 25px;">
+      <h4 style="color: ${color}; margin-bottom: 10px;">${title} (${lines.length})</h4>
+      ${lines.length > 0 ? renderStatementLines(lines, options) : '<p style="color: #6c757d;">None</p>'}
+    </div>
+  `;
+
+  const existing = document.getElementById('statementResultModal');
+  if (existing) existing.remove();
+
+  const modal = document.createElement('div');
+  modal.id = 'statementResultModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 9999; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 8px; max-width: 1000px; width: 95%; max-height: 90vh; margin: 20px auto; display: flex; flex-direction: column;">
+      <div style="padding: 20px; border-bottom: 1px solid #e9ecef;">
+        <h3 style="margin: 0;">Statement Import #${data.import.id} - ${data.import.wallet.toUpperCase()}</h3>
+        <small style="color: #6c757d;">${data.import.filename || ''} · ${data.import.rows_count} rows · uploaded ${formatDateTime(data.import.created_at)}</small>
+      </div>
+      <div style="flex: 1; overflow-y: auto; padding: 20px;">
+        ${section('✅ Exact Matches', '#28a745', matched, { withDeposit: true, withApproval: true })}
+        ${section('⚠️ Amount / Wallet Mismatches', '#ff9800', mismatched, { withDeposit: true })}
+        ${section('❓ Unknown References', '#dc3545', unknown)}
+        ${section('🔁 Duplicates', '#dc3545', duplicates)}
+        ${section('Already Processed', '#6c757d', processed, { withDeposit: true })}
+        ${section('Skipped Rows', '#6c757d', skipped)}
+      </div>
+      <div style="padding: 20px; border-top: 1px solid #e9ecef; background: #f8f9fa; border-radius: 0 0 8px 8px; text-align: right;">
+        <button type="button" class="btn btn-secondary" onclick="document.getElementById('statementResultModal').remove()">Close</button>
+        ${approvable.length > 0 ? `
+          <button type="button" class="btn btn-success" id="approveStatementBtn" onclick="approveStatementMatches(${data.import.id}, ${approvable.length})" style="margin-left: 10px;">✓ Approve ${approvable.length} Exact Match(es)</button>
+        ` : ''}
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+}
+
+async function approveStatementMatches(importId, count) {
+  const confirmed = await showConfirm(
+    `Approve ${count} deposit(s) that exactly match the statement? Their amounts will be added to the users' balances.`,
+    'Approve Matches'
+  );
+  if (!confirmed) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/statement-imports/${importId}/approve`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({})
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to approve matches');
+    }
+
+    const failures = data.failed.map(item => `Deposit #${item.depositId}: ${item.error}`).join('\n');
+    showAlert(`${data.message}${failures ? `\n\n${failures}` : ''}`, 'Approval Complete');
+    await showStatementImport(importId);
+    await loadAdminData();
+  } catch (error) {
+    showAlert(`Failed to approve matches: ${error.message}`, 'Error');
+  }
+}
+
+// ==================== PAYOUT BATCHES ====================
+
+const PAYOUT_ITEM_STATUS = {
+  processing: '⏳ Sent',
+  approved: '⏳ Approved',
+  paid: '✅ Paid',
+  failed: '❌ Failed',
+  reversed: '↩️ Reversed'
+};
+
+// Bulk payout files for approved withdrawal requests, and the batches exported so far
+async function showPayoutBatchesModal() {
+  let batches = [];
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/payout-batches`, { headers: getAuthHeaders() });
+    batches = response.ok ? await response.json() : [];
+  } catch (error) {
+    console.error('Error loading payout batches:', error);
+  }
+
+  const existing = document.getElementById('payoutBatchesModal');
+  if (existing) existing.remove();
+
+  const modal = document.createElement('div');
+  modal.id = 'payoutBatchesModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 9999; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 8px; padding: 30px; max-width: 800px; width: 90%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+      <h3 style="margin-bottom: 10px; color: #007BFF;">Payout Batches</h3>
+      <p style="color: #6c757d; margin-bottom: 20px;">Put every approved withdrawal request of a wallet into a batch and download it as the provider's bulk payment file. The requests are marked as sent; upload the provider's result file afterwards to mark each one paid or failed.</p>
+      <div class="form-group">
+        <label>Wallet:</label>
+        <select id="payoutBatchWallet" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
+          <option value="airtel">Airtel Money</option>
+          <option value="mtn">MTN MoMo</option>
+        </select>
+      </div>
+      <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;">
+        <button type="button" class="btn btn-secondary" onclick="document.getElementById('payoutBatchesModal').remove()">Close</button>
+        <button type="button" class="btn btn-success" id="createPayoutBatchBtn" onclick="createPayoutBatch()">Create Batch</button>
+      </div>
+      ${batches.length > 0 ? `
+        <h4 style="margin: 30px 0 10px;">Recent Batches</h4>
+        <table class="table">
+          <thead>
+            <tr><th>ID</th><th>Wallet</th><th>Requests</th><th>Total</th><th>Paid</th><th>Failed</th><th>Status</th><th>Created</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${batches.map(batch => `
+              <tr>
+                <td>${batch.id}</td>
+                <td>${batch.wallet.toUpperCase()}</td>
+                <td>${batch.request_count}</td>
+                <td>${formatKwacha(batch.total_amount)}</td>
+                <td>${batch.paid_count}</td>
+                <td>${batch.failed_count}</td>
+                <td>${batch.status === 'completed' ? '✅ Completed' : '⏳ Open'}</td>
+                <td>${formatDateTime(batch.created_at)}${batch.created_by_phone ? `<br><small>${batch.created_by_phone}</small>` : ''}</td>
+                <td><button class="btn" onclick="document.getElementById('payoutBatchesModal').remove(); showPayoutBatch(${batch.id})" style="padding: 5px 10px; font-size: 12px;">View</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+    </div>
+  `;
+  document.body.appendChild(modal);
+}
+
+async function createPayoutBatch() {
+  const wallet = document.getElementById('payoutBatchWallet').value;
+  const confirmed = await showConfirm(
+    `Put every approved ${wallet.toUpperCase()} withdrawal request into a payout batch? They will be marked as sent to the provider.`,
+    'Create Payout Batch'
+  );
+  if (!confirmed) {
+    return;
+  }
+
+  const button = document.getElementById('createPayoutBatchBtn');
+  button.disabled = true;
+  button.textContent = 'Creating...';
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/payout-batches`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ wallet })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to create payout batch');
+    }
+
+    document.getElementById('payoutBatchesModal').remove();
+    renderPayoutBatchModal(data);
+    await downloadPayoutBatchFile(data.batch.id);
+    await loadAdminData();
+  } catch (error) {
+    showAlert(`Failed to create payout batch: ${error.message}`, 'Error');
+    button.disabled = false;
+    button.textContent = 'Create Batch';
+  }
+}
+
+async function showPayoutBatch(batchId) {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/payout-batches/${batchId}`, { headers: getAuthHeaders() });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load payout batch');
+    }
+    renderPayoutBatchModal(data);
+  } catch (error) {
+    showAlert(`Error loading payout batch: ${error.message}`, 'Error');
+  }
+}
+
+function renderPayoutBatchModal(data) {
+  const { batch, items, resultImports } = data;
+
+  const existing = document.getElementById('payoutBatchModal');
+  if (existing) existing.remove();
+
+  const modal = document.createElement('div');
+  modal.id = 'payoutBatchModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 9999; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 8px; max-width: 1000px; width: 95%; max-height: 90vh; margin: 20px auto; display: flex; flex-direction: column;">
+      <div style="padding: 20px; border-bottom: 1px solid #e9ecef;">
+        <h3 style="margin: 0;">Payout Batch #${batch.id} - ${batch.wallet.toUpperCase()}</h3>
+        <small style="color: #6c757d;">${batch.request_count} request(s) · ${formatKwacha(batch.total_amount)} · created ${formatDateTime(batch.created_at)}${batch.created_by_phone ? ` by ${batch.created_by_phone}` : ''}${batch.completed_at ? ` · completed ${formatDateTime(batch.completed_at)}` : ''}</small>
+      </div>
+      <div style="flex: 1; overflow-y: auto; padding: 20px;">
+        <table class="table">
+          <thead>
+            <tr><th>Request</th><th>User</th><th>Phone</th><th>Net Amount</th><th>Reference</th><th>Status</th><th>Provider Result</th></tr>
+          </thead>
+          <tbody>
+            ${items.map(item => `
+              <tr>
+                <td>#${item.withdrawal_request_id}</td>
+                <td>${item.full_name || item.user_phone || `User #${item.user_id}`}</td>
+                <td>${item.msisdn}</td>
+                <td>${formatKwacha(item.amount)}</td>
+                <td><code style="background: #f8f9fa; padding: 2px 6px; border-radius: 4px;">${item.reference}</code></td>
+                <td>${PAYOUT_ITEM_STATUS[item.request_status] || item.request_status}</td>
+                <td>${item.resulted_at ? `${item.provider_status || ''}${item.provider_reference ? ` · ${item.provider_reference}` : ''}${item.result_note ? `<br><small>${item.result_note}</small>` : ''}<br><small>${formatDateTime(item.resulted_at)}</small>` : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <h4 style="margin: 25px 0 10px;">Result Files (${resultImports.length})</h4>
+        ${resultImports.length > 0 ? `
+          <table class="table">
+            <thead>
+              <tr><th>File</th><th>Rows</th><th>Paid</th><th>Failed</th><th>Unmatched</th><th>Uploaded</th></tr>
+            </thead>
+            <tbody>
+              ${resultImports.map(item => `
+                <tr>
+                  <td>${item.filename || 'N/A'}</td>
+                  <td>${item.rows_count}</td>
+                  <td>${item.paid_count}</td>
+                  <td>${item.failed_count}</td>
+                  <td>${item.unmatched_count}</td>
+                  <td>${formatDateTime(item.created_at)}${item.uploaded_by_phone ? `<br><small>${item.uploaded_by_phone}</small>` : ''}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : '<p style="color: #6c757d;">None yet</p>'}
+        ${batch.status === 'open' ? `
+          <div class="form-group" style="margin-top: 20px;">
+            <label>Provider result file (.csv or .xlsx):</label>
+            <input type="file" id="payoutResultsFile" accept=".csv,.xlsx,.txt" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
+          </div>
+        ` : ''}
+      </div>
+      <div style="padding: 20px; border-top: 1px solid #e9ecef; background: #f8f9fa; border-radius: 0 0 8px 8px; text-align: right;">
+        <button type="button" class="btn btn-secondary" onclick="document.getElementById('payoutBatchModal').remove()">Close</button>
+        <button type="button" class="btn" onclick="downloadPayoutBatchFile(${batch.id})" style="margin-left: 10px;">⬇️ Download Payment File</button>
+        ${batch.status === 'open' ? `
+          <button type="button" class="btn btn-success" id="uploadPayoutResultsBtn" onclick="uploadPayoutResults(${batch.id})" style="margin-left: 10px;">Upload Results</button>
+        ` : ''}
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+}
+
+async function downloadPayoutBatchFile(batchId) {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/payout-batches/${batchId}/file`, { headers: getAuthHeaders() });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to download payment file');
+    }
+    const filename = (response.headers.get('Content-Disposition') || '').match(/filename="(.+)"/);
+    const blob = await response.blob();
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename ? filename[1] : `payout-batch-${batchId}.csv`;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    showAlert(`Failed to download payment file: ${error.message}`, 'Error');
+  }
+}
+
+async function uploadPayoutResults(batchId) {
+  const file = document.getElementById('payoutResultsFile').files[0];
+  if (!file) {
+    showAlert('Please select the result file', 'No File');
+    return;
+  }
+
+  const button = document.getElementById('uploadPayoutResultsBtn');
+  button.disabled = true;
+  button.textContent = 'Uploading...';
+
+  try {
+    const formData = new FormData();
+    formData.append('results', file);
+
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE}/api/admin/payout-batches/${batchId}/results`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`
+        // Don't set Content-Type - browser will set it with boundary for FormData
+      },
+      body: formData
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to import results');
+    }
+
+    const notes = [...data.pending, ...data.skipped, ...data.unmatched]
+      .map(row => `Row ${row.rowNumber}: ${row.note}`)
+      .join('\n');
+    showAlert(`${data.message}${notes ? `\n\n${notes}` : ''}`, 'Results Imported');
+    await showPayoutBatch(batchId);
+    await loadAdminData();
+  } catch (error) {
+    showAlert(`Failed to import results: ${error.message}`, 'Error');
+    button.disabled = false;
+    button.textContent = 'Upload Results';
+  }
+}
+
+// Withdrawal fee policies: the policy in effect, scheduled ones and earlier ones
+async function showWithdrawalFeesModal() {
+  let policies = [];
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/withdrawal-fee-policies`, { headers: getAuthHeaders() });
+    policies = response.ok ? await response.json() : [];
+  } catch (error) {
+    console.error('Error loading withdrawal fee policies:', error);
+  }
+
+  const existing = document.getElementById('withdrawalFeesModal');
+  if (existing) existing.remove();
+
+  const modal = document.createElement('div');
+  modal.id = 'withdrawalFeesModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 9999; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 8px; padding: 30px; max-width: 900px; width: 95%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+      <h3 style="margin-bottom: 10px; color: #007BFF;">Withdrawal Fees</h3>
+      <p style="color: #6c757d; margin-bottom: 20px;">Withdrawals are charged under the policy in effect on the day they are requested. To change fees, add a policy from a future date (or today); a policy can be deleted until it takes effect.</p>
+      ${policies.map(policy => `
+        <div style="border: 1px solid ${policy.current ? '#28a745' : '#e9ecef'}; border-radius: 8px; padding: 15px; margin-bottom: 15px;">
+          <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px;">
+            <div>
+              <strong>From ${formatDate(policy.effective_from)}</strong>
+              ${policy.current ? '<span style="color: #28a745;"> · ✅ In effect</span>' : policy.scheduled ? '<span style="color: #ff9800;"> · ⏳ Scheduled</span>' : ''}
+              <br><small style="color: #6c757d;">Minimum withdrawal ${formatKwacha(policy.min_withdrawal)} · ${policy.withdrawal_count} withdrawal(s)${policy.created_by_phone ? ` · by ${policy.created_by_phone}` : ''}</small>
+              ${policy.notes ? `<br><small>${policy.notes}</small>` : ''}
+            </div>
+            ${policy.scheduled ? `<button class="btn btn-danger" onclick="deleteWithdrawalFeePolicy(${policy.id})" style="padding: 5px 10px; font-size: 12px;">Delete</button>` : ''}
+          </div>
+          <table class="table" style="margin-top: 10px;">
+            <thead>
+              <tr><th>Level</th><th>Amount</th><th>Fee</th></tr>
+            </thead>
+            <tbody>
+              ${policy.tiers.map(tier => `
+                <tr>
+                  <td>${tier.level || 'All levels'}</td>
+                  <td>${formatKwacha(tier.min_amount)} - ${tier.max_amount != null ? formatKwacha(tier.max_amount) : 'no limit'}</td>
+                  <td>${describeWithdrawalFee(tier)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `).join('')}
+      <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;">
+        <button type="button" class="btn btn-secondary" onclick="document.getElementById('withdrawalFeesModal').remove()">Close</button>
+        <button type="button" class="btn btn-success" onclick="showAddWithdrawalFeePolicyModal()">Add Policy</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+}
+
+function withdrawalFeeTierRow() {
+  const input = 'width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px;';
+  return `
+    <tr class="fee-tier-row">
+      <td>
+        <select class="tier-level" style="${input} color: #333; background: #fff;">
+          <option value="">All levels</option>
+          ${getLevels().map(level => `<option value="${level.level}">${level.level}</option>`).join('')}
+        </select>
+      </td>
+      <td><input type="number" class="tier-min-amount" min="0" step="0.01" value="0" style="${input}"></td>
+      <td><input type="number" class="tier-max-amount" min="0" step="0.01" placeholder="No limit" style="${input}"></td>
+      <td><input type="number" class="tier-percent" min="0" max="100" step="0.01" placeholder="Package" style="${input}"></td>
+      <td><input type="number" class="tier-flat-fee" min="0" step="0.01" placeholder="0" style="${input}"></td>
+      <td><input type="number" class="tier-min-fee" min="0" step="0.01" placeholder="None" style="${input}"></td>
+      <td><input type="number" class="tier-max-fee" min="0" step="0.01" placeholder="None" style="${input}"></td>
+      <td><button type="button" class="btn btn-danger" onclick="this.closest('tr').remove()" style="padding: 4px 8px; font-size: 12px;">✕</button></td>
+    </tr>
+  `;
+}
+
+function showAddWithdrawalFeePolicyModal() {
+  const existing = document.getElementById('addWithdrawalFeePolicyModal');
+  if (existing) existing.remove();
+
+  const modal = document.createElement('div');
+  modal.id = 'addWithdrawalFeePolicyModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 8px; padding: 30px; max-width: 1000px; width: 95%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+      <h3 style="margin-bottom: 20px; color: #007BFF;">Add Withdrawal Fee Policy</h3>
+      <form id="withdrawalFeePolicyForm">
+        <div class="form-group">
+          <label>Effective From *</label>
+          <input type="date" id="feePolicyEffectiveFrom" required min="${platformToday()}" value="${platformToday()}" class="form-control">
+        </div>
+        <div class="form-group">
+          <label>Minimum Withdrawal (K) *</label>
+          <input type="number" id="feePolicyMinWithdrawal" required min="0.01" step="0.01" value="50" class="form-control">
+        </div>
+        <div class="form-group">
+          <label>Notes</label>
+          <input type="text" id="feePolicyNotes" maxlength="200" class="form-control">
+        </div>
+        <label>Tiers *</label>
+        <small style="display: block; color: #6c757d; margin-bottom: 10px;">Amounts and fees in K. Tiers for all levels must run from 0 with no gaps, the last one without an upper amount; a tier for a level overrides them over its amounts. Leave the percent empty to charge the fee of the user's package terms.</small>
+        <table class="table">
+          <thead>
+            <tr><th>Level</th><th>From</th><th>To</th><th>Percent</th><th>Flat Fee</th><th>Min Fee</th><th>Max Fee</th><th></th></tr>
+          </thead>
+          <tbody id="feeTierRows">${withdrawalFeeTierRow()}</tbody>
+        </table>
+        <button type="button" class="btn btn-secondary" onclick="document.getElementById('feeTierRows').insertAdjacentHTML('beforeend', withdrawalFeeTierRow())" style="padding: 5px 10px; font-size: 12px;">+ Add Tier</button>
+        <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;">
+          <button type="button" class="btn btn-secondary" onclick="document.getElementById('addWithdrawalFeePolicyModal').remove()">Cancel</button>
+          <button type="submit" class="btn btn-success" id="saveFeePolicyBtn">Create Policy</button>
+        </div>
+      </form>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  document.getElementById('withdrawalFeePolicyForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await saveWithdrawalFeePolicy();
+  });
+}
+
+async function saveWithdrawalFeePolicy() {
+  const optionalAmount = (row, selector) => {
+    const value = row.querySelector(selector).value;
+    return value === '' ? null : toNgwee(value);
+  };
+  const tiers = Array.from(document.querySelectorAll('#feeTierRows .fee-tier-row')).map(row => {
+    const percent = row.querySelector('.tier-percent').value;
+    return {
+      level: row.querySelector('.tier-level').value || null,
+      minAmount: optionalAmount(row, '.tier-min-amount') || 0,
+      maxAmount: optionalAmount(row, '.tier-max-amount'),
+      percent: percent === '' ? null : parseFloat(percent),
+      flatFee: optionalAmount(row, '.tier-flat-fee') || 0,
+      minFee: optionalAmount(row, '.tier-min-fee'),
+      maxFee: optionalAmount(row, '.tier-max-fee')
+    };
+  });
+  const payload = {
+    effectiveFrom: document.getElementById('feePolicyEffectiveFrom').value,
+    minWithdrawal: toNgwee(document.getElementById('feePolicyMinWithdrawal').value),
+    notes: document.getElementById('feePolicyNotes').value.trim(),
+    tiers
+  };
+
+  const button = document.getElementById('saveFeePolicyBtn');
+  button.disabled = true;
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/withdrawal-fee-policies`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(payload)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.details ? data.details.map(d => d.msg).join(', ') : (data.error || 'Failed to create fee policy'));
+    }
+
+    document.getElementById('addWithdrawalFeePolicyModal').remove();
+    showAlert(data.message, 'Success');
+    await showWithdrawalFeesModal();
+  } catch (error) {
+    showAlert(`Error creating fee policy: ${error.message}`, 'Error');
+    button.disabled = false;
+  }
+}
+
+async function deleteWithdrawalFeePolicy(policyId) {
+  const confirmed = await showConfirm('Delete this scheduled fee policy? The policy in effect stays in place.', 'Delete Fee Policy');
+  if (!confirmed) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/withdrawal-fee-policies/${policyId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to delete fee policy');
+    }
+    await showWithdrawalFeesModal();
+  } catch (error) {
+    showAlert(`Error deleting fee policy: ${error.message}`, 'Error');
+  }
+}
+
+const REFERENCE_FLAG_SOURCES = {
+  recharge: 'Deposit',
+  'verify-transaction': 'Level purchase',
+  migration: 'Existing claim'
+};
+
+// Attempts to use another user's transaction reference (possible fraud)
+async function showReferenceFlagsModal(status = 'open') {
+  let flags = [];
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/reference-flags?status=${status}`, { headers: getAuthHeaders() });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load reference flags');
+    }
+    flags = data;
+  } catch (error) {
+    showAlert(`Error loading reference flags: ${error.message}`, 'Error');
+    return;
+  }
+
+  const existing = document.getElementById('referenceFlagsModal');
+  if (existing) {
+    existing.remove();
+  }
+
+  const modal = document.createElement('div');
+  modal.id = 'referenceFlagsModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 9999; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 8px; padding: 30px; max-width: 1000px; width: 95%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+        <h3 style="margin: 0; color: #dc3545;">Transaction Reference Flags</h3>
+        <select onchange="showReferenceFlagsModal(this.value)" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
+          <option value="open" ${status === 'open' ? 'selected' : ''}>Open</option>
+          <option value="reviewed" ${status === 'reviewed' ? 'selected' : ''}>Reviewed</option>
+          <option value="all" ${status === 'all' ? 'selected' : ''}>All</option>
+        </select>
+      </div>
+      <p style="color: #6c757d; margin-bottom: 20px;">A user tried to use an Airtel/MTN transaction ID that another user already claimed. Only one of them can have paid.</p>
+      ${flags.length === 0 ? '<p>No flags.</p>' : `
+        <table class="table">
+          <thead>
+            <tr><th>Date</th><th>Wallet</th><th>Reference</th><th>Tried By</th><th>Claimed By</th><th>Via</th><th>Review</th></tr>
+          </thead>
+          <tbody>
+            ${flags.map(flag => `
+              <tr>
+                <td>${formatDateTime(flag.created_at)}</td>
+                <td>${flag.wallet.toUpperCase()}</td>
+                <td>${flag.reference}${flag.transaction_txt && flag.transaction_txt !== flag.reference ? `<br><small>entered as ${flag.transaction_txt}</small>` : ''}</td>
+                <td>${flag.phone || 'Deleted user'}${flag.full_name ? `<br><small>${flag.full_name}</small>` : ''}</td>
+                <td>
+                  ${flag.claimed_by_phone || 'Deleted user'}
+                  ${flag.claim_deposit_id ? `<br><small>Deposit #${flag.claim_deposit_id}</small>` : ''}
+                  ${flag.claim_investment_id ? `<br><small>Investment #${flag.claim_investment_id}</small>` : ''}
+                  ${flag.claim_released_at ? '<br><small>(claim released)</small>' : ''}
+                </td>
+                <td>${REFERENCE_FLAG_SOURCES[flag.source] || flag.source}</td>
+                <td>
+                  ${flag.reviewed_at
+                    ? `${formatDateTime(flag.reviewed_at)}${flag.reviewed_by_phone ? `<br><small>${flag.reviewed_by_phone}</small>` : ''}${flag.review_notes ? `<br><small>${flag.review_notes}</small>` : ''}`
+                    : `<button class="btn btn-success" onclick="showReviewReferenceFlagModal(${flag.id}, '${status}')" style="padding: 5px 10px; font-size: 12px;">Mark Reviewed</button>`}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+      <div style="margin-top: 20px; text-align: right;">
+        <button class="btn btn-secondary" onclick="document.getElementById('referenceFlagsModal').remove()">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+}
+
+function showReviewReferenceFlagModal(flagId, status) {
+  const modal = document.createElement('div');
+  modal.id = 'reviewReferenceFlagModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 8px; padding: 30px; max-width: 520px; width: 90%; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+      <h3 style="margin-bottom: 20px; color: #007BFF;">Review Flag #${flagId}</h3>
+      <div class="form-group">
+        <label>Notes (optional):</label>
+        <input type="text" id="referenceFlagNotes" placeholder="Outcome, e.g. which user paid" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
+      </div>
+      <div style="margin-top: 20px; text-align: right;">
+        <button onclick="document.getElementById('reviewReferenceFlagModal').remove()" class="btn btn-secondary" style="margin-right: 10px;">Cancel</button>
+        <button onclick="reviewReferenceFlag(${flagId}, '${status}')" class="btn btn-success">Mark Reviewed</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+}
+
+async function reviewReferenceFlag(flagId, status) {
+  const notes = (document.getElementById('referenceFlagNotes').value || '').trim();
+  document.getElementById('reviewReferenceFlagModal').remove();
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/reference-flags/${flagId}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ notes: notes || null })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to review flag');
+    }
+
+    await showReferenceFlagsModal(status);
+    await loadAdminData();
+  } catch (error) {
+    showAlert(`Failed to review flag: ${error.message}`, 'Error');
+  }
+}
+
+const PAYMENT_EVENT_COLORS = {
+  received: '#6c757d',
+  processed: '#28a745',
+  ignored: '#17a2b8',
+  failed: '#dc3545'
+};
+
+// Paystack webhook events with their processing status
+async function showPaymentEventsModal(status = '') {
+  let events = [];
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/payment-events${status ? `?status=${status}` : ''}`, { headers: getAuthHeaders() });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load payment events');
+    }
+    events = data;
+  } catch (error) {
+    showAlert(`Error loading payment events: ${error.message}`, 'Error');
+    return;
+  }
+
+  const existing = document.getElementById('paymentEventsModal');
+  if (existing) {
+    existing.remove();
+  }
+
+  const modal = document.createElement('div');
+  modal.id = 'paymentEventsModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 9999; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 8px; padding: 30px; max-width: 1000px; width: 95%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+        <h3 style="margin: 0; color: #007BFF;">Paystack Payment Events</h3>
+        <select onchange="showPaymentEventsModal(this.value)" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
+          <option value="" ${!status ? 'selected' : ''}>All</option>
+          ${Object.keys(PAYMENT_EVENT_COLORS).map(value => `<option value="${value}" ${status === value ? 'selected' : ''}>${value}</option>`).join('')}
+        </select>
+      </div>
+      <p style="color: #6c757d; margin-bottom: 20px;">Signed webhook events, each processed once. Failed and ignored events can be replayed.</p>
+      ${events.length === 0 ? '<p>No payment events.</p>' : `
+        <table class="table">
+          <thead>
+            <tr><th>#</th><th>Received</th><th>Event</th><th>Reference</th><th>Status</th><th>User</th><th>Actions</th></tr>
+          </thead>
+          <tbody>
+            ${events.map(paymentEvent => `
+              <tr>
+                <td>${paymentEvent.id}</td>
+                <td>${formatDateTime(paymentEvent.received_at)}</td>
+                <td>${paymentEvent.event}</td>
+                <td>${paymentEvent.reference}</td>
+                <td>
+                  <span style="background: ${PAYMENT_EVENT_COLORS[paymentEvent.status] || '#6c757d'}; color: white; padding: 3px 8px; border-radius: 4px; font-size: 12px;">${paymentEvent.status}</span>
+                  ${paymentEvent.attempts > 1 ? `<br><small>${paymentEvent.attempts} attempts</small>` : ''}
+                  ${paymentEvent.error ? `<br><small style="color: #dc3545;">${paymentEvent.error}</small>` : ''}
+                  ${paymentEvent.replayed_at ? `<br><small>Replayed ${formatDateTime(paymentEvent.replayed_at)}${paymentEvent.replayed_by_phone ? ` by ${paymentEvent.replayed_by_phone}` : ''}</small>` : ''}
+                </td>
+                <td>${paymentEvent.phone || 'N/A'}${paymentEvent.investment_id ? `<br><small>Investment #${paymentEvent.investment_id}</small>` : ''}${paymentEvent.deposit_id ? `<br><small>Deposit #${paymentEvent.deposit_id}</small>` : ''}</td>
+                <td>
+                  <button class="btn btn-secondary" onclick="showPaymentEventPayload(${paymentEvent.id})" style="padding: 5px 10px; font-size: 12px;">Payload</button>
+                  ${paymentEvent.status === 'processed' ? '' : `<button class="btn" onclick="replayPaymentEvent(${paymentEvent.id}, '${status}')" style="padding: 5px 10px; font-size: 12px;">↻ Replay</button>`}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+      <div style="margin-top: 20px; text-align: right;">
+        <button class="btn btn-secondary" onclick="document.getElementById('paymentEventsModal').remove()">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+}
+
+async function showPaymentEventPayload(eventId) {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/payment-events/${eventId}`, { headers: getAuthHeaders() });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load payment event');
+    }
+    // The payload comes from outside; show it as text
+    const payload = JSON.stringify(data.payload, null, 2).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    showAlert(payload, `${data.event} ${data.reference}`);
+  } catch (error) {
+    showAlert(`Error loading payment event: ${error.message}`, 'Error');
+  }
+}
+
+async function replayPaymentEvent(eventId, status) {
+  const confirmed = await showConfirm(
+    `Process payment event #${eventId} again? If it succeeds, its payment is credited.`,
+    'Replay Event'
+  );
+  if (!confirmed) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/payment-events/${eventId}/replay`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to replay payment event');
+    }
+    showAlert(data.message, data.paymentEvent.status === 'failed' ? 'Replay Failed' : 'Replay Complete');
+    await showPaymentEventsModal(status);
+    await loadAdminData();
+  } catch (error) {
+    showAlert(`Failed to replay payment event: ${error.message}`, 'Error');
+  }
+}
+
+// Show add daily income modal
+function showAddDailyIncomeModal() {
+  const modalHTML = `
+    <div id="addDailyIncomeModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;">
+      <div style="background: white; border-radius: 8px; padding: 30px; max-width: 500px; width: 90%; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        <h3 style="margin-bottom: 20px; color: #007BFF;">Add Daily Income</h3>
+        <div class="form-group">
+          <label>Phone Number:</label>
+          <input type="tel" id="dailyIncomePhone" placeholder="Enter user's phone number (e.g., 0977123456)" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;" required>
+          <small style="color: #6c757d; display: block; margin-top: 5px;">📱 Enter the phone number of the user to receive daily income</small>
+        </div>
+        <div class="form-group" style="margin-top: 15px;">
+          <label>Amount (K):</label>
+          <input type="number" id="dailyIncomeAmount" step="0.01" min="0.01" placeholder="Enter amount in Kwacha (e.g., 5.00)" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;" required>
+          <small style="color: #6c757d; display: block; margin-top: 5px;">💰 Enter the daily income amount to add to the user's account</small>
+        </div>
+        <div style="margin-top: 20px; text-align: right;">
+          <button onclick="document.getElementById('addDailyIncomeModal').remove()" class="btn btn-secondary" style="margin-right: 10px;">Cancel</button>
+          <button onclick="addDailyIncome()" class="btn">Add Income</button>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  const modal = document.createElement('div');
+  modal.innerHTML = modalHTML;
+  document.body.appendChild(modal);
+}
+
+// Add daily income
+async function addDailyIncome() {
+  const phone = document.getElementById('dailyIncomePhone').value.trim();
+  const amount = toNgwee(document.getElementById('dailyIncomeAmount').value);
+
+  if (!phone || !amount || amount <= 0) {
+    showAlert('Please fill in phone number and amount', 'Missing Information');
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/daily-income`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({
+        accountId: phone,
+        amount: amount
+      })
+    });
+
+    if (!response.ok) {
+      let errorMessage = 'Failed to add daily income';
+      try {
+        const errorData = await response.json();
+        errorMessage = errorData.error || errorData.message || errorMessage;
+        if (errorData.details && Array.isArray(errorData.details)) {
+          const detailMessages = errorData.details.map(d => d.msg || d.message).join(', ');
+          if (detailMessages) {
+            errorMessage += ': ' + detailMessages;
+          }
+        }
+      } catch (e) {
+        errorMessage = `Error ${response.status}: ${response.statusText || 'Bad Request'}`;
+      }
+      throw new Error(errorMessage);
+    }
+
+    const data = await response.json();
+    showAlert(`Daily income of ${formatKwacha(amount)} added successfully to ${data.phone || 'user'}!`, 'Success');
+    document.getElementById('addDailyIncomeModal').remove();
+    await loadAdminData();
+  } catch (error) {
+    console.error('Add daily income error:', error);
+    showAlert(`Failed to add daily income: ${error.message}`, 'Error');
+  }
+}
+
+// Show ledger trial balance modal
+async function showTrialBalanceModal() {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/ledger/trial-balance`, {
+      headers: getAuthHeaders()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error ${response.status}`);
+    }
+
+    const data = await response.json();
+    const rowsHTML = data.accounts.length === 0
+      ? '<tr><td colspan="5" style="text-align: center; color: #6c757d;">No ledger entries yet.</td></tr>'
+      : data.accounts.map(account => `
+          <tr>
+            <td>${account.name}</td>
+            <td style="text-transform: capitalize;">${account.type}</td>
+            <td>${formatKwacha(account.debit)}</td>
+            <td>${formatKwacha(account.credit)}</td>
+            <td><strong>${formatKwacha(account.balance)}</strong></td>
+          </tr>
+        `).join('');
+
+    const modalHTML = `
+      <div id="trialBalanceModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;">
+        <div style="background: white; border-radius: 8px; padding: 30px; max-width: 760px; width: 95%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h3 style="margin-bottom: 10px; color: #007BFF;">Ledger Trial Balance</h3>
+          <p style="margin-bottom: 15px; color: ${data.balanced ? '#28a745' : '#dc3545'}; font-weight: 600;">
+            ${data.balanced ? '✅ Debits equal credits' : '⚠️ Ledger is out of balance'}
+          </p>
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Account</th>
+                <th>Type</th>
+                <th>Debits</th>
+                <th>Credits</th>
+                <th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rowsHTML}
+              <tr style="font-weight: 600;">
+                <td colspan="2">Total</td>
+                <td>${formatKwacha(data.totalDebit)}</td>
+                <td>${formatKwacha(data.totalCredit)}</td>
+                <td></td>
+              </tr>
+            </tbody>
+          </table>
+          <div style="margin-top: 20px; text-align: right;">
+            <button onclick="document.getElementById('trialBalanceModal').remove()" class="btn btn-secondary">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const modal = document.createElement('div');
+    modal.innerHTML = modalHTML;
+    document.body.appendChild(modal);
+  } catch (error) {
+    console.error('Trial balance error:', error);
+    showAlert(`Failed to load trial balance: ${error.message}`, 'Error');
+  }
+}
+
+// Verify the tamper-evident hash chain over the transactions table
+async function verifyHashChain() {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/ledger/verify-chain`, {
+      headers: getAuthHeaders()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.valid) {
+      showAlert(`✅ Transaction chain intact: ${data.checked} transactions verified.`, 'Chain Verified');
+    } else {
+      const broken = data.firstBroken;
+      showAlert(
+        `⚠️ Transaction chain broken at transaction #${broken.transactionId}.\n\n${broken.reason}.\n\n${data.checked} transactions before it verified.`,
+        'Chain Broken'
+      );
+    }
+  } catch (error) {
+    console.error('Verify chain error:', error);
+    showAlert(`Failed to verify transaction chain: ${error.message}`, 'Error');
+  }
+}
+
+const ACCRUAL_RUN_KINDS = {
+  daily: 'Nightly accrual',
+  manual_level: 'Daily income by level',
+  manual_user: 'Daily income'
+};
+
+// Show accrual run history and let the admin run the nightly engine
+async function showAccrualRunsModal() {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/accruals/runs`, {
+      headers: getAuthHeaders()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error ${response.status}`);
+    }
+
+    const runs = await response.json();
+    const rowsHTML = runs.length === 0
+      ? '<tr><td colspan="8" style="text-align: center; color: #6c757d;">No accrual runs yet.</td></tr>'
+      : runs.map(run => `
+          <tr style="${run.status === 'rolled_back' ? 'opacity: 0.6;' : ''}">
+            <td>#${run.id}</td>
+            <td>${ACCRUAL_RUN_KINDS[run.kind] || run.kind}${run.level ? ` ${run.level}` : ''}</td>
+            <td><strong>${run.business_date}</strong></td>
+            <td>${run.investments_count} (${run.users_count} users)${run.matured_count ? `, ${run.matured_count} matured` : ''}</td>
+            <td>${formatKwacha(run.total_amount)}</td>
+            <td>${run.triggered_by_phone || run.source}</td>
+            <td>${run.status === 'rolled_back'
+              ? `<span style="color: #dc3545;" title="${(run.rollback_reason || '').replace(/"/g, '&quot;')}">Rolled back</span>`
+              : '<span style="color: #28a745;">Completed</span>'}</td>
+            <td style="white-space: nowrap;">
+              <button class="btn btn-secondary" onclick="showAccrualRunModal(${run.id})" style="padding: 5px 10px; font-size: 12px;">View</button>
+              ${run.status === 'completed' && run.investments_count > 0
+                ? `<button class="btn btn-danger" onclick="showRollbackAccrualRunModal(${run.id})" style="padding: 5px 10px; font-size: 12px;">↩️ Roll back</button>`
+                : ''}
+            </td>
+          </tr>
+        `).join('');
+
+    const existing = document.getElementById('accrualRunsModal');
+    if (existing) {
+      existing.parentElement.remove();
+    }
+
+    const modalHTML = `
+      <div id="accrualRunsModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;">
+        <div style="background: white; border-radius: 8px; padding: 30px; max-width: 1000px; width: 95%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h3 style="margin-bottom: 10px; color: #007BFF;">Accrual Runs</h3>
+          <p style="margin-bottom: 15px; color: #6c757d;">
+            Every credit of daily income is recorded as a run: the nightly accrual (once per business date; missed dates are paid when the server restarts) and admin daily income. Rolling back a run posts reversing entries for all of its credits.
+          </p>
+          <div style="display: flex; gap: 10px; align-items: flex-end; margin-bottom: 20px;">
+            <div style="flex: 1;">
+              <label for="accrualRunDate" style="display: block; margin-bottom: 5px; font-weight: 600;">Business date (optional)</label>
+              <input type="date" id="accrualRunDate" class="form-control" max="${platformToday()}">
+            </div>
+            <button class="btn" onclick="runAccrualsNow()">Run Accruals</button>
+          </div>
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Run</th>
+                <th>Kind</th>
+                <th>Date</th>
+                <th>Credits</th>
+                <th>Total Paid</th>
+                <th>Triggered By</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rowsHTML}
+            </tbody>
+          </table>
+          <div style="margin-top: 20px; text-align: right;">
+            <button onclick="document.getElementById('accrualRunsModal').parentElement.remove()" class="btn btn-secondary">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const modal = document.createElement('div');
+    modal.innerHTML = modalHTML;
+    document.body.appendChild(modal);
+  } catch (error) {
+    console.error('Accrual runs error:', error);
+    showAlert(`Failed to load accrual runs: ${error.message}`, 'Error');
+  }
+}
+
+// Show the line items of one accrual run
+async function showAccrualRunModal(runId) {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/accruals/runs/${runId}`, {
+      headers: getAuthHeaders()
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load accrual run');
+    }
+
+    const { run, items } = data;
+    const rowsHTML = items.length === 0
+      ? '<tr><td colspan="4" style="text-align: center; color: #6c757d;">No line items.</td></tr>'
+      : items.map(item => `
+          <tr>
+            <td>${item.phone || `User #${item.user_id}`}</td>
+            <td>${item.investment_id ? `#${item.investment_id}` : 'Standalone'}</td>
+            <td>${item.matured ? 'Matured' : formatKwacha(item.amount)}</td>
+            <td>${item.reversed_by_transaction_id ? `<span style="color: #dc3545;">Reversed (#${item.reversed_by_transaction_id})</span>` : (item.transaction_id ? `#${item.transaction_id}` : '')}</td>
+          </tr>
+        `).join('');
+
+    const modalHTML = `
+      <div id="accrualRunModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001;">
+        <div style="background: white; border-radius: 8px; padding: 30px; max-width: 700px; width: 95%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h3 style="margin-bottom: 10px; color: #007BFF;">Accrual Run #${run.id}: ${ACCRUAL_RUN_KINDS[run.kind] || run.kind}${run.level ? ` ${run.level}` : ''}</h3>
+          <p style="margin-bottom: 15px; color: #6c757d;">
+            ${run.business_date} · ${run.investments_count} credits to ${run.users_count} users · ${formatKwacha(run.total_amount)}
+            ${run.status === 'rolled_back' ? `<br><span style="color: #dc3545;">Rolled back ${formatDateTime(run.rolled_back_at)}: ${run.rollback_reason}</span>` : ''}
+          </p>
+          <table class="table">
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>Investment</th>
+                <th>Amount</th>
+                <th>Transaction</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rowsHTML}
+            </tbody>
+          </table>
+          <div style="margin-top: 20px; text-align: right;">
+            <button onclick="document.getElementById('accrualRunModal').parentElement.remove()" class="btn btn-secondary">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const modal = document.createElement('div');
+    modal.innerHTML = modalHTML;
+    document.body.appendChild(modal);
+  } catch (error) {
+    console.error('Accrual run error:', error);
+    showAlert(`Failed to load accrual run: ${error.message}`, 'Error');
+  }
+}
+
+// Ask for a reason before rolling back a whole accrual run
+function showRollbackAccrualRunModal(runId) {
+  const modalHTML = `
+    <div id="rollbackAccrualRunModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001;">
+      <div style="background: white; border-radius: 8px; padding: 30px; max-width: 520px; width: 90%; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        <h3 style="margin-bottom: 20px; color: #dc3545;">Roll Back Accrual Run #${runId}</h3>
+        <p style="color: #6c757d;">Every credit in this run is reversed with an equal and opposite transaction, and investments it matured become active again. Users' balances change accordingly.</p>
+        <div class="form-group" style="margin-top: 15px;">
+          <label>Reason:</label>
+          <input type="text" id="rollbackAccrualRunReason" placeholder="Why is this run being rolled back?" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
+        </div>
+        <div style="margin-top: 20px; text-align: right;">
+          <button onclick="document.getElementById('rollbackAccrualRunModal').parentElement.remove()" class="btn btn-secondary" style="margin-right: 10px;">Cancel</button>
+          <button onclick="rollbackAccrualRun(${runId})" class="btn btn-danger">Roll Back</button>
+        </div>
+      </div>
+    </div>
+  `;
+  const modal = document.createElement('div');
+  modal.innerHTML = modalHTML;
+  document.body.appendChild(modal);
+}
+
+async function rollbackAccrualRun(runId) {
+  const reason = (document.getElementById('rollbackAccrualRunReason').value || '').trim();
+  if (!reason) {
+    showAlert('Please enter a reason for the rollback', 'Missing Information');
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/accruals/runs/${runId}/rollback`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ reason })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to roll back accrual run');
+    }
+
+    document.getElementById('rollbackAccrualRunModal').parentElement.remove();
+    showAlert(data.message, 'Run Rolled Back');
+    showAccrualRunsModal();
+  } catch (error) {
+    console.error('Rollback accrual run error:', error);
+    showAlert(`Failed to roll back accrual run: ${error.message}`, 'Error');
+  }
+}
+
+// Catch up to today, or pay the chosen date only
+async function runAccrualsNow() {
+  const date = document.getElementById('accrualRunDate').value;
+  const confirmed = await showConfirm(
+    date ? `Pay daily income for ${date}? Nothing is paid if this date was already paid.` : 'Pay daily income for every unpaid date up to today?',
+    'Run Accruals'
+  );
+  if (!confirmed) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/accruals/run`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ date: date || null })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to run accruals');
+    }
+
+    showAlert(data.message, 'Accruals');
+    showAccrualRunsModal();
+  } catch (error) {
+    console.error('Run accruals error:', error);
+    showAlert(`Failed to run accruals: ${error.message}`, 'Error');
+  }
+}
+
+// Show the latest accrual reconciliation (investments.total_accruals vs ledger)
+async function showReconciliationModal(runNow = false) {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/reconciliation${runNow ? '/run' : ''}`, {
+      method: runNow ? 'POST' : 'GET',
+      headers: getAuthHeaders()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error ${response.status}`);
+    }
+
+    const { run, discrepancies } = await response.json();
+    const statusColors = { open: '#dc3545', repaired: '#28a745', resolved: '#28a745', superseded: '#6c757d' };
+
+    const rowsHTML = discrepancies.length === 0
+      ? `<tr><td colspan="7" style="text-align: center; color: #6c757d;">${run ? '✅ No discrepancies found' : 'No reconciliation has run yet.'}</td></tr>`
+      : discrepancies.map(d => `
+          <tr>
+            <td>${d.scope === 'investment' ? `Investment #${d.investment_id}` : 'User total'}</td>
+            <td>${d.phone || d.email || `User #${d.user_id}`}</td>
+            <td>${formatKwacha(d.recorded_accruals)}</td>
+            <td>${formatKwacha(d.ledger_accruals)}</td>
+            <td><strong>${formatKwacha(d.difference)}</strong></td>
+            <td style="color: ${statusColors[d.status] || '#333'}; text-transform: capitalize;">${d.status}</td>
+            <td>
+              ${d.status === 'open' && d.scope === 'investment'
+                ? `<button class="btn btn-success" onclick="repairDiscrepancy(${d.id})" style="padding: 5px 10px; font-size: 12px;">Repair</button>`
+                : ''}
+            </td>
+          </tr>
+        `).join('');
+
+    const existing = document.getElementById('reconciliationModal');
+    if (existing) {
+      existing.parentElement.remove();
+    }
+
+    const modalHTML = `
+      <div id="reconciliationModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;">
+        <div style="background: white; border-radius: 8px; padding: 30px; max-width: 900px; width: 95%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h3 style="margin-bottom: 10px; color: #007BFF;">Accrual Reconciliation</h3>
+          <p style="margin-bottom: 15px; color: #6c757d;">
+            ${run
+              ? `Run #${run.id} at ${formatDateTime(run.started_at)}: ${run.investments_checked} investments and ${run.users_checked} users checked, ${run.discrepancy_count} discrepancies.`
+              : 'Runs nightly after the accrual job.'}
+            Recorded is the investment's total accruals; Ledger is the sum of its accrual and bonus transactions. Repair posts an accrual correction for the difference.
+          </p>
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Scope</th>
+                <th>User</th>
+                <th>Recorded</th>
+                <th>Ledger</th>
+                <th>Difference</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rowsHTML}
+            </tbody>
+          </table>
+          <div style="margin-top: 20px; display: flex; justify-content: flex-end; gap: 10px;">
+            <button onclick="showReconciliationModal(true)" class="btn">Run Now</button>
+            <button onclick="document.getElementById('reconciliationModal').parentElement.remove()" class="btn btn-secondary">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const modal = document.createElement('div');
+    modal.innerHTML = modalHTML;
+    document.body.appendChild(modal);
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    showAlert(`Failed to load reconciliation: ${error.message}`, 'Error');
   }
+}
 
-  const confirmed = await showConfirm(`Add K${amount.toFixed(2)} daily income to ALL accounts at ${level}?`, 'Confirm Bulk Add');
+// Post the ledger correction for one investment discrepancy
+async function repairDiscrepancy(discrepancyId) {
+  const confirmed = await showConfirm('Post an accrual correction so the ledger matches this investment\'s total accruals?', 'Repair Discrepancy');
   if (!confirmed) {
     return;
   }
 
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/reconciliation/discrepancies/${discrepancyId}/repair`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to repair discrepancy');
+    }
+
+    showAlert(data.message, 'Discrepancy Repaired');
+    showReconciliationModal();
+  } catch (error) {
+    console.error('Repair discrepancy error:', error);
+    showAlert(`Failed to repair discrepancy: ${error.message}`, 'Error');
+  }
+}
+
+// Show bulk daily income by level modal
+function showBulkDailyIncomeByLevelModal() {
+  const modalHTML = `
+    <div id="bulkDailyIncomeModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;">
+      <div style="background: white; border-radius: 8px; padding: 30px; max-width: 520px; width: 90%; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        <h3 style="margin-bottom: 20px; color: #007BFF;">Bulk Daily Income by Level</h3>
+        <div class="form-group">
+          <label>Level:</label>
+          <select id="bulkLevel" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
+            ${getLevels().map(level => `<option value="${level.level}">${level.name === level.level ? level.level : `${level.level} - ${level.name}`}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group" style="margin-top: 15px;">
+          <label>Amount per account (K):</label>
+          <input type="number" id="bulkAmount" step="0.01" min="0.01" placeholder="Enter amount per account (e.g., 6.00)" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
+          <small style="color: #6c757d; display: block; margin-top: 5px;">💰 This amount will be added to ALL accounts at the selected level</small>
+        </div>
+        <p style="margin-top: 10px; color: #6c757d;">This will add the specified amount to ALL accounts at the selected level.</p>
+        <div style="margin-top: 20px; text-align: right;">
+          <button onclick="document.getElementById('bulkDailyIncomeModal').remove()" class="btn btn-secondary" style="margin-right: 10px;">Cancel</button>
+          <button onclick="addDailyIncomeByLevel()" class="btn">Preview</button>
+        </div>
+      </div>
+    </div>
+  `;
+  const modal = document.createElement('div');
+  modal.innerHTML = modalHTML;
+  document.body.appendChild(modal);
+}
+
+// Add daily income by level
+async function addDailyIncomeByLevel() {
+  const level = document.getElementById('bulkLevel').value;
+  const amount = toNgwee(document.getElementById('bulkAmount').value);
+
+  if (!level || !amount || amount <= 0) {
+    showAlert('Please select a level and enter a valid amount', 'Missing Information');
+    return;
+  }
+
+  // Dry run first: show exactly who would be credited before anything is posted
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/daily-income/level`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ level, amount, dryRun: true })
+    });
+
+    const preview = await response.json();
+    if (!response.ok) {
+      throw new Error(preview.error || 'Failed to preview daily income by level');
+    }
+
+    showDailyIncomePreviewModal(preview);
+  } catch (error) {
+    console.error('Bulk daily income preview error:', error);
+    showAlert(`Failed to preview daily income by level: ${error.message}`, 'Error');
+  }
+}
+
+// Preview of a bulk credit; nothing is posted until the admin confirms
+function showDailyIncomePreviewModal(preview) {
+  const rowsHTML = preview.items.map(item => `
+    <tr>
+      <td>${item.phone || `User #${item.userId}`}</td>
+      <td>${item.investmentId ? `#${item.investmentId}` : 'Standalone'}</td>
+      <td>${formatKwacha(item.amount)}</td>
+    </tr>
+  `).join('');
+
+  const modalHTML = `
+    <div id="dailyIncomePreviewModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001;">
+      <div style="background: white; border-radius: 8px; padding: 30px; max-width: 640px; width: 95%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        <h3 style="margin-bottom: 10px; color: #007BFF;">Preview: Daily Income for ${preview.level}</h3>
+        <p style="margin-bottom: 15px;">
+          <strong>${formatKwacha(preview.totalAmount)}</strong> in ${preview.itemsCount} credits of ${formatKwacha(preview.amount)} to ${preview.usersCount} users
+          ${preview.standaloneCount ? `(${preview.standaloneCount} without an active investment get a standalone credit)` : ''}.
+        </p>
+        <table class="table">
+          <thead>
+            <tr>
+              <th>User</th>
+              <th>Investment</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHTML}
+          </tbody>
+        </table>
+        <div style="margin-top: 20px; text-align: right;">
+          <button onclick="document.getElementById('dailyIncomePreviewModal').parentElement.remove()" class="btn btn-secondary" style="margin-right: 10px;">Cancel</button>
+          <button onclick="confirmDailyIncomeByLevel('${preview.level}', ${preview.amount})" class="btn">Credit ${formatKwacha(preview.totalAmount)}</button>
+        </div>
+      </div>
+    </div>
+  `;
+  const modal = document.createElement('div');
+  modal.innerHTML = modalHTML;
+  document.body.appendChild(modal);
+}
+
+async function confirmDailyIncomeByLevel(level, amount) {
   try {
     const response = await fetch(`${API_BASE}/api/admin/daily-income/level`, {
       method: 'POST',
@@ -979,8 +2705,9 @@ async function addDailyIncomeByLevel() {
       throw new Error(data.error || 'Failed to add daily income by level');
     }
 
-    showAlert(`Daily income applied to ${level} successfully.`, 'Success');
+    document.getElementById('dailyIncomePreviewModal').parentElement.remove();
     document.getElementById('bulkDailyIncomeModal').remove();
+    showAlert(`${data.message} (run #${data.runId}).`, 'Success');
     await loadAdminData();
   } catch (error) {
     console.error('Bulk daily income error:', error);
@@ -1025,7 +2752,7 @@ function showAddBonusModal() {
 // Add bonus to a single account by account ID
 async function addBonusForAccount() {
   const accountId = (document.getElementById('bonusAccountId').value || '').trim(); // phone number
-  const amount = parseFloat(document.getElementById('bonusAmount').value);
+  const amount = toNgwee(document.getElementById('bonusAmount').value);
   const notes = (document.getElementById('bonusNotes').value || '').trim();
 
   if (!accountId || !amount || amount <= 0) {
@@ -1053,17 +2780,175 @@ async function addBonusForAccount() {
   }
 }
 
+// Show a user's transactions with reverse actions
+async function showUserTransactionsModal(userId, userIdentifier) {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/users/${userId}/transactions`, {
+      headers: getAuthHeaders()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error ${response.status}`);
+    }
+
+    const transactions = await response.json();
+    const rowsHTML = transactions.length === 0
+      ? '<tr><td colspan="5" style="text-align: center; color: #6c757d;">No transactions yet.</td></tr>'
+      : transactions.map(transaction => `
+          <tr>
+            <td>${transaction.id}</td>
+            <td>${formatDateTime(transaction.date)}</td>
+            <td style="text-transform: capitalize;">
+              ${transaction.type}
+              ${transaction.reversal_of ? `<br><small style="color: #6c757d; text-transform: none;">Reversal of #${transaction.reversal_of}: ${transaction.reversal_reason || ''}</small>` : ''}
+            </td>
+            <td>${formatKwacha(transaction.amount)}</td>
+            <td>
+              ${transaction.reversal_of ? '' : transaction.reversed_by_transaction_id
+                ? `<span style="color: #6c757d; font-size: 12px;">Reversed by #${transaction.reversed_by_transaction_id}</span>`
+                : `<button class="btn btn-danger" onclick="showReverseTransactionModal(${transaction.id}, ${userId}, '${userIdentifier.replace(/'/g, "\\'")}')" style="padding: 5px 10px; font-size: 12px;">↩️ Reverse</button>`}
+            </td>
+          </tr>
+        `).join('');
+
+    const modalHTML = `
+      <div id="userTransactionsModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;">
+        <div style="background: white; border-radius: 8px; padding: 30px; max-width: 860px; width: 95%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h3 style="margin-bottom: 15px; color: #007BFF;">Transactions: ${userIdentifier}</h3>
+          <table class="table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Amount</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rowsHTML}
+            </tbody>
+          </table>
+          <div style="margin-top: 20px; text-align: right;">
+            <button onclick="document.getElementById('userTransactionsModal').remove()" class="btn btn-secondary">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const existing = document.getElementById('userTransactionsModal');
+    if (existing) {
+      existing.remove();
+    }
+    const modal = document.createElement('div');
+    modal.innerHTML = modalHTML;
+    document.body.appendChild(modal);
+  } catch (error) {
+    console.error('User transactions error:', error);
+    showAlert(`Failed to load transactions: ${error.message}`, 'Error');
+  }
+}
+
+// Ask for a reason before reversing a transaction
+function showReverseTransactionModal(transactionId, userId, userIdentifier) {
+  const modalHTML = `
+    <div id="reverseTransactionModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001;">
+      <div style="background: white; border-radius: 8px; padding: 30px; max-width: 520px; width: 90%; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        <h3 style="margin-bottom: 20px; color: #dc3545;">Reverse Transaction #${transactionId}</h3>
+        <p style="color: #6c757d;">An equal and opposite transaction will be posted and linked to the original. The user's balance changes accordingly.</p>
+        <div class="form-group" style="margin-top: 15px;">
+          <label>Reason:</label>
+          <input type="text" id="reverseTransactionReason" placeholder="Why is this transaction being reversed?" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;">
+        </div>
+        <div style="margin-top: 20px; text-align: right;">
+          <button onclick="document.getElementById('reverseTransactionModal').remove()" class="btn btn-secondary" style="margin-right: 10px;">Cancel</button>
+          <button onclick="reverseTransaction(${transactionId}, ${userId}, '${userIdentifier.replace(/'/g, "\\'")}')" class="btn btn-danger">Reverse</button>
+        </div>
+      </div>
+    </div>
+  `;
+  const modal = document.createElement('div');
+  modal.innerHTML = modalHTML;
+  document.body.appendChild(modal);
+}
+
+// Reverse a transaction with the entered reason
+async function reverseTransaction(transactionId, userId, userIdentifier) {
+  const reason = (document.getElementById('reverseTransactionReason').value || '').trim();
+  if (!reason) {
+    showAlert('Please enter a reason for the reversal', 'Missing Information');
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/transactions/${transactionId}/reverse`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ reason })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to reverse transaction');
+    }
+
+    document.getElementById('reverseTransactionModal').remove();
+    showAlert(`Transaction #${transactionId} reversed (${formatKwacha(data.amount)}).`, 'Success');
+    await showUserTransactionsModal(userId, userIdentifier);
+  } catch (error) {
+    console.error('Reverse transaction error:', error);
+    showAlert(`Failed to reverse transaction: ${error.message}`, 'Error');
+  }
+}
+
 // Make functions globally available
 window.processWithdrawalRequest = processWithdrawalRequest;
 window.processDeposit = processDeposit;
 window.bulkApproveDeposits = bulkApproveDeposits;
 window.bulkDenyDeposits = bulkDenyDeposits;
+window.showStatementImportModal = showStatementImportModal;
+window.uploadStatement = uploadStatement;
+window.showStatementImport = showStatementImport;
+window.approveStatementMatches = approveStatementMatches;
+window.showPayoutBatchesModal = showPayoutBatchesModal;
+window.createPayoutBatch = createPayoutBatch;
+window.showPayoutBatch = showPayoutBatch;
+window.downloadPayoutBatchFile = downloadPayoutBatchFile;
+window.uploadPayoutResults = uploadPayoutResults;
+window.showWithdrawalFeesModal = showWithdrawalFeesModal;
+window.withdrawalFeeTierRow = withdrawalFeeTierRow;
+window.showAddWithdrawalFeePolicyModal = showAddWithdrawalFeePolicyModal;
+window.deleteWithdrawalFeePolicy = deleteWithdrawalFeePolicy;
+window.showReferenceFlagsModal = showReferenceFlagsModal;
+window.showReviewReferenceFlagModal = showReviewReferenceFlagModal;
+window.reviewReferenceFlag = reviewReferenceFlag;
+window.showPaymentEventsModal = showPaymentEventsModal;
+window.showPaymentEventPayload = showPaymentEventPayload;
+window.replayPaymentEvent = replayPaymentEvent;
 window.showAddDailyIncomeModal = showAddDailyIncomeModal;
 window.addDailyIncome = addDailyIncome;
 window.showBulkDailyIncomeByLevelModal = showBulkDailyIncomeByLevelModal;
 window.addDailyIncomeByLevel = addDailyIncomeByLevel;
 window.showAddBonusModal = showAddBonusModal;
 window.addBonusForAccount = addBonusForAccount;
+window.showTrialBalanceModal = showTrialBalanceModal;
+window.verifyHashChain = verifyHashChain;
+window.showReconciliationModal = showReconciliationModal;
+window.repairDiscrepancy = repairDiscrepancy;
+window.showAccrualRunsModal = showAccrualRunsModal;
+window.runAccrualsNow = runAccrualsNow;
+window.showAccrualRunModal = showAccrualRunModal;
+window.showRollbackAccrualRunModal = showRollbackAccrualRunModal;
+window.rollbackAccrualRun = rollbackAccrualRun;
+window.confirmDailyIncomeByLevel = confirmDailyIncomeByLevel;
+window.showPackageModal = showPackageModal;
+window.savePackage = savePackage;
+window.setPackageActive = setPackageActive;
+window.deletePackage = deletePackage;
+window.showPackageVersions = showPackageVersions;
+window.showUserTransactionsModal = showUserTransactionsModal;
+window.showReverseTransactionModal = showReverseTransactionModal;
+window.reverseTransaction = reverseTransaction;
 window.toggleAllDeposits = toggleAllDeposits;
 window.updateDepositsDeleteButton = updateDepositsDeleteButton;
 window.updateSelectedDepositsCount = updateSelectedDepositsCount;
@@ -1137,7 +3022,7 @@ async function exportUsers() {
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `users_${new Date().toISOString().split('T')[0]}.csv`;
+    a.download = `users_${platformToday()}.csv`;
     a.click();
     window.URL.revokeObjectURL(url);
   } catch (error) {
@@ -1160,15 +3045,15 @@ async function exportInvestments() {
     const investments = await response.json();
 
     // Generate CSV
-    const headers = ['ID', 'User Email', 'Package Amount', 'Deposit Amount', 'Start Date', 'Maturity Date', 'Total Accruals', 'Status'];
+    const headers = ['ID', 'User Email', 'Package Amount (K)', 'Deposit Amount (K)', 'Start Date', 'Maturity Date', 'Total Accruals (K)', 'Status'];
     const rows = investments.map(inv => [
       inv.id,
       inv.email,
-      inv.package_amount,
-      inv.deposit_amount,
+      toKwacha(inv.package_amount).toFixed(2),
+      toKwacha(inv.deposit_amount).toFixed(2),
       inv.start_date,
       inv.maturity_date,
-      inv.total_accruals,
+      toKwacha(inv.total_accruals).toFixed(2),
       inv.status
     ]);
 
@@ -1179,7 +3064,7 @@ async function exportInvestments() {
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `investments_${new Date().toISOString().split('T')[0]}.csv`;
+    a.download = `investments_${platformToday()}.csv`;
     a.click();
     window.URL.revokeObjectURL(url);
   } catch (error) {
@@ -1190,20 +3075,12 @@ async function exportInvestments() {
 
 // Format date
 function formatDate(dateString) {
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  return formatPlatformDate(dateString);
 }
 
 // Format date and time
 function formatDateTime(dateString) {
-  const date = new Date(dateString);
-  return date.toLocaleString('en-US', { 
-    year: 'numeric', 
-    month: 'short', 
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
+  return formatPlatformDateTime(dateString);
 }
 
 // Reset user password
@@ -1567,6 +3444,9 @@ function filterUsersTable(searchTerm) {
                 <button class="btn btn-warning" onclick="resetUserPassword(${user.id}, '${(getUserPhone(user) || user.email || 'User').replace(/'/g, "\\'")}', this)" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;" title="Reset Password">
                   🔑 Reset Password
                 </button>
+                <button class="btn btn-secondary" onclick="showUserTransactionsModal(${user.id}, '${(getUserPhone(user) || user.email || 'User').replace(/'/g, "\\'")}')" style="padding: 5px 10px; font-size: 12px; margin-right: 5px;" title="Transactions">
+                  📜 Transactions
+                </button>
                 ${!user.is_admin ? `
                   <button class="btn btn-danger" onclick="deleteUser(${user.id}, '${(getUserPhone(user) || user.email || 'User').replace(/'/g, "\\'")}')" style="padding: 5px 10px; font-size: 12px;" title="Delete User">
                     🗑️ Delete
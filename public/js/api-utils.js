@@ -95,7 +95,10 @@ async function handleApiResponse(response) {
       throw new Error('Session expired. Please log in again.');
     }
 
-    throw new Error(errorData.error || errorData.message || `Request failed with status ${response.status}`);
+    const requestError = new Error(errorData.error || errorData.message || `Request failed with status ${response.status}`);
+    requestError.status = response.status;
+    requestError.data = errorData; // Full error body (message, details) for callers that show more
+    throw requestError;
   }
 
   try {
@@ -105,8 +108,36 @@ async function handleApiResponse(response) {
   }
 }
 
+// Idempotency keys of POST requests that have not been answered yet, by request.
+// Repeating an identical request (a double tap, or a retry after a timeout)
+// reuses the first request's key, so the server acts only once and replays
+// the first result.
+const pendingIdempotencyKeys = new Map();
+
+function generateIdempotencyKey() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Get the Idempotency-Key for a request, reusing the key of an identical unanswered request
+ * @param {string} url - API endpoint
+ * @param {object} options - Fetch options
+ * @returns {{requestId: string, key: string}} Request fingerprint and its idempotency key
+ */
+function getIdempotencyKey(url, options = {}) {
+  const requestId = `${options.method || 'GET'} ${url} ${options.body || ''}`;
+  if (!pendingIdempotencyKeys.has(requestId)) {
+    pendingIdempotencyKeys.set(requestId, generateIdempotencyKey());
+  }
+  return { requestId, key: pendingIdempotencyKeys.get(requestId) };
+}
+
 /**
  * Make an authenticated API call
+ * POST requests get an Idempotency-Key header automatically.
  * @param {string} url - API endpoint
  * @param {object} options - Fetch options
  * @param {number} timeout - Timeout in milliseconds
@@ -118,9 +149,12 @@ async function authenticatedApiCall(url, options = {}, timeout = DEFAULT_TIMEOUT
     throw new Error('Not authenticated. Please log in.');
   }
 
+  const idempotency = options.method === 'POST' ? getIdempotencyKey(url, options) : null;
+
   const headers = {
     'Content-Type': 'application/json',
     'Authorization': `Bearer ${token}`,
+    ...(idempotency ? { 'Idempotency-Key': idempotency.key } : {}),
     ...(options.headers || {})
   };
 
@@ -129,6 +163,12 @@ async function authenticatedApiCall(url, options = {}, timeout = DEFAULT_TIMEOUT
     headers
   }, timeout);
 
+  // The request was answered; keep the key only if a retry may still be needed
+  // (server error, or 409 while the first request is still being processed)
+  if (idempotency && response.status < 500 && response.status !== 409) {
+    pendingIdempotencyKeys.delete(idempotency.requestId);
+  }
+
   return handleApiResponse(response);
 }
 
@@ -149,6 +149,9 @@ function showSection(sectionName) {
     case 'withdraw':
       loadWithdrawSection();
       break;
+    case 'payment':
+      loadPaymentSection();
+      break;
     default:
       console.warn('Unknown section:', sectionName);
   }
@@ -188,8 +191,8 @@ async function loadHomeSection() {
   }
 
   function generateLevel() {
-    const levels = ['L1', 'L2', 'L3', 'L4', 'L5', 'L6', 'L7', 'L8', 'L9', 'L10'];
-    return levels[Math.floor(Math.random() * levels.length)];
+    const levels = getLevels({ activeOnly: true });
+    return levels.length > 0 ? levels[Math.floor(Math.random() * levels.length)].name : '';
   }
 
   // Slideshow functionality
@@ -222,7 +225,7 @@ async function loadHomeSection() {
           </div>
           ${a.image_path ? `<div style="margin: 10px 0;"><img src="${a.image_path}" alt="${a.title}" style="max-width: 100%; max-height: 400px; border-radius: 8px; border: 1px solid #ddd; box-shadow: 0 2px 4px rgba(0,0,0,0.1);"></div>` : ''}
           <p style="margin: 0; color: #555; white-space: pre-wrap; line-height: 1.6;">${a.content}</p>
-          <small style="color: #999; display: block; margin-top: 10px;">${new Date(a.created_at).toLocaleDateString()}</small>
+          <small style="color: #999; display: block; margin-top: 10px;">${formatDate(a.created_at)}</small>
         </div>
       `).join('')}
     </div>
@@ -412,11 +415,12 @@ async function loadInvestmentsDirectly() {
       method: 'GET'
     });
     const investments = data.investments || [];
+    const deposits = data.deposits || [];
     const transactions = data.transactions || [];
     const user = getUser();
 
     // Check for pending deposits and show notification
-    checkAndShowPendingDeposits(investments);
+    checkAndShowPendingDeposits(deposits);
 
     // Render dashboard (similar to dashboard.js)
     let investmentsHTML = '';
@@ -441,10 +445,10 @@ async function loadInvestmentsDirectly() {
           <div class="card">
             <div class="card-header">Investment #${investment.id}</div>
             <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
-              <div><strong>Package:</strong> K${investment.package_amount}</div>
-              <div><strong>Deposit:</strong> K${investment.deposit_amount}</div>
-              <div><strong>Daily Accrual:</strong> K${dailyAccrual.toFixed(2)}</div>
-              <div><strong>Total Accruals:</strong> K${investment.total_accruals.toFixed(2)}</div>
+              <div><strong>Package:</strong> ${formatKwacha(investment.package_amount, { whole: true })}</div>
+              <div><strong>Deposit:</strong> ${formatKwacha(investment.deposit_amount)}</div>
+              <div><strong>Daily Accrual:</strong> ${formatKwacha(dailyAccrual)}</div>
+              <div><strong>Total Accruals:</strong> ${formatKwacha(investment.total_accruals)}</div>
               <div><strong>Start Date:</strong> ${formatDate(investment.start_date)}</div>
               <div><strong>Status:</strong> 
                 <span style="
@@ -453,24 +457,21 @@ async function loadInvestmentsDirectly() {
                   border-radius: 12px; 
                   font-size: 0.85rem;
                   font-weight: bold;
-                  ${investment.status === 'pending' ? 'background: #fff3cd; color: #856404;' : 
-                    investment.status === 'active' ? 'background: #d4edda; color: #155724;' : 
-                    investment.status === 'denied' ? 'background: #f8d7da; color: #721c24;' : 
+                  ${investment.status === 'active' ? 'background: #d4edda; color: #155724;' : 
                     'background: #e2e3e5; color: #383d41;'}
                 ">
-                  ${investment.status === 'pending' ? '⏳ Pending' : 
-                    investment.status === 'active' ? '✅ Active' : 
-                    investment.status === 'denied' ? '❌ Denied' : 
+                  ${investment.status === 'active' ? '✅ Active' : 
                     investment.status}
                 </span>
               </div>
-              <div><strong>Total Value:</strong> K${totalValue.toFixed(2)}</div>
+              <div><strong>Total Value:</strong> ${formatKwacha(totalValue)}</div>
               ${investment.wallet ? `<div><strong>Payment Method:</strong> ${walletDisplay}</div>` : ''}
               ${investment.transaction_txt ? `<div><strong>Transaction TXT:</strong> <code style="font-size: 0.9rem; background: #f8f9fa; padding: 2px 6px; border-radius: 3px;">${investment.transaction_txt}</code></div>` : ''}
             </div>
+            ${renderInvestmentTerms(investment)}
             ${investment.status === 'active' ? `
               <button class="btn btn-success mt-20" onclick="withdrawInvestment(${investment.id})">
-                Withdraw K${totalValue.toFixed(2)}
+                Withdraw ${formatKwacha(totalValue)}
               </button>
             ` : ''}
           </div>
@@ -478,6 +479,33 @@ async function loadInvestmentsDirectly() {
       }).join('');
     }
 
+    let depositsHTML = '';
+    if (deposits.length === 0) {
+      depositsHTML = '<p class="empty-state">No deposits yet.</p>';
+    } else {
+      depositsHTML = `
+        <table class="table">
+          <thead>
+            <tr><th>Date</th><th>Amount</th><th>Wallet</th><th>Transaction TXT</th><th>Status</th></tr>
+          </thead>
+          <tbody>
+            ${deposits.map(deposit => `
+              <tr>
+                <td>${formatDateTime(deposit.created_at)}</td>
+                <td>${formatKwacha(deposit.amount)}</td>
+                <td>${deposit.wallet ? deposit.wallet.toUpperCase() : 'N/A'}</td>
+                <td><code style="font-size: 0.9rem; background: #f8f9fa; padding: 2px 6px; border-radius: 3px;">${deposit.transaction_txt || 'N/A'}</code></td>
+                <td>${deposit.status === 'pending' ? '⏳ Pending' : 
+                      deposit.status === 'approved' ? '✅ Approved' : 
+                      deposit.status === 'denied' ? '❌ Denied' : 
+                      deposit.status}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+
     // Filter out deleted transactions for display (but keep them for balance calculation)
     const visibleTransactions = transactions.filter(t => !t.deleted || t.deleted === 0);
     
@@ -494,8 +522,8 @@ async function loadInvestmentsDirectly() {
             ${visibleTransactions.map(transaction => `
               <tr>
                 <td>${formatDateTime(transaction.date)}</td>
-                <td style="text-transform: capitalize;">${transaction.type}</td>
-                <td>K${transaction.amount.toFixed(2)}</td>
+                <td style="text-transform: capitalize;">${transaction.type}${transaction.reversal_of ? ' (reversal)' : ''}</td>
+                <td>${formatKwacha(transaction.amount)}</td>
               </tr>
             `).join('')}
           </tbody>
@@ -503,7 +531,7 @@ async function loadInvestmentsDirectly() {
       `;
     }
 
-    // Filter to only active investments (exclude deposits which have status 'deposit_completed', 'pending', 'denied', 'terminated')
+    // Filter to only active investments (exclude terminated ones)
     const activeInvestments = investments.filter(inv => inv.status === 'active');
     
     dashboardContent.innerHTML = `
@@ -513,15 +541,15 @@ async function loadInvestmentsDirectly() {
           <div class="stat-label">Active Investments</div>
         </div>
         <div class="stat-card">
-          <div class="stat-value">K${activeInvestments.reduce((sum, inv) => sum + (Number(inv.deposit_amount) || 0), 0).toFixed(2)}</div>
+          <div class="stat-value">${formatKwacha(activeInvestments.reduce((sum, inv) => sum + (Number(inv.deposit_amount) || 0), 0))}</div>
           <div class="stat-label">Total Invested</div>
         </div>
         <div class="stat-card">
-          <div class="stat-value">K${activeInvestments.reduce((sum, inv) => sum + (Number(inv.total_accruals) || 0), 0).toFixed(2)}</div>
+          <div class="stat-value">${formatKwacha(activeInvestments.reduce((sum, inv) => sum + (Number(inv.total_accruals) || 0), 0))}</div>
           <div class="stat-label">Total Accruals</div>
         </div>
         <div class="stat-card">
-          <div class="stat-value">K${activeInvestments.reduce((sum, inv) => sum + (Number(inv.deposit_amount) || 0) + (Number(inv.total_accruals) || 0), 0).toFixed(2)}</div>
+          <div class="stat-value">${formatKwacha(activeInvestments.reduce((sum, inv) => sum + (Number(inv.deposit_amount) || 0) + (Number(inv.total_accruals) || 0), 0))}</div>
           <div class="stat-label">Total Value</div>
         </div>
       </div>
@@ -533,6 +561,11 @@ async function loadInvestmentsDirectly() {
 
       ${investmentsHTML}
 
+      <div class="card mt-20">
+        <div class="card-header">My Deposits</div>
+        ${depositsHTML}
+      </div>
+
       <div class="card mt-20">
         <div class="card-header">Transaction History</div>
         ${transactionsHTML}
@@ -567,8 +600,7 @@ function startDepositStatusPolling() {
       const data = await authenticatedApiCall(`${window.API_BASE || ''}/api/dashboard`, {
         method: 'GET'
       });
-      const investments = data.investments || [];
-      checkAndShowPendingDeposits(investments);
+      checkAndShowPendingDeposits(data.deposits || []);
     } catch (error) {
       // Silently fail - don't spam errors
       console.log('Deposit status check failed:', error.message);
@@ -576,29 +608,101 @@ function startDepositStatusPolling() {
   }, 30000); // Check every 30 seconds
 }
 
+// Load Payment Section: the outcome of a Paystack top-up, shown when Paystack
+// sends the user back to /payment/callback?reference=...
+// The top-up stays pending until Paystack confirms the charge, so it is checked
+// a few times before giving up
+const PAYMENT_CHECK_ATTEMPTS = 10;
+const PAYMENT_CHECK_INTERVAL = 3000;
+
+async function loadPaymentSection() {
+  const paymentContent = document.getElementById('paymentContent');
+  if (!paymentContent) return;
+
+  const params = new URLSearchParams(window.location.search);
+  const reference = params.get('reference') || params.get('trxref');
+  const backButton = `<a href="/dashboard.html#section-me" class="btn">Go to My Profile</a>`;
+  if (!reference) {
+    paymentContent.innerHTML = `<div class="message error">No payment to check.</div>${backButton}`;
+    return;
+  }
+
+  showLoading(paymentContent, 'Checking your payment...');
+  let topUp;
+  try {
+    for (let attempt = 1; attempt <= PAYMENT_CHECK_ATTEMPTS; attempt++) {
+      topUp = await authenticatedApiCall(`${window.API_BASE || ''}/api/topups/${encodeURIComponent(reference)}`, {
+        method: 'GET'
+      });
+      if (topUp.status !== 'pending' || attempt === PAYMENT_CHECK_ATTEMPTS) break;
+      await new Promise(resolve => setTimeout(resolve, PAYMENT_CHECK_INTERVAL));
+    }
+  } catch (error) {
+    console.error('Payment check error:', error);
+    showError(paymentContent, error.message, () => loadPaymentSection());
+    return;
+  }
+
+  const messages = {
+    success: { type: 'success', text: `✅ Payment received! ${formatKwacha(topUp.amount)} has been added to your balance.` },
+    failed: { type: 'error', text: `❌ Your payment of ${formatKwacha(topUp.amount)} failed. No money was taken.` },
+    abandoned: { type: 'error', text: `Your payment of ${formatKwacha(topUp.amount)} was not completed.` },
+    pending: { type: '', text: `⏳ We have not received confirmation of your payment of ${formatKwacha(topUp.amount)} yet. It will be added to your balance as soon as Paystack confirms it.` }
+  };
+  const message = messages[topUp.status] || messages.pending;
+  paymentContent.innerHTML = `
+    <div class="message ${message.type}">${message.text}</div>
+    <p style="color: #6c757d;"><small>Reference: ${topUp.reference}</small></p>
+    ${backButton}
+  `;
+}
+
+// Start a Paystack top-up and go to the checkout page
+async function startTopUp(amount) {
+  let topUpAmount = amount;
+  if (!topUpAmount) {
+    const amountInput = document.getElementById('depositAmount');
+    if (!amountInput || !amountInput.value || toNgwee(amountInput.value) <= 0) {
+      showAlert('⚠️ Please enter the deposit amount');
+      if (amountInput) amountInput.focus();
+      return;
+    }
+    topUpAmount = toNgwee(amountInput.value);
+  }
+
+  const payBtn = event.target;
+  payBtn.disabled = true;
+  payBtn.textContent = '⏳ Opening checkout...';
+
+  try {
+    const result = await authenticatedApiCall(`${window.API_BASE || ''}/api/topups`, {
+      method: 'POST',
+      body: JSON.stringify({ amount: Number(topUpAmount) })
+    });
+    window.location.href = result.authorizationUrl;
+  } catch (error) {
+    console.error('Top-up error:', error);
+    const errorData = error.data || {};
+    const errorMessage = errorData.errors && errorData.errors.length > 0
+      ? errorData.errors.map(e => e.msg).join(', ')
+      : error.message;
+    showAlert('❌ ' + (errorMessage || 'Failed to start the payment. Please try again.'));
+    payBtn.disabled = false;
+    payBtn.textContent = '💳 Pay with Card / Mobile Money';
+  }
+}
+
 // Helper functions
 function calculateDaysLeft(maturityDate) {
-  const today = new Date();
-  const maturity = new Date(maturityDate);
-  const diffTime = maturity - today;
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  return Math.max(0, diffDays);
+  return daysUntil(maturityDate);
 }
 
 function formatDate(dateString) {
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  return formatPlatformDate(dateString, { month: 'long' });
 }
 
 function formatDateTime(dateString) {
-  const date = new Date(dateString);
-  return date.toLocaleString('en-US', { 
-    year: 'numeric', 
-    month: 'short', 
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
+  return formatPlatformDateTime(dateString);
 }
 
 // Load Levels Section
@@ -623,12 +727,7 @@ async function loadLevelsSection() {
       return;
     }
 
-    // Sort by level
-    packages.sort((a, b) => {
-      const levelA = parseInt(a.level?.replace('L', '') || '0');
-      const levelB = parseInt(b.level?.replace('L', '') || '0');
-      return levelA - levelB;
-    });
+    // Packages arrive in the catalog's display order (set by admins)
 
     // Get user's current level and investments to show which levels are available
     // Use Promise.all to load both in parallel for better performance
@@ -697,12 +796,14 @@ async function loadLevelsSection() {
                 ${isCurrentLevel ? '<div style="position: absolute; top: -5px; right: -5px; background: #28a745; color: white; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; font-size: 12px; border: 2px solid white;">✓</div>' : ''}
               </div>
               <div>
+                ${pkg.name ? `<strong style="display: block; color: #333; margin-bottom: 5px;">${pkg.name}</strong>` : ''}
                 <strong style="color: #007BFF;">Investment Amount</strong><br>
-                <span style="color: #6c757d;">K${amount.toLocaleString()}</span>
+                <span style="color: #6c757d;">${formatKwacha(amount, { whole: true })}</span>
+                ${pkg.description ? `<small style="display: block; color: #6c757d; margin-top: 5px;">${pkg.description}</small>` : ''}
               </div>
               <div>
                 <strong style="color: #007BFF;">Daily Income</strong><br>
-                <span style="color: #28a745; font-weight: bold;">K${dailyIncome.toFixed(2)}/day</span>
+                <span style="color: #28a745; font-weight: bold;">${formatKwacha(dailyIncome)}/day</span>
               </div>
               <div style="display: flex; gap: 10px;">
                 ${isCurrentLevel ? `
@@ -782,7 +883,7 @@ async function loadAboutSection() {
             </div>
             <h3 style="margin: 10px 0 5px 0; color: #333;">${cert.title}</h3>
             ${cert.description ? `<p style="color: #6c757d; font-size: 0.9rem; margin: 0;">${cert.description}</p>` : ''}
-            <p style="color: #999; font-size: 0.8rem; margin-top: 10px;">${new Date(cert.uploaded_at).toLocaleDateString()}</p>
+            <p style="color: #999; font-size: 0.8rem; margin-top: 10px;">${formatDate(cert.uploaded_at)}</p>
           </div>
         `;
       }).join('');
@@ -1036,71 +1137,24 @@ async function loadMeSection() {
       throw new Error('No authentication token found. Please log in again.');
     }
 
-    // Get dashboard data for stats - use authenticatedApiCall for better error handling
-    const data = await authenticatedApiCall(`${window.API_BASE || ''}/api/dashboard`, {
-      method: 'GET'
-    });
+    // Get dashboard data and the server-computed balance breakdown in parallel
+    const [data, balance] = await Promise.all([
+      authenticatedApiCall(`${window.API_BASE || ''}/api/dashboard`, { method: 'GET' }),
+      authenticatedApiCall(`${window.API_BASE || ''}/api/balance`, { method: 'GET' })
+    ]);
     const investments = data.investments || [];
-    const transactions = data.transactions || [];
 
-    // Calculate stats
-    // Calculate balance: deposits + accruals + bonuses - withdrawals - investments from balance
-    // CRITICAL: Include ALL transactions (including deleted ones) for accurate balance calculation
-    // Deleted transactions are marked as deleted=1 but MUST still count toward balance
-    // DO NOT filter by deleted status in balance calculations - only filter for display
-    const totalDeposits = (transactions || [])
-      .filter(t => t && t.type === 'deposit' && t.amount > 0)
-      // Note: NOT filtering by deleted - deleted deposits still count toward balance
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    // Total Invested: Only count ACTIVE investments (exclude deposits which have status 'deposit_completed', 'pending', or 'denied')
+    // Total Invested: Only count ACTIVE investments
     const totalInvested = (investments || [])
       .filter(inv => inv.status === 'active')
       .reduce((sum, inv) => sum + (Number(inv?.deposit_amount) || 0), 0);
-    const totalWithdrawn = (transactions || [])
-      .filter(t => t && t.type === 'withdrawal')
-      // Note: NOT filtering by deleted - deleted withdrawals still count toward balance
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    
-    // Include ALL accrual and bonus transactions (regardless of investment_id or deleted status)
-    // This ensures all daily income, bonuses, and any other income is included in balance
-    const allAccrualsAndBonuses = (transactions || [])
-      .filter(t => t && (t.type === 'accrual' || t.type === 'bonus'))
-      // Note: NOT filtering by deleted - deleted accruals/bonuses still count toward balance
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    
-    const investmentsFromBalance = (transactions || [])
-      .filter(t => t && t.type === 'investment')
-      // Note: NOT filtering by deleted - deleted investments still count toward balance
-      .reduce((sum, t) => sum + Math.abs(Number(t.amount) || 0), 0);
-    
-    // For display purposes, also calculate from investments (for backward compatibility)
-    const totalAccruals = (investments || []).reduce((sum, inv) => sum + (Number(inv?.total_accruals) || 0), 0);
-    const standaloneAccruals = (transactions || [])
-      .filter(t =>
-        t &&
-        (t.type === 'accrual' || t.type === 'bonus') &&
-        (
-          t.investment_id === null ||
-          t.investment_id === undefined ||
-          t.investment_id === '' ||
-          t.investment_id === 'null' ||
-          t.investment_id === 0 ||
-          t.investment_id === '0'
-        )
-      )
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    
-    const totalProfit = (totalAccruals || 0) + (standaloneAccruals || 0);
-    const totalBonuses = (transactions || [])
-      .filter(t => t && t.type === 'bonus')
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    const dailyIncomeEarned = (transactions || [])
-      .filter(t => t && t.type === 'accrual')
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    
-    // Balance = deposits + ALL accruals and bonuses - withdrawals - investments from balance
-    // Use allAccrualsAndBonuses to ensure EVERY income transaction is included
-    const currentBalance = (totalDeposits || 0) + (allAccrualsAndBonuses || 0) - (totalWithdrawn || 0) - (investmentsFromBalance || 0);
+
+    // All balance figures come from the server - never add up transactions here
+    const currentBalance = Number(balance.available) || 0;
+    const dailyIncomeEarned = Number(balance.accruals) || 0;
+    const totalBonuses = Number(balance.bonuses) || 0;
+    const totalWithdrawn = Number(balance.withdrawals) || 0;
+    const totalProfit = dailyIncomeEarned + totalBonuses;
 
     // Get user profile - use authenticatedApiCall for consistent error handling
     let profileData = { full_name: '', phone: '', level: 'L1', withdrawal_wallet: '', withdrawal_phone: '', profile_picture: '', has_withdrawal_password: false };
@@ -1135,34 +1189,34 @@ async function loadMeSection() {
         <h2 style="color: white; margin-bottom: 10px;">${getDisplayName(profileData, user)}</h2>
         <p style="margin-top: 10px;">
           <span style="display: inline-block; padding: 10px 20px; background: rgba(255,255,255,0.2); border-radius: 20px; font-weight: bold; font-size: 1.2rem;">
-            ${profileData.level || 'L1'}
+            ${levelDisplayName(profileData.level || 'L1')}
           </span>
         </p>
       </div>
 
       <div class="stats-grid" style="margin-bottom: 30px;">
         <div class="stat-card">
-          <div class="stat-value">K${currentBalance.toFixed(2)}</div>
+          <div class="stat-value">${formatKwacha(currentBalance)}</div>
           <div class="stat-label">Current Balance</div>
         </div>
         <div class="stat-card">
-          <div class="stat-value">K${dailyIncomeEarned.toFixed(2)}</div>
+          <div class="stat-value">${formatKwacha(dailyIncomeEarned)}</div>
           <div class="stat-label">Daily Income Earned</div>
         </div>
         <div class="stat-card">
-          <div class="stat-value">K${totalWithdrawn.toFixed(2)}</div>
+          <div class="stat-value">${formatKwacha(totalWithdrawn)}</div>
           <div class="stat-label">Total Withdrawn</div>
         </div>
         <div class="stat-card">
-          <div class="stat-value">K${totalProfit.toFixed(2)}</div>
+          <div class="stat-value">${formatKwacha(totalProfit)}</div>
           <div class="stat-label">Total Profit</div>
         </div>
         <div class="stat-card">
-          <div class="stat-value">K${totalBonuses.toFixed(2)}</div>
+          <div class="stat-value">${formatKwacha(totalBonuses)}</div>
           <div class="stat-label">Bonuses</div>
         </div>
         <div class="stat-card">
-          <div class="stat-value">K${totalInvested.toFixed(2)}</div>
+          <div class="stat-value">${formatKwacha(totalInvested)}</div>
           <div class="stat-label">Total Invested</div>
         </div>
       </div>
@@ -1225,7 +1279,7 @@ async function loadMeSection() {
           <span class="info-label">Current Level:</span>
           <span class="info-value">
             <span style="display: inline-block; padding: 5px 15px; background: #007BFF; color: white; border-radius: 15px; font-weight: bold;">
-              ${profileData.level || 'L1'}
+              ${levelDisplayName(profileData.level || 'L1')}
             </span>
           </span>
         </div>
@@ -1331,6 +1385,23 @@ async function loadMeSection() {
         </button>
       </div>
 
+      <div class="profile-info" style="margin-bottom: 20px; background: linear-gradient(135deg, #007BFF 0%, #0056b3 100%); padding: 25px; border-radius: 10px; color: white;">
+        <h3 style="color: white; margin-bottom: 20px; display: flex; align-items: center; gap: 10px;">
+          <span style="font-size: 1.5rem;">📄</span>
+          Account Statement
+        </h3>
+        <p style="margin-bottom: 20px; line-height: 1.6; opacity: 0.95;">
+          Download your opening balance, every transaction, fees and closing balance for any period as a PDF or CSV file.
+        </p>
+        <button 
+          onclick="showStatementModal()" 
+          class="btn" 
+          style="background: white; color: #007BFF; padding: 12px 24px; border: none; border-radius: 5px; cursor: pointer; font-weight: bold; font-size: 1rem;"
+        >
+          Download Statement
+        </button>
+      </div>
+
       <div style="text-align: center; margin-top: 30px;">
         <button class="btn btn-secondary" onclick="editProfileFromMe()" style="margin-right: 10px;">
           Edit Profile
@@ -1465,6 +1536,33 @@ async function loadMeSection() {
 }
 
 // Load Withdraw Section
+// Withdrawal fee rules from /api/withdrawal-fees: the fee policy in effect, the
+// user's level and the fee percent of their package terms. The preview is
+// computed with public/js/withdrawal-fees.js, the rules /api/withdraw applies.
+let withdrawalFeeRules = null;
+
+async function loadWithdrawalFeeRules() {
+  withdrawalFeeRules = await authenticatedApiCall(`${window.API_BASE || ''}/api/withdrawal-fees`, { method: 'GET' });
+  return withdrawalFeeRules;
+}
+
+// Fee of a withdrawal amount (ngwee): { charge, net, label } or { error }
+function previewWithdrawalFee(amount) {
+  const { policy, level, terms_fee_percent: termsPercent } = withdrawalFeeRules;
+  if (!policy) {
+    return { error: 'Withdrawals are not available right now' };
+  }
+  const fee = calculateWithdrawalFee(policy, amount, { level, termsPercent });
+  if (fee.error) {
+    return fee;
+  }
+  return { ...fee, label: describeWithdrawalFee(fee.tier, termsPercent) };
+}
+
+function minimumWithdrawal() {
+  return withdrawalFeeRules.policy ? withdrawalFeeRules.policy.min_withdrawal : 0;
+}
+
 async function loadWithdrawSection() {
   const withdrawContent = document.getElementById('withdrawContent');
   if (!withdrawContent) return;
@@ -1479,9 +1577,10 @@ async function loadWithdrawSection() {
 
   try {
     // Get user profile and balance - use authenticatedApiCall for better error handling
-    const [profileData, dashboardData] = await Promise.all([
+    const [profileData, balance] = await Promise.all([
       authenticatedApiCall(`${window.API_BASE || ''}/api/profile`, { method: 'GET' }),
-      authenticatedApiCall(`${window.API_BASE || ''}/api/dashboard`, { method: 'GET' })
+      authenticatedApiCall(`${window.API_BASE || ''}/api/balance`, { method: 'GET' }),
+      loadWithdrawalFeeRules()
     ]);
 
     // Check if withdrawal settings are configured
@@ -1511,28 +1610,9 @@ async function loadWithdrawSection() {
       return;
     }
 
-    // Calculate current balance: deposits + accruals + bonuses - withdrawals - investments from balance
-    const investments = dashboardData.investments || [];
-    const transactions = dashboardData.transactions || [];
-    const totalDeposits = (transactions || [])
-      .filter(t => t && t.type === 'deposit' && t.amount > 0)
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    const totalWithdrawn = (transactions || [])
-      .filter(t => t && t.type === 'withdrawal')
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    
-    // Include ALL accrual and bonus transactions (regardless of investment_id)
-    // This ensures all daily income, bonuses, and any other income is included in balance
-    const allAccrualsAndBonuses = (transactions || [])
-      .filter(t => t && (t.type === 'accrual' || t.type === 'bonus'))
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    
-    const investmentsFromBalance = (transactions || [])
-      .filter(t => t && t.type === 'investment')
-      .reduce((sum, t) => sum + Math.abs(Number(t.amount) || 0), 0);
-    
-    // Balance = deposits + ALL accruals and bonuses - withdrawals - investments from balance
-    const currentBalance = (totalDeposits || 0) + (allAccrualsAndBonuses || 0) - (totalWithdrawn || 0) - (investmentsFromBalance || 0);
+    // Available balance as computed by the server (pending withdrawals already held back)
+    const currentBalance = Number(balance.available) || 0;
+    const minimum = minimumWithdrawal();
 
     // Display wallet and phone
     const walletDisplay = profileData.withdrawal_wallet ? profileData.withdrawal_wallet.toUpperCase() : 'Not set';
@@ -1588,9 +1668,9 @@ async function loadWithdrawSection() {
             </h3>
             <div style="color: #856404; line-height: 1.8; font-size: 0.95rem;">
               <p style="margin: 8px 0;"><strong>📅 Withdrawal Hours:</strong> Monday to Friday, 10:00hrs to 17:00hrs</p>
-              <p style="margin: 8px 0;"><strong>💰 Minimum Amount:</strong> Zmw50</p>
+              <p style="margin: 8px 0;"><strong>💰 Minimum Amount:</strong> ${formatKwacha(minimum)}</p>
               <p style="margin: 8px 0;"><strong>⏱️ Processing Time:</strong> May take up to 48 hours depending on the number of pending withdrawals</p>
-              <p style="margin: 8px 0;"><strong>📊 Tax Information:</strong> Zambia Youth Self Employment is a global financial investment company. Your income is subject to personal income tax of 12% to the local government.</p>
+              <p style="margin: 8px 0;"><strong>📊 Tax Information:</strong> Zambia Youth Self Employment is a global financial investment company. Your income is subject to personal income tax to the local government, charged as the service fee shown below.</p>
               <p style="margin: 8px 0;"><strong>⚠️ Important:</strong> Please check your withdrawal information carefully before withdrawing money. If the withdrawal fails, please reconfirm your withdrawal information.</p>
               <p style="margin: 8px 0;"><strong>🔒 Security:</strong> Please make deposits and withdrawals through the Zambia Youth Self Employment APP. Do not send money to anyone personally.</p>
             </div>
@@ -1599,22 +1679,22 @@ async function loadWithdrawSection() {
           <!-- Withdrawal Form -->
           <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
             <div class="form-group">
-              <label style="display: block; margin-bottom: 10px; font-weight: bold; color: #333;">Withdrawal Amount (Minimum Zmw50):</label>
+              <label style="display: block; margin-bottom: 10px; font-weight: bold; color: #333;">Withdrawal Amount (Minimum ${formatKwacha(minimum)}):</label>
               <input 
                 type="number" 
                 id="withdrawAmount" 
-                min="50"
-                placeholder="Enter withdrawal amount (minimum 50)" 
+                min="${toKwacha(minimum)}"
+                placeholder="Enter withdrawal amount (minimum ${toKwacha(minimum)})" 
                 step="0.01" 
-                max="${currentBalance.toFixed(2)}" 
+                max="${toKwacha(currentBalance).toFixed(2)}" 
                 style="width: 100%; padding: 15px; border: 2px solid #ddd; border-radius: 8px; font-size: 1.1rem; color: #333; background: #fff;"
                 onchange="calculateWithdrawalOnPage()" 
                 oninput="calculateWithdrawalOnPage()"
                 onkeyup="calculateWithdrawalOnPage()"
               >
-              <small style="color: #6c757d; display: block; margin-top: 5px;">Available Balance: K${currentBalance.toFixed(2)}</small>
+              <small style="color: #6c757d; display: block; margin-top: 5px;">Available Balance: ${formatKwacha(currentBalance)}</small>
               <div id="amountErrorMsg" style="display: none; margin-top: 8px; padding: 10px; background: #f8d7da; color: #721c24; border-radius: 5px; border-left: 4px solid #dc3545;">
-                <strong>⚠️ Low Balance:</strong> Minimum withdrawal amount is Zmw50. Please enter an amount of 50 or more.
+                <strong>⚠️</strong> <span id="amountErrorText"></span>
               </div>
             </div>
             
@@ -1626,7 +1706,7 @@ async function loadWithdrawSection() {
                 <strong id="grossAmountOnPage" style="color: #007BFF; font-size: 1.1rem;">K0.00</strong>
               </div>
               <div style="display: flex; justify-content: space-between; margin-bottom: 12px; padding-bottom: 12px; border-bottom: 1px solid #ddd;">
-                <span style="font-weight: bold; color: #333;">Service Fee (12%):</span>
+                <span style="font-weight: bold; color: #333;">Service Fee<span id="feeLabelOnPage"></span>:</span>
                 <strong id="chargeAmountOnPage" style="color: #dc3545; font-size: 1.1rem;">-K0.00</strong>
               </div>
               <div style="display: flex; justify-content: space-between; margin-top: 15px; padding-top: 15px; border-top: 2px solid #007BFF; font-size: 1.3rem; background: #e7f3ff; padding: 15px; border-radius: 5px;">
@@ -1635,7 +1715,7 @@ async function loadWithdrawSection() {
               </div>
               <div id="calculationNote" style="margin-top: 12px; padding: 10px; background: #fff3cd; border-radius: 5px; border-left: 4px solid #ff9800; display: none;">
                 <small style="color: #856404; font-size: 0.9rem;">
-                  <strong>Note:</strong> The 12% fee is deducted automatically. The amount shown above is what will be sent to your mobile wallet.
+                  <strong>Note:</strong> The service fee is deducted automatically. The amount shown above is what will be sent to your mobile wallet.
                 </small>
               </div>
             </div>
@@ -1652,7 +1732,7 @@ async function loadWithdrawSection() {
             
             <div style="margin-top: 30px; text-align: center;">
               <button 
-                onclick="processWithdrawalOnPage(${currentBalance.toFixed(2)})" 
+                onclick="processWithdrawalOnPage(${currentBalance})" 
                 class="btn btn-success" 
                 style="
                   background: linear-gradient(135deg, #28a745 0%, #20c997 100%); 
@@ -1685,29 +1765,30 @@ async function loadWithdrawSection() {
 // Calculate withdrawal on page - Instant calculation
 window.calculateWithdrawalOnPage = function() {
   const amountInput = document.getElementById('withdrawAmount');
-  const amount = parseFloat(amountInput.value) || 0;
+  const amount = toNgwee(amountInput.value);
   const calculationDiv = document.getElementById('withdrawalCalculationOnPage');
   const errorMsg = document.getElementById('amountErrorMsg');
   const calculationNote = document.getElementById('calculationNote');
   
   // Always show calculation if amount is entered (even if invalid)
   if (amount > 0) {
-    // Calculate 12% fee
-    const charge = amount * 0.12;
-    const net = amount - charge;
+    // Calculate the withdrawal fee (an error when the amount is below the
+    // minimum or the fee would take all of it)
+    const fee = previewWithdrawalFee(amount);
     
     // Update calculation display
-    document.getElementById('grossAmountOnPage').textContent = `K${amount.toFixed(2)}`;
-    document.getElementById('chargeAmountOnPage').textContent = `-K${charge.toFixed(2)}`;
-    document.getElementById('netAmountOnPage').textContent = `K${net.toFixed(2)}`;
+    document.getElementById('grossAmountOnPage').textContent = formatKwacha(amount);
+    document.getElementById('feeLabelOnPage').textContent = fee.error ? '' : ` (${fee.label})`;
+    document.getElementById('chargeAmountOnPage').textContent = fee.error ? '-' : `-${formatKwacha(fee.charge)}`;
+    document.getElementById('netAmountOnPage').textContent = fee.error ? '-' : formatKwacha(fee.net);
     
     // Show calculation
     calculationDiv.style.display = 'block';
     calculationNote.style.display = 'block';
     
-    // Validate minimum amount
-    if (amount < 50) {
+    if (fee.error) {
       // Show error message
+      document.getElementById('amountErrorText').textContent = fee.error;
       errorMsg.style.display = 'block';
       amountInput.style.borderColor = '#dc3545';
       amountInput.style.borderWidth = '2px';
@@ -1739,7 +1820,7 @@ window.calculateWithdrawalOnPage = function() {
 // Process withdrawal on page
 window.processWithdrawalOnPage = async function(maxBalance) {
   const amountInput = document.getElementById('withdrawAmount');
-  const amount = parseFloat(amountInput.value) || 0;
+  const amount = toNgwee(amountInput.value);
   const password = document.getElementById('withdrawPasswordOnPage').value;
 
   // Validate amount
@@ -1749,14 +1830,15 @@ window.processWithdrawalOnPage = async function(maxBalance) {
     return;
   }
 
-  if (amount < 50) {
-    showAlert('⚠️ Low Balance: Minimum withdrawal amount is Zmw50. Please enter an amount of 50 or more.', 'Minimum Amount Required');
+  const fee = previewWithdrawalFee(amount);
+  if (fee.error) {
+    showAlert(`⚠️ ${fee.error}`, 'Invalid Amount');
     amountInput.focus();
     return;
   }
 
   if (amount > maxBalance) {
-    showAlert('⚠️ Withdrawal amount exceeds available balance. Available balance: K' + maxBalance.toFixed(2), 'Insufficient Balance');
+    showAlert('⚠️ Withdrawal amount exceeds available balance. Available balance: ' + formatKwacha(maxBalance), 'Insufficient Balance');
     amountInput.focus();
     return;
   }
@@ -1767,10 +1849,6 @@ window.processWithdrawalOnPage = async function(maxBalance) {
     return;
   }
   
-  // Calculate breakdown for confirmation
-  const charge = amount * 0.12;
-  const net = amount - charge;
-  
   // Get wallet type from page
   let walletType = 'mobile wallet';
   try {
@@ -1786,10 +1864,10 @@ window.processWithdrawalOnPage = async function(maxBalance) {
   
   // Show confirmation with breakdown
   const confirmMsg = `Confirm Withdrawal?\n\n` +
-    `Amount to Withdraw: K${amount.toFixed(2)}\n` +
-    `Service Fee (12%): K${charge.toFixed(2)}\n` +
+    `Amount to Withdraw: ${formatKwacha(amount)}\n` +
+    `Service Fee (${fee.label}): ${formatKwacha(fee.charge)}\n` +
     `─────────────────────────\n` +
-    `You Will Receive: K${net.toFixed(2)}\n\n` +
+    `You Will Receive: ${formatKwacha(fee.net)}\n\n` +
     `This will be sent to your ${walletType}.`;
   
   const confirmed = await showConfirm(confirmMsg, 'Confirm Withdrawal');
@@ -1859,15 +1937,56 @@ window.processWithdrawalOnPage = async function(maxBalance) {
 };
 
 // Show withdrawal records modal
+// How each withdrawal status is shown to the user
+const WITHDRAWAL_STATUS_DISPLAY = {
+  pending: { label: '⏳ Pending', color: '#ff9800', background: '#fff3cd' },
+  approved: { label: '👍 Approved', color: '#17a2b8', background: '#d1ecf1' },
+  processing: { label: '📤 Sending', color: '#17a2b8', background: '#d1ecf1' },
+  paid: { label: '✅ Paid', color: '#28a745', background: '#d4edda' },
+  failed: { label: '❌ Failed', color: '#dc3545', background: '#f8d7da' },
+  reversed: { label: '↩️ Reversed', color: '#dc3545', background: '#f8d7da' },
+  denied: { label: '❌ Denied', color: '#dc3545', background: '#f8d7da' },
+  cancelled: { label: '🚫 Cancelled', color: '#6c757d', background: '#f8f9fa' }
+};
+
+// What each step of a withdrawal's timeline means for the user
+const WITHDRAWAL_TIMELINE_TEXT = {
+  pending: 'Requested',
+  approved: 'Approved',
+  processing: 'Payout sent to your wallet provider',
+  paid: 'Paid to your wallet',
+  failed: 'Payout failed - the full amount was returned to your balance',
+  reversed: 'Payout reversed - the full amount was returned to your balance',
+  denied: 'Denied - the amount was returned to your balance',
+  cancelled: 'Cancelled - the amount was returned to your balance'
+};
+
+function renderWithdrawalTimeline(timeline) {
+  if (!timeline || timeline.length === 0) return '';
+  return `
+    <ol style="margin: 10px 0 0 0; padding-left: 20px; color: #333; font-size: 0.85rem; line-height: 1.6;">
+      ${timeline.map(step => {
+        const by = step.actor_role === 'user' ? 'you' : step.actor_role === 'admin' ? 'admin' : 'system';
+        const notes = step.notes ? ` - <em>${step.notes.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</em>` : '';
+        return `<li><strong>${WITHDRAWAL_TIMELINE_TEXT[step.to_status] || step.to_status}</strong> <span style="color: #6c757d;">${formatDateTime(step.created_at)} by ${by}</span>${notes}</li>`;
+      }).join('')}
+    </ol>
+  `;
+}
+
 window.showWithdrawalRecordsModal = function() {
   fetch(`${window.API_BASE || ''}/api/withdrawal-requests`, {
     headers: getAuthHeaders()
   })
   .then(response => response.json())
   .then(requests => {
-    // Separate pending and paid
-    const pending = requests.filter(r => r.status === 'pending');
-    const paid = requests.filter(r => r.status === 'paid');
+    // Group by where the request is in its lifecycle
+    const groups = [
+      { title: '⏳ Pending Withdrawals', color: '#ff9800', empty: 'No pending withdrawals', statuses: ['pending'] },
+      { title: '📤 Being Paid Out', color: '#17a2b8', empty: 'No withdrawals being paid out', statuses: ['approved', 'processing'] },
+      { title: '✅ Paid Withdrawals', color: '#28a745', empty: 'No paid withdrawals', statuses: ['paid'] },
+      { title: '↩️ Returned to Balance', color: '#6c757d', empty: 'No returned withdrawals', statuses: ['failed', 'reversed', 'denied', 'cancelled'] }
+    ];
 
     const modal = document.createElement('div');
     modal.id = 'withdrawalRecordsModal';
@@ -1879,77 +1998,39 @@ window.showWithdrawalRecordsModal = function() {
           <button onclick="document.getElementById('withdrawalRecordsModal').remove()" style="background: #dc3545; color: white; border: none; border-radius: 5px; padding: 8px 15px; cursor: pointer; font-weight: bold;">✕ Close</button>
         </div>
 
-        <!-- Pending Withdrawals -->
+        ${groups.map(group => {
+          const groupRequests = requests.filter(r => group.statuses.includes(r.status));
+          return `
         <div style="margin-bottom: 30px;">
-          <h3 style="color: #ff9800; margin-bottom: 15px; display: flex; align-items: center; gap: 10px;">
-            <span>⏳</span>
-            Pending Withdrawals (${pending.length})
-          </h3>
-          ${pending.length === 0 ? `
-            <p style="color: #6c757d; text-align: center; padding: 20px; background: #f8f9fa; border-radius: 8px;">No pending withdrawals</p>
-          ` : pending.map(req => {
-            const date = new Date(req.requested_at).toLocaleDateString('en-US', { 
-              year: 'numeric', 
-              month: 'short', 
-              day: 'numeric',
-              hour: '2-digit',
-              minute: '2-digit'
-            });
-            return `
-              <div style="background: #fff3cd; padding: 15px; border-radius: 8px; margin-bottom: 10px; border-left: 4px solid #ff9800;">
-                <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px;">
-                  <div>
-                    <p style="margin: 5px 0; font-weight: bold; color: #333;">Amount: K${req.gross_amount.toFixed(2)}</p>
-                    <p style="margin: 5px 0; color: #6c757d; font-size: 0.9rem;">Net: K${req.net_amount.toFixed(2)} (Tax: K${req.charge.toFixed(2)})</p>
-                    <p style="margin: 5px 0; color: #6c757d; font-size: 0.85rem;">${date}</p>
-                  </div>
-                  <div style="text-align: right;">
-                    <span style="background: #ff9800; color: white; padding: 6px 12px; border-radius: 15px; font-weight: bold; font-size: 0.9rem;">
-                      ⏳ Pending
-                    </span>
-                    <p style="margin: 5px 0 0 0; color: #6c757d; font-size: 0.85rem;">${req.wallet ? req.wallet.toUpperCase() : 'N/A'}</p>
-                  </div>
-                </div>
-              </div>
-            `;
-          }).join('')}
-        </div>
-
-        <!-- Paid Withdrawals -->
-        <div>
-          <h3 style="color: #28a745; margin-bottom: 15px; display: flex; align-items: center; gap: 10px;">
-            <span>✅</span>
-            Approved/Paid Withdrawals (${paid.length})
+          <h3 style="color: ${group.color}; margin-bottom: 15px;">
+            ${group.title} (${groupRequests.length})
           </h3>
-          ${paid.length === 0 ? `
-            <p style="color: #6c757d; text-align: center; padding: 20px; background: #f8f9fa; border-radius: 8px;">No paid withdrawals</p>
-          ` : paid.map(req => {
-            const date = new Date(req.requested_at).toLocaleDateString('en-US', { 
-              year: 'numeric', 
-              month: 'short', 
-              day: 'numeric',
-              hour: '2-digit',
-              minute: '2-digit'
-            });
+          ${groupRequests.length === 0 ? `
+            <p style="color: #6c757d; text-align: center; padding: 20px; background: #f8f9fa; border-radius: 8px;">${group.empty}</p>
+          ` : groupRequests.map(req => {
+            const display = WITHDRAWAL_STATUS_DISPLAY[req.status] || WITHDRAWAL_STATUS_DISPLAY.cancelled;
             return `
-              <div style="background: #d4edda; padding: 15px; border-radius: 8px; margin-bottom: 10px; border-left: 4px solid #28a745;">
+              <div style="background: ${display.background}; padding: 15px; border-radius: 8px; margin-bottom: 10px; border-left: 4px solid ${display.color};">
                 <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px;">
                   <div>
-                    <p style="margin: 5px 0; font-weight: bold; color: #333;">Amount: K${req.gross_amount.toFixed(2)}</p>
-                    <p style="margin: 5px 0; color: #6c757d; font-size: 0.9rem;">Net: K${req.net_amount.toFixed(2)} (Tax: K${req.charge.toFixed(2)})</p>
-                    <p style="margin: 5px 0; color: #6c757d; font-size: 0.85rem;">${date}</p>
+                    <p style="margin: 5px 0; font-weight: bold; color: #333;">Amount: ${formatKwacha(req.gross_amount)}</p>
+                    <p style="margin: 5px 0; color: #6c757d; font-size: 0.9rem;">Net: ${formatKwacha(req.net_amount)} (Tax: ${formatKwacha(req.charge)})</p>
                   </div>
                   <div style="text-align: right;">
-                    <span style="background: #28a745; color: white; padding: 6px 12px; border-radius: 15px; font-weight: bold; font-size: 0.9rem;">
-                      ✅ Paid
+                    <span style="background: ${display.color}; color: white; padding: 6px 12px; border-radius: 15px; font-weight: bold; font-size: 0.9rem;">
+                      ${display.label}
                     </span>
                     <p style="margin: 5px 0 0 0; color: #6c757d; font-size: 0.85rem;">${req.wallet ? req.wallet.toUpperCase() : 'N/A'}</p>
+                    ${req.status === 'pending' ? `<button onclick="cancelWithdrawalRequest(${req.id})" style="margin-top: 8px; background: #dc3545; color: white; border: none; border-radius: 5px; padding: 5px 12px; cursor: pointer; font-size: 0.85rem;">Cancel</button>` : ''}
                   </div>
                 </div>
+                ${renderWithdrawalTimeline(req.timeline)}
               </div>
             `;
           }).join('')}
         </div>
+          `;
+        }).join('')}
       </div>
     `;
     document.body.appendChild(modal);
@@ -1960,10 +2041,112 @@ window.showWithdrawalRecordsModal = function() {
   });
 };
 
+// Cancel a pending withdrawal request (the held amount returns to the available balance)
+window.cancelWithdrawalRequest = async function(requestId) {
+  const confirmed = await showConfirm('Cancel this withdrawal request? The amount will be returned to your available balance.', 'Cancel Withdrawal');
+  if (!confirmed) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${window.API_BASE || ''}/api/withdrawal-requests/${requestId}/cancel`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to cancel withdrawal request');
+    }
+
+    showAlert('Withdrawal request cancelled. The amount is available again.', 'Cancelled');
+    const modal = document.getElementById('withdrawalRecordsModal');
+    if (modal) {
+      modal.remove();
+    }
+    showWithdrawalRecordsModal();
+  } catch (error) {
+    console.error('Cancel withdrawal error:', error);
+    showAlert('Failed to cancel withdrawal: ' + error.message, 'Error');
+  }
+};
+
+// Account statement download (Me section)
+window.showStatementModal = function() {
+  const existing = document.getElementById('statementModal');
+  if (existing) {
+    existing.remove();
+  }
+
+  const today = platformToday();
+  const monthStart = today.slice(0, 8) + '01';
+
+  const modal = document.createElement('div');
+  modal.id = 'statementModal';
+  modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;';
+  modal.innerHTML = `
+    <div style="background: white; border-radius: 10px; max-width: 450px; width: 90%; box-shadow: 0 4px 20px rgba(0,0,0,0.3); padding: 30px;">
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 25px;">
+        <h2 style="color: #007BFF; margin: 0;">📄 Account Statement</h2>
+        <button onclick="document.getElementById('statementModal').remove()" style="background: #dc3545; color: white; border: none; border-radius: 5px; padding: 8px 15px; cursor: pointer; font-weight: bold;">✕ Close</button>
+      </div>
+      <div style="margin-bottom: 15px;">
+        <label for="statementFrom" style="display: block; margin-bottom: 5px; font-weight: bold;">From</label>
+        <input type="date" id="statementFrom" value="${monthStart}" max="${today}" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 5px;">
+      </div>
+      <div style="margin-bottom: 25px;">
+        <label for="statementTo" style="display: block; margin-bottom: 5px; font-weight: bold;">To</label>
+        <input type="date" id="statementTo" value="${today}" max="${today}" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 5px;">
+      </div>
+      <div style="display: flex; gap: 10px;">
+        <button class="btn" onclick="downloadStatement('pdf')" style="flex: 1;">Download PDF</button>
+        <button class="btn btn-secondary" onclick="downloadStatement('csv')" style="flex: 1;">Download CSV</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+};
+
+// The statement endpoint needs the auth header, so fetch it as a blob and save it from a temporary link
+window.downloadStatement = async function(format) {
+  const from = document.getElementById('statementFrom').value;
+  const to = document.getElementById('statementTo').value;
+  if (!from || !to || from > to) {
+    showAlert('Please choose a valid period: the start date must be on or before the end date.', 'Invalid Period');
+    return;
+  }
+
+  try {
+    const params = new URLSearchParams({ from, to, format });
+    const response = await fetch(`${window.API_BASE || ''}/api/statements?${params}`, {
+      headers: getAuthHeaders()
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to generate statement');
+    }
+
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `statement-${from}-to-${to}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    document.getElementById('statementModal').remove();
+  } catch (error) {
+    console.error('Statement download error:', error);
+    showAlert('Failed to download statement: ' + error.message, 'Error');
+  }
+};
+
 function showWithdrawalForm(profileData, currentBalance) {
   // Display wallet and phone
   const walletDisplay = profileData.withdrawal_wallet ? profileData.withdrawal_wallet.toUpperCase() : 'Not set';
   const phoneDisplay = profileData.phone || profileData.withdrawal_phone || 'Not set';
+  const minimum = minimumWithdrawal();
   
   const formHTML = `
     <div style="padding: 20px;">
@@ -1977,9 +2160,9 @@ function showWithdrawalForm(profileData, currentBalance) {
       </div>
 
       <div class="form-group">
-        <label>Withdrawal Amount (Minimum Zmw50):</label>
-        <input type="number" id="withdrawAmount" min="50" step="0.01" max="${currentBalance.toFixed(2)}" placeholder="Enter amount" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;" onchange="calculateWithdrawal()" oninput="calculateWithdrawal()">
-        <small style="color: #6c757d;">Available Balance: K${currentBalance.toFixed(2)}</small>
+        <label>Withdrawal Amount (Minimum ${formatKwacha(minimum)}):</label>
+        <input type="number" id="withdrawAmount" min="${toKwacha(minimum)}" step="0.01" max="${toKwacha(currentBalance).toFixed(2)}" placeholder="Enter amount" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; color: #333; background: #fff;" onchange="calculateWithdrawal()" oninput="calculateWithdrawal()">
+        <small style="color: #6c757d;">Available Balance: ${formatKwacha(currentBalance)}</small>
       </div>
       
       <div id="withdrawalCalculation" style="margin-top: 15px; padding: 15px; background: #f8f9fa; border-radius: 4px; display: none;">
@@ -1988,7 +2171,7 @@ function showWithdrawalForm(profileData, currentBalance) {
           <strong id="grossAmount">K0.00</strong>
         </div>
         <div style="display: flex; justify-content: space-between; margin-bottom: 5px; color: #dc3545;">
-          <span>Tax (12%):</span>
+          <span>Tax<span id="feeLabel"></span>:</span>
           <strong id="chargeAmount">K0.00</strong>
         </div>
         <div style="display: flex; justify-content: space-between; margin-top: 10px; padding-top: 10px; border-top: 1px solid #ddd; font-size: 1.1rem;">
@@ -2004,7 +2187,7 @@ function showWithdrawalForm(profileData, currentBalance) {
       
       <div style="margin-top: 20px; text-align: right;">
         <button onclick="document.getElementById('withdrawModal').remove()" class="btn btn-secondary" style="margin-right: 10px;">Cancel</button>
-        <button onclick="processWithdrawal(${currentBalance.toFixed(2)})" class="btn btn-success" style="padding: 12px 30px; font-size: 1.1rem; font-weight: bold;">💰 Instant Withdraw</button>
+        <button onclick="processWithdrawal(${currentBalance})" class="btn btn-success" style="padding: 12px 30px; font-size: 1.1rem; font-weight: bold;">💰 Instant Withdraw</button>
       </div>
     </div>
   `;
@@ -2022,16 +2205,15 @@ function showWithdrawalForm(profileData, currentBalance) {
 
   // Calculate withdrawal function
   window.calculateWithdrawal = function() {
-    const amount = parseFloat(document.getElementById('withdrawAmount').value) || 0;
+    const amount = toNgwee(document.getElementById('withdrawAmount').value);
     const calculationDiv = document.getElementById('withdrawalCalculation');
     
-    if (amount >= 50) {
-      const charge = amount * 0.12;
-      const net = amount - charge;
-      
-      document.getElementById('grossAmount').textContent = `K${amount.toFixed(2)}`;
-      document.getElementById('chargeAmount').textContent = `K${charge.toFixed(2)}`;
-      document.getElementById('netAmount').textContent = `K${net.toFixed(2)}`;
+    const fee = amount > 0 ? previewWithdrawalFee(amount) : { error: true };
+    if (!fee.error) {
+      document.getElementById('grossAmount').textContent = formatKwacha(amount);
+      document.getElementById('feeLabel').textContent = ` (${fee.label})`;
+      document.getElementById('chargeAmount').textContent = formatKwacha(fee.charge);
+      document.getElementById('netAmount').textContent = formatKwacha(fee.net);
       calculationDiv.style.display = 'block';
     } else {
       calculationDiv.style.display = 'none';
@@ -2040,11 +2222,12 @@ function showWithdrawalForm(profileData, currentBalance) {
 
   // Process withdrawal function
   window.processWithdrawal = function(maxBalance) {
-    const amount = parseFloat(document.getElementById('withdrawAmount').value);
+    const amount = toNgwee(document.getElementById('withdrawAmount').value);
     const password = document.getElementById('withdrawPassword').value;
 
-    if (!amount || amount < 50) {
-      showAlert('Minimum withdrawal amount is Zmw50');
+    const fee = previewWithdrawalFee(amount);
+    if (!amount || fee.error) {
+      showAlert(fee.error || `Minimum withdrawal amount is ${formatKwacha(minimum)}`);
       return;
     }
 
@@ -2128,9 +2311,9 @@ function showWithdrawalSuccessModal(data) {
       <h2 style="color: #28a745; margin-bottom: 20px;">Withdrawal Successful!</h2>
       <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: left;">
         <p style="margin: 10px 0;"><strong>Status:</strong> <span style="color: #ff9800; font-weight: bold;">${data.status.toUpperCase()}</span></p>
-        <p style="margin: 10px 0;"><strong>Gross Amount:</strong> K${data.gross_amount.toFixed(2)}</p>
-        <p style="margin: 10px 0;"><strong>Tax (12%):</strong> K${data.charge.toFixed(2)}</p>
-        <p style="margin: 10px 0;"><strong>Net Amount:</strong> <span style="color: #28a745; font-weight: bold; font-size: 1.1rem;">K${data.net_amount.toFixed(2)}</span></p>
+        <p style="margin: 10px 0;"><strong>Gross Amount:</strong> ${formatKwacha(data.gross_amount)}</p>
+        <p style="margin: 10px 0;"><strong>Tax (${data.fee_description || `${data.fee_percent}%`}):</strong> ${formatKwacha(data.charge)}</p>
+        <p style="margin: 10px 0;"><strong>Net Amount:</strong> <span style="color: #28a745; font-weight: bold; font-size: 1.1rem;">${formatKwacha(data.net_amount)}</span></p>
         <p style="margin: 10px 0;"><strong>Wallet:</strong> ${data.wallet.toUpperCase()}</p>
       </div>
       <p style="color: #6c757d; margin-bottom: 20px;">
@@ -2160,22 +2343,17 @@ function loadWithdrawalRecords() {
     }
 
     const recordsHTML = requests.map(req => {
-      const statusColor = req.status === 'paid' ? '#28a745' : req.status === 'pending' ? '#ff9800' : '#dc3545';
-      const statusText = req.status === 'paid' ? '✅ Paid' : req.status === 'pending' ? '⏳ Pending' : '❌ ' + req.status;
-      const date = new Date(req.requested_at).toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'short', 
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
+      const display = WITHDRAWAL_STATUS_DISPLAY[req.status] || WITHDRAWAL_STATUS_DISPLAY.cancelled;
+      const statusColor = display.color;
+      const statusText = display.label;
+      const date = formatDateTime(req.requested_at);
 
       return `
         <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin-bottom: 10px; border-left: 4px solid ${statusColor};">
           <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px;">
             <div>
-              <p style="margin: 5px 0; font-weight: bold; color: #333;">Amount: K${req.gross_amount.toFixed(2)}</p>
-              <p style="margin: 5px 0; color: #6c757d; font-size: 0.9rem;">Net: K${req.net_amount.toFixed(2)} (Tax: K${req.charge.toFixed(2)})</p>
+              <p style="margin: 5px 0; font-weight: bold; color: #333;">Amount: ${formatKwacha(req.gross_amount)}</p>
+              <p style="margin: 5px 0; color: #6c757d; font-size: 0.9rem;">Net: ${formatKwacha(req.net_amount)} (Tax: ${formatKwacha(req.charge)})</p>
               <p style="margin: 5px 0; color: #6c757d; font-size: 0.85rem;">${date}</p>
             </div>
             <div style="text-align: right;">
@@ -2648,33 +2826,19 @@ function editWithdrawalSettingsFromMe() {
 
 // Withdraw investment (used from dashboard section)
 async function withdrawInvestment(investmentId) {
-  // Get investment details first
+  // Get profile and available balance first
   try {
-      const dashboardResponse = await fetch(`${window.API_BASE || ''}/api/dashboard`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
-    
-    if (!dashboardResponse.ok) {
-      throw new Error('Failed to load investment details');
-    }
-    
-    const dashboardData = await dashboardResponse.json();
-    const investment = dashboardData.investments.find(inv => inv.id === investmentId);
-    
-    if (!investment) {
-      showAlert('Investment not found');
-      return;
-    }
-    
-    const totalValue = investment.deposit_amount + investment.total_accruals;
+    const [profileData, balance] = await Promise.all([
+      authenticatedApiCall(`${window.API_BASE || ''}/api/profile`, { method: 'GET' }),
+      authenticatedApiCall(`${window.API_BASE || ''}/api/balance`, { method: 'GET' }),
+      loadWithdrawalFeeRules()
+    ]);
     
     // Use the withdrawal form from Me section
-    showWithdrawalForm([investment]);
+    showWithdrawalForm(profileData, Number(balance.available) || 0);
   } catch (error) {
-    console.error('Error loading investment:', error);
-    showAlert('Failed to load investment details');
+    console.error('Error loading balance:', error);
+    showAlert('Failed to load balance details');
   }
 }
 
@@ -2683,7 +2847,7 @@ function handleHashNavigation() {
   const hash = window.location.hash.replace('#', '');
     if (hash && hash.startsWith('section-')) {
       const sectionName = hash.replace('section-', '');
-      if (['home', 'dashboard', 'levels', 'about', 'me', 'withdraw'].includes(sectionName)) {
+      if (['home', 'dashboard', 'levels', 'about', 'me', 'withdraw', 'payment'].includes(sectionName)) {
         showSection(sectionName);
         return true;
       }
@@ -2743,7 +2907,10 @@ function initDashboardSections() {
     const hash = window.location.hash.replace('#', '');
     console.log('Current hash:', hash);
     
-    if (hash && hash.startsWith('section-')) {
+    if (window.location.pathname === '/payment/callback') {
+      // Back from Paystack checkout
+      showSection('payment');
+    } else if (hash && hash.startsWith('section-')) {
       const sectionName = hash.replace('section-', '');
       console.log('Loading section from hash:', sectionName);
       showSection(sectionName);
@@ -2781,86 +2948,31 @@ window.processInvestment = processInvestment;
 // ==================== INVESTMENT FUNCTIONS ====================
 
 // Confirm investment modal and process investment
+// The server quotes the purchase: when switching levels, part of the current
+// investment may be credited towards the new one (switching policy), so the
+// user confirms the net amount that will actually be deducted.
 async function confirmInvestment(packageId, amount, level) {
   try {
-    // Get user's current balance and investments
-    const dashboardResponse = await fetch(`${window.API_BASE || ''}/api/dashboard`, {
-      headers: {
-        'Authorization': `Bearer ${localStorage.getItem('token')}`
-      }
-    });
-
-    if (!dashboardResponse.ok) {
-      throw new Error('Failed to fetch balance');
+    let quote;
+    try {
+      quote = await authenticatedApiCall(`${window.API_BASE || ''}/api/invest-from-balance/quote?packageId=${packageId}`, { method: 'GET' });
+    } catch (error) {
+      showAlert((error.data && error.data.message) || error.message);
+      return;
     }
 
-    const dashboardData = await dashboardResponse.json();
-    
-    // Get user profile to check current level
-    const profileResponse = await fetch(`${window.API_BASE || ''}/api/profile`, {
-      headers: {
-        'Authorization': `Bearer ${localStorage.getItem('token')}`
-      }
-    });
+    const isSwitching = quote.currentInvestment !== null;
+    const currentActiveLevel = isSwitching ? levelDisplayName(quote.currentInvestment.level) : null;
+    const levelName = levelDisplayName(quote.level);
+    const creditLabel = {
+      full: 'full credit for your current investment',
+      prorated: 'credit for the unused part of your current lock-in',
+      none: 'no credit for your current investment'
+    }[quote.policy] || '';
 
-    let userCurrentLevel = 'L0';
-    if (profileResponse.ok) {
-      const profileData = await profileResponse.json();
-      userCurrentLevel = profileData.level || 'L0';
-    }
-    
-    // Check if user has any active investment (user can only be on ONE level at a time)
-    const investments = dashboardData.investments || [];
-    const packagesResponse = await fetch(`${window.API_BASE || ''}/api/packages`);
-    const allPackages = packagesResponse.ok ? await packagesResponse.json() : [];
-    const targetPackage = allPackages.find(p => p.id === packageId);
-    
-    // Find current active investment
-    const currentActiveInvestment = investments.find(inv => inv.status === 'active');
-    let currentActiveLevel = null;
-    if (currentActiveInvestment) {
-      const currentPackage = allPackages.find(p => p.id === currentActiveInvestment.package_id);
-      currentActiveLevel = currentPackage ? currentPackage.level : null;
-    }
-    
-    if (targetPackage) {
-      // Check if user is trying to invest in the SAME level they're already on
-      if (currentActiveLevel && currentActiveLevel === targetPackage.level) {
-        showAlert(`You are already invested in ${targetPackage.level}. Choose a different level to switch.`);
-        return;
-      }
-    }
-    
-    // Store for use in modal
-    const isSwitching = currentActiveLevel !== null;
-    
-    // Calculate current balance
-    const transactions = dashboardData.transactions || [];
-    
-    // Calculate balance: deposits + accruals + bonuses - withdrawals - investments from balance
-    const totalDeposits = (transactions || [])
-      .filter(t => t && t.type === 'deposit' && t.amount > 0)
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    const totalWithdrawn = (transactions || [])
-      .filter(t => t && t.type === 'withdrawal')
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    
-    // Include ALL accrual and bonus transactions (regardless of investment_id)
-    // This ensures all daily income, bonuses, and any other income is included in balance
-    const allAccrualsAndBonuses = (transactions || [])
-      .filter(t => t && (t.type === 'accrual' || t.type === 'bonus'))
-      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
-    
-    const investmentsFromBalance = (transactions || [])
-      .filter(t => t && t.type === 'investment')
-      .reduce((sum, t) => sum + Math.abs(Number(t.amount) || 0), 0);
-    
-    // Balance = deposits + ALL accruals and bonuses - withdrawals - investments from balance
-    const availableBalance = (totalDeposits || 0) + (allAccrualsAndBonuses || 0) - (totalWithdrawn || 0) - (investmentsFromBalance || 0);
-    
     // Check if balance is sufficient
-    if (availableBalance < amount) {
-      showAlert(`Insufficient balance. Your current balance is K${availableBalance.toFixed(2)}. Please deposit to get this level.`);
+    if (!quote.sufficientBalance) {
+      showAlert(`Insufficient balance. Your current balance is ${formatKwacha(quote.available)}${isSwitching ? ` and this switch costs ${formatKwacha(quote.netCost)}` : ''}. Please deposit to get this level.`);
       return;
     }
 
@@ -2874,7 +2986,7 @@ async function confirmInvestment(packageId, amount, level) {
         ${isSwitching ? `
           <div style="background: #fff3cd; border: 1px solid #ffc107; color: #856404; padding: 15px; border-radius: 5px; margin-bottom: 20px;">
             <strong>⚠️ Level Switch Warning:</strong>
-            <p style="margin: 10px 0 0 0;">You are switching from <strong>${currentActiveLevel}</strong> to <strong>${level}</strong>. Your current investment in ${currentActiveLevel} will be <strong>terminated</strong>.</p>
+            <p style="margin: 10px 0 0 0;">You are switching from <strong>${currentActiveLevel}</strong> to <strong>${levelName}</strong>. Your current investment in ${currentActiveLevel} will be <strong>terminated</strong>, with ${creditLabel}.</p>
           </div>
         ` : ''}
         <div style="margin-bottom: 20px;">
@@ -2890,25 +3002,35 @@ async function confirmInvestment(packageId, amount, level) {
             ` : ''}
             <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
               <span style="color: #6c757d;">${isSwitching ? 'New Level:' : 'Level:'}</span>
-              <strong style="color: #007BFF;">${level}</strong>
+              <strong style="color: #007BFF;">${levelName}</strong>
             </div>
             <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
-              <span style="color: #6c757d;">Amount:</span>
-              <strong style="color: #28a745;">K${amount.toLocaleString()}</strong>
+              <span style="color: #6c757d;">${isSwitching ? 'Price:' : 'Amount:'}</span>
+              <strong style="color: #28a745;">${formatKwacha(quote.price)}</strong>
             </div>
+            ${isSwitching ? `
+              <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+                <span style="color: #6c757d;">Credit from ${currentActiveLevel}:</span>
+                <strong style="color: #28a745;">-${formatKwacha(quote.credit)}</strong>
+              </div>
+              <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+                <span style="color: #6c757d;">Amount to Pay:</span>
+                <strong style="color: #28a745;">${formatKwacha(quote.netCost)}</strong>
+              </div>
+            ` : ''}
             <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
               <span style="color: #6c757d;">Current Balance:</span>
-              <strong>K${availableBalance.toFixed(2)}</strong>
+              <strong>${formatKwacha(quote.available)}</strong>
             </div>
             <div style="display: flex; justify-content: space-between; padding-top: 10px; border-top: 2px solid #dee2e6;">
               <span style="color: #6c757d;">Balance After Investment:</span>
-              <strong style="color: ${availableBalance - amount >= 0 ? '#28a745' : '#dc3545'}">K${(availableBalance - amount).toFixed(2)}</strong>
+              <strong style="color: ${quote.balanceAfter >= 0 ? '#28a745' : '#dc3545'}">${formatKwacha(quote.balanceAfter)}</strong>
             </div>
           </div>
         </div>
         <div style="margin-top: 20px; text-align: right;">
           <button onclick="document.getElementById('confirmInvestmentModal').remove()" class="btn btn-secondary" style="margin-right: 10px;">Cancel</button>
-          <button onclick="processInvestment(${packageId}, ${amount})" class="btn">${isSwitching ? 'Confirm Switch' : 'Confirm Investment'}</button>
+          <button onclick="processInvestment(${packageId}, ${quote.price})" class="btn">${isSwitching ? 'Confirm Switch' : 'Confirm Investment'}</button>
         </div>
       </div>
     `;
@@ -2927,31 +3049,20 @@ async function processInvestment(packageId, amount) {
       modal.remove();
     }
 
-    const response = await fetch(`${window.API_BASE || ''}/api/invest-from-balance`, {
+    // authenticatedApiCall adds an Idempotency-Key, so a double tap buys the level once
+    const data = await authenticatedApiCall(`${window.API_BASE || ''}/api/invest-from-balance`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${localStorage.getItem('token')}`
-      },
       body: JSON.stringify({
         packageId: packageId,
         amount: amount
       })
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ error: 'Failed to create investment' }));
-      const errorMessage = errorData.message || errorData.error || 'Failed to create investment';
-      throw new Error(errorMessage);
-    }
-
-    const data = await response.json();
-
     // Show appropriate message based on whether it was a switch or new investment
     if (data.previousLevel) {
-      showAlert(`Level switched successfully! Your ${data.previousLevel} investment has been terminated. You are now on ${data.level}. Amount K${amount.toFixed(2)} has been deducted from your balance.`);
+      showAlert(`Level switched successfully! Your ${levelDisplayName(data.previousLevel)} investment has been terminated. You are now on ${levelDisplayName(data.level)}. ${formatKwacha(data.credit)} was credited and ${formatKwacha(data.netCost)} has been deducted from your balance.`);
     } else {
-      showAlert(`Investment successful! You have been assigned to ${data.level}. Amount K${amount.toFixed(2)} has been deducted from your balance.`);
+      showAlert(`Investment successful! You have been assigned to ${levelDisplayName(data.level)}. Amount ${formatKwacha(amount)} has been deducted from your balance.`);
     }
     
     // Force reload by clearing cached data
@@ -2970,7 +3081,7 @@ async function processInvestment(packageId, amount) {
     }
   } catch (error) {
     console.error('Investment error:', error);
-    showAlert('Failed to create investment: ' + error.message);
+    showAlert('Failed to create investment: ' + ((error.data && error.data.message) || error.message));
   }
 }
 
@@ -2984,13 +3095,8 @@ async function showDepositOptionsModal() {
     if (!response.ok) throw new Error('Failed to load packages');
     const packages = await response.json();
     
-    // Sort packages by level
-    packages.sort((a, b) => {
-      const levelA = parseInt(a.level?.replace('L', '') || '0');
-      const levelB = parseInt(b.level?.replace('L', '') || '0');
-      return levelA - levelB;
-    });
-    
+    // Packages arrive in the catalog's display order (set by admins)
+
     const modal = document.createElement('div');
     modal.id = 'depositOptionsModal';
     modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;';
@@ -3005,8 +3111,8 @@ async function showDepositOptionsModal() {
               class="btn" 
               style="width: 100%; padding: 15px; text-align: left; background: #f8f9fa; border: 2px solid #dee2e6;"
             >
-              <strong style="color: #333; font-size: 1.1rem;">${pkg.level || 'L1'}: K${pkg.amount.toLocaleString()}</strong>
-              <small style="display: block; color: #6c757d; margin-top: 5px;">Daily Income: K${((pkg.daily_income || pkg.daily_rate * pkg.amount)).toFixed(2)}</small>
+              <strong style="color: #333; font-size: 1.1rem;">${pkg.name || pkg.level || 'L1'}: ${formatKwacha(pkg.amount, { whole: true })}</strong>
+              <small style="display: block; color: #6c757d; margin-top: 5px;">Daily Income: ${formatKwacha(pkg.daily_income || pkg.daily_rate * pkg.amount)}</small>
             </button>
           `).join('')}
         </div>
@@ -3031,7 +3137,7 @@ function showDepositModal(packageId, amount) {
       name: 'Chigole Siakalenge',
       ussd: '*115#',
       getInstructions: function(showAmountInput, displayAmount) {
-        const amountText = showAmountInput ? '<strong style="color: #333;">(enter amount below)</strong>' : '<strong style="color: #333;">K' + displayAmount + '</strong>';
+        const amountText = showAmountInput ? '<strong style="color: #333;">(enter amount below)</strong>' : '<strong style="color: #333;">' + displayAmount + '</strong>';
         return [
           'Dial <strong>*115#</strong>',
           'Select <strong>Option 1</strong>',
@@ -3047,7 +3153,7 @@ function showDepositModal(packageId, amount) {
       name: 'Maggie Mwamba',
       ussd: '*115#',
       getInstructions: function(showAmountInput, displayAmount) {
-        const amountText = showAmountInput ? '<strong style="color: #333;">(enter amount below)</strong>' : '<strong style="color: #333;">K' + displayAmount + '</strong>';
+        const amountText = showAmountInput ? '<strong style="color: #333;">(enter amount below)</strong>' : '<strong style="color: #333;">' + displayAmount + '</strong>';
         return [
           'Dial <strong>*115#</strong>',
           'Select <strong>Send Money</strong> or <strong>Option 1</strong>',
@@ -3060,7 +3166,7 @@ function showDepositModal(packageId, amount) {
   
   // If amount is null, show input field for custom amount
   const showAmountInput = amount === null || amount === undefined;
-  const displayAmount = amount ? amount.toLocaleString() : '';
+  const displayAmount = amount ? formatKwacha(amount) : '';
   
   // Get initial wallet (default to airtel)
   let currentWallet = 'airtel';
@@ -3071,7 +3177,7 @@ function showDepositModal(packageId, amount) {
   modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;';
   modal.innerHTML = `
     <div style="background: white; border-radius: 8px; padding: 30px; max-width: 600px; width: 90%; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-      <h2 style="margin-bottom: 20px; color: #007BFF;">💰 Deposit ${showAmountInput ? '' : '<span style="color: #333;">K' + displayAmount + '</span>'}</h2>
+      <h2 style="margin-bottom: 20px; color: #007BFF;">💰 Deposit ${showAmountInput ? '' : '<span style="color: #333;">' + displayAmount + '</span>'}</h2>
       
       <!-- Wallet Selection (moved to top) -->
       <div style="margin-bottom: 20px;">
@@ -3134,7 +3240,7 @@ function showDepositModal(packageId, amount) {
       ` : `
       <!-- Deposit Amount Display -->
       <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin-bottom: 20px; border-left: 4px solid #ffc107;">
-        <strong style="color: #333; font-size: 1.1rem; font-weight: bold;">Deposit Amount: <span style="color: #007BFF;">K${displayAmount}</span></strong>
+        <strong style="color: #333; font-size: 1.1rem; font-weight: bold;">Deposit Amount: <span style="color: #007BFF;">${displayAmount}</span></strong>
         <p style="margin: 5px 0 0 0; color: #856404; font-size: 0.9rem;">This amount will be added to your account balance after verification.</p>
       </div>
       `}
@@ -3151,6 +3257,18 @@ function showDepositModal(packageId, amount) {
         <small style="color: #6c757d; display: block; margin-top: 5px;">Enter the transaction number you received after sending the money</small>
       </div>
       
+      <!-- Paystack (no transaction number needed) -->
+      <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin-bottom: 20px; text-align: center;">
+        <p style="margin: 0 0 10px 0; color: #6c757d;">Or pay instantly with a card or mobile money - no transaction number needed:</p>
+        <button 
+          onclick="startTopUp(${amount ? amount : 'null'})" 
+          class="btn"
+          style="padding: 12px 30px; background: #0BA4DB; color: white; border: none; border-radius: 5px; cursor: pointer; font-weight: bold;"
+        >
+          💳 Pay with Card / Mobile Money
+        </button>
+      </div>
+      
       <!-- Actions -->
       <div style="display: flex; gap: 10px; justify-content: flex-end;">
         <button 
@@ -3190,7 +3308,7 @@ function showDepositModal(packageId, amount) {
       const instructionsList = document.getElementById('depositInstructionsList');
       if (instructionsList) {
         const amountInput = document.getElementById('depositAmount');
-        const currentAmount = amountInput && amountInput.value ? parseFloat(amountInput.value).toLocaleString() : displayAmount;
+        const currentAmount = amountInput && amountInput.value ? formatKwacha(toNgwee(amountInput.value)) : displayAmount;
         const isCustomAmount = showAmountInput && (!amountInput || !amountInput.value);
         instructionsList.innerHTML = details.getInstructions(isCustomAmount, currentAmount).map((inst) => `<li>${inst}</li>`).join('');
       }
@@ -3298,8 +3416,8 @@ async function submitDeposit(packageId, amount) {
       if (amountInput) amountInput.focus();
       return;
     }
-    depositAmount = parseFloat(amountInput.value);
-    if (isNaN(depositAmount) || depositAmount <= 0) {
+    depositAmount = toNgwee(amountInput.value);
+    if (depositAmount <= 0) {
       showAlert('⚠️ Please enter a valid deposit amount');
       if (amountInput) amountInput.focus();
       return;
@@ -3324,7 +3442,7 @@ async function submitDeposit(packageId, amount) {
   
   try {
     const requestBody = {
-      amount: parseFloat(depositAmount), // Ensure it's a number
+      amount: Number(depositAmount), // Integer ngwee
       transactionTxt: transactionTxt.trim(), // Ensure it's trimmed
       wallet: wallet || 'airtel' // Ensure wallet is set
       // NOTE: packageId is NOT sent - deposits are not tied to packages/levels
@@ -3333,41 +3451,32 @@ async function submitDeposit(packageId, amount) {
     console.log('Submitting deposit to /api/recharge:', requestBody);
     console.log('Request URL:', `${window.API_BASE || ''}/api/recharge`);
     
-    const response = await fetch(`${window.API_BASE || ''}/api/recharge`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...getAuthHeaders()
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
-    console.log('Response status:', response.status);
-    console.log('Response URL:', response.url);
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ error: 'Failed to process deposit' }));
+    // authenticatedApiCall adds an Idempotency-Key, so a double tap submits the deposit once
+    let result;
+    try {
+      result = await authenticatedApiCall(`${window.API_BASE || ''}/api/recharge`, {
+        method: 'POST',
+        body: JSON.stringify(requestBody)
+      });
+    } catch (requestError) {
+      const errorData = requestError.data || {};
       console.error('Deposit error response:', errorData);
-      console.error('Response status:', response.status);
-      console.error('Response URL:', response.url);
-      
-      // Check if we accidentally hit the wrong endpoint
-      if (response.url && response.url.includes('invest-from-balance')) {
-        throw new Error('Wrong endpoint called. Please refresh the page and try again.');
-      }
+      console.error('Response status:', requestError.status);
       
       // Show detailed error if available
       const errorMessage = errorData.details && errorData.details.length > 0 
         ? errorData.details.map(d => d.msg || d.message).join(', ')
-        : (errorData.error || 'Failed to process deposit');
+        : requestError.message;
       throw new Error(errorMessage);
     }
     
-    const data = await response.json();
-    
-    // Show pending message - deposit is pending approval
-    const submittedAmount = typeof depositAmount === 'number' ? depositAmount : parseFloat(depositAmount);
-    showAlert('⏳ Deposit request submitted! K' + submittedAmount.toLocaleString() + ' is pending admin approval.');
+    // Deposits confirmed by the wallet provider are credited straight away;
+    // the rest are pending admin approval
+    if (result && result.status === 'approved') {
+      showAlert('✅ Deposit verified! ' + formatKwacha(depositAmount) + ' has been added to your balance.');
+    } else {
+      showAlert('⏳ Deposit request submitted! ' + formatKwacha(depositAmount) + ' is pending admin approval.');
+    }
     
     // Close modal
     const modal = document.getElementById('depositModal');
@@ -3403,15 +3512,15 @@ async function submitDeposit(packageId, amount) {
 }
 
 // Check for pending deposits and show notification
-function checkAndShowPendingDeposits(investments) {
-  const pendingDeposits = investments.filter(inv => inv.status === 'pending' && inv.transaction_txt);
-  const approvedDeposits = investments.filter(inv => {
-    // Check if deposit was recently approved (has transaction_txt, is active, and wasn't notified yet)
-    if (inv.status === 'active' && inv.transaction_txt) {
-      const notifiedKey = `deposit_${inv.id}_notified`;
+function checkAndShowPendingDeposits(deposits) {
+  const pendingDeposits = deposits.filter(dep => dep.status === 'pending');
+  const approvedDeposits = deposits.filter(dep => {
+    // Check if deposit was recently approved (and wasn't notified yet)
+    if (dep.status === 'approved') {
+      const notifiedKey = `deposit_${dep.id}_notified`;
       const wasNotified = localStorage.getItem(notifiedKey) === 'true';
       // Also check if it was pending before (by checking if we have a pending flag)
-      const wasPending = localStorage.getItem(`deposit_${inv.id}_was_pending`) === 'true';
+      const wasPending = localStorage.getItem(`deposit_${dep.id}_was_pending`) === 'true';
       return !wasNotified && wasPending;
     }
     return false;
@@ -3455,7 +3564,7 @@ function showDepositStatusNotification(status, deposits) {
   notification.id = 'depositStatusNotification';
   
   if (status === 'pending') {
-    const totalAmount = deposits.reduce((sum, d) => sum + d.deposit_amount, 0);
+    const totalAmount = deposits.reduce((sum, d) => sum + d.amount, 0);
     notification.innerHTML = `
       <div style="
         position: fixed;
@@ -3475,7 +3584,7 @@ function showDepositStatusNotification(status, deposits) {
           <div>
             <h3 style="margin: 0 0 5px 0; color: white; font-size: 1.1rem;">⏳ Pending Deposit${deposits.length > 1 ? 's' : ''}</h3>
             <p style="margin: 0; color: rgba(255,255,255,0.9); font-size: 0.9rem;">
-              ${deposits.length} deposit${deposits.length > 1 ? 's' : ''} totaling <strong>K${totalAmount.toLocaleString()}</strong> awaiting approval
+              ${deposits.length} deposit${deposits.length > 1 ? 's' : ''} totaling <strong>${formatKwacha(totalAmount)}</strong> awaiting approval
             </p>
           </div>
           <button 
@@ -3500,7 +3609,7 @@ function showDepositStatusNotification(status, deposits) {
         <div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid rgba(255,255,255,0.3);">
           ${deposits.map(dep => `
             <div style="margin-bottom: 8px; font-size: 0.9rem;">
-              <strong>K${dep.deposit_amount.toLocaleString()}</strong> - ${dep.transaction_txt || 'Pending'}
+              <strong>${formatKwacha(dep.amount)}</strong> - ${dep.transaction_txt || 'Pending'}
             </div>
           `).join('')}
         </div>
@@ -3519,7 +3628,7 @@ function showDepositStatusNotification(status, deposits) {
       </style>
     `;
   } else if (status === 'approved') {
-    const totalAmount = deposits.reduce((sum, d) => sum + d.deposit_amount, 0);
+    const totalAmount = deposits.reduce((sum, d) => sum + d.amount, 0);
     notification.innerHTML = `
       <div style="
         position: fixed;
@@ -3539,7 +3648,7 @@ function showDepositStatusNotification(status, deposits) {
           <div>
             <h3 style="margin: 0 0 5px 0; color: white; font-size: 1.1rem;">✅ Deposit${deposits.length > 1 ? 's' : ''} Approved!</h3>
             <p style="margin: 0; color: rgba(255,255,255,0.9); font-size: 0.9rem;">
-              ${deposits.length} deposit${deposits.length > 1 ? 's' : ''} totaling <strong>K${totalAmount.toLocaleString()}</strong> has been approved and added to your balance
+              ${deposits.length} deposit${deposits.length > 1 ? 's' : ''} totaling <strong>${formatKwacha(totalAmount)}</strong> has been approved and added to your balance
             </p>
           </div>
           <button 
@@ -3564,7 +3673,7 @@ function showDepositStatusNotification(status, deposits) {
         <div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid rgba(255,255,255,0.3);">
           ${deposits.map(dep => `
             <div style="margin-bottom: 8px; font-size: 0.9rem;">
-              <strong>K${dep.deposit_amount.toLocaleString()}</strong> - Approved ✓
+              <strong>${formatKwacha(dep.amount)}</strong> - Approved ✓
             </div>
           `).join('')}
         </div>
@@ -3608,6 +3717,8 @@ window.showDepositOptionsModal = showDepositOptionsModal;
 window.showDepositModal = showDepositModal;
 window.copyDepositPhone = copyDepositPhone;
 window.submitDeposit = submitDeposit;
+window.startTopUp = startTopUp;
+window.loadPaymentSection = loadPaymentSection;
 window.checkAndShowPendingDeposits = checkAndShowPendingDeposits;
 
 // Initialize when DOM is ready
@@ -16,8 +16,10 @@ async function initDashboard() {
 
   console.log('User authenticated, loading dashboard data...');
   
-  // Load dashboard data
+  // Load dashboard data (dates are rendered in the platform timezone, levels
+  // by their display names)
   try {
+    await Promise.all([platformConfigReady, levelsReady]);
     await loadDashboardData();
   } catch (error) {
     console.error('Failed to initialize dashboard:', error);
@@ -118,16 +120,16 @@ function renderDashboard(data) {
           <div class="card-header">Investment #${investment.id}</div>
           <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
             <div>
-              <strong>Package:</strong> K${investment.package_amount}
+              <strong>Package:</strong> ${formatKwacha(investment.package_amount, { whole: true })}
             </div>
             <div>
-              <strong>Deposit:</strong> K${investment.deposit_amount}
+              <strong>Deposit:</strong> ${formatKwacha(investment.deposit_amount)}
             </div>
             <div>
-              <strong>Daily Accrual:</strong> K${dailyAccrual.toFixed(2)}
+              <strong>Daily Accrual:</strong> ${formatKwacha(dailyAccrual)}
             </div>
             <div>
-              <strong>Total Accruals:</strong> K${investment.total_accruals.toFixed(2)}
+              <strong>Total Accruals:</strong> ${formatKwacha(investment.total_accruals)}
             </div>
             <div>
               <strong>Start Date:</strong> ${formatDate(investment.start_date)}
@@ -139,7 +141,7 @@ function renderDashboard(data) {
               <strong>Status:</strong> <span style="text-transform: capitalize;">${investment.status}</span>
             </div>
             <div>
-              <strong>Total Value:</strong> K${totalValue.toFixed(2)}
+              <strong>Total Value:</strong> ${formatKwacha(totalValue)}
             </div>
             ${investment.wallet ? `
               <div>
@@ -152,6 +154,7 @@ function renderDashboard(data) {
               </div>
             ` : ''}
           </div>
+          ${renderInvestmentTerms(investment)}
           ${isMatured ? `
             <div class="countdown" style="background: #d4edda; color: #155724;">
               Investment Matured! Ready for withdrawal.
@@ -163,7 +166,7 @@ function renderDashboard(data) {
           `}
           ${canWithdraw ? `
             <button class="btn btn-success mt-20" onclick="withdrawInvestment(${investment.id})">
-              Withdraw K${totalValue.toFixed(2)}
+              Withdraw ${formatKwacha(totalValue)}
             </button>
           ` : ''}
         </div>
@@ -189,7 +192,7 @@ function renderDashboard(data) {
             <tr>
               <td>${formatDateTime(transaction.date)}</td>
               <td style="text-transform: capitalize;">${transaction.type}</td>
-              <td>K${transaction.amount.toFixed(2)}</td>
+              <td>${formatKwacha(transaction.amount)}</td>
             </tr>
           `).join('')}
         </tbody>
@@ -204,15 +207,15 @@ function renderDashboard(data) {
         <div class="stat-label">Active Investments</div>
       </div>
       <div class="stat-card">
-        <div class="stat-value">K${investments.reduce((sum, inv) => sum + inv.deposit_amount, 0).toFixed(2)}</div>
+        <div class="stat-value">${formatKwacha(investments.reduce((sum, inv) => sum + inv.deposit_amount, 0))}</div>
         <div class="stat-label">Total Invested</div>
       </div>
       <div class="stat-card">
-        <div class="stat-value">K${investments.reduce((sum, inv) => sum + inv.total_accruals, 0).toFixed(2)}</div>
+        <div class="stat-value">${formatKwacha(investments.reduce((sum, inv) => sum + inv.total_accruals, 0))}</div>
         <div class="stat-label">Total Accruals</div>
       </div>
       <div class="stat-card">
-        <div class="stat-value">K${investments.reduce((sum, inv) => sum + inv.deposit_amount + inv.total_accruals, 0).toFixed(2)}</div>
+        <div class="stat-value">${formatKwacha(investments.reduce((sum, inv) => sum + inv.deposit_amount + inv.total_accruals, 0))}</div>
         <div class="stat-label">Total Value</div>
       </div>
     </div>
@@ -237,31 +240,41 @@ function renderDashboard(data) {
   `;
 }
 
+// Terms an investment was bought under (its package version). Editing a
+// package later does not change them. Deposits have no terms.
+function renderInvestmentTerms(investment) {
+  if (!investment.terms_version) return '';
+
+  const lockIn = investment.maturity_date && !investment.maturity_date.startsWith('9999')
+    ? `${investment.terms_lock_in_days} days (until ${formatDate(investment.maturity_date)})`
+    : 'None - runs until you switch level';
+
+  return `
+    <div style="margin-top: 15px; padding: 12px 15px; background: #f8f9fa; border-radius: 6px; border-left: 4px solid #007BFF;">
+      <div style="font-weight: bold; margin-bottom: 8px;">Your Terms (version ${investment.terms_version})</div>
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 8px; font-size: 0.9rem;">
+        <div><strong>Price:</strong> ${formatKwacha(investment.terms_amount, { whole: true })}</div>
+        <div><strong>Daily Income:</strong> ${formatKwacha(investment.terms_daily_income)}</div>
+        <div><strong>Lock-in:</strong> ${lockIn}</div>
+        <div><strong>Withdrawal Fee:</strong> ${investment.terms_withdrawal_fee_percent}%</div>
+      </div>
+    </div>
+  `;
+}
+
 // Calculate days left until maturity
 function calculateDaysLeft(maturityDate) {
-  const today = new Date();
-  const maturity = new Date(maturityDate);
-  const diffTime = maturity - today;
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  return Math.max(0, diffDays);
+  return daysUntil(maturityDate);
 }
 
 // Format date
 function formatDate(dateString) {
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  return formatPlatformDate(dateString, { month: 'long' });
 }
 
 // Format date and time
 function formatDateTime(dateString) {
-  const date = new Date(dateString);
-  return date.toLocaleString('en-US', { 
-    year: 'numeric', 
-    month: 'short', 
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
+  return formatPlatformDateTime(dateString);
 }
 
 // Withdraw investment
@@ -277,7 +290,7 @@ async function withdrawInvestment(investmentId) {
       body: JSON.stringify({ investmentId })
     });
 
-    showAlert(`Withdrawal processed successfully! Amount: K${data.amount?.toFixed(2) || 'N/A'}`, 'Success');
+    showAlert(`Withdrawal processed successfully! Amount: ${data.amount ? formatKwacha(data.amount) : 'N/A'}`, 'Success');
     await loadDashboardData();
   } catch (error) {
     console.error('Withdrawal error:', error);
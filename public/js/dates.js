@@ -0,0 +1,97 @@
+// Date helpers
+// Dates are shown in the platform timezone (Africa/Lusaka unless the server is
+// configured otherwise), whatever timezone the browser is in. The zone comes
+// from GET /api/config; the default is used until that has loaded.
+// The API sends two kinds of dates:
+// - business dates 'YYYY-MM-DD' (start and maturity dates): already platform
+//   calendar days, shown as they are
+// - timestamps: SQLite's 'YYYY-MM-DD HH:MM:SS' (UTC without a zone marker) or
+//   ISO strings, converted to platform time
+
+const DEFAULT_PLATFORM_TIMEZONE = 'Africa/Lusaka';
+let platformTimezone = DEFAULT_PLATFORM_TIMEZONE;
+
+// Fetch the platform timezone once; callers can await the returned promise
+const platformConfigReady = fetch('/api/config')
+  .then(response => (response.ok ? response.json() : null))
+  .then(config => {
+    if (config && config.timezone) {
+      platformTimezone = config.timezone;
+    }
+  })
+  .catch(error => {
+    console.error('Error loading platform config:', error);
+  });
+
+function getPlatformTimezone() {
+  return platformTimezone;
+}
+
+function isBusinessDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// Parse an API date; SQLite timestamps are UTC and get an explicit 'Z'
+function parseApiDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  if (isBusinessDate(value)) {
+    return new Date(`${value}T00:00:00Z`);
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value)) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+  }
+  return new Date(value);
+}
+
+// Business dates are calendar days, so they are rendered in UTC to avoid shifting them
+function zoneFor(value) {
+  return isBusinessDate(value) ? 'UTC' : platformTimezone;
+}
+
+// Render a date: 'Jan 5, 2025' (pass { month: 'long' } for 'January 5, 2025')
+function formatPlatformDate(value, options = {}) {
+  if (!value) return '';
+  return parseApiDate(value).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    ...options,
+    timeZone: zoneFor(value)
+  });
+}
+
+// Render a timestamp with its time: 'Jan 5, 2025, 02:30 PM'
+function formatPlatformDateTime(value, options = {}) {
+  if (!value) return '';
+  return parseApiDate(value).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    ...options,
+    timeZone: zoneFor(value)
+  });
+}
+
+// Today's business date in the platform timezone, 'YYYY-MM-DD'
+function platformToday() {
+  // en-CA renders dates as YYYY-MM-DD
+  return new Date().toLocaleDateString('en-CA', { timeZone: platformTimezone });
+}
+
+// Whole days from today (platform time) until a business date; 0 once it has passed
+function daysUntil(date) {
+  const days = Math.round((parseApiDate(String(date).slice(0, 10)) - parseApiDate(platformToday())) / (1000 * 60 * 60 * 24));
+  return Math.max(0, days);
+}
+
+window.platformConfigReady = platformConfigReady;
+window.getPlatformTimezone = getPlatformTimezone;
+window.parseApiDate = parseApiDate;
+window.formatPlatformDate = formatPlatformDate;
+window.formatPlatformDateTime = formatPlatformDateTime;
+window.platformToday = platformToday;
+window.daysUntil = daysUntil;
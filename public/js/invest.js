@@ -86,9 +86,9 @@ function renderPackages() {
 
     return `
       <div class="investment-card" onclick="selectPackage(${pkg.id})" id="package-${pkg.id}">
-        <h3>K${pkg.amount}</h3>
+        <h3>${formatKwacha(pkg.amount, { whole: true })}</h3>
         <div class="amount">Package Amount</div>
-        <div class="rate">Daily Income: K${dailyAccrual.toFixed(2)}</div>
+        <div class="rate">Daily Income: ${formatKwacha(dailyAccrual)}</div>
         <div class="rate">Daily Rate: ${(pkg.daily_rate * 100).toFixed(2)}%</div>
         <div class="total">Earns daily income continuously</div>
       </div>
@@ -207,10 +207,10 @@ function selectPackage(packageId) {
       selectedPackageInfo.innerHTML = `
         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-bottom: 20px;">
           <div>
-            <strong>Package:</strong> K${selectedPackage.amount}
+            <strong>Package:</strong> ${formatKwacha(selectedPackage.amount, { whole: true })}
           </div>
           <div>
-            <strong>Daily Income:</strong> K${dailyAccrual.toFixed(2)}
+            <strong>Daily Income:</strong> ${formatKwacha(dailyAccrual)}
           </div>
           <div>
             <strong>Daily Rate:</strong> ${(selectedPackage.daily_rate * 100).toFixed(2)}%
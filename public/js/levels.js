@@ -0,0 +1,38 @@
+// Level registry
+// Levels (L1, L2, ...) with their order and display names come from
+// GET /api/levels, which reads the package catalog, so new or renamed levels
+// show up without code changes. Until the list has loaded, levels are shown by
+// their codes.
+
+let platformLevels = [];
+
+// (Re)load the levels, e.g. after an admin edits the catalog
+function loadLevels() {
+  return fetch('/api/levels')
+    .then(response => (response.ok ? response.json() : []))
+    .then(levels => {
+      platformLevels = Array.isArray(levels) ? levels : [];
+    })
+    .catch(error => {
+      console.error('Error loading levels:', error);
+    });
+}
+
+// Levels are loaded once at startup; callers can await this promise
+const levelsReady = loadLevels();
+
+// Levels in catalog order: [{ level, name, order, active }]
+function getLevels({ activeOnly = false } = {}) {
+  return activeOnly ? platformLevels.filter(level => level.active) : platformLevels;
+}
+
+// Display name of a level code, e.g. 'L3' -> 'Gold' (or 'L3' when it has no name)
+function levelDisplayName(level) {
+  const entry = platformLevels.find(item => item.level === level);
+  return entry ? entry.name : (level || '');
+}
+
+window.levelsReady = levelsReady;
+window.loadLevels = loadLevels;
+window.getLevels = getLevels;
+window.levelDisplayName = levelDisplayName;
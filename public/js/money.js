@@ -0,0 +1,41 @@
+// Money helpers
+// The API sends and receives every amount as integer ngwee (K1 = 100 ngwee).
+// Render amounts with formatKwacha() and convert what users type with toNgwee();
+// never do arithmetic on Kwacha decimals.
+
+const NGWEE_PER_KWACHA = 100;
+
+// Convert a Kwacha value typed by the user (e.g. '12.50') to integer ngwee
+function toNgwee(kwacha) {
+  const value = parseFloat(kwacha);
+  return isNaN(value) ? 0 : Math.round(value * NGWEE_PER_KWACHA);
+}
+
+// Convert ngwee to a Kwacha number (for input values such as max="...")
+function toKwacha(ngwee) {
+  return (Number(ngwee) || 0) / NGWEE_PER_KWACHA;
+}
+
+// Render ngwee as Kwacha: 123450 -> 'K1,234.50'
+// Pass { whole: true } to drop '.00' from whole-Kwacha amounts (package prices)
+function formatKwacha(ngwee, options = {}) {
+  const value = Number(ngwee) || 0;
+  const kwacha = Math.abs(value) / NGWEE_PER_KWACHA;
+  const decimals = options.whole && Number.isInteger(kwacha) ? 0 : 2;
+  const text = kwacha.toLocaleString('en-US', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+  return `${value < 0 ? '-' : ''}K${text}`;
+}
+
+// Percentage of an amount, rounded to the nearest ngwee (same rounding as the server)
+function percentOf(ngwee, percent) {
+  return Math.round(ngwee * percent / 100);
+}
+
+window.NGWEE_PER_KWACHA = NGWEE_PER_KWACHA;
+window.toNgwee = toNgwee;
+window.toKwacha = toKwacha;
+window.formatKwacha = formatKwacha;
+window.percentOf = percentOf;
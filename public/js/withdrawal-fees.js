@@ -0,0 +1,70 @@
+// Withdrawal fee rules
+// Shared by the SPA and the server (utils/withdrawal-fees.js requires this
+// file), so the fee shown before a withdrawal is the fee the server charges.
+// The policy comes from GET /api/withdrawal-fees (all amounts in ngwee):
+//
+//   { id, effective_from, min_withdrawal,
+//     tiers: [{ level, min_amount, max_amount, percent, flat_fee, min_fee, max_fee }] }
+//
+// A tier applies to amounts from min_amount up to max_amount (no upper limit
+// when null), for one level or for every level (level null); a tier for the
+// user's level wins over one for every level. Its fee is percent of the amount
+// plus flat_fee, kept between min_fee and max_fee. A tier without a percent
+// charges the withdrawal fee of the user's package terms.
+
+function withdrawalFeeKwacha(ngwee) {
+  return `K${(ngwee / 100).toFixed(2)}`;
+}
+
+// The tier that applies to an amount, or null
+function findWithdrawalFeeTier(policy, amount, level = null) {
+  const covers = tier => amount >= tier.min_amount && (tier.max_amount == null || amount <= tier.max_amount);
+  return policy.tiers.find(tier => level && tier.level === level && covers(tier))
+    || policy.tiers.find(tier => tier.level == null && covers(tier))
+    || null;
+}
+
+/**
+ * Fee of a withdrawal under a policy
+ * @param {Object} policy - see above
+ * @param {number} amount - gross amount, ngwee
+ * @param {Object} [options] - { level, termsPercent }: the user's level and
+ *   the fee percent of their package terms
+ * @returns {Object} { charge, net, percent, tier } or { error }
+ */
+function calculateWithdrawalFee(policy, amount, { level = null, termsPercent = 0 } = {}) {
+  if (amount < policy.min_withdrawal) {
+    return { error: `Minimum withdrawal amount is ${withdrawalFeeKwacha(policy.min_withdrawal)}` };
+  }
+  const tier = findWithdrawalFeeTier(policy, amount, level);
+  if (!tier) {
+    return { error: 'No withdrawal fee applies to this amount' };
+  }
+
+  const percent = tier.percent == null ? termsPercent : tier.percent;
+  let charge = Math.round(amount * percent / 100) + (tier.flat_fee || 0);
+  if (tier.min_fee != null) charge = Math.max(charge, tier.min_fee);
+  if (tier.max_fee != null) charge = Math.min(charge, tier.max_fee);
+  if (charge >= amount) {
+    return { error: `The fee of ${withdrawalFeeKwacha(charge)} would take the whole amount` };
+  }
+  return { charge, net: amount - charge, percent, tier };
+}
+
+// A tier's fee in words, e.g. '10% + K5.00 (min K2.00)'; without the
+// user's terms percent, a tier charging it reads 'package fee'
+function describeWithdrawalFee(tier, termsPercent = null) {
+  const percent = tier.percent == null ? termsPercent : tier.percent;
+  const parts = [];
+  if (percent == null) parts.push('package fee');
+  else if (percent || !tier.flat_fee) parts.push(`${percent}%`);
+  if (tier.flat_fee) parts.push(withdrawalFeeKwacha(tier.flat_fee));
+  const limits = [];
+  if (tier.min_fee != null) limits.push(`min ${withdrawalFeeKwacha(tier.min_fee)}`);
+  if (tier.max_fee != null) limits.push(`max ${withdrawalFeeKwacha(tier.max_fee)}`);
+  return parts.join(' + ') + (limits.length ? ` (${limits.join(', ')})` : '');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { findWithdrawalFeeTier, calculateWithdrawalFee, describeWithdrawalFee };
+}
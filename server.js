@@ -3,11 +3,33 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const cron = require('node-cron');
-const { initDB, dbQuery, dbRun, dbGet, dbTransaction } = require('./utils/db');
+const { initDB, dbQuery, dbRun, dbGet, dbTransaction, dbWithTransaction } = require('./utils/db');
 const { authenticateToken, requireAdmin, getUserByEmail, getUserByPhone, getUserById, hashPassword, comparePassword, generateToken, normalizeZambianPhone } = require('./utils/auth');
-const { initializePayment, verifyPayment, generateReference } = require('./utils/payments');
+const { verifyPayment, verifyWebhookSignature, isPaystackConfigured } = require('./utils/payments');
+const { PAYMENT_EVENT_STATUSES, recordPaymentEvent, processPaymentEvent, listPaymentEvents, getPaymentEvent } = require('./utils/payment-events');
+const { getBalance } = require('./utils/balance');
+const { idempotent } = require('./utils/idempotency');
+const ledger = require('./utils/ledger');
+const { verifyTransactionChain } = require('./utils/hash-chain');
+const { runReconciliation, getLatestReconciliation, repairDiscrepancy } = require('./utils/reconciliation');
+const { catchUpAccruals, runAccrualsForDate, creditManualDailyIncome, rollbackAccrualRun, getAccrualRuns, getAccrualRun } = require('./utils/accruals');
+const { PLATFORM_TIMEZONE, businessDate } = require('./utils/timezone');
+const { runMigrations } = require('./utils/migrations');
+const { getLevels, validateLevel } = require('./utils/levels');
+const { quoteLevelSwitch } = require('./utils/level-switch');
+const { verifyTransactionTxt } = require('./utils/mobile-money');
+const { REFERENCE_FLAG_STATUSES, checkTransactionRef, claimTransactionRef, linkTransactionRef, releaseDepositRef, listReferenceFlags, reviewReferenceFlag, countOpenReferenceFlags } = require('./utils/transaction-refs');
+const { createDeposit, listDeposits, processDeposit, deleteDeposits, totalDeposits } = require('./utils/deposits');
+const { startTopUp, closeTopUp, getTopUp, listTopUps } = require('./utils/topups');
+const { ADMIN_WITHDRAWAL_ACTIONS, PAYOUT_STATUSES, recordWithdrawalTransition, transitionWithdrawal, getWithdrawalTimelines } = require('./utils/withdrawals');
+const { listFeePolicies, createFeePolicy, deleteFeePolicy, getUserFeeRules, quoteWithdrawalFee } = require('./utils/withdrawal-fees');
+const { PAYOUT_WALLETS, createPayoutBatch, payoutBatchCsv, importPayoutResults, listPayoutBatches, getPayoutBatch } = require('./utils/payout-batches');
+const { STATEMENT_WALLETS, importStatement, listStatementImports, getStatementImport, approveStatementMatches } = require('./utils/statement-import');
+const { listPackages, getPackage, getPackageVersions, maturityDateFor, getWithdrawalFeePercent, createPackage, updatePackage, deletePackage, seedPackages } = require('./utils/packages');
+const { buildStatement, statementToCsv, statementToPdf } = require('./utils/statements');
+const { isNgwee, formatKwacha } = require('./utils/money');
 const nodemailer = require('nodemailer');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const fs = require('fs');
 
@@ -136,9 +158,31 @@ const uploadAnnouncement = multer({
   }
 });
 
+// Configure multer for mobile money statements and payout result files (kept in memory, parsed and not stored)
+const uploadStatement = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    // Accept CSV and XLSX exports
+    const allowedTypes = /^\.(csv|txt|xlsx)$/;
+    if (allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    req.fileValidationError = `File type not allowed. Only CSV and XLSX files are allowed. Got: ${file.originalname}`;
+    cb(null, false);
+  }
+});
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for webhook signature checks (see /api/paystack/webhook)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -188,6 +232,11 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// Public platform settings the SPA needs before rendering (no auth)
+app.get('/api/config', (req, res) => {
+  res.json({ timezone: PLATFORM_TIMEZONE, businessDate: businessDate() });
+});
+
 // ==================== AUTH ROUTES ====================
 
 // Register
@@ -511,10 +560,10 @@ app.post('/api/login', [
 
 // ==================== PACKAGE ROUTES ====================
 
-// Get all packages
+// Get the packages users can buy, in catalog order
 app.get('/api/packages', async (req, res) => {
   try {
-    const packages = await dbQuery('SELECT * FROM packages ORDER BY amount ASC');
+    const packages = await listPackages();
     res.json(packages);
   } catch (error) {
     console.error('Get packages error:', error);
@@ -522,6 +571,16 @@ app.get('/api/packages', async (req, res) => {
   }
 });
 
+// Levels in catalog order with their display names (see utils/levels.js)
+app.get('/api/levels', async (req, res) => {
+  try {
+    res.json(await getLevels());
+  } catch (error) {
+    console.error('Get levels error:', error);
+    res.status(500).json({ error: 'Failed to fetch levels' });
+  }
+});
+
 // Get payment wallet numbers
 app.get('/api/wallets', async (req, res) => {
   try {
@@ -546,7 +605,7 @@ app.get('/api/wallets', async (req, res) => {
 // Create investment (after payment)
 app.post('/api/invest', authenticateToken, [
   body('packageId').isInt(),
-  body('amount').isFloat({ min: 1 }),
+  body('amount').isInt({ min: 1 }).toInt(),
   body('paymentReference').notEmpty()
 ], async (req, res) => {
   try {
@@ -558,49 +617,87 @@ app.post('/api/invest', authenticateToken, [
     const { packageId, amount, paymentReference } = req.body;
     const userId = req.user.userId;
 
-    // Allow mock payments for development (payment reference starts with "MOCK_")
-    const isMockPayment = paymentReference.startsWith('MOCK_');
-    
-    if (!isMockPayment) {
-      // Verify payment for real payments
-      const payment = await verifyPayment(paymentReference);
-      if (!payment.success) {
-        return res.status(400).json({ error: 'Payment verification failed' });
-      }
-    }
-
     // Get package
     const packageData = await dbGet('SELECT * FROM packages WHERE id = ?', [packageId]);
     if (!packageData) {
       return res.status(404).json({ error: 'Package not found' });
     }
+    if (!packageData.active) {
+      return res.status(400).json({ error: 'This package is no longer available' });
+    }
 
     // Validate amount matches package
-    if (Math.abs(amount - packageData.amount) > 0.01) {
+    if (amount !== packageData.amount) {
       return res.status(400).json({ error: 'Amount does not match package' });
     }
 
-    // Calculate dates
-    const startDate = new Date().toISOString().split('T')[0];
-    const maturityDate = new Date();
-    maturityDate.setDate(maturityDate.getDate() + 26);
-    const maturityDateStr = maturityDate.toISOString().split('T')[0];
+    // Allow mock payments for development (payment reference starts with "MOCK_")
+    if (!paymentReference.startsWith('MOCK_')) {
+      // Verify payment for real payments
+      const payment = await verifyPayment(paymentReference);
+      if (!payment.success) {
+        return res.status(400).json({ error: 'Payment verification failed' });
+      }
+      // Top-up payments are credited to the balance by their payment event
+      const metadata = payment.metadata || {};
+      if (metadata.purpose === 'topup') {
+        return res.status(400).json({ error: 'This payment was a balance top-up' });
+      }
+      if (metadata.userId && parseInt(metadata.userId) !== userId) {
+        return res.status(400).json({ error: 'This payment was made by another account' });
+      }
+
+      // The charge is credited by its charge.success payment event, like the
+      // webhook, so a reference creates one investment whichever comes first
+      // and however often this is called; this only reads that investment
+      const recorded = await recordPaymentEvent({
+        event: 'charge.success',
+        data: {
+          reference: payment.reference,
+          amount: payment.amount,
+          status: payment.status,
+          metadata: { userId, packageId, amount, ...metadata }
+        }
+      });
+      if (recorded.error) {
+        return res.status(recorded.statusCode).json({ error: recorded.error });
+      }
+      const processed = await processPaymentEvent(recorded.paymentEvent.id);
+      await sendPaymentEventEmails(processed.result);
 
-    // Create investment (for mock payments, wallet and transaction_txt can be null)
-    const wallet = paymentReference.startsWith('MOCK_') ? 'mock' : null;
-    const transactionTxt = paymentReference.startsWith('MOCK_') ? paymentReference : null;
-    
-    const investResult = await dbRun(
-      `INSERT INTO investments (user_id, package_id, deposit_amount, start_date, maturity_date, status, wallet, transaction_txt)
-       VALUES (?, ?, ?, ?, ?, 'active', ?, ?)`,
-      [userId, packageId, amount, startDate, maturityDateStr, wallet, transactionTxt]
-    );
+      const paymentEvent = processed.paymentEvent;
+      if (paymentEvent.status !== 'processed' || !paymentEvent.investment_id || paymentEvent.user_id !== userId) {
+        return res.status(400).json({ error: 'This payment could not be applied to an investment' });
+      }
+      return res.json({
+        message: processed.result ? 'Investment created successfully' : 'Investment already created for this payment',
+        investmentId: paymentEvent.investment_id
+      });
+    }
 
-    // Create deposit transaction
-    await dbRun(
-      'INSERT INTO transactions (user_id, type, amount, investment_id) VALUES (?, ?, ?, ?)',
-      [userId, 'deposit', amount, investResult.lastID]
-    );
+    // Calculate dates (the lock-in comes from the package's current terms)
+    const startDate = businessDate();
+    const maturityDateStr = maturityDateFor(startDate, packageData);
+
+    // Claim the mock reference, create the investment under the package's
+    // current terms version and post the deposit together
+    const wallet = 'mock';
+    const investmentId = await dbWithTransaction(async (tx) => {
+      if (!(await claimTransactionRef(tx, { userId, wallet, transactionTxt: paymentReference }))) {
+        return null;
+      }
+      const investResult = await tx.run(
+        `INSERT INTO investments (user_id, package_id, package_version_id, deposit_amount, start_date, maturity_date, status, wallet, transaction_txt)
+         VALUES (?, ?, ?, ?, ?, ?, 'active', ?, ?)`,
+        [userId, packageId, packageData.current_version_id, amount, startDate, maturityDateStr, wallet, paymentReference]
+      );
+      await linkTransactionRef(tx, { wallet, transactionTxt: paymentReference, investmentId: investResult.lastID });
+      await ledger.postVerifiedDeposit({ userId, amount, investmentId: investResult.lastID }, tx);
+      return investResult.lastID;
+    });
+    if (!investmentId) {
+      return res.status(400).json({ error: 'This payment has already been used' });
+    }
 
     // Get user email
     const user = await getUserById(userId);
@@ -609,13 +706,13 @@ app.post('/api/invest', authenticateToken, [
     await sendEmail(
       user.email,
       'Investment Confirmed',
-      `Your investment of K${amount} has been confirmed. Maturity date: ${maturityDateStr}`,
-      `<h1>Investment Confirmed</h1><p>Your investment of K${amount} has been confirmed.</p><p>Maturity date: ${maturityDateStr}</p>`
+      `Your investment of ${formatKwacha(amount)} has been confirmed. Maturity date: ${maturityDateStr}`,
+      `<h1>Investment Confirmed</h1><p>Your investment of ${formatKwacha(amount)} has been confirmed.</p><p>Maturity date: ${maturityDateStr}</p>`
     );
 
     res.json({
       message: 'Investment created successfully',
-      investmentId: investResult.lastID
+      investmentId
     });
   } catch (error) {
     console.error('Investment creation error:', error);
@@ -623,10 +720,50 @@ app.post('/api/invest', authenticateToken, [
   }
 });
 
+// Quote buying a level from the balance: the price, the credit for the current
+// investment under the switching policy (utils/level-switch.js) and the net
+// cost, so the user sees what will be deducted before confirming
+app.get('/api/invest-from-balance/quote', authenticateToken, [
+  query('packageId').isInt().withMessage('Package ID must be an integer').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    const quote = await quoteLevelSwitch(req.user.userId, req.query.packageId);
+    if (quote.error) {
+      return res.status(quote.statusCode).json({ error: quote.error, message: quote.message || quote.error });
+    }
+
+    res.json({
+      packageId: quote.package.id,
+      level: quote.package.level,
+      price: quote.price,
+      currentInvestment: quote.current ? {
+        id: quote.current.id,
+        level: quote.current.level,
+        principal: quote.current.deposit_amount,
+        startDate: quote.current.start_date
+      } : null,
+      policy: quote.policy,
+      credit: quote.credit,
+      netCost: quote.netCost,
+      available: quote.available,
+      balanceAfter: quote.available - quote.netCost,
+      sufficientBalance: quote.sufficientBalance
+    });
+  } catch (error) {
+    console.error('Level switch quote error:', error);
+    res.status(500).json({ error: 'Failed to quote investment' });
+  }
+});
+
 // Invest directly from balance (deduct from account and assign level)
-app.post('/api/invest-from-balance', authenticateToken, [
+app.post('/api/invest-from-balance', authenticateToken, idempotent, [
   body('packageId').isInt().withMessage('Package ID must be an integer'),
-  body('amount').isFloat({ min: 1 }).withMessage('Amount must be a positive number')
+  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive number of ngwee').toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -637,124 +774,88 @@ app.post('/api/invest-from-balance', authenticateToken, [
     const { packageId, amount } = req.body;
     const userId = req.user.userId;
 
-    // Get package
-    const packageData = await dbGet('SELECT * FROM packages WHERE id = ?', [packageId]);
-    if (!packageData) {
-      return res.status(404).json({ error: 'Package not found' });
-    }
+    const startDate = businessDate();
 
-    // Validate amount matches package
-    if (Math.abs(amount - packageData.amount) > 0.01) {
-      return res.status(400).json({ error: 'Amount does not match package amount' });
-    }
-
-    // Get user's current level
-    const userData = await getUserById(userId);
-    const userCurrentLevel = userData.level || 'L0';
-    const userLevelNumber = parseInt(userCurrentLevel.replace('L', '') || '0');
-    const targetLevelNumber = parseInt(packageData.level.replace('L', '') || '0');
-
-    // Check if user already has an active investment in ANY level
-    // User can only be on ONE level at a time - switching levels terminates the old investment
-    const existingActiveInvestment = await dbGet(
-      `SELECT i.id, i.package_id, p.level, i.deposit_amount
-       FROM investments i 
-       JOIN packages p ON i.package_id = p.id 
-       WHERE i.user_id = ? AND i.status = 'active'`,
-      [userId]
-    );
+    // Quote the switch (credit for the current investment under the switching
+    // policy), check the available balance (funds held by pending withdrawals
+    // are excluded) and spend it in one transaction, so the same money cannot
+    // be spent twice
+    const purchase = await dbWithTransaction(async (tx) => {
+      const quote = await quoteLevelSwitch(userId, packageId, tx);
+      if (quote.error) {
+        return { quote };
+      }
 
-    // If user is trying to invest in the SAME level they're already on, reject it
-    if (existingActiveInvestment && existingActiveInvestment.level === packageData.level) {
-      return res.status(400).json({ 
-        error: 'Invalid investment',
-        message: `You are already invested in ${packageData.level}. Choose a different level to switch.`
-      });
-    }
+      // Validate amount matches package
+      if (amount !== quote.price) {
+        return { quote: { error: 'Amount does not match package amount', statusCode: 400 } };
+      }
+
+      if (!quote.sufficientBalance) {
+        return { quote };
+      }
 
-    // Note: User can invest in ANY level (no sequential restriction)
-    // If they have an existing investment, it will be terminated when they switch
+      // If user has an existing active investment, terminate it before creating the new one
+      // This ensures user can only be on ONE level at a time
+      if (quote.current) {
+        await tx.run(
+          `UPDATE investments SET status = 'terminated', maturity_date = ? WHERE id = ?`,
+          [startDate, quote.current.id]
+        );
+      }
 
-    // Get user current balance - include ALL transactions (including deleted ones for balance calculation)
-    const transactions = await dbQuery(
-      `SELECT type, amount, investment_id, deleted FROM transactions WHERE user_id = ?`,
-      [userId]
-    );
-    const investments = await dbQuery(
-      `SELECT id, deposit_amount, total_accruals FROM investments WHERE user_id = ? AND status = 'active'`,
-      [userId]
-    );
-    
-    // Calculate balance: deposits + accruals + bonuses - withdrawals - investments from balance
-    // IMPORTANT: Include ALL transactions (including deleted ones) for accurate balance calculation
-    // Deleted transactions are marked as deleted=1 but still count toward balance
-    const totalDeposits = transactions
-      .filter(t => t && t.type === 'deposit' && t.amount > 0)
-      .reduce((sum, t) => sum + t.amount, 0);
-    const totalWithdrawn = transactions
-      .filter(t => t && t.type === 'withdrawal')
-      .reduce((sum, t) => sum + t.amount, 0);
-    
-    // Include ALL accrual and bonus transactions (regardless of investment_id or deleted status)
-    // This ensures all daily income, bonuses, and any other income is included in balance
-    const allAccrualsAndBonuses = transactions
-      .filter(t => t && (t.type === 'accrual' || t.type === 'bonus'))
-      .reduce((sum, t) => sum + t.amount, 0);
-    
-    const investmentsFromBalance = transactions
-      .filter(t => t && t.type === 'investment')
-      .reduce((sum, t) => sum + Math.abs(t.amount), 0); // Sum absolute values since they're negative
-    
-    const availableBalance = totalDeposits + allAccrualsAndBonuses - totalWithdrawn - investmentsFromBalance;
+      // Create investment (maturity date set to far future since schema requires NOT NULL)
+      // In production, you may want to alter the schema to allow NULL
+      // The investment keeps the terms version it was bought under; its
+      // principal is the full price, of which switch_credit came from the old one
+      const result = await tx.run(
+        `INSERT INTO investments (user_id, package_id, package_version_id, deposit_amount, start_date, maturity_date, status, wallet, transaction_txt, switched_from_investment_id, switch_credit)
+         VALUES (?, ?, ?, ?, ?, '9999-12-31', 'active', 'balance', 'BALANCE_INVESTMENT', ?, ?)`,
+        [userId, packageId, quote.package.current_version_id, amount, startDate, quote.current ? quote.current.id : null, quote.credit]
+      );
+
+      // Create investment transaction to deduct the net cost from balance. The
+      // credited part of the old principal stays in INVESTMENT_PRINCIPAL.
+      if (quote.netCost > 0) {
+        await ledger.postTransaction({
+          userId,
+          type: 'investment',
+          amount: -quote.netCost, // Negative amount to deduct from balance
+          investmentId: result.lastID,
+          description: quote.credit > 0 ? `Level switch: ${formatKwacha(quote.credit)} credited from investment #${quote.current.id}` : null
+        }, tx);
+      }
+
+      // Update user level to the package level
+      await tx.run(
+        'UPDATE users SET level = ? WHERE id = ?',
+        [quote.package.level, userId]
+      );
+
+      return { quote, investmentId: result.lastID };
+    });
+
+    const { quote } = purchase;
+    if (quote.error) {
+      return res.status(quote.statusCode).json({ error: quote.error, message: quote.message || quote.error });
+    }
 
     // Check if user has sufficient balance
-    if (availableBalance < amount) {
+    if (!purchase.investmentId) {
       return res.status(400).json({ 
         error: 'Insufficient balance',
-        message: `Insufficient balance. Your current balance is K${availableBalance.toFixed(2)}. Please deposit to get this level.`,
-        currentBalance: availableBalance,
-        requiredAmount: amount
+        message: `Insufficient balance. Your current balance is ${formatKwacha(quote.available)}. Please deposit to get this level.`,
+        currentBalance: quote.available,
+        requiredAmount: quote.netCost
       });
     }
 
-    // If user has an existing active investment, terminate it before creating the new one
-    // This ensures user can only be on ONE level at a time
-    let previousLevel = null;
-    if (existingActiveInvestment) {
-      previousLevel = existingActiveInvestment.level;
-      
-      // Terminate the existing investment
-      await dbRun(
-        `UPDATE investments SET status = 'terminated', maturity_date = date('now') WHERE id = ?`,
-        [existingActiveInvestment.id]
-      );
-      
-      console.log(`Terminated previous investment: User ${userId}, Previous Level ${previousLevel}, New Level ${packageData.level}`);
-    }
-
-    // Start transaction - deduct amount and create investment
-    const startDate = new Date().toISOString().split('T')[0];
-
-    // Create investment (maturity date set to far future since schema requires NOT NULL)
-    // In production, you may want to alter the schema to allow NULL
-    const investResult = await dbRun(
-      `INSERT INTO investments (user_id, package_id, deposit_amount, start_date, maturity_date, status, wallet, transaction_txt)
-       VALUES (?, ?, ?, ?, '9999-12-31', 'active', 'balance', 'BALANCE_INVESTMENT')`,
-      [userId, packageId, amount, startDate]
-    );
-
-    // Create investment transaction to deduct from balance
-    // This transaction type will be excluded from balance calculation
-    await dbRun(
-      'INSERT INTO transactions (user_id, type, amount, investment_id, date) VALUES (?, ?, ?, ?, datetime("now"))',
-      [userId, 'investment', -amount, investResult.lastID] // Negative amount to deduct from balance
-    );
+    const packageData = quote.package;
+    const previousLevel = quote.current ? quote.current.level : null;
 
-    // Update user level to the package level
-    await dbRun(
-      'UPDATE users SET level = ? WHERE id = ?',
-      [packageData.level, userId]
-    );
+    if (previousLevel) {
+      console.log(`Terminated previous investment: User ${userId}, Previous Level ${previousLevel}, New Level ${packageData.level}, Credit ${formatKwacha(quote.credit)} (${quote.policy})`);
+    }
 
     // Get user for email
     const user = await getUserById(userId);
@@ -768,28 +869,30 @@ app.post('/api/invest-from-balance', authenticateToken, [
       sendEmail(
         user.email,
         'Investment Confirmed',
-        `Your investment of K${amount} in ${packageData.level} has been confirmed. ${switchMessage} The amount has been deducted from your account balance.`,
+        `Your investment of ${formatKwacha(amount)} in ${packageData.level} has been confirmed. ${switchMessage} ${formatKwacha(quote.netCost)} has been deducted from your account balance.`,
         `<h1>Investment Confirmed</h1>
-         <p>Your investment of K${amount} in ${packageData.level} has been confirmed.</p>
-         ${previousLevel ? `<p><strong>Note:</strong> Your previous investment in ${previousLevel} has been terminated.</p>` : ''}
-         <p>The amount has been deducted from your account balance.</p>
+         <p>Your investment of ${formatKwacha(amount)} in ${packageData.level} has been confirmed.</p>
+         ${previousLevel ? `<p><strong>Note:</strong> Your previous investment in ${previousLevel} has been terminated and ${formatKwacha(quote.credit)} of it was credited towards the new level.</p>` : ''}
+         <p>${formatKwacha(quote.netCost)} has been deducted from your account balance.</p>
          <p>Your new level: ${packageData.level}</p>`
       ).catch(emailError => {
         console.error('Failed to send investment confirmation email (non-critical):', emailError);
       });
     }
 
-    console.log(`Investment created from balance: User ${userId}, Package ${packageId}, Amount K${amount}, Level ${packageData.level}${previousLevel ? `, Previous Level ${previousLevel} terminated` : ''}`);
+    console.log(`Investment created from balance: User ${userId}, Package ${packageId}, Amount ${formatKwacha(amount)}, Level ${packageData.level}${previousLevel ? `, Previous Level ${previousLevel} terminated` : ''}`);
 
     res.json({
       message: previousLevel 
         ? `Level switched successfully! Your ${previousLevel} investment has been terminated and you are now on ${packageData.level}.`
         : 'Investment created successfully. Amount deducted from your balance.',
-      investmentId: investResult.lastID,
+      investmentId: purchase.investmentId,
       level: packageData.level,
       previousLevel: previousLevel,
       amount: amount,
-      newBalance: availableBalance - amount
+      credit: quote.credit,
+      netCost: quote.netCost,
+      newBalance: quote.available - quote.netCost
     });
   } catch (error) {
     console.error('Investment from balance error:', error);
@@ -800,7 +903,7 @@ app.post('/api/invest-from-balance', authenticateToken, [
 // Verify transaction TXT and create investment
 app.post('/api/verify-transaction', authenticateToken, [
   body('packageId').isInt(),
-  body('amount').isFloat({ min: 1 }),
+  body('amount').isInt({ min: 1 }).toInt(),
   body('wallet').isIn(['airtel', 'mtn']),
   body('transactionTxt').notEmpty().trim()
 ], async (req, res) => {
@@ -818,48 +921,54 @@ app.post('/api/verify-transaction', authenticateToken, [
     if (!packageData) {
       return res.status(404).json({ error: 'Package not found' });
     }
+    if (!packageData.active) {
+      return res.status(400).json({ error: 'This package is no longer available' });
+    }
 
     // Validate amount matches package
-    if (Math.abs(amount - packageData.amount) > 0.01) {
+    if (amount !== packageData.amount) {
       return res.status(400).json({ error: 'Amount does not match package' });
     }
 
-    // Check if transaction TXT already exists (prevent duplicates)
-    const existingTransaction = await dbGet(
-      'SELECT id FROM investments WHERE transaction_txt = ? AND user_id = ?',
-      [transactionTxt, userId]
-    );
-
-    if (existingTransaction) {
-      return res.status(400).json({ error: 'This transaction has already been used' });
+    // A transaction reference can be used once across the platform; attempts to
+    // use another user's reference are flagged for admins
+    const refCheck = await checkTransactionRef({ userId, wallet, transactionTxt, source: 'verify-transaction' });
+    if (refCheck) {
+      return res.status(refCheck.statusCode).json({ error: refCheck.error });
     }
 
-    // Verify transaction TXT (in production, integrate with mobile money API)
-    // For now, we'll do basic validation and accept valid format
-    const isValidTransaction = await verifyTransactionTxt(transactionTxt, wallet, amount);
-    
-    if (!isValidTransaction) {
-      return res.status(400).json({ error: 'Invalid transaction. Please check your transaction TXT number and try again.' });
+    // Verify transaction TXT with the wallet provider. Without a provider
+    // (MOBILE_MONEY_PROVIDER=none) only its length is checked
+    const verification = await verifyTransactionTxt(transactionTxt, wallet, amount);
+    if (verification.status === 'unavailable') {
+      return res.status(503).json({ error: `${verification.message}. Please try again later.` });
+    }
+    if (!verification.verified && verification.status !== 'unverified') {
+      return res.status(400).json({ error: `Invalid transaction: ${verification.message}. Please check your transaction TXT number and try again.` });
     }
 
-    // Calculate dates
-    const startDate = new Date().toISOString().split('T')[0];
-    const maturityDate = new Date();
-    maturityDate.setDate(maturityDate.getDate() + 26);
-    const maturityDateStr = maturityDate.toISOString().split('T')[0];
-
-    // Create investment
-    const investResult = await dbRun(
-      `INSERT INTO investments (user_id, package_id, deposit_amount, start_date, maturity_date, status, wallet, transaction_txt)
-       VALUES (?, ?, ?, ?, ?, 'active', ?, ?)`,
-      [userId, packageId, amount, startDate, maturityDateStr, wallet, transactionTxt]
-    );
+    // Calculate dates (the lock-in comes from the package's current terms)
+    const startDate = businessDate();
+    const maturityDateStr = maturityDateFor(startDate, packageData);
 
-    // Create deposit transaction
-    await dbRun(
-      'INSERT INTO transactions (user_id, type, amount, investment_id) VALUES (?, ?, ?, ?)',
-      [userId, 'deposit', amount, investResult.lastID]
-    );
+    // Claim the reference, create the investment under the package's current
+    // terms version and post the deposit together
+    const investmentId = await dbWithTransaction(async (tx) => {
+      if (!(await claimTransactionRef(tx, { userId, wallet, transactionTxt }))) {
+        return null;
+      }
+      const investResult = await tx.run(
+        `INSERT INTO investments (user_id, package_id, package_version_id, deposit_amount, start_date, maturity_date, status, wallet, transaction_txt)
+         VALUES (?, ?, ?, ?, ?, ?, 'active', ?, ?)`,
+        [userId, packageId, packageData.current_version_id, amount, startDate, maturityDateStr, wallet, transactionTxt]
+      );
+      await linkTransactionRef(tx, { wallet, transactionTxt, investmentId: investResult.lastID });
+      await ledger.postVerifiedDeposit({ userId, amount, investmentId: investResult.lastID }, tx);
+      return investResult.lastID;
+    });
+    if (!investmentId) {
+      return res.status(400).json({ error: 'This transaction has already been used' });
+    }
 
     // Get user email
     const user = await getUserById(userId);
@@ -868,13 +977,13 @@ app.post('/api/verify-transaction', authenticateToken, [
     await sendEmail(
       user.email,
       'Investment Confirmed',
-      `Your investment of K${amount} has been confirmed. Maturity date: ${maturityDateStr}. Transaction: ${transactionTxt}`,
-      `<h1>Investment Confirmed</h1><p>Your investment of K${amount} has been confirmed.</p><p>Maturity date: ${maturityDateStr}</p><p>Transaction: ${transactionTxt}</p>`
+      `Your investment of ${formatKwacha(amount)} has been confirmed. Maturity date: ${maturityDateStr}. Transaction: ${transactionTxt}`,
+      `<h1>Investment Confirmed</h1><p>Your investment of ${formatKwacha(amount)} has been confirmed.</p><p>Maturity date: ${maturityDateStr}</p><p>Transaction: ${transactionTxt}</p>`
     );
 
     res.json({
       message: 'Transaction verified successfully. Investment created.',
-      investmentId: investResult.lastID
+      investmentId
     });
   } catch (error) {
     console.error('Transaction verification error:', error);
@@ -884,7 +993,7 @@ app.post('/api/verify-transaction', authenticateToken, [
 
 // Recharge/Deposit endpoint (simplified version for direct deposits)
 // IMPORTANT: This endpoint does NOT require packageId - deposits are not tied to levels
-app.post('/api/recharge', authenticateToken, async (req, res) => {
+app.post('/api/recharge', authenticateToken, idempotent, async (req, res) => {
   try {
     // Skip express-validator - we do manual validation to allow any transaction format
     console.log('✅ Deposit request received at /api/recharge endpoint');
@@ -913,9 +1022,10 @@ app.post('/api/recharge', authenticateToken, async (req, res) => {
     if (amount === undefined || amount === null || amount === '') {
       return res.status(400).json({ error: 'Amount is required' });
     }
-    amount = parseFloat(amount);
-    if (isNaN(amount) || amount <= 0) {
-      return res.status(400).json({ error: 'Amount must be a positive number' });
+    // Amounts are integer ngwee (K1 = 100)
+    amount = Number(amount);
+    if (!isNgwee(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'Amount must be a positive number of ngwee' });
     }
     
     // Validate transactionTxt
@@ -944,14 +1054,11 @@ app.post('/api/recharge', authenticateToken, async (req, res) => {
     }
     const userId = req.user.userId;
 
-    // Check if transaction TXT already exists (prevent duplicates)
-    const existingTransaction = await dbGet(
-      'SELECT id FROM investments WHERE transaction_txt = ? AND user_id = ?',
-      [transactionTxt, userId]
-    );
-
-    if (existingTransaction) {
-      return res.status(400).json({ error: 'This transaction has already been used' });
+    // A transaction reference can be used once across the platform; attempts to
+    // use another user's reference are flagged for admins
+    const refCheck = await checkTransactionRef({ userId, wallet, transactionTxt, source: 'recharge' });
+    if (refCheck) {
+      return res.status(refCheck.statusCode).json({ error: refCheck.error });
     }
 
     // Basic transaction validation (in production, integrate with mobile money API)
@@ -962,35 +1069,36 @@ app.post('/api/recharge', authenticateToken, async (req, res) => {
     console.log('✅ Transaction number length:', transactionTxt.length);
     console.log('✅ Transaction number type:', typeof transactionTxt);
 
-    // Get or create a dummy "deposit" package (package_id = 0 or first package as placeholder)
-    // Since schema requires package_id, we'll use the first package as a placeholder
-    // The deposit is NOT tied to a level - it just adds to balance
-    const firstPackage = await dbGet('SELECT id FROM packages ORDER BY id LIMIT 1');
-    if (!firstPackage) {
-      return res.status(500).json({ error: 'No packages available. Please contact admin.' });
-    }
-    const placeholderPackageId = firstPackage.id;
-
-    // Calculate dates (not used for deposits, but required by schema)
-    const startDate = new Date().toISOString().split('T')[0];
-    const maturityDateStr = '9999-12-31'; // Far future date for deposits
-
-    // Create investment with 'pending' status - this is just a deposit, not a level purchase
-    // When approved, it will only add to balance, not assign a level
-    const investResult = await dbRun(
-      `INSERT INTO investments (user_id, package_id, deposit_amount, start_date, maturity_date, status, wallet, transaction_txt)
-       VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`,
-      [userId, placeholderPackageId, amount, startDate, maturityDateStr, wallet, transactionTxt]
-    );
-
-    // Don't create transaction yet - only after admin approval
-    // Transaction will be created when admin approves the deposit
+    // Create a 'pending' deposit - it only adds to the balance once approved, it does not assign a level.
+    // No transaction yet: until an admin approves it the claimed amount sits in deposit suspense
+    const created = await createDeposit({ userId, amount, wallet, transactionTxt });
+    if (created.error) {
+      return res.status(created.statusCode).json({ error: created.error });
+    }
+    const { deposit } = created;
+
+    // When the wallet provider confirms the transaction the deposit is approved
+    // straight away; otherwise it waits for an admin
+    const verification = await verifyTransactionTxt(transactionTxt, wallet, amount);
+    if (verification.verified) {
+      const result = await processDeposit(deposit.id, 'approve', { adminId: null, notes: verification.message });
+      if (!result.error) {
+        console.log(`Deposit ${deposit.id} verified automatically: User ${userId}, Amount ${formatKwacha(amount)}, Transaction ${transactionTxt}`);
+        return res.json({
+          message: 'Deposit verified successfully. The money has been added to your balance.',
+          depositId: deposit.id,
+          amount: amount,
+          transactionTxt: transactionTxt,
+          status: 'approved'
+        });
+      }
+    }
 
-    console.log(`Deposit request submitted: User ${userId}, Amount K${amount}, Transaction ${transactionTxt} - Pending approval (NOT a level purchase)`);
+    console.log(`Deposit request submitted: User ${userId}, Amount ${formatKwacha(amount)}, Transaction ${transactionTxt} - Pending approval (NOT a level purchase, verification: ${verification.status})`);
 
     res.json({
       message: 'Deposit request submitted successfully. Your deposit is pending admin approval. Once approved, the money will be added to your balance.',
-      investmentId: investResult.lastID,
+      depositId: deposit.id,
       amount: amount,
       transactionTxt: transactionTxt,
       status: 'pending'
@@ -1001,91 +1109,158 @@ app.post('/api/recharge', authenticateToken, async (req, res) => {
   }
 });
 
-// Verify transaction TXT (basic validation - replace with actual mobile money API in production)
-async function verifyTransactionTxt(transactionTxt, wallet, amount) {
-  // Basic validation: transaction TXT should be alphanumeric and reasonable length
-  // In production, integrate with Airtel Money or MTN Mobile Money API to verify
-  if (!transactionTxt || transactionTxt.length < 6 || transactionTxt.length > 50) {
-    return false;
+// Email the user about an investment a payment event created
+async function sendPaymentEventEmails(result) {
+  if (!result || !(result.investment || result.topUp)) {
+    return;
+  }
+  const user = await getUserById(result.userId);
+  if (user && result.topUp) {
+    const { amount } = result.topUp;
+    await sendEmail(
+      user.email,
+      'Top-up Received',
+      `Your top-up of ${formatKwacha(amount)} has been added to your balance.`,
+      `<h1>Top-up Received</h1><p>Your top-up of ${formatKwacha(amount)} has been added to your balance.</p>`
+    );
+  } else if (user) {
+    const { amount, maturityDate } = result.investment;
+    await sendEmail(
+      user.email,
+      'Investment Confirmed',
+      `Your investment of ${formatKwacha(amount)} has been confirmed. Maturity date: ${maturityDate}`,
+      `<h1>Investment Confirmed</h1><p>Your investment of ${formatKwacha(amount)} has been confirmed.</p><p>Maturity date: ${maturityDate}</p>`
+    );
   }
-
-  // In development mode, skip format validation - only check length
-  // Format validation will be done by mobile money API in production
-
-  // TODO: In production, call mobile money API to verify:
-  // - Airtel Money API: Verify transaction exists and amount matches
-  // - MTN Mobile Money API: Verify transaction exists and amount matches
-  // For now, we accept any valid format (development mode)
-  
-  console.log(`[Development Mode] Transaction verification: ${transactionTxt} for ${wallet}, amount: K${amount}`);
-  
-  // In production, replace this with actual API call:
-  // const apiResponse = await callMobileMoneyAPI(wallet, transactionTxt, amount);
-  // return apiResponse.success && apiResponse.amount === amount;
-  
-  return true; // Accept for development
 }
 
 // Paystack webhook
+// Only events signed with PAYSTACK_SECRET_KEY are accepted. Each is stored in
+// payment_events by reference and processed once (utils/payment-events.js);
+// retries of a processed event are acknowledged without doing anything.
 app.post('/api/paystack/webhook', async (req, res) => {
   try {
-    const { event, data } = req.body;
+    if (!verifyWebhookSignature(req.rawBody, req.headers['x-paystack-signature'])) {
+      console.warn('⚠️ Rejected Paystack webhook with a missing or invalid signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
 
-    if (event === 'charge.success') {
-      const reference = data.reference;
-      
-      // Verify payment
-      const payment = await verifyPayment(reference);
-      if (payment.success && payment.metadata) {
-        const { userId, packageId, amount } = payment.metadata;
-
-        // Check if investment already exists
-        const existingInvestment = await dbGet(
-          'SELECT id FROM investments WHERE user_id = ? AND package_id = ? AND deposit_amount = ? ORDER BY created_at DESC LIMIT 1',
-          [userId, packageId, amount]
-        );
+    const recorded = await recordPaymentEvent(req.body);
+    if (recorded.error) {
+      return res.status(recorded.statusCode).json({ error: recorded.error });
+    }
+
+    const { paymentEvent, duplicate } = recorded;
+    console.log(`Paystack ${paymentEvent.event} ${paymentEvent.reference}${duplicate ? ` (retry, ${paymentEvent.status})` : ''}`);
+
+    // Failures are kept on the event for an admin to replay, so Paystack does
+    // not need to retry them
+    const processed = await processPaymentEvent(paymentEvent.id);
+    await sendPaymentEventEmails(processed.result);
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error('Webhook error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+// Start a Paystack balance top-up of any amount (utils/topups.js). The user
+// pays on the returned checkout page and comes back to /payment/callback; the
+// balance is credited when Paystack reports the charge.
+app.post('/api/topups', authenticateToken, idempotent, [
+  body('amount').isInt({ min: 100 }).withMessage('Amount must be at least K1.00 (100 ngwee)').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!isPaystackConfigured()) {
+      return res.status(503).json({ error: 'Card and mobile money payments are not available right now' });
+    }
+
+    const user = await getUserById(req.user.userId);
+    const started = await startTopUp(user, req.body.amount);
+    if (started.error) {
+      return res.status(started.statusCode).json({ error: started.error });
+    }
+    const { topUp } = started;
+    console.log(`Top-up ${topUp.reference} started: User ${user.id}, Amount ${formatKwacha(topUp.amount)}`);
+
+    res.json({
+      reference: topUp.reference,
+      amount: topUp.amount,
+      status: topUp.status,
+      authorizationUrl: topUp.authorization_url
+    });
+  } catch (error) {
+    console.error('Top-up error:', error);
+    res.status(500).json({ error: 'Failed to start the top-up' });
+  }
+});
+
+// The user's recent top-ups
+app.get('/api/topups', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listTopUps(req.user.userId));
+  } catch (error) {
+    console.error('Top-ups error:', error);
+    res.status(500).json({ error: 'Failed to load top-ups' });
+  }
+});
 
-        if (!existingInvestment) {
-          // Calculate dates
-          const startDate = new Date().toISOString().split('T')[0];
-          const maturityDate = new Date();
-          maturityDate.setDate(maturityDate.getDate() + 26);
-          const maturityDateStr = maturityDate.toISOString().split('T')[0];
-
-          // Create investment
-          const investResult = await dbRun(
-            `INSERT INTO investments (user_id, package_id, deposit_amount, start_date, maturity_date, status)
-             VALUES (?, ?, ?, ?, ?, 'active')`,
-            [userId, packageId, amount, startDate, maturityDateStr]
-          );
-
-          // Create deposit transaction
-          await dbRun(
-            'INSERT INTO transactions (user_id, type, amount, investment_id) VALUES (?, ?, ?, ?)',
-            [userId, 'deposit', amount, investResult.lastID]
-          );
-
-          // Get user email
-          const user = await getUserById(userId);
-          if (user) {
-            await sendEmail(
-              user.email,
-              'Investment Confirmed',
-              `Your investment of K${amount} has been confirmed. Maturity date: ${maturityDateStr}`,
-              `<h1>Investment Confirmed</h1><p>Your investment of K${amount} has been confirmed.</p><p>Maturity date: ${maturityDateStr}</p>`
-            );
+// Status of a top-up, for the callback page. A pending top-up is checked with
+// Paystack, so it is credited even when the webhook is late or never comes;
+// a successful charge goes through the same payment event as the webhook.
+app.get('/api/topups/:reference', authenticateToken, async (req, res) => {
+  try {
+    let topUp = await getTopUp(req.params.reference);
+    if (!topUp || topUp.user_id !== req.user.userId) {
+      return res.status(404).json({ error: 'Top-up not found' });
+    }
+
+    if (topUp.status === 'pending') {
+      const payment = await verifyPayment(topUp.reference);
+      if (payment.success) {
+        const recorded = await recordPaymentEvent({
+          event: 'charge.success',
+          data: {
+            reference: payment.reference,
+            amount: payment.amount,
+            status: payment.status,
+            metadata: payment.metadata
           }
+        });
+        if (!recorded.error) {
+          const processed = await processPaymentEvent(recorded.paymentEvent.id);
+          await sendPaymentEventEmails(processed.result);
         }
+      } else if (payment.status === 'failed' || payment.status === 'abandoned') {
+        await closeTopUp(topUp.reference, payment.status);
       }
+      topUp = await getTopUp(topUp.reference);
     }
 
-    res.status(200).json({ received: true });
+    res.json({
+      reference: topUp.reference,
+      amount: topUp.amount,
+      status: topUp.status,
+      createdAt: topUp.created_at,
+      completedAt: topUp.completed_at
+    });
   } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    console.error('Top-up status error:', error);
+    res.status(500).json({ error: 'Failed to check the top-up' });
   }
 });
 
+// Paystack sends the user back here after checkout (callback_url in
+// utils/payments.js); the dashboard shows the outcome of the payment
+app.get('/payment/callback', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
 // Get user profile
 app.get('/api/profile', authenticateToken, async (req, res) => {
   try {
@@ -1128,6 +1303,7 @@ app.get('/api/profile', authenticateToken, async (req, res) => {
       email: userEmail,
       withdrawal_wallet: user.withdrawal_wallet || '',
       withdrawal_phone: user.withdrawal_phone || '',
+      withdrawal_fee_percent: await getWithdrawalFeePercent(userId),
       profile_picture: user.profile_picture || '',
       has_withdrawal_password: !!userWithPassword?.withdrawal_password
     });
@@ -1141,7 +1317,7 @@ app.get('/api/profile', authenticateToken, async (req, res) => {
 // NOTE: Phone number cannot be changed - it's the primary identifier for login
 app.put('/api/profile', authenticateToken, [
   body('full_name').optional().trim(),
-  body('level').optional().isIn(['L1', 'L2', 'L3', 'L4', 'L5', 'L6', 'L7', 'L8', 'L9', 'L10'])
+  body('level').optional().custom(validateLevel)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1470,25 +1646,48 @@ app.get('/api/withdrawal-requests', authenticateToken, async (req, res) => {
        ORDER BY wr.requested_at DESC`,
       [userId]
     );
-    res.json(requests);
+    const timelines = await getWithdrawalTimelines(requests.map(r => r.id));
+    res.json(requests.map(r => ({ ...r, timeline: timelines[r.id] || [] })));
   } catch (error) {
     console.error('Get withdrawal requests error:', error);
     res.status(500).json({ error: 'Failed to fetch withdrawal requests' });
   }
 });
 
+// Cancel a pending withdrawal request (releases its hold)
+app.post('/api/withdrawal-requests/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const requestId = parseInt(req.params.id);
+    const userId = req.user.userId;
+
+    const cancelled = await transitionWithdrawal(requestId, 'cancel', { actorId: userId, userId });
+    if (cancelled.error) {
+      return res.status(cancelled.statusCode).json({ error: cancelled.error });
+    }
+
+    console.log(`Withdrawal request ${requestId} cancelled by user ${userId}`);
+    res.json({ message: 'Withdrawal request cancelled', status: 'cancelled' });
+  } catch (error) {
+    console.error('Cancel withdrawal request error:', error);
+    res.status(500).json({ error: 'Failed to cancel withdrawal request' });
+  }
+});
+
 // Get user dashboard data
 app.get('/api/dashboard', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
     console.log(`Fetching dashboard data for user ${userId}`);
 
-    // Run both queries in parallel for better performance
-    const [investments, transactions] = await Promise.all([
+    // Run the queries in parallel for better performance
+    const [investments, deposits, transactions] = await Promise.all([
       dbQuery(
-        `SELECT i.*, p.amount as package_amount, p.daily_rate
+        `SELECT i.*, p.amount as package_amount, COALESCE(v.daily_rate, p.daily_rate) as daily_rate,
+           v.version as terms_version, v.amount as terms_amount, v.daily_income as terms_daily_income,
+           v.lock_in_days as terms_lock_in_days, v.withdrawal_fee_percent as terms_withdrawal_fee_percent
          FROM investments i
          JOIN packages p ON i.package_id = p.id
+         LEFT JOIN package_versions v ON i.package_version_id = v.id
          WHERE i.user_id = ?
          ORDER BY i.created_at DESC`,
         [userId]
@@ -1496,8 +1695,12 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
         console.error('Error fetching investments:', err);
         return []; // Return empty array on error
       }),
-      // Get ALL transactions including deleted ones for balance calculation
-      // Deleted transactions (deleted=1) are included in balance but filtered out for display in frontend
+      listDeposits({ userId }).catch(err => {
+        console.error('Error fetching deposits:', err);
+        return [];
+      }),
+      // Recent transactions for display only - balances come from /api/balance
+      // Deleted transactions (deleted=1) are filtered out for display in frontend
       dbQuery(
         'SELECT * FROM transactions WHERE user_id = ? ORDER BY date DESC LIMIT 50',
         [userId]
@@ -1507,10 +1710,11 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
       })
     ]);
 
-    console.log(`Dashboard data: ${investments.length} investments, ${transactions.length} transactions`);
+    console.log(`Dashboard data: ${investments.length} investments, ${deposits.length} deposits, ${transactions.length} transactions`);
 
     res.json({ 
       investments: investments || [], 
+      deposits: deposits || [],
       transactions: transactions || [] 
     });
   } catch (error) {
@@ -1519,11 +1723,75 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
   }
 });
 
+// Get user balance breakdown (server-authoritative - the SPA must not compute balances itself)
+app.get('/api/balance', authenticateToken, async (req, res) => {
+  try {
+    const balance = await getBalance(req.user.userId);
+    res.json(balance);
+  } catch (error) {
+    console.error('Get balance error:', error);
+    res.status(500).json({ error: 'Failed to fetch balance' });
+  }
+});
+
+// Download an account statement (opening balance, transactions, fees, closing balance)
+// Defaults to the current month; from/to are inclusive YYYY-MM-DD dates
+app.get('/api/statements', authenticateToken, [
+  query('from').optional().isISO8601({ strict: true }).withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601({ strict: true }).withMessage('to must be a date (YYYY-MM-DD)'),
+  query('format').optional().isIn(['pdf', 'csv']).withMessage('format must be pdf or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    const today = businessDate();
+    const from = (req.query.from || `${today.slice(0, 8)}01`).slice(0, 10);
+    const to = (req.query.to || today).slice(0, 10);
+    const format = req.query.format || 'pdf';
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be on or before to' });
+    }
+
+    const statement = await buildStatement(req.user.userId, from, to);
+    const filename = `statement-${from}-to-${to}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.type('text/csv').send(statementToCsv(statement));
+    } else {
+      res.type('application/pdf').send(statementToPdf(statement));
+    }
+  } catch (error) {
+    console.error('Statement error:', error);
+    res.status(500).json({ error: 'Failed to generate statement' });
+  }
+});
+
+// The withdrawal fee rules for the user: the fee policy in effect, their level
+// and the fee percent of their package terms. The SPA computes the fee preview
+// from these with public/js/withdrawal-fees.js, as /api/withdraw does.
+app.get('/api/withdrawal-fees', authenticateToken, async (req, res) => {
+  try {
+    const user = await dbGet('SELECT id, level FROM users WHERE id = ?', [req.user.userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { policy, level, termsPercent } = await getUserFeeRules(user);
+    res.json({ policy, level, terms_fee_percent: termsPercent });
+  } catch (error) {
+    console.error('Get withdrawal fees error:', error);
+    res.status(500).json({ error: 'Failed to fetch withdrawal fees' });
+  }
+});
+
 // Request withdrawal (creates a request for admin approval)
-app.post('/api/withdraw', authenticateToken, [
+app.post('/api/withdraw', authenticateToken, idempotent, [
   body('investmentId').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Investment ID must be an integer'),
   body('withdrawal_password').notEmpty().withMessage('Withdrawal password is required'),
-  body('amount').isFloat({ min: 50 }).withMessage('Minimum withdrawal is Zmw50')
+  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive number of ngwee').toInt() // ngwee
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1544,7 +1812,7 @@ app.post('/api/withdraw', authenticateToken, [
 
     // Get user with withdrawal settings and registered phone
     const user = await dbGet(
-      'SELECT withdrawal_password, withdrawal_wallet, withdrawal_phone, phone, last_withdrawal_date FROM users WHERE id = ?',
+      'SELECT id, level, withdrawal_password, withdrawal_wallet, withdrawal_phone, phone, last_withdrawal_date FROM users WHERE id = ?',
       [userId]
     );
 
@@ -1570,18 +1838,13 @@ app.post('/api/withdraw', authenticateToken, [
     }
 
     // Check if user has withdrawn today
-    const today = new Date().toISOString().split('T')[0];
+    const today = businessDate();
     if (user.last_withdrawal_date === today) {
       return res.status(400).json({ error: 'You can only withdraw once per day. Please try again tomorrow.' });
     }
 
-    // Get withdrawal amount
-    let withdrawalAmount = parseFloat(amount);
-    
-    // Validate minimum withdrawal
-    if (withdrawalAmount < 50) {
-      return res.status(400).json({ error: 'Minimum withdrawal amount is Zmw50' });
-    }
+    // Get withdrawal amount (ngwee)
+    let withdrawalAmount = amount;
 
     // If investmentId provided, validate investment
     if (investmentId) {
@@ -1606,49 +1869,20 @@ app.post('/api/withdraw', authenticateToken, [
       
       // Check if withdrawal amount exceeds available
       if (withdrawalAmount > totalValue) {
-        return res.status(400).json({ error: `Withdrawal amount (K${withdrawalAmount}) exceeds available balance (K${totalValue.toFixed(2)})` });
-      }
-    } else {
-      // Standalone withdrawal - check total balance - include ALL transactions (including deleted ones)
-      const transactions = await dbQuery(
-        `SELECT type, amount, investment_id, deleted FROM transactions WHERE user_id = ?`,
-        [userId]
-      );
-      const investments = await dbQuery(
-        `SELECT id, deposit_amount, total_accruals FROM investments WHERE user_id = ? AND status = 'active'`,
-        [userId]
-      );
-      
-      // Calculate balance: deposits + accruals + bonuses - withdrawals - investments from balance
-      // IMPORTANT: Include ALL transactions (including deleted ones) for accurate balance calculation
-      // Deleted transactions are marked as deleted=1 but still count toward balance
-      const totalDeposits = transactions
-        .filter(t => t && t.type === 'deposit' && t.amount > 0)
-        .reduce((sum, t) => sum + t.amount, 0);
-      const totalWithdrawn = transactions
-        .filter(t => t && t.type === 'withdrawal')
-        .reduce((sum, t) => sum + t.amount, 0);
-      
-      // Include ALL accrual and bonus transactions (regardless of investment_id or deleted status)
-      // This ensures all daily income, bonuses, and any other income is included in balance
-      const allAccrualsAndBonuses = transactions
-        .filter(t => t && (t.type === 'accrual' || t.type === 'bonus'))
-        .reduce((sum, t) => sum + t.amount, 0);
-      
-      const investmentsFromBalance = transactions
-        .filter(t => t && t.type === 'investment')
-        .reduce((sum, t) => sum + Math.abs(t.amount), 0);
-      
-      const availableBalance = totalDeposits + allAccrualsAndBonuses - totalWithdrawn - investmentsFromBalance;
-      
-      if (withdrawalAmount > availableBalance) {
-        return res.status(400).json({ error: `Withdrawal amount (K${withdrawalAmount}) exceeds available balance (K${availableBalance.toFixed(2)})` });
+        return res.status(400).json({ error: `Withdrawal amount (${formatKwacha(withdrawalAmount)}) exceeds available balance (${formatKwacha(totalValue)})` });
       }
     }
 
-    // Calculate 12% withdrawal charge
-    const withdrawalCharge = withdrawalAmount * 0.12;
-    const netAmount = withdrawalAmount - withdrawalCharge;
+    // The fee and the minimum withdrawal come from the fee policy in effect
+    // (utils/withdrawal-fees.js); tiers without a percent use the terms the
+    // investment was bought under (the investment given, or else the user's
+    // active one)
+    const fee = await quoteWithdrawalFee(user, withdrawalAmount, investmentId);
+    if (fee.error) {
+      return res.status(fee.statusCode).json({ error: fee.error });
+    }
+    const withdrawalCharge = fee.charge;
+    const netAmount = fee.net;
 
     // Create withdrawal request (pending admin approval)
     // Use registered phone number first, fallback to withdrawal_phone
@@ -1669,31 +1903,60 @@ app.post('/api/withdraw', authenticateToken, [
       wallet: user.withdrawal_wallet,
       phone: phoneForWithdrawal
     });
-    
-    const requestResult = await dbRun(
-      `INSERT INTO withdrawal_requests 
-       (user_id, investment_id, amount, gross_amount, charge, net_amount, wallet, phone, status) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
-      [
+
+    // The withdrawal is always debited from the account balance, so check the
+    // available balance for both standalone and investment-linked requests.
+    // The check, the request and its hold are written in one transaction so
+    // concurrent requests cannot reserve the same funds twice.
+    const created = await dbWithTransaction(async (tx) => {
+      const { available } = await getBalance(userId, tx);
+      if (withdrawalAmount > available) {
+        return { availableBalance: available };
+      }
+
+      const result = await tx.run(
+        `INSERT INTO withdrawal_requests 
+         (user_id, investment_id, amount, gross_amount, charge, net_amount, wallet, phone, fee_policy_id, status) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+        [
+          userId,
+          investmentId || null, // Allow NULL for standalone withdrawals
+          withdrawalAmount,
+          withdrawalAmount,
+          withdrawalCharge,
+          netAmount,
+          user.withdrawal_wallet,
+          phoneForWithdrawal.trim(),
+          fee.policyId
+        ]
+      );
+
+      // Reserve the gross amount until the request is approved, denied or cancelled
+      await ledger.postWithdrawalHold({
         userId,
-        investmentId || null, // Allow NULL for standalone withdrawals
-        withdrawalAmount,
-        withdrawalAmount,
-        withdrawalCharge,
-        netAmount,
-        user.withdrawal_wallet,
-        phoneForWithdrawal.trim()
-      ]
-    );
-    
-    console.log('Withdrawal request created successfully:', requestResult.lastID);
+        amount: withdrawalAmount,
+        description: `Hold for withdrawal request ${result.lastID}`
+      }, tx);
+      await recordWithdrawalTransition(tx, { requestId: result.lastID, to: 'pending', actorId: userId });
 
-    // Send response first to ensure user gets confirmation
-    res.json({ 
+      return { requestId: result.lastID };
+    });
+
+    if (!created.requestId) {
+      return res.status(400).json({ error: `Withdrawal amount (${formatKwacha(withdrawalAmount)}) exceeds available balance (${formatKwacha(created.availableBalance)})` });
+    }
+    
+    console.log('Withdrawal request created successfully:', created.requestId);
+
+    // Send response first to ensure user gets confirmation
+    res.json({ 
       message: 'Withdrawal request submitted successfully. Pending admin approval.', 
-      request_id: requestResult.lastID,
+      request_id: created.requestId,
       gross_amount: withdrawalAmount,
       charge: withdrawalCharge,
+      fee_percent: fee.percent,
+      fee_description: fee.description,
+      fee_policy_id: fee.policyId,
       net_amount: netAmount,
       wallet: user.withdrawal_wallet,
       status: 'pending'
@@ -1709,11 +1972,11 @@ app.post('/api/withdraw', authenticateToken, [
         sendEmail(
           userInfo.email,
           'Withdrawal Request Submitted',
-          `Your withdrawal request of K${withdrawalAmount} has been submitted and is pending admin approval. Withdrawal charge: K${withdrawalCharge.toFixed(2)}. Net amount: K${netAmount.toFixed(2)}. Funds will be sent to ${phoneDisplay} via ${user.withdrawal_wallet.toUpperCase()} once approved.`,
+          `Your withdrawal request of ${formatKwacha(withdrawalAmount)} has been submitted and is pending admin approval. Withdrawal charge: ${formatKwacha(withdrawalCharge)}. Net amount: ${formatKwacha(netAmount)}. Funds will be sent to ${phoneDisplay} via ${user.withdrawal_wallet.toUpperCase()} once approved.`,
           `<h1>Withdrawal Request Submitted</h1>
-           <p>Your withdrawal request of K${withdrawalAmount} has been submitted and is pending admin approval.</p>
-           <p><strong>Withdrawal Charge (12%):</strong> K${withdrawalCharge.toFixed(2)}</p>
-           <p><strong>Net Amount:</strong> K${netAmount.toFixed(2)}</p>
+           <p>Your withdrawal request of ${formatKwacha(withdrawalAmount)} has been submitted and is pending admin approval.</p>
+           <p><strong>Withdrawal Charge (${fee.description}):</strong> ${formatKwacha(withdrawalCharge)}</p>
+           <p><strong>Net Amount:</strong> ${formatKwacha(netAmount)}</p>
            <p><strong>Payment Method:</strong> ${user.withdrawal_wallet.toUpperCase()}</p>
            <p><strong>Phone Number:</strong> ${phoneDisplay}</p>
            <p>You will be notified once your withdrawal request is processed.</p>`
@@ -1829,10 +2092,12 @@ app.post('/api/admin/users/:userId/reset-password', authenticateToken, requireAd
 app.get('/api/admin/investments', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const investments = await dbQuery(
-      `SELECT i.*, u.email, u.phone, u.full_name, p.amount as package_amount, p.daily_rate
+      `SELECT i.*, u.email, u.phone, u.full_name, p.amount as package_amount, COALESCE(v.daily_rate, p.daily_rate) as daily_rate,
+         v.version as terms_version
        FROM investments i
        JOIN users u ON i.user_id = u.id
        JOIN packages p ON i.package_id = p.id
+       LEFT JOIN package_versions v ON i.package_version_id = v.id
        ORDER BY i.created_at DESC`
     );
     res.json(investments);
@@ -1842,32 +2107,10 @@ app.get('/api/admin/investments', authenticateToken, requireAdmin, async (req, r
   }
 });
 
-// Get all deposits (investments with transaction TXT)
+// Get all deposits
 app.get('/api/admin/deposits', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const deposits = await dbQuery(
-      `SELECT 
-        i.id as investment_id,
-        i.deposit_amount as amount,
-        i.transaction_txt,
-        i.wallet,
-        i.created_at as deposit_date,
-        i.status,
-        u.id as user_id,
-        u.phone,
-        u.email,
-        u.full_name,
-        p.level,
-        p.amount as package_amount
-       FROM investments i
-       JOIN users u ON i.user_id = u.id
-       JOIN packages p ON i.package_id = p.id
-       WHERE i.transaction_txt IS NOT NULL AND i.transaction_txt != ''
-         AND i.status != 'deleted'
-       ORDER BY 
-         CASE WHEN i.status = 'pending' THEN 0 ELSE 1 END,
-         i.created_at DESC`
-    );
+    const deposits = await listDeposits();
     res.json(deposits);
   } catch (error) {
     console.error('Get deposits error:', error);
@@ -1890,59 +2133,210 @@ app.put('/api/admin/deposits/:id', authenticateToken, requireAdmin, [
     const { action, admin_notes } = req.body;
     const adminId = req.user.userId;
 
-    // Get deposit (investment)
-    const deposit = await dbGet(
-      `SELECT i.*, u.email, u.phone, u.full_name
-       FROM investments i
-       JOIN users u ON i.user_id = u.id
-       WHERE i.id = ?`,
-      [depositId]
-    );
+    // Approving credits the balance (it does NOT purchase a level); denying
+    // releases the claimed amount from deposit suspense
+    const result = await processDeposit(depositId, action, { adminId, notes: admin_notes });
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
 
-    if (!deposit) {
-      return res.status(404).json({ error: 'Deposit not found' });
+    const { deposit } = result;
+    console.log(`Deposit ${depositId} ${deposit.status} by admin ${adminId}. Amount: ${formatKwacha(deposit.amount)}, User: ${deposit.user_id}`);
+
+    res.json({ 
+      message: `Deposit ${action === 'approve' ? 'approved' : 'denied'} successfully`,
+      status: deposit.status
+    });
+  } catch (error) {
+    console.error('Process deposit error:', error);
+    res.status(500).json({ error: 'Failed to process deposit' });
+  }
+});
+
+// Import an Airtel Money / MTN MoMo statement and match it against the deposits (admin only)
+app.post('/api/admin/statement-imports', authenticateToken, requireAdmin, uploadStatement.single('statement'), [
+  body('wallet').isIn(STATEMENT_WALLETS).withMessage('Wallet must be airtel or mtn')
+], async (req, res) => {
+  try {
+    if (req.fileValidationError) {
+      return res.status(400).json({ error: req.fileValidationError });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded. Please select a statement file.' });
     }
 
-    if (deposit.status !== 'pending') {
-      return res.status(400).json({ error: `Deposit is already ${deposit.status}` });
+    const result = await importStatement({
+      wallet: req.body.wallet,
+      filename: req.file.originalname,
+      buffer: req.file.buffer,
+      uploadedBy: req.user.userId
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
     }
 
-    const processedAt = new Date().toISOString();
+    console.log(`Statement import ${result.import.id} (${req.body.wallet}, ${req.file.originalname}) by admin ${req.user.userId}: ${JSON.stringify(result.counts)}`);
+    res.json(result);
+  } catch (error) {
+    console.error('Statement import error:', error);
+    res.status(500).json({ error: 'Failed to import statement' });
+  }
+});
 
-    // If approved, create deposit transaction and credit user account
-    // IMPORTANT: This is just a deposit - it adds to balance, does NOT purchase a level
-    if (action === 'approve') {
-      // Create deposit transaction to add money to balance
-      await dbRun(
-        'INSERT INTO transactions (user_id, type, amount, investment_id, date) VALUES (?, ?, ?, ?, datetime("now"))',
-        [deposit.user_id, 'deposit', deposit.deposit_amount, depositId]
-      );
+// Recent statement imports (admin only)
+app.get('/api/admin/statement-imports', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const imports = await listStatementImports();
+    res.json(imports);
+  } catch (error) {
+    console.error('Get statement imports error:', error);
+    res.status(500).json({ error: 'Failed to fetch statement imports' });
+  }
+});
 
-      // Mark investment as 'deposit_completed' to distinguish from active investments (level purchases)
-      await dbRun(
-        `UPDATE investments SET status = 'deposit_completed' WHERE id = ?`,
-        [depositId]
-      );
+// A statement import with its matched lines (admin only)
+app.get('/api/admin/statement-imports/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await getStatementImport(parseInt(req.params.id));
+    if (!result) {
+      return res.status(404).json({ error: 'Statement import not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Get statement import error:', error);
+    res.status(500).json({ error: 'Failed to fetch statement import' });
+  }
+});
 
-      console.log(`Deposit ${depositId} approved by admin ${adminId}. Amount: K${deposit.deposit_amount}, User: ${deposit.phone} - Money added to balance (NOT a level purchase)`);
-    } else {
-      // If denied, mark as denied
-      await dbRun(
-        `UPDATE investments SET status = 'denied' WHERE id = ?`,
-        [depositId]
-      );
-      console.log(`Deposit ${depositId} denied by admin ${adminId}. Amount: K${deposit.deposit_amount}, User: ${deposit.phone}`);
+// Approve the deposits of a statement import's exact matches (admin only)
+app.post('/api/admin/statement-imports/:id/approve', authenticateToken, requireAdmin, [
+  body('lineIds').optional().isArray().withMessage('lineIds must be an array'),
+  body('lineIds.*').optional().isInt().withMessage('Each line ID must be an integer').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
     }
 
-    const newStatus = action === 'approve' ? 'deposit_completed' : 'denied';
+    const importId = parseInt(req.params.id);
+    const adminId = req.user.userId;
+    const result = await approveStatementMatches(importId, { adminId, lineIds: req.body.lineIds || null });
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
 
-    res.json({ 
-      message: `Deposit ${action === 'approve' ? 'approved' : 'denied'} successfully`,
-      status: newStatus
+    console.log(`Statement import ${importId}: ${result.approved} deposit(s) approved by admin ${adminId}, ${result.failed.length} failed`);
+    res.json({
+      message: `Approved ${result.approved} deposit(s)${result.failed.length ? `, ${result.failed.length} could not be approved` : ''}`,
+      approved: result.approved,
+      failed: result.failed
     });
   } catch (error) {
-    console.error('Process deposit error:', error);
-    res.status(500).json({ error: 'Failed to process deposit' });
+    console.error('Approve statement matches error:', error);
+    res.status(500).json({ error: 'Failed to approve statement matches' });
+  }
+});
+
+// Attempts to use another user's mobile money transaction reference (admin only)
+app.get('/api/admin/reference-flags', authenticateToken, requireAdmin, [
+  query('status').optional().isIn(REFERENCE_FLAG_STATUSES).withMessage(`Status must be one of ${REFERENCE_FLAG_STATUSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    res.json(await listReferenceFlags({ status: req.query.status || 'open' }));
+  } catch (error) {
+    console.error('Get reference flags error:', error);
+    res.status(500).json({ error: 'Failed to fetch reference flags' });
+  }
+});
+
+// Mark a reference flag as reviewed (admin only)
+app.put('/api/admin/reference-flags/:id', authenticateToken, requireAdmin, [
+  body('notes').optional({ nullable: true }).isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    const flagId = parseInt(req.params.id);
+    const adminId = req.user.userId;
+    const result = await reviewReferenceFlag(flagId, { adminId, notes: req.body.notes });
+    if (result) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    console.log(`Reference flag ${flagId} reviewed by admin ${adminId}`);
+    res.json({ message: 'Flag marked as reviewed' });
+  } catch (error) {
+    console.error('Review reference flag error:', error);
+    res.status(500).json({ error: 'Failed to review reference flag' });
+  }
+});
+
+// Paystack webhook events, newest first (admin only)
+app.get('/api/admin/payment-events', authenticateToken, requireAdmin, [
+  query('status').optional().isIn(PAYMENT_EVENT_STATUSES).withMessage(`Status must be one of ${PAYMENT_EVENT_STATUSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    res.json(await listPaymentEvents({ status: req.query.status || null }));
+  } catch (error) {
+    console.error('Get payment events error:', error);
+    res.status(500).json({ error: 'Failed to fetch payment events' });
+  }
+});
+
+// A Paystack webhook event with its payload (admin only)
+app.get('/api/admin/payment-events/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const paymentEvent = await getPaymentEvent(parseInt(req.params.id));
+    if (!paymentEvent) {
+      return res.status(404).json({ error: 'Payment event not found' });
+    }
+    res.json(paymentEvent);
+  } catch (error) {
+    console.error('Get payment event error:', error);
+    res.status(500).json({ error: 'Failed to fetch payment event' });
+  }
+});
+
+// Process a failed or ignored Paystack event again (admin only)
+app.post('/api/admin/payment-events/:id/replay', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+    const adminId = req.user.userId;
+    const processed = await processPaymentEvent(eventId, { replayedBy: adminId });
+    if (processed.error) {
+      return res.status(processed.statusCode).json({ error: processed.error });
+    }
+    await sendPaymentEventEmails(processed.result);
+
+    const { paymentEvent } = processed;
+    console.log(`Payment event ${eventId} replayed by admin ${adminId}: ${paymentEvent.status}`);
+    res.json({
+      message: paymentEvent.status === 'failed'
+        ? `Replay failed: ${paymentEvent.error}`
+        : `Payment event ${paymentEvent.status}`,
+      paymentEvent
+    });
+  } catch (error) {
+    console.error('Replay payment event error:', error);
+    res.status(500).json({ error: 'Failed to replay payment event' });
   }
 });
 
@@ -1962,17 +2356,49 @@ app.get('/api/admin/withdrawal-requests', authenticateToken, requireAdmin, async
        LEFT JOIN investments i ON wr.investment_id = i.id
        ORDER BY wr.requested_at DESC`
     );
-    res.json(requests);
+    const timelines = await getWithdrawalTimelines(requests.map(r => r.id));
+    res.json(requests.map(r => ({ ...r, timeline: timelines[r.id] || [] })));
   } catch (error) {
     console.error('Get withdrawal requests error:', error);
     res.status(500).json({ error: 'Failed to fetch withdrawal requests' });
   }
 });
 
-// Process withdrawal request (approve/deny) - admin only
+// Move a withdrawal request through its lifecycle (utils/withdrawals.js) - admin only
+// approve/deny a pending request, then process (payout sent), pay or fail it;
+// a paid request can be reversed. fail and reverse need a reason in admin_notes
+// and return the gross amount to the user's balance.
+const WITHDRAWAL_EMAILS = {
+  approved: (r) => `Your withdrawal request of ${formatKwacha(r.gross_amount)} has been approved. Net amount ${formatKwacha(r.net_amount)} will be sent to ${r.phone} via ${r.wallet.toUpperCase()}.`,
+  denied: (r, notes) => `Your withdrawal request of ${formatKwacha(r.gross_amount)} has been denied. ${notes ? 'Reason: ' + notes : ''}`,
+  paid: (r) => `Net amount ${formatKwacha(r.net_amount)} of your withdrawal request has been sent to ${r.phone} via ${r.wallet.toUpperCase()}.`,
+  failed: (r, notes) => `The payout of your withdrawal request of ${formatKwacha(r.gross_amount)} failed. The full amount has been returned to your balance. Reason: ${notes}`,
+  reversed: (r, notes) => `The payout of your withdrawal request of ${formatKwacha(r.gross_amount)} was reversed. The full amount has been returned to your balance. Reason: ${notes}`
+};
+
+// Tell the user their withdrawal request moved (non-blocking)
+function sendWithdrawalStatusEmail(request, notes) {
+  const emailText = WITHDRAWAL_EMAILS[request.status];
+  if (!request.email || !emailText) {
+    return;
+  }
+  const statusMessage = emailText(request, notes);
+  const title = `Withdrawal ${request.status.charAt(0).toUpperCase()}${request.status.slice(1)}`;
+  sendEmail(
+    request.email,
+    title,
+    statusMessage,
+    `<h1>${title}</h1>
+     <p>${statusMessage}</p>
+     ${notes ? `<p><strong>Admin Notes:</strong> ${notes}</p>` : ''}`
+  ).catch(emailError => {
+    console.error('Failed to send withdrawal status email (non-critical):', emailError);
+  });
+}
+
 app.put('/api/admin/withdrawal-requests/:id', authenticateToken, requireAdmin, [
-  body('action').isIn(['approve', 'deny']).withMessage('Action must be approve or deny'),
-  body('admin_notes').optional().isString()
+  body('action').isIn(ADMIN_WITHDRAWAL_ACTIONS).withMessage(`Action must be one of ${ADMIN_WITHDRAWAL_ACTIONS.join(', ')}`),
+  body('admin_notes').optional().isString().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1984,75 +2410,19 @@ app.put('/api/admin/withdrawal-requests/:id', authenticateToken, requireAdmin, [
     const { action, admin_notes } = req.body;
     const adminId = req.user.userId;
 
-    // Get withdrawal request
-    const request = await dbGet(
-      `SELECT wr.*, u.email, u.phone 
-       FROM withdrawal_requests wr
-       JOIN users u ON wr.user_id = u.id
-       WHERE wr.id = ?`,
-      [requestId]
-    );
-
-    if (!request) {
-      return res.status(404).json({ error: 'Withdrawal request not found' });
-    }
-
-    if (request.status !== 'pending') {
-      return res.status(400).json({ error: `Withdrawal request is already ${request.status}` });
-    }
-
-    const newStatus = action === 'approve' ? 'paid' : 'denied';
-    const processedAt = new Date().toISOString();
-
-    // Update withdrawal request
-    await dbRun(
-      `UPDATE withdrawal_requests 
-       SET status = ?, processed_at = ?, processed_by = ?, admin_notes = ?
-       WHERE id = ?`,
-      [newStatus, processedAt, adminId, admin_notes || null, requestId]
-    );
-
-    // If approved, update user's last withdrawal date and create withdrawal transaction
-    if (action === 'approve') {
-      // Update last withdrawal date
-      await dbRun(
-        'UPDATE users SET last_withdrawal_date = date("now") WHERE id = ?',
-        [request.user_id]
-      );
-
-      // Create withdrawal transaction (allow NULL investment_id for standalone withdrawals)
-      // IMPORTANT: Deduct the FULL gross_amount (not net_amount) so the 12% charge is removed from balance
-      // Example: User withdraws 50, charge is 6 (12%), net is 44
-      // We deduct 50 from balance (not 44), so the 6 charge doesn't remain in account
-      await dbRun(
-        'INSERT INTO transactions (user_id, type, amount, investment_id, date) VALUES (?, ?, ?, ?, datetime("now"))',
-        [request.user_id, 'withdrawal', request.gross_amount, request.investment_id || null]
-      );
+    const result = await transitionWithdrawal(requestId, action, { actorId: adminId, notes: admin_notes || null });
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
     }
+    const { request } = result;
 
-    // Send email notification to user (non-blocking)
-    if (request.email) {
-      const statusMessage = action === 'approve' 
-        ? `Your withdrawal request of K${request.gross_amount} has been approved. Net amount K${request.net_amount} will be sent to ${request.phone} via ${request.wallet.toUpperCase()}.`
-        : `Your withdrawal request of K${request.gross_amount} has been denied. ${admin_notes ? 'Reason: ' + admin_notes : ''}`;
-
-      sendEmail(
-        request.email,
-        `Withdrawal Request ${action === 'approve' ? 'Approved' : 'Denied'}`,
-        statusMessage,
-        `<h1>Withdrawal Request ${action === 'approve' ? 'Approved' : 'Denied'}</h1>
-         <p>${statusMessage}</p>
-         ${admin_notes ? `<p><strong>Admin Notes:</strong> ${admin_notes}</p>` : ''}`
-      ).catch(emailError => {
-        console.error('Failed to send withdrawal status email (non-critical):', emailError);
-      });
-    }
+    sendWithdrawalStatusEmail(request, admin_notes);
 
-    console.log(`Withdrawal request ${requestId} ${action === 'approve' ? 'approved' : 'denied'} by admin ${adminId}`);
+    console.log(`Withdrawal request ${requestId} ${result.from} -> ${request.status} by admin ${adminId}`);
 
     res.json({ 
-      message: `Withdrawal request ${action === 'approve' ? 'approved' : 'denied'} successfully`,
-      status: newStatus
+      message: `Withdrawal request ${request.status}`,
+      status: request.status
     });
   } catch (error) {
     console.error('Process withdrawal request error:', error);
@@ -2076,12 +2446,48 @@ app.delete('/api/admin/withdrawal-requests', authenticateToken, requireAdmin, [
       return res.status(400).json({ error: 'No IDs provided' });
     }
 
-    // Delete withdrawal requests
+    // Delete withdrawal requests, releasing the hold of any that were still pending.
+    // Requests being paid out have their net amount in payout clearing and
+    // must be marked paid or failed first.
     const placeholders = ids.map(() => '?').join(',');
-    await dbRun(
-      `DELETE FROM withdrawal_requests WHERE id IN (${placeholders})`,
+    const inPayout = await dbQuery(
+      `SELECT id FROM withdrawal_requests WHERE id IN (${placeholders}) AND status IN (${PAYOUT_STATUSES.map(() => '?').join(',')})`,
+      [...ids, ...PAYOUT_STATUSES]
+    );
+    if (inPayout.length > 0) {
+      return res.status(400).json({ error: `Withdrawal request(s) ${inPayout.map(r => r.id).join(', ')} are being paid out; mark them paid or failed first` });
+    }
+    // Requests paid through a payout batch are kept for the batch's audit trail
+    const batched = await dbQuery(
+      `SELECT withdrawal_request_id as id FROM payout_batch_items WHERE withdrawal_request_id IN (${placeholders})`,
       ids
     );
+    if (batched.length > 0) {
+      return res.status(400).json({ error: `Withdrawal request(s) ${batched.map(r => r.id).join(', ')} are in a payout batch and cannot be deleted` });
+    }
+    await dbWithTransaction(async (tx) => {
+      const pending = await tx.all(
+        `SELECT id, user_id, gross_amount FROM withdrawal_requests WHERE id IN (${placeholders}) AND status = 'pending'`,
+        ids
+      );
+      for (const request of pending) {
+        await ledger.postWithdrawalHoldReleased({
+          userId: request.user_id,
+          amount: request.gross_amount,
+          description: `Withdrawal request ${request.id} deleted`,
+          createdBy: req.user.userId
+        }, tx);
+      }
+
+      await tx.run(
+        `DELETE FROM withdrawal_transitions WHERE withdrawal_request_id IN (${placeholders})`,
+        ids
+      );
+      await tx.run(
+        `DELETE FROM withdrawal_requests WHERE id IN (${placeholders})`,
+        ids
+      );
+    });
 
     console.log(`Deleted ${ids.length} withdrawal request(s) by admin ${req.user.userId}`);
     res.json({ message: `Successfully deleted ${ids.length} withdrawal request(s)` });
@@ -2091,6 +2497,120 @@ app.delete('/api/admin/withdrawal-requests', authenticateToken, requireAdmin, [
   }
 });
 
+// Put approved withdrawal requests of one wallet into a payout batch (admin only)
+// The requests move to processing; download the batch's bulk payment file next.
+// Without requestIds, every approved request for the wallet is included.
+app.post('/api/admin/payout-batches', authenticateToken, requireAdmin, [
+  body('wallet').isIn(PAYOUT_WALLETS).withMessage('Wallet must be airtel or mtn'),
+  body('requestIds').optional().isArray({ min: 1 }).withMessage('requestIds must be a non-empty array'),
+  body('requestIds.*').optional().isInt().withMessage('Each request ID must be an integer').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    const result = await createPayoutBatch({
+      wallet: req.body.wallet,
+      requestIds: req.body.requestIds || null,
+      createdBy: req.user.userId
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    console.log(`Payout batch ${result.batch.id} (${result.batch.wallet}, ${result.batch.request_count} request(s), ${formatKwacha(result.batch.total_amount)}) created by admin ${req.user.userId}`);
+    res.json(result);
+  } catch (error) {
+    console.error('Create payout batch error:', error);
+    res.status(500).json({ error: 'Failed to create payout batch' });
+  }
+});
+
+// Recent payout batches (admin only)
+app.get('/api/admin/payout-batches', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const batches = await listPayoutBatches();
+    res.json(batches);
+  } catch (error) {
+    console.error('Get payout batches error:', error);
+    res.status(500).json({ error: 'Failed to fetch payout batches' });
+  }
+});
+
+// A payout batch with its requests and result files (admin only)
+app.get('/api/admin/payout-batches/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await getPayoutBatch(parseInt(req.params.id));
+    if (!result) {
+      return res.status(404).json({ error: 'Payout batch not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Get payout batch error:', error);
+    res.status(500).json({ error: 'Failed to fetch payout batch' });
+  }
+});
+
+// Download a payout batch as the provider's bulk payment CSV (admin only)
+app.get('/api/admin/payout-batches/:id/file', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const file = await payoutBatchCsv(parseInt(req.params.id));
+    if (!file) {
+      return res.status(404).json({ error: 'Payout batch not found' });
+    }
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.type('text/csv').send(file.csv);
+  } catch (error) {
+    console.error('Download payout batch error:', error);
+    res.status(500).json({ error: 'Failed to generate payout file' });
+  }
+});
+
+// Upload the provider's result file for a payout batch (admin only)
+// Each request in the file is marked paid or failed; failed requests return
+// the gross amount to the user's balance.
+app.post('/api/admin/payout-batches/:id/results', authenticateToken, requireAdmin, uploadStatement.single('results'), async (req, res) => {
+  try {
+    if (req.fileValidationError) {
+      return res.status(400).json({ error: req.fileValidationError });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded. Please select the result file.' });
+    }
+
+    const batchId = parseInt(req.params.id);
+    const adminId = req.user.userId;
+    const result = await importPayoutResults(batchId, {
+      filename: req.file.originalname,
+      buffer: req.file.buffer,
+      uploadedBy: adminId
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    for (const request of [...result.paid, ...result.failed]) {
+      sendWithdrawalStatusEmail(request, request.notes);
+    }
+
+    console.log(`Payout batch ${batchId} results (${req.file.originalname}) by admin ${adminId}: ${result.paid.length} paid, ${result.failed.length} failed, ${result.pending.length} pending, ${result.unmatched.length} unmatched, ${result.skipped.length} skipped`);
+    res.json({
+      message: `${result.paid.length} request(s) paid, ${result.failed.length} failed`,
+      resultImport: result.resultImport,
+      paid: result.paid.map(request => request.id),
+      failed: result.failed.map(request => request.id),
+      pending: result.pending,
+      unmatched: result.unmatched,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('Import payout results error:', error);
+    res.status(500).json({ error: 'Failed to import payout results' });
+  }
+});
+
 // Delete deposits (admin only) - bulk delete
 app.delete('/api/admin/deposits', authenticateToken, requireAdmin, [
   body('ids').isArray().withMessage('IDs must be an array'),
@@ -2107,47 +2627,10 @@ app.delete('/api/admin/deposits', authenticateToken, requireAdmin, [
       return res.status(400).json({ error: 'No IDs provided' });
     }
 
-    // Mark ONLY deposit-type investments as deleted instead of actually deleting them
-    // IMPORTANT:
-    // - We ONLY touch investments whose status is 'pending', 'deposit_completed' or 'denied'
-    //   (these are pure deposits, NOT level purchases)
-    // - We NEVER touch 'active' investments (actual levels like L1, L2, L3...), so
-    //   user's Total Invested and current level are NOT affected
-    // - Transactions remain in place for balance calculation; they are only flagged as deleted for display
-    const placeholders = ids.map(() => '?').join(',');
-    
-    // Mark deposit investment records as deleted (special status 'deleted')
-    // Only for deposits (status in 'pending', 'deposit_completed', 'denied')
-    await dbRun(
-      `UPDATE investments 
-         SET status = 'deleted' 
-       WHERE id IN (${placeholders}) 
-         AND transaction_txt IS NOT NULL 
-         AND transaction_txt != '' 
-         AND status IN ('pending', 'deposit_completed', 'denied')`,
-      ids
-    );
-    
-    // Mark associated DEPOSIT transactions as deleted (not actually deleted, just flagged)
-    // This hides them from admin/user transaction lists but keeps them in balance calculations
-    try {
-      // Try to add the column if it doesn't exist (will fail silently if it exists)
-      await dbRun(`ALTER TABLE transactions ADD COLUMN deleted INTEGER DEFAULT 0`).catch(() => {
-        // Column already exists, which is fine
-      });
-      
-      // Now update transactions to mark as deleted
-      await dbRun(
-        `UPDATE transactions SET deleted = 1 WHERE investment_id IN (${placeholders})`,
-        ids
-      );
-      console.log(`Marked transactions as deleted for investment IDs: ${ids.join(', ')}`);
-    } catch (updateErr) {
-      console.error('Error marking transactions as deleted:', updateErr.message);
-      // Don't fail the deposit deletion if transaction update fails
-      // The deposit will still be hidden from admin panel
-      console.warn('Transactions were not marked as deleted, but deposit records were updated.');
-    }
+    // Mark the deposits as deleted instead of actually deleting them. Their
+    // transactions remain in place for balance calculation; they are only
+    // flagged as deleted for display, so user balances are NOT affected
+    await deleteDeposits(ids);
 
     console.log(`Marked ${ids.length} deposit(s) as deleted by admin ${req.user.userId} (balance preserved)`);
     res.json({ message: `Successfully deleted ${ids.length} deposit record(s). User balances remain intact.` });
@@ -2157,11 +2640,30 @@ app.delete('/api/admin/deposits', authenticateToken, requireAdmin, [
   }
 });
 
-// Delete transaction records (mark as deleted, preserve balance)
-// This allows admins to clean up transaction history without affecting user balances
-app.delete('/api/admin/transactions', authenticateToken, requireAdmin, [
-  body('ids').isArray().withMessage('IDs must be an array'),
-  body('ids.*').isInt().withMessage('Each ID must be an integer')
+// Get a user's transactions with their reversal links (admin only)
+app.get('/api/admin/users/:userId/transactions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const transactions = await dbQuery(
+      `SELECT t.*, r.id as reversed_by_transaction_id
+       FROM transactions t
+       LEFT JOIN transactions r ON r.reversal_of = t.id
+       WHERE t.user_id = ?
+       ORDER BY t.date DESC, t.id DESC`,
+      [userId]
+    );
+    res.json(transactions);
+  } catch (error) {
+    console.error('Get user transactions error:', error);
+    res.status(500).json({ error: 'Failed to fetch transactions' });
+  }
+});
+
+// Reverse a transaction (admin only)
+// Posts an equal and opposite entry linked to the original instead of hiding
+// or deleting it, so history stays intact and the user's balance changes.
+app.post('/api/admin/transactions/:id/reverse', authenticateToken, requireAdmin, [
+  body('reason').trim().notEmpty().withMessage('A reason is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -2169,56 +2671,49 @@ app.delete('/api/admin/transactions', authenticateToken, requireAdmin, [
       return res.status(400).json({ error: 'Invalid input', details: errors.array() });
     }
 
-    const { ids } = req.body;
-    if (!ids || ids.length === 0) {
-      return res.status(400).json({ error: 'No IDs provided' });
-    }
+    const transactionId = parseInt(req.params.id);
+    const { reason } = req.body;
+    const adminId = req.user.userId;
 
-    // Mark transactions as deleted instead of actually deleting them
-    // This preserves balance calculations while hiding them from admin panel
-    const placeholders = ids.map(() => '?').join(',');
-    
-    try {
-      // First ensure the deleted column exists (will fail silently if it already exists)
-      try {
-        await dbRun(`ALTER TABLE transactions ADD COLUMN deleted INTEGER DEFAULT 0`);
-        console.log('Added deleted column to transactions table');
-      } catch (alterErr) {
-        // Column already exists, which is fine
-        if (alterErr.message && !alterErr.message.includes('duplicate') && !alterErr.message.includes('already exists')) {
-          console.warn('Could not add deleted column (may already exist):', alterErr.message);
-        }
+    const result = await dbWithTransaction(async (tx) => {
+      const original = await tx.get('SELECT * FROM transactions WHERE id = ?', [transactionId]);
+      if (!original) {
+        return { status: 404, error: 'Transaction not found' };
+      }
+      if (original.reversal_of) {
+        return { status: 400, error: 'A reversal cannot be reversed' };
+      }
+      const existing = await tx.get('SELECT id FROM transactions WHERE reversal_of = ?', [transactionId]);
+      if (existing) {
+        return { status: 400, error: `Transaction ${transactionId} was already reversed by transaction ${existing.id}` };
+      }
+      // The payout state of a withdrawal request decides how it is reversed
+      const withdrawalRequest = await tx.get('SELECT id FROM withdrawal_requests WHERE transaction_id = ?', [transactionId]);
+      if (withdrawalRequest) {
+        return { status: 400, error: `Transaction ${transactionId} belongs to withdrawal request ${withdrawalRequest.id}; fail or reverse the request instead` };
       }
-      
-      // Now update transactions to mark as deleted
-      const result = await dbRun(
-        `UPDATE transactions SET deleted = 1 WHERE id IN (${placeholders})`,
-        ids
-      );
 
-      console.log(`Marked ${ids.length} transaction(s) as deleted by admin ${req.user.userId} (balance preserved). Updated ${result.changes} rows.`);
-      console.log(`Transaction IDs marked as deleted: ${ids.join(', ')}`);
-      res.json({ 
-        message: `Successfully deleted ${ids.length} transaction record(s). User balances remain intact.`,
-        updated: result.changes
-      });
-    } catch (updateErr) {
-      console.error('Error marking transactions as deleted:', updateErr.message);
-      console.error('Stack:', updateErr.stack);
-      // Don't delete transactions if update fails - preserve user balances
-      res.status(500).json({ 
-        error: 'Failed to mark transactions as deleted',
-        message: 'Transactions were NOT deleted to preserve user balances. Please check database migration.',
-        details: updateErr.message
-      });
+      const reversal = await ledger.reverseTransaction({ transactionId, reason, createdBy: adminId }, tx);
+      return { original, reversal };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+
+    console.log(`Transaction ${transactionId} (${result.original.type}, ${formatKwacha(result.original.amount)}) reversed by admin ${adminId}: ${reason}`);
+    res.json({
+      message: `Transaction ${transactionId} reversed`,
+      reversalTransactionId: result.reversal.transactionId,
+      amount: -result.original.amount
+    });
   } catch (error) {
-    console.error('Delete transactions error:', error);
-    res.status(500).json({ error: 'Failed to delete transactions', details: error.message });
+    console.error('Reverse transaction error:', error);
+    res.status(500).json({ error: 'Failed to reverse transaction', details: error.message });
   }
 });
 
-// Reset user investments and level (admin only) - remove all investments and set level to L0
+// Reset user investments and level (admin only) - close all investments, reverse their transactions and set level to L0
 app.post('/api/admin/users/:userId/reset-investments', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const userId = parseInt(req.params.userId);
@@ -2230,45 +2725,73 @@ app.post('/api/admin/users/:userId/reset-investments', authenticateToken, requir
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Get all investments for this user
-    const investments = await dbQuery(
-      'SELECT id FROM investments WHERE user_id = ?',
-      [userId]
-    );
+    // Reverse (rather than delete) every money movement of the user's investments
+    // and deposits, and close the investments, so history stays intact.
+    // Withdrawal requests keep their own lifecycle (fail or reverse them from
+    // the withdrawals screen), so their transactions are left alone
+    const reason = 'Investments reset by admin';
+    const reset = await dbWithTransaction(async (tx) => {
+      const transactions = await tx.all(
+        `SELECT t.id
+         FROM transactions t
+         WHERE t.user_id = ? AND t.reversal_of IS NULL
+           AND (t.type = 'investment'
+             OR t.investment_id IN (SELECT id FROM investments WHERE user_id = ?)
+             OR t.id IN (SELECT transaction_id FROM deposits WHERE user_id = ?))
+           AND t.id NOT IN (SELECT transaction_id FROM withdrawal_requests WHERE transaction_id IS NOT NULL)
+           AND NOT EXISTS (SELECT 1 FROM transactions r WHERE r.reversal_of = t.id)
+         ORDER BY t.id`,
+        [userId, userId, userId]
+      );
+      for (const transaction of transactions) {
+        await ledger.reverseTransaction({ transactionId: transaction.id, reason, createdBy: adminId }, tx);
+      }
 
-    // Delete all transactions related to these investments
-    if (investments.length > 0) {
-      const investmentIds = investments.map(inv => inv.id);
-      const placeholders = investmentIds.map(() => '?').join(',');
-      await dbRun(
-        `DELETE FROM transactions WHERE investment_id IN (${placeholders})`,
-        investmentIds
+      // Deposits still awaiting approval are denied, which releases their claims
+      const pendingDeposits = await tx.all(
+        `SELECT id, amount FROM deposits WHERE user_id = ? AND status = 'pending'`,
+        [userId]
       );
-    }
+      for (const deposit of pendingDeposits) {
+        await ledger.postDepositClaimDenied({
+          userId,
+          amount: deposit.amount,
+          description: `Deposit ${deposit.id} denied: ${reason}`,
+          createdBy: adminId
+        }, tx);
+        await tx.run(
+          `UPDATE deposits SET status = 'denied', processed_at = datetime('now'), processed_by = ?, admin_notes = ? WHERE id = ?`,
+          [adminId, reason, deposit.id]
+        );
+        await releaseDepositRef(tx, deposit.id);
+      }
 
-    // Delete all investment transactions (type = 'investment')
-    await dbRun(
-      'DELETE FROM transactions WHERE user_id = ? AND type = ?',
-      [userId, 'investment']
-    );
+      const terminated = await tx.run(
+        `UPDATE investments SET status = 'terminated'
+         WHERE user_id = ? AND status != 'terminated'`,
+        [userId]
+      );
 
-    // Delete all investments
-    await dbRun(
-      'DELETE FROM investments WHERE user_id = ?',
-      [userId]
-    );
+      // Reset user level to L0
+      await tx.run(
+        'UPDATE users SET level = ? WHERE id = ?',
+        ['L0', userId]
+      );
 
-    // Reset user level to L0
-    await dbRun(
-      'UPDATE users SET level = ? WHERE id = ?',
-      ['L0', userId]
-    );
+      return {
+        reversedTransactions: transactions.length,
+        closedInvestments: terminated.changes,
+        deniedDeposits: pendingDeposits.length
+      };
+    });
 
-    console.log(`Reset investments and level for user ${userId} (${user.phone}) by admin ${adminId}. Deleted ${investments.length} investment(s).`);
+    console.log(`Reset investments and level for user ${userId} (${user.phone}) by admin ${adminId}. Closed ${reset.closedInvestments} investment(s), denied ${reset.deniedDeposits} pending deposit(s), reversed ${reset.reversedTransactions} transaction(s).`);
 
     res.json({ 
       message: `Successfully reset user investments and level to L0`,
-      deletedInvestments: investments.length
+      closedInvestments: reset.closedInvestments,
+      deniedDeposits: reset.deniedDeposits,
+      reversedTransactions: reset.reversedTransactions
     });
   } catch (error) {
     console.error('Reset user investments error:', error);
@@ -2298,6 +2821,14 @@ app.delete('/api/admin/users/:userId', authenticateToken, requireAdmin, async (r
       return res.status(400).json({ error: 'Cannot delete admin users' });
     }
 
+    // Transactions are links in the hash chain (utils/hash-chain.js): deleting
+    // one would make every later row look tampered with, so users with ledger
+    // history are kept
+    const history = await dbGet('SELECT COUNT(*) as count FROM transactions WHERE user_id = ?', [userId]);
+    if (history.count > 0) {
+      return res.status(400).json({ error: `User has ${history.count} ledger transaction(s) and cannot be deleted` });
+    }
+
     // Delete user and all related records using sequential dbRun calls
     // This approach is more reliable and handles connections properly
     console.log(`Starting deletion process for user ID: ${userId}`);
@@ -2306,22 +2837,54 @@ app.delete('/api/admin/users/:userId', authenticateToken, requireAdmin, async (r
       // 1. Update withdrawal_requests that reference this user as processed_by
       console.log(`Step 1: Updating withdrawal_requests processed_by for user ${userId}`);
       await dbRun('UPDATE withdrawal_requests SET processed_by = NULL WHERE processed_by = ?', [userId]);
+      await dbRun('UPDATE withdrawal_transitions SET actor_id = NULL WHERE actor_id = ?', [userId]);
       
       // 2. Update users that were invited by this user
       console.log(`Step 2: Updating users invited_by_user_id for user ${userId}`);
       await dbRun('UPDATE users SET invited_by_user_id = NULL WHERE invited_by_user_id = ?', [userId]);
       
-      // 3. Delete user's transactions
-      console.log(`Step 3: Deleting transactions for user ${userId}`);
-      await dbRun('DELETE FROM transactions WHERE user_id = ?', [userId]);
+      // 3. Delete user's ledger records (journal entries of deposit claims and
+      // holds; the user has no transactions)
+      console.log(`Step 3: Deleting journal entries for user ${userId}`);
+      await dbRun('UPDATE journal_entries SET created_by = NULL WHERE created_by = ?', [userId]);
+      await dbRun(
+        'DELETE FROM journal_lines WHERE entry_id IN (SELECT id FROM journal_entries WHERE user_id = ?)',
+        [userId]
+      );
+      await dbRun('DELETE FROM journal_entries WHERE user_id = ?', [userId]);
+      await dbRun('DELETE FROM ledger_accounts WHERE user_id = ?', [userId]);
+      await dbRun('DELETE FROM idempotency_keys WHERE user_id = ?', [userId]);
+      await dbRun('UPDATE reconciliation_discrepancies SET repaired_by = NULL WHERE repaired_by = ?', [userId]);
+      await dbRun('UPDATE reconciliation_runs SET triggered_by = NULL WHERE triggered_by = ?', [userId]);
+      await dbRun('UPDATE accrual_runs SET triggered_by = NULL WHERE triggered_by = ?', [userId]);
+      await dbRun('UPDATE accrual_runs SET rolled_back_by = NULL WHERE rolled_back_by = ?', [userId]);
+      await dbRun('UPDATE deposits SET processed_by = NULL WHERE processed_by = ?', [userId]);
+      await dbRun('UPDATE statement_imports SET uploaded_by = NULL WHERE uploaded_by = ?', [userId]);
+      await dbRun('UPDATE statement_import_lines SET approved_by = NULL WHERE approved_by = ?', [userId]);
+      await dbRun('UPDATE statement_import_lines SET deposit_id = NULL WHERE deposit_id IN (SELECT id FROM deposits WHERE user_id = ?)', [userId]);
+      await dbRun('UPDATE payout_batches SET created_by = NULL WHERE created_by = ?', [userId]);
+      await dbRun('UPDATE payout_result_imports SET uploaded_by = NULL WHERE uploaded_by = ?', [userId]);
+      await dbRun('UPDATE withdrawal_fee_policies SET created_by = NULL WHERE created_by = ?', [userId]);
+      await dbRun('UPDATE transaction_ref_flags SET reviewed_by = NULL WHERE reviewed_by = ?', [userId]);
+      await dbRun('UPDATE transaction_ref_flags SET claimed_by = NULL, claim_id = NULL WHERE claimed_by = ?', [userId]);
+      await dbRun('DELETE FROM transaction_ref_flags WHERE user_id = ?', [userId]);
+      await dbRun('DELETE FROM transaction_refs WHERE user_id = ?', [userId]);
+      await dbRun('UPDATE payment_events SET user_id = NULL, investment_id = NULL, deposit_id = NULL WHERE user_id = ?', [userId]);
+      await dbRun('DELETE FROM topups WHERE user_id = ?', [userId]);
+      await dbRun('UPDATE payment_events SET replayed_by = NULL WHERE replayed_by = ?', [userId]);
+      await dbRun('DELETE FROM accrual_run_items WHERE user_id = ?', [userId]);
+      await dbRun('DELETE FROM reconciliation_discrepancies WHERE user_id = ?', [userId]);
       
       // 4. Delete user's withdrawal requests
       console.log(`Step 4: Deleting withdrawal_requests for user ${userId}`);
+      await dbRun('DELETE FROM withdrawal_transitions WHERE withdrawal_request_id IN (SELECT id FROM withdrawal_requests WHERE user_id = ?)', [userId]);
+      await dbRun('DELETE FROM payout_batch_items WHERE withdrawal_request_id IN (SELECT id FROM withdrawal_requests WHERE user_id = ?)', [userId]);
       await dbRun('DELETE FROM withdrawal_requests WHERE user_id = ?', [userId]);
       
-      // 5. Delete user's investments
-      console.log(`Step 5: Deleting investments for user ${userId}`);
+      // 5. Delete user's investments and deposits
+      console.log(`Step 5: Deleting investments and deposits for user ${userId}`);
       await dbRun('DELETE FROM investments WHERE user_id = ?', [userId]);
+      await dbRun('DELETE FROM deposits WHERE user_id = ?', [userId]);
       
       // 6. Delete user's certificates (uses uploaded_by column, not user_id)
       console.log(`Step 6: Deleting certificates for user ${userId}`);
@@ -2379,9 +2942,13 @@ app.put('/api/admin/investments/:id', authenticateToken, requireAdmin, async (re
 });
 
 // Add daily income by level (bulk operation)
+// Every active investment of each user at the level is credited (users without
+// one get a standalone credit), recorded as one accrual run. With dryRun: true
+// nothing is credited and the line items are returned as a preview.
 app.post('/api/admin/daily-income/level', authenticateToken, requireAdmin, [
-  body('level').isIn(['L1', 'L2', 'L3', 'L4', 'L5', 'L6', 'L7', 'L8', 'L9', 'L10']).withMessage('Invalid level'),
-  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number')
+  body('level').custom(validateLevel),
+  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive number of ngwee').toInt(),
+  body('dryRun').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -2389,11 +2956,11 @@ app.post('/api/admin/daily-income/level', authenticateToken, requireAdmin, [
       return res.status(400).json({ error: 'Invalid input', details: errors.array() });
     }
 
-    const { level, amount } = req.body;
+    const { level, amount, dryRun } = req.body;
 
     // Get all users with the specified level
     const users = await dbQuery(
-      'SELECT id FROM users WHERE level = ?',
+      'SELECT id, phone FROM users WHERE level = ?',
       [level]
     );
 
@@ -2401,62 +2968,38 @@ app.post('/api/admin/daily-income/level', authenticateToken, requireAdmin, [
       return res.status(404).json({ error: `No users found with level ${level}` });
     }
 
-    let successCount = 0;
-    let errorCount = 0;
-
-    // Add daily income to each user's investments
-    for (const user of users) {
-      try {
-        // Get all active investments for this user
-        const investments = await dbQuery(
-          `SELECT id, user_id, deposit_amount, total_accruals 
-           FROM investments 
-           WHERE user_id = ? AND status = 'active'`,
-          [user.id]
-        );
-
-        if (investments.length === 0) {
-          // If user has no investments, create a transaction entry for balance tracking
-          // This ensures the daily income is still credited to their account
-          // The balance calculation will need to include these standalone transactions
-          await dbRun(
-            'INSERT INTO transactions (user_id, type, amount, date) VALUES (?, ?, ?, datetime("now"))',
-            [user.id, 'accrual', amount]
-          );
-          console.log(`Daily income added as transaction for user ${user.id} (no investments)`);
-          successCount++;
-          continue;
-        }
-
-        // Add daily income to each investment
-        for (const investment of investments) {
-          // Update investment total accruals
-          await dbRun(
-            'UPDATE investments SET total_accruals = total_accruals + ? WHERE id = ?',
-            [amount, investment.id]
-          );
-
-          // Create accrual transaction
-          await dbRun(
-            'INSERT INTO transactions (user_id, type, amount, investment_id, date) VALUES (?, ?, ?, ?, datetime("now"))',
-            [user.id, 'accrual', amount, investment.id]
-          );
-        }
+    const result = await creditManualDailyIncome({
+      kind: 'manual_level',
+      users,
+      amount,
+      level,
+      triggeredBy: req.user.userId,
+      dryRun
+    });
 
-        successCount++;
-      } catch (error) {
-        console.error(`Error adding daily income for user ${user.id}:`, error);
-        errorCount++;
-      }
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        level,
+        amount,
+        totalUsers: users.length,
+        usersCount: result.usersCount,
+        itemsCount: result.items.length,
+        standaloneCount: result.items.filter(item => !item.investmentId).length,
+        totalAmount: result.totalAmount,
+        items: result.items
+      });
     }
 
-    console.log(`Daily income added: Level ${level}, Amount K${amount}, Users: ${successCount} success, ${errorCount} errors`);
+    console.log(`Daily income added: Level ${level}, Amount ${formatKwacha(amount)}, Users: ${result.usersCount}, Run ${result.run.id}`);
 
     res.json({
-      message: `Daily income of K${amount} added to ${successCount} users at level ${level}`,
-      successCount,
-      errorCount,
-      totalUsers: users.length
+      message: `Daily income of ${formatKwacha(amount)} added to ${result.usersCount} users at level ${level}`,
+      runId: result.run.id,
+      successCount: result.usersCount,
+      errorCount: 0,
+      totalUsers: users.length,
+      totalAmount: result.totalAmount
     });
   } catch (error) {
     console.error('Add daily income by level error:', error);
@@ -2465,9 +3008,11 @@ app.post('/api/admin/daily-income/level', authenticateToken, requireAdmin, [
 });
 
 // Add daily income (individual user by phone number)
+// Credits the user's first active investment (or a standalone credit), recorded as an accrual run
 app.post('/api/admin/daily-income', authenticateToken, requireAdmin, [
   body('accountId').trim().notEmpty().withMessage('Account ID (phone number) is required'),
-  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number')
+  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive number of ngwee').toInt(),
+  body('dryRun').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -2475,7 +3020,7 @@ app.post('/api/admin/daily-income', authenticateToken, requireAdmin, [
       return res.status(400).json({ error: 'Invalid input', details: errors.array() });
     }
 
-    const { accountId, amount } = req.body;
+    const { accountId, amount, dryRun } = req.body;
 
     // Find user by phone number (account ID)
     const { normalizeZambianPhone } = require('./utils/auth');
@@ -2491,40 +3036,24 @@ app.post('/api/admin/daily-income', authenticateToken, requireAdmin, [
       return res.status(404).json({ error: `User with phone number ${accountId} not found` });
     }
 
-    // Get all active investments for this user
-    const investments = await dbQuery(
-      `SELECT id FROM investments WHERE user_id = ? AND status = 'active'`,
-      [user.id]
-    );
-
-    if (investments.length === 0) {
-      // If user has no investments, create a standalone accrual transaction
-      await dbRun(
-        'INSERT INTO transactions (user_id, type, amount, date) VALUES (?, ?, ?, datetime("now"))',
-        [user.id, 'accrual', amount]
-      );
-      console.log(`Daily income added as transaction for user ${user.id} (no investments)`);
-    } else {
-      // Add daily income to first active investment
-      const investment = investments[0];
-      
-      // Update investment total accruals
-      await dbRun(
-        'UPDATE investments SET total_accruals = total_accruals + ? WHERE id = ?',
-        [amount, investment.id]
-      );
+    const result = await creditManualDailyIncome({
+      kind: 'manual_user',
+      users: [user],
+      amount,
+      firstInvestmentOnly: true,
+      triggeredBy: req.user.userId,
+      dryRun
+    });
 
-      // Create accrual transaction
-      await dbRun(
-        'INSERT INTO transactions (user_id, type, amount, investment_id, date) VALUES (?, ?, ?, ?, datetime("now"))',
-        [user.id, 'accrual', amount, investment.id]
-      );
+    if (dryRun) {
+      return res.json({ dryRun: true, userId: user.id, phone: user.phone, totalAmount: result.totalAmount, items: result.items });
     }
 
-    console.log(`Daily income added: User ${user.id} (${user.phone}), Amount K${amount}`);
+    console.log(`Daily income added: User ${user.id} (${user.phone}), Amount ${formatKwacha(amount)}, Run ${result.run.id}`);
 
     res.json({
-      message: `Daily income of K${amount} added to user ${user.phone}`,
+      message: `Daily income of ${formatKwacha(amount)} added to user ${user.phone}`,
+      runId: result.run.id,
       userId: user.id,
       phone: user.phone,
       amount: amount
@@ -2538,7 +3067,7 @@ app.post('/api/admin/daily-income', authenticateToken, requireAdmin, [
 // Add individual bonus by account ID (phone number)
 app.post('/api/admin/bonus', authenticateToken, requireAdmin, [
   body('accountId').trim().notEmpty().withMessage('Account ID (phone number) is required'),
-  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive number of ngwee').toInt(),
   body('notes').optional().trim()
 ], async (req, res) => {
   try {
@@ -2563,40 +3092,43 @@ app.post('/api/admin/bonus', authenticateToken, requireAdmin, [
       return res.status(404).json({ error: `User with phone number ${accountId} not found` });
     }
 
-    // Get all active investments for this user
-    const investments = await dbQuery(
-      `SELECT id FROM investments WHERE user_id = ? AND status = 'active'`,
-      [user.id]
-    );
-
-    if (investments.length === 0) {
-      // If user has no investments, create a transaction entry for balance tracking
-      await dbRun(
-        'INSERT INTO transactions (user_id, type, amount, date) VALUES (?, ?, ?, datetime("now"))',
-        [user.id, 'bonus', amount]
-      );
-      console.log(`Bonus added as transaction for user ${user.id} (no investments)`);
-    } else {
-      // Add bonus to first active investment (or distribute evenly)
-      const investment = investments[0];
-      
-      // Update investment total accruals
-      await dbRun(
-        'UPDATE investments SET total_accruals = total_accruals + ? WHERE id = ?',
-        [amount, investment.id]
+    // The investment's total accruals and the bonus transaction are written together
+    await dbWithTransaction(async (tx) => {
+      // Get all active investments for this user
+      const investments = await tx.all(
+        `SELECT id FROM investments WHERE user_id = ? AND status = 'active'`,
+        [user.id]
       );
 
-      // Create bonus transaction
-      await dbRun(
-        'INSERT INTO transactions (user_id, type, amount, investment_id, date) VALUES (?, ?, ?, ?, datetime("now"))',
-        [user.id, 'bonus', amount, investment.id]
-      );
-    }
+      if (investments.length === 0) {
+        // If user has no investments, create a transaction entry for balance tracking
+        await ledger.postTransaction({ userId: user.id, type: 'bonus', amount, createdBy: req.user.userId }, tx);
+        console.log(`Bonus added as transaction for user ${user.id} (no investments)`);
+      } else {
+        // Add bonus to first active investment (or distribute evenly)
+        const investment = investments[0];
+
+        // Update investment total accruals
+        await tx.run(
+          'UPDATE investments SET total_accruals = total_accruals + ? WHERE id = ?',
+          [amount, investment.id]
+        );
+
+        // Create bonus transaction
+        await ledger.postTransaction({
+          userId: user.id,
+          type: 'bonus',
+          amount,
+          investmentId: investment.id,
+          createdBy: req.user.userId
+        }, tx);
+      }
+    });
 
-    console.log(`Bonus added: User ${user.id} (${user.phone}), Amount K${amount}, Notes: ${notes || 'N/A'}`);
+    console.log(`Bonus added: User ${user.id} (${user.phone}), Amount ${formatKwacha(amount)}, Notes: ${notes || 'N/A'}`);
 
     res.json({
-      message: `Bonus of K${amount} added to user ${user.phone}`,
+      message: `Bonus of ${formatKwacha(amount)} added to user ${user.phone}`,
       userId: user.id,
       phone: user.phone
     });
@@ -2612,17 +3144,8 @@ app.get('/api/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
     const totalUsers = await dbGet('SELECT COUNT(*) as count FROM users');
     const totalInvestments = await dbGet('SELECT COUNT(*) as count FROM investments WHERE status = "active"');
     
-    // Total Deposits: Only count actual deposits (status = 'deposit_completed', 'pending', 'denied')
-    // Exclude active investments (level purchases) to avoid duplicates
-    // Deposits have transaction_txt set, active investments don't (or have 'BALANCE_INVESTMENT')
-    const totalDeposits = await dbGet(
-      `SELECT SUM(deposit_amount) as total 
-       FROM investments 
-       WHERE status IN ('deposit_completed', 'pending', 'denied') 
-         AND transaction_txt IS NOT NULL 
-         AND transaction_txt != ''
-         AND transaction_txt != 'BALANCE_INVESTMENT'`
-    );
+    // Total Deposits: claimed deposits (pending, approved or denied)
+    const depositsTotal = await totalDeposits();
     
     // Total Accruals: Only from active investments (actual level purchases)
     const totalAccruals = await dbGet(
@@ -2632,8 +3155,9 @@ app.get('/api/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
     res.json({
       totalUsers: totalUsers.count,
       totalInvestments: totalInvestments.count,
-      totalDeposits: totalDeposits.total || 0,
-      totalAccruals: totalAccruals.total || 0
+      totalDeposits: depositsTotal,
+      totalAccruals: totalAccruals.total || 0,
+      openReferenceFlags: await countOpenReferenceFlags()
     });
   } catch (error) {
     console.error('Get stats error:', error);
@@ -2641,6 +3165,349 @@ app.get('/api/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
+// Ledger trial balance (admin only)
+// Debits and credits across all accounts must be equal; user wallets are rolled up into one line
+app.get('/api/admin/ledger/trial-balance', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const accounts = await ledger.getTrialBalance();
+    const totalDebit = accounts.reduce((sum, account) => sum + account.debit, 0);
+    const totalCredit = accounts.reduce((sum, account) => sum + account.credit, 0);
+
+    res.json({
+      accounts,
+      totalDebit,
+      totalCredit,
+      balanced: totalDebit === totalCredit
+    });
+  } catch (error) {
+    console.error('Get trial balance error:', error);
+    res.status(500).json({ error: 'Failed to fetch trial balance' });
+  }
+});
+
+// Verify the transaction hash chain and report the first broken link
+// (e.g. a row edited or deleted directly in the database)
+app.get('/api/admin/ledger/verify-chain', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await verifyTransactionChain();
+    if (!result.valid) {
+      console.warn(`⚠️ Transaction hash chain broken at transaction ${result.firstBroken.transactionId}: ${result.firstBroken.reason}`);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Verify hash chain error:', error);
+    res.status(500).json({ error: 'Failed to verify transaction hash chain' });
+  }
+});
+
+// Latest accrual reconciliation run and its discrepancies
+app.get('/api/admin/reconciliation', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json(await getLatestReconciliation());
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation report' });
+  }
+});
+
+// Run the accrual reconciliation now (it also runs nightly)
+app.post('/api/admin/reconciliation/run', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await runReconciliation({ triggeredBy: req.user.userId });
+    res.json(await getLatestReconciliation());
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to run reconciliation' });
+  }
+});
+
+// Repair an investment discrepancy by posting a ledger correction
+app.post('/api/admin/reconciliation/discrepancies/:id/repair', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await repairDiscrepancy(parseInt(req.params.id), req.user.userId);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    console.log(`Reconciliation discrepancy ${req.params.id} ${result.status} by admin ${req.user.userId}: correction ${formatKwacha(result.amount)}`);
+    res.json({
+      message: result.status === 'repaired'
+        ? `Posted a correction of ${formatKwacha(result.amount)}`
+        : 'Investment is already reconciled; no correction needed',
+      ...result
+    });
+  } catch (error) {
+    console.error('Repair discrepancy error:', error);
+    res.status(500).json({ error: 'Failed to repair discrepancy' });
+  }
+});
+
+// Daily accrual runs, newest first
+app.get('/api/admin/accruals/runs', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json(await getAccrualRuns());
+  } catch (error) {
+    console.error('Get accrual runs error:', error);
+    res.status(500).json({ error: 'Failed to fetch accrual runs' });
+  }
+});
+
+// One accrual run with its per-investment line items
+app.get('/api/admin/accruals/runs/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await getAccrualRun(parseInt(req.params.id));
+    if (!result) {
+      return res.status(404).json({ error: 'Accrual run not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Get accrual run error:', error);
+    res.status(500).json({ error: 'Failed to fetch accrual run' });
+  }
+});
+
+// Roll back a whole accrual run with reversing entries
+app.post('/api/admin/accruals/runs/:id/rollback', authenticateToken, requireAdmin, [
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    const result = await rollbackAccrualRun(parseInt(req.params.id), {
+      reason: req.body.reason,
+      rolledBackBy: req.user.userId
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    console.log(`Accrual run ${req.params.id} rolled back by admin ${req.user.userId}: ${result.reversedCount} credits reversed, ${result.reactivatedCount} investments reactivated`);
+    res.json({
+      message: `Accrual run #${result.run.id} rolled back: ${result.reversedCount} credit(s) reversed`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Rollback accrual run error:', error);
+    res.status(500).json({ error: 'Failed to roll back accrual run' });
+  }
+});
+
+// Run the daily accrual now: catch up to today, or pay one date with { date }.
+// Dates that were already paid are skipped, so this is safe to press twice.
+app.post('/api/admin/accruals/run', authenticateToken, requireAdmin, [
+  body('date').optional({ nullable: true, checkFalsy: true }).isISO8601({ strict: true }).withMessage('date must be a date (YYYY-MM-DD)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    const options = { source: 'admin', triggeredBy: req.user.userId };
+    let results;
+    if (req.body.date) {
+      const date = req.body.date.slice(0, 10);
+      if (date > businessDate()) {
+        return res.status(400).json({ error: 'Cannot pay accruals for a future date' });
+      }
+      results = [await runAccrualsForDate(date, options)];
+    } else {
+      results = await catchUpAccruals(options);
+    }
+
+    const paid = results.filter(result => !result.alreadyPaid).map(result => result.run);
+    const total = paid.reduce((sum, run) => sum + run.total_amount, 0);
+    res.json({
+      message: paid.length === 0
+        ? 'Accruals are already paid up to date'
+        : `Paid ${paid.length} day(s) of accruals totalling ${formatKwacha(total)}`,
+      paid,
+      skipped: results.filter(result => result.alreadyPaid).map(result => result.run.business_date)
+    });
+  } catch (error) {
+    console.error('Run accruals error:', error);
+    res.status(500).json({ error: 'Failed to run accruals' });
+  }
+});
+
+// Package catalog. Amounts are integer ngwee; daily_rate is derived from
+// dailyIncome / amount. Packages with investments can be deactivated but not deleted.
+// Changing the terms (amount, dailyIncome, lockInDays, withdrawalFeePercent)
+// adds a package version; existing investments keep the version they bought.
+// A null lockInDays makes investments run until the investor switches level.
+const packageValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('level').trim().matches(/^L\d+$/).withMessage('Level must look like L1, L2, ...'),
+    body('name').optional({ nullable: true }).isString().trim().isLength({ max: 50 }).withMessage('Name is too long'),
+    field('amount').isInt({ min: 1 }).withMessage('Amount must be a positive number of ngwee').toInt(),
+    field('dailyIncome').isInt({ min: 1 }).withMessage('Daily income must be a positive number of ngwee').toInt(),
+    body('lockInDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Lock-in must be a positive number of days').toInt(),
+    body('withdrawalFeePercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Withdrawal fee must be between 0 and 100 percent').toFloat(),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('Description is too long'),
+    body('active').optional().isBoolean().withMessage('active must be true or false').toBoolean(),
+    body('displayOrder').optional().isInt({ min: 0 }).withMessage('Display order must be 0 or more').toInt()
+  ];
+};
+
+function packageFields(reqBody) {
+  const { level, name, amount, dailyIncome, lockInDays, withdrawalFeePercent, description, active, displayOrder } = reqBody;
+  return { level, name, amount, dailyIncome, lockInDays, withdrawalFeePercent, description, active, displayOrder };
+}
+
+// All packages, including inactive ones, with their investment counts
+app.get('/api/admin/packages', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json(await listPackages({ forAdmin: true }));
+  } catch (error) {
+    console.error('Admin get packages error:', error);
+    res.status(500).json({ error: 'Failed to fetch packages' });
+  }
+});
+
+app.post('/api/admin/packages', authenticateToken, requireAdmin, packageValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    const result = await createPackage(packageFields(req.body), req.user.userId);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    console.log(`Package ${result.package.level} (#${result.package.id}) created by admin ${req.user.userId}`);
+    res.status(201).json({ message: `Package ${result.package.level} created`, package: result.package });
+  } catch (error) {
+    console.error('Create package error:', error);
+    res.status(500).json({ error: 'Failed to create package' });
+  }
+});
+
+app.put('/api/admin/packages/:id', authenticateToken, requireAdmin, packageValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    const result = await updatePackage(parseInt(req.params.id), packageFields(req.body), req.user.userId);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    const versionNote = result.newVersion ? ` (terms version ${result.newVersion})` : '';
+    console.log(`Package ${result.package.level} (#${result.package.id}) updated by admin ${req.user.userId}${versionNote}`);
+    res.json({
+      message: result.newVersion
+        ? `Package ${result.package.level} updated; new purchases get terms version ${result.newVersion}`
+        : `Package ${result.package.level} updated`,
+      package: result.package,
+      newVersion: result.newVersion
+    });
+  } catch (error) {
+    console.error('Update package error:', error);
+    res.status(500).json({ error: 'Failed to update package' });
+  }
+});
+
+// Terms versions of a package, newest first, with how many investments hold each
+app.get('/api/admin/packages/:id/versions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const packageData = await getPackage(parseInt(req.params.id));
+    if (!packageData) {
+      return res.status(404).json({ error: 'Package not found' });
+    }
+    res.json({ package: packageData, versions: await getPackageVersions(packageData.id) });
+  } catch (error) {
+    console.error('Get package versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch package versions' });
+  }
+});
+
+app.delete('/api/admin/packages/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await deletePackage(parseInt(req.params.id));
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    console.log(`Package ${result.package.level} (#${result.package.id}) deleted by admin ${req.user.userId}`);
+    res.json({ message: `Package ${result.package.level} deleted` });
+  } catch (error) {
+    console.error('Delete package error:', error);
+    res.status(500).json({ error: 'Failed to delete package' });
+  }
+});
+
+// Withdrawal fee policies (utils/withdrawal-fees.js). A new policy applies from
+// its effective date; policies are not edited, and only those not yet in
+// effect can be deleted. Amounts are integer ngwee; a tier without a percent
+// charges the fee of the user's package terms.
+app.get('/api/admin/withdrawal-fee-policies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json(await listFeePolicies());
+  } catch (error) {
+    console.error('Get withdrawal fee policies error:', error);
+    res.status(500).json({ error: 'Failed to fetch withdrawal fee policies' });
+  }
+});
+
+const optionalNgwee = (name, message) => body(name).optional({ nullable: true }).isInt({ min: 0 }).withMessage(message).toInt();
+
+app.post('/api/admin/withdrawal-fee-policies', authenticateToken, requireAdmin, [
+  body('effectiveFrom').isISO8601({ strict: true }).withMessage('Effective date must be a date (YYYY-MM-DD)').customSanitizer(value => String(value).slice(0, 10)),
+  body('minWithdrawal').isInt({ min: 1 }).withMessage('Minimum withdrawal must be a positive number of ngwee').toInt(),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 200 }).withMessage('Notes are too long'),
+  body('tiers').isArray({ min: 1 }).withMessage('tiers must be a non-empty array'),
+  body('tiers.*.level').optional({ nullable: true }).isString().trim(),
+  optionalNgwee('tiers.*.minAmount', 'Tier amounts must be 0 or more ngwee'),
+  optionalNgwee('tiers.*.maxAmount', 'Tier amounts must be 0 or more ngwee'),
+  body('tiers.*.percent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Tier percent must be between 0 and 100').toFloat(),
+  optionalNgwee('tiers.*.flatFee', 'Flat fee must be 0 or more ngwee'),
+  optionalNgwee('tiers.*.minFee', 'Minimum fee must be 0 or more ngwee'),
+  optionalNgwee('tiers.*.maxFee', 'Maximum fee must be 0 or more ngwee')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+    }
+
+    const { effectiveFrom, minWithdrawal, notes, tiers } = req.body;
+    const result = await createFeePolicy({ effectiveFrom, minWithdrawal, notes, tiers }, req.user.userId);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    console.log(`Withdrawal fee policy ${result.policy.id} (from ${result.policy.effective_from}, ${result.policy.tiers.length} tier(s)) created by admin ${req.user.userId}`);
+    res.status(201).json({ message: `Fee policy applies from ${result.policy.effective_from}`, policy: result.policy });
+  } catch (error) {
+    console.error('Create withdrawal fee policy error:', error);
+    res.status(500).json({ error: 'Failed to create withdrawal fee policy' });
+  }
+});
+
+app.delete('/api/admin/withdrawal-fee-policies/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const policyId = parseInt(req.params.id);
+    const result = await deleteFeePolicy(policyId);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    console.log(`Withdrawal fee policy ${policyId} (from ${result.policy.effective_from}) deleted by admin ${req.user.userId}`);
+    res.json({ message: 'Fee policy deleted' });
+  } catch (error) {
+    console.error('Delete withdrawal fee policy error:', error);
+    res.status(500).json({ error: 'Failed to delete withdrawal fee policy' });
+  }
+});
+
 // ==================== ANNOUNCEMENTS ROUTES ====================
 
 // Get all active announcements (public - no auth required)
@@ -2918,50 +3785,40 @@ app.delete('/api/admin/announcements/:id', authenticateToken, requireAdmin, asyn
 
 // ==================== CRON JOB - Daily Accruals ====================
 
-// Run daily at midnight
+// Both jobs run on platform time (PLATFORM_TIMEZONE), not the server clock
+
+// Run daily at midnight: pay today and any dates missed while the server was down
 cron.schedule('0 0 * * *', async () => {
   console.log('Running daily accrual job...');
   try {
-    // Get all active investments
-    const investments = await dbQuery(
-      `SELECT i.*, p.daily_rate
-       FROM investments i
-       JOIN packages p ON i.package_id = p.id
-       WHERE i.status = 'active'`
-    );
-
-    for (const investment of investments) {
-      // Calculate daily accrual
-      const dailyAccrual = investment.deposit_amount * investment.daily_rate;
-
-      // Update total accruals
-      await dbRun(
-        'UPDATE investments SET total_accruals = total_accruals + ? WHERE id = ?',
-        [dailyAccrual, investment.id]
-      );
-
-      // Create accrual transaction
-      await dbRun(
-        'INSERT INTO transactions (user_id, type, amount, investment_id) VALUES (?, ?, ?, ?)',
-        [investment.user_id, 'accrual', dailyAccrual, investment.id]
-      );
-
-      // Maturity date logic removed - investments no longer mature
-      // Investments remain active and continue earning daily income indefinitely
-    }
-
-    console.log(`Processed ${investments.length} investments`);
+    await catchUpAccruals({ source: 'cron' });
   } catch (error) {
     console.error('Accrual job error:', error);
   }
-});
+}, { timezone: PLATFORM_TIMEZONE });
+
+// Run nightly after the accrual job: compare total_accruals with the ledger
+cron.schedule('30 0 * * *', async () => {
+  console.log('Running accrual reconciliation...');
+  try {
+    await runReconciliation();
+  } catch (error) {
+    console.error('Accrual reconciliation error:', error);
+  }
+}, { timezone: PLATFORM_TIMEZONE });
 
 // ==================== SERVER START ====================
 
-// Start server only after database is initialized
-initDB().then(() => {
+// Start server only after database is initialized and migrated
+initDB().then(runMigrations).then(seedPackages).then(() => {
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`Platform timezone: ${PLATFORM_TIMEZONE} (business date ${businessDate()})`);
+  });
+
+  // Pay any accrual dates missed while the server was down
+  catchUpAccruals({ source: 'startup' }).catch(error => {
+    console.error('Accrual catch-up error:', error);
   });
 }).catch(err => {
   console.error('Failed to initialize database:', err);
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Upgrade a database written by the release before accrual runs (accruals
+// posted by the old midnight job, no schema_migrations) and check that
+// catch-up does not pay the last paid date again
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zyse-test-'));
+process.env.DB_PATH = path.join(dir, 'db.sqlite');
+process.env.PLATFORM_TIMEZONE = 'Africa/Lusaka';
+
+const { initDB, dbRun, dbGet } = require('../utils/db');
+const { runMigrations } = require('../utils/migrations');
+const { catchUpAccruals } = require('../utils/accruals');
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('upgrading a database with accrual history does not pay the last paid date again', async () => {
+  await initDB();
+
+  // Amounts in Kwacha, as the old release stored them
+  const user = await dbRun(`INSERT INTO users (phone, password_hash, full_name) VALUES ('0971000001', 'x', 'Accrual Test')`);
+  const pkg = await dbRun(`INSERT INTO packages (amount, daily_rate, level, daily_income) VALUES (100, 0.1, 'L1', 10)`);
+  const investment = await dbRun(
+    `INSERT INTO investments (user_id, package_id, deposit_amount, start_date, maturity_date, total_accruals, status)
+     VALUES (?, ?, 100, '2026-01-01', '2026-02-01', 20, 'active')`,
+    [user.lastID, pkg.lastID]
+  );
+  // Paid just after midnight in Lusaka (UTC+2): 2026-01-09 and 2026-01-10 local
+  for (const date of ['2026-01-08 22:30:00', '2026-01-09 22:30:00']) {
+    await dbRun(
+      `INSERT INTO transactions (user_id, type, amount, investment_id, date) VALUES (?, 'accrual', 10, ?, ?)`,
+      [user.lastID, investment.lastID, date]
+    );
+  }
+
+  await runMigrations();
+
+  const run = await dbGet(`SELECT * FROM accrual_runs WHERE kind = 'daily' ORDER BY business_date DESC LIMIT 1`);
+  assert.strictEqual(run.business_date, '2026-01-10');
+  assert.strictEqual(run.source, 'migration');
+  const items = await dbGet('SELECT COUNT(*) as count FROM accrual_run_items WHERE run_id = ?', [run.id]);
+  assert.strictEqual(items.count, 1);
+
+  const countAccruals = async () => (await dbGet(`SELECT COUNT(*) as count FROM transactions WHERE type = 'accrual'`)).count;
+
+  const results = await catchUpAccruals({ throughDate: '2026-01-10', source: 'startup' });
+  assert.strictEqual(results.length, 0);
+  assert.strictEqual(await countAccruals(), 2);
+
+  // The next date is still paid
+  await catchUpAccruals({ throughDate: '2026-01-11', source: 'startup' });
+  assert.strictEqual(await countAccruals(), 3);
+});
@@ -0,0 +1,310 @@
+const { dbGet, dbQuery, dbWithTransaction } = require('./db');
+const ledger = require('./ledger');
+const { applyRate, formatKwacha } = require('./money');
+const { businessDate, addDays } = require('./timezone');
+
+// Daily accrual engine and accrual run history.
+// Every credit of daily income is an accrual run with one line item per
+// credited investment (or per user without an active investment), so a run
+// can be inspected and rolled back as a whole:
+// - kind 'daily': the nightly engine, one completed run per business date
+// - kind 'manual_level' / 'manual_user': admin daily income for a level or a user
+//
+// A daily run claims its business date (YYYY-MM-DD) in accrual_runs and credits
+// every investment in the same database transaction, so a crash or restart
+// either pays the whole date or nothing, and re-running a date that was
+// already paid does nothing. A rolled-back date can be paid again by hand.
+//
+// An investment earns for date D when it is active, was started before D and
+// has not passed its maturity date (maturity_date >= D). Investments whose
+// maturity date is D are marked matured after D is paid. The daily rate is the
+// one in the package terms version the investment was bought under
+// (package_versions), not the package's current rate.
+//
+// Business dates are calendar dates in the platform timezone (utils/timezone.js).
+// catchUpAccruals() pays every date after the last daily run up to today, so
+// dates missed during downtime are paid when the server comes back. It runs
+// at startup, from the midnight cron job and from the admin panel.
+
+// Catch-up never goes back further than this, so a long outage or a fresh
+// database cannot post months of income at once; older dates can still be
+// paid one at a time from the admin panel.
+const CATCH_UP_MAX_DAYS = 31;
+
+// Credit one line item: total_accruals (when linked to an investment) and the
+// accrual transaction, then record the item against its run
+async function creditItem(tx, runId, item, { description, createdBy = null }) {
+  if (item.investmentId) {
+    await tx.run(
+      'UPDATE investments SET total_accruals = total_accruals + ? WHERE id = ?',
+      [item.amount, item.investmentId]
+    );
+  }
+  const { transactionId } = await ledger.postTransaction({
+    userId: item.userId,
+    type: 'accrual',
+    amount: item.amount,
+    investmentId: item.investmentId,
+    description,
+    createdBy
+  }, tx);
+
+  await tx.run(
+    'INSERT INTO accrual_run_items (run_id, user_id, investment_id, amount, transaction_id) VALUES (?, ?, ?, ?, ?)',
+    [runId, item.userId, item.investmentId, item.amount, transactionId]
+  );
+}
+
+async function finishRun(tx, runId, { maturedCount = 0 } = {}) {
+  await tx.run(
+    `UPDATE accrual_runs
+     SET investments_count = (SELECT COUNT(*) FROM accrual_run_items WHERE run_id = ? AND transaction_id IS NOT NULL),
+         users_count = (SELECT COUNT(DISTINCT user_id) FROM accrual_run_items WHERE run_id = ? AND transaction_id IS NOT NULL),
+         total_amount = (SELECT COALESCE(SUM(amount), 0) FROM accrual_run_items WHERE run_id = ?),
+         matured_count = ?,
+         finished_at = datetime('now')
+     WHERE id = ?`,
+    [runId, runId, runId, maturedCount, runId]
+  );
+  return tx.get('SELECT * FROM accrual_runs WHERE id = ?', [runId]);
+}
+
+/**
+ * Pay daily income for one business date
+ * @param {string} businessDate - YYYY-MM-DD
+ * @param {Object} options
+ * @param {string} options.source - 'cron', 'startup', 'admin' or 'cli'
+ * @param {number|null} options.triggeredBy - admin user id for manual runs
+ * @returns {Promise<{run: Object, alreadyPaid: boolean}>}
+ */
+async function runAccrualsForDate(businessDate, { source = 'cron', triggeredBy = null } = {}) {
+  const result = await dbWithTransaction(async (tx) => {
+    const existing = await tx.get(
+      `SELECT * FROM accrual_runs WHERE business_date = ? AND kind = 'daily' AND status = 'completed'`,
+      [businessDate]
+    );
+    if (existing) {
+      return { run: existing, alreadyPaid: true };
+    }
+
+    const claim = await tx.run(
+      `INSERT INTO accrual_runs (kind, business_date, source, triggered_by) VALUES ('daily', ?, ?, ?)`,
+      [businessDate, source, triggeredBy]
+    );
+    const runId = claim.lastID;
+
+    const investments = await tx.all(
+      `SELECT i.id, i.user_id, i.deposit_amount, v.daily_rate
+       FROM investments i
+       JOIN package_versions v ON i.package_version_id = v.id
+       WHERE i.status = 'active'
+         AND date(i.start_date) < date(?)
+         AND date(i.maturity_date) >= date(?)
+       ORDER BY i.id`,
+      [businessDate, businessDate]
+    );
+
+    for (const investment of investments) {
+      const dailyAccrual = applyRate(investment.deposit_amount, investment.daily_rate);
+      if (dailyAccrual <= 0) continue;
+
+      await creditItem(tx, runId, {
+        userId: investment.user_id,
+        investmentId: investment.id,
+        amount: dailyAccrual
+      }, { description: `Daily accrual for ${businessDate}` });
+    }
+
+    // Remember which investments this run matured, so a rollback can reactivate them
+    const maturing = await tx.all(
+      `SELECT id, user_id FROM investments WHERE status = 'active' AND date(maturity_date) <= date(?)`,
+      [businessDate]
+    );
+    for (const investment of maturing) {
+      await tx.run(`UPDATE investments SET status = 'matured' WHERE id = ?`, [investment.id]);
+      await tx.run(
+        'INSERT INTO accrual_run_items (run_id, user_id, investment_id, amount, matured) VALUES (?, ?, ?, 0, 1)',
+        [runId, investment.user_id, investment.id]
+      );
+    }
+
+    return { run: await finishRun(tx, runId, { maturedCount: maturing.length }), alreadyPaid: false };
+  });
+
+  if (result.alreadyPaid) {
+    console.log(`Accruals for ${businessDate} were already paid (run ${result.run.id}), skipping`);
+  } else {
+    console.log(`Accruals for ${businessDate}: ${result.run.investments_count} investments, ${formatKwacha(result.run.total_amount)}, ${result.run.matured_count} matured (${source})`);
+  }
+  return result;
+}
+
+/**
+ * Pay every business date after the last daily run, up to and including `throughDate`
+ * @returns {Promise<Array<{run: Object, alreadyPaid: boolean}>>} one result per date processed
+ */
+async function catchUpAccruals({ throughDate = businessDate(), source = 'cron', triggeredBy = null } = {}) {
+  const last = await dbGet(`SELECT MAX(business_date) as business_date FROM accrual_runs WHERE kind = 'daily'`);
+  const earliest = addDays(throughDate, -(CATCH_UP_MAX_DAYS - 1));
+
+  let date = last.business_date ? addDays(last.business_date, 1) : throughDate;
+  if (date < earliest) {
+    console.warn(`⚠️ Accruals were last paid for ${last.business_date}; catching up from ${earliest} only (limit ${CATCH_UP_MAX_DAYS} days)`);
+    date = earliest;
+  }
+
+  const results = [];
+  for (; date <= throughDate; date = addDays(date, 1)) {
+    results.push(await runAccrualsForDate(date, { source, triggeredBy }));
+  }
+  return results;
+}
+
+// Line items for admin daily income: every active investment of each user gets
+// the amount (only the first with firstInvestmentOnly); users without an active
+// investment get a standalone credit
+async function planManualItems(query, users, amount, { firstInvestmentOnly = false } = {}) {
+  const items = [];
+  for (const user of users) {
+    const investments = await query(
+      `SELECT id FROM investments WHERE user_id = ? AND status = 'active' ORDER BY id`,
+      [user.id]
+    );
+    if (investments.length === 0) {
+      items.push({ userId: user.id, phone: user.phone, investmentId: null, amount });
+      continue;
+    }
+    for (const investment of firstInvestmentOnly ? investments.slice(0, 1) : investments) {
+      items.push({ userId: user.id, phone: user.phone, investmentId: investment.id, amount });
+    }
+  }
+  return items;
+}
+
+/**
+ * Credit admin daily income to a set of users as one accrual run
+ * @param {Object} options
+ * @param {'manual_level'|'manual_user'} options.kind
+ * @param {Array<{id: number, phone: string}>} options.users
+ * @param {number} options.amount - ngwee per line item
+ * @param {string|null} options.level - level for manual_level runs
+ * @param {boolean} options.firstInvestmentOnly
+ * @param {number} options.triggeredBy - admin user id
+ * @param {boolean} options.dryRun - only return the items that would be credited
+ * @returns {Promise<{run: Object|null, items: Array, totalAmount: number, usersCount: number}>}
+ */
+async function creditManualDailyIncome({ kind, users, amount, level = null, firstInvestmentOnly = false, triggeredBy, dryRun = false }) {
+  const summarize = (items) => ({
+    items,
+    totalAmount: items.reduce((sum, item) => sum + item.amount, 0),
+    usersCount: new Set(items.map(item => item.userId)).size
+  });
+
+  if (dryRun) {
+    const items = await planManualItems(dbQuery, users, amount, { firstInvestmentOnly });
+    return { run: null, ...summarize(items) };
+  }
+
+  return dbWithTransaction(async (tx) => {
+    const items = await planManualItems(tx.all, users, amount, { firstInvestmentOnly });
+    const claim = await tx.run(
+      `INSERT INTO accrual_runs (kind, business_date, source, triggered_by, level) VALUES (?, ?, 'admin', ?, ?)`,
+      [kind, businessDate(), triggeredBy, level]
+    );
+    const description = level ? `Daily income for level ${level}` : 'Daily income';
+    for (const item of items) {
+      await creditItem(tx, claim.lastID, item, { description, createdBy: triggeredBy });
+    }
+    return { run: await finishRun(tx, claim.lastID), ...summarize(items) };
+  });
+}
+
+/**
+ * Roll back a whole accrual run: reverse every credited line item (which also
+ * takes it off the investment's total_accruals) and reactivate investments the
+ * run matured. Items already reversed individually are skipped.
+ * Returns { run, reversedCount, reactivatedCount } or { error, statusCode }.
+ */
+async function rollbackAccrualRun(runId, { reason, rolledBackBy }) {
+  return dbWithTransaction(async (tx) => {
+    const run = await tx.get('SELECT * FROM accrual_runs WHERE id = ?', [runId]);
+    if (!run) {
+      return { error: 'Accrual run not found', statusCode: 404 };
+    }
+    if (run.status === 'rolled_back') {
+      return { error: 'Accrual run has already been rolled back', statusCode: 400 };
+    }
+
+    const items = await tx.all('SELECT * FROM accrual_run_items WHERE run_id = ? ORDER BY id', [runId]);
+    let reversedCount = 0;
+    let reactivatedCount = 0;
+    for (const item of items) {
+      if (item.matured) {
+        const reactivated = await tx.run(
+          `UPDATE investments SET status = 'active' WHERE id = ? AND status = 'matured'`,
+          [item.investment_id]
+        );
+        reactivatedCount += reactivated.changes;
+        continue;
+      }
+
+      const alreadyReversed = await tx.get('SELECT id FROM transactions WHERE reversal_of = ?', [item.transaction_id]);
+      if (alreadyReversed) continue;
+
+      await ledger.reverseTransaction({
+        transactionId: item.transaction_id,
+        reason: `Rollback of accrual run #${runId}: ${reason}`,
+        createdBy: rolledBackBy
+      }, tx);
+      reversedCount++;
+    }
+
+    await tx.run(
+      `UPDATE accrual_runs
+       SET status = 'rolled_back', rolled_back_at = datetime('now'), rolled_back_by = ?, rollback_reason = ?
+       WHERE id = ?`,
+      [rolledBackBy, reason, runId]
+    );
+    return { run: await tx.get('SELECT * FROM accrual_runs WHERE id = ?', [runId]), reversedCount, reactivatedCount };
+  });
+}
+
+async function getAccrualRuns(limit = 60) {
+  return dbQuery(
+    `SELECT r.*, u.phone as triggered_by_phone, rb.phone as rolled_back_by_phone
+     FROM accrual_runs r
+     LEFT JOIN users u ON r.triggered_by = u.id
+     LEFT JOIN users rb ON r.rolled_back_by = rb.id
+     ORDER BY r.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+}
+
+// One run with its line items (and whether each credit has been reversed since)
+async function getAccrualRun(runId) {
+  const run = await dbGet('SELECT * FROM accrual_runs WHERE id = ?', [runId]);
+  if (!run) {
+    return null;
+  }
+  const items = await dbQuery(
+    `SELECT ri.*, u.phone, r.id as reversed_by_transaction_id
+     FROM accrual_run_items ri
+     LEFT JOIN users u ON ri.user_id = u.id
+     LEFT JOIN transactions r ON r.reversal_of = ri.transaction_id
+     WHERE ri.run_id = ?
+     ORDER BY ri.id`,
+    [runId]
+  );
+  return { run, items };
+}
+
+module.exports = {
+  CATCH_UP_MAX_DAYS,
+  runAccrualsForDate,
+  catchUpAccruals,
+  creditManualDailyIncome,
+  rollbackAccrualRun,
+  getAccrualRuns,
+  getAccrualRun
+};
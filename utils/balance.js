@@ -0,0 +1,74 @@
+const { dbGet } = require('./db');
+const { walletAccountCode } = require('./ledger');
+
+// Server-authoritative balance calculation.
+// Every route and UI section must use getBalance() instead of adding up
+// transaction types themselves, so the rules live in exactly one place.
+//
+// Rules:
+// - The balance is the user's wallet account in the double-entry ledger
+//   (see utils/ledger.js): credits minus debits. The breakdown groups the
+//   wallet lines by journal entry type.
+// - Deleted transactions (deleted = 1) still count toward balance; the flag
+//   only hides them from history lists.
+// - Filing a withdrawal request moves the gross amount from the wallet into
+//   WITHDRAWAL_HOLDS. Held funds still belong to the user (they are part of
+//   `balance`) but are not `available` until the request is denied or
+//   cancelled (released) or approved (debited from the hold).
+//
+// Pass `tx` (from dbWithTransaction) to read the balance inside a transaction
+// that is about to spend it, so concurrent requests cannot spend it twice.
+async function getBalance(userId, tx = null) {
+  const get = tx ? tx.get : dbGet;
+
+  const totals = await get(
+    `SELECT
+       COALESCE(SUM(CASE WHEN e.entry_type = 'deposit' THEN l.credit - l.debit ELSE 0 END), 0) as deposits,
+       COALESCE(SUM(CASE WHEN e.entry_type = 'accrual' THEN l.credit - l.debit ELSE 0 END), 0) as accruals,
+       COALESCE(SUM(CASE WHEN e.entry_type = 'bonus' THEN l.credit - l.debit ELSE 0 END), 0) as bonuses,
+       COALESCE(SUM(CASE WHEN e.entry_type = 'withdrawal' THEN l.debit - l.credit ELSE 0 END), 0) as withdrawals,
+       COALESCE(SUM(CASE WHEN e.entry_type = 'investment' THEN l.debit - l.credit ELSE 0 END), 0) as balance_investments,
+       COALESCE(SUM(l.credit - l.debit), 0) as available
+     FROM journal_lines l
+     JOIN journal_entries e ON l.entry_id = e.id
+     JOIN ledger_accounts a ON l.account_id = a.id
+     WHERE a.code = ?`,
+    [walletAccountCode(userId)]
+  );
+
+  // Withdrawals approved after a hold are debited from WITHDRAWAL_HOLDS, not the wallet
+  const holds = await get(
+    `SELECT
+       COALESCE(SUM(CASE WHEN e.entry_type = 'withdrawal' THEN l.debit - l.credit ELSE 0 END), 0) as withdrawals,
+       COALESCE(SUM(l.credit - l.debit), 0) as pending_holds
+     FROM journal_lines l
+     JOIN journal_entries e ON l.entry_id = e.id
+     JOIN ledger_accounts a ON l.account_id = a.id
+     WHERE a.code = 'WITHDRAWAL_HOLDS' AND e.user_id = ?`,
+    [userId]
+  );
+
+  const deposits = totals.deposits;
+  const accruals = totals.accruals;
+  const bonuses = totals.bonuses;
+  const withdrawals = totals.withdrawals + holds.withdrawals;
+  const balanceInvestments = totals.balance_investments;
+  const pendingHolds = holds.pending_holds;
+
+  const available = totals.available;
+
+  return {
+    deposits,
+    accruals,
+    bonuses,
+    withdrawals,
+    balanceInvestments,
+    pendingHolds,
+    balance: available + pendingHolds,
+    available
+  };
+}
+
+module.exports = {
+  getBalance
+};
@@ -156,11 +156,11 @@ function initDB() {
 }
 
 function initializeTables(db, resolve, reject) {
-    let packagesSeeded = false;
     let transactionsReady = false;
+    let withdrawalRequestsReady = false;
 
     function checkReady() {
-      if (packagesSeeded && transactionsReady) {
+      if (transactionsReady && withdrawalRequestsReady) {
         console.log('Database initialization complete');
         db.close((closeErr) => {
           if (closeErr) console.error('initDB close:', closeErr.message);
@@ -217,7 +217,7 @@ function initializeTables(db, resolve, reject) {
         amount INTEGER NOT NULL,
         daily_rate REAL NOT NULL,
         level TEXT UNIQUE,
-        daily_income REAL NOT NULL
+        daily_income INTEGER NOT NULL
       )`, (err) => {
         if (err) {
           console.error('Error creating packages table:', err.message);
@@ -233,19 +233,12 @@ function initializeTables(db, resolve, reject) {
             console.log('Note: level column may already exist');
           }
         });
-        db.run(`ALTER TABLE packages ADD COLUMN daily_income REAL`, (err) => {
+        db.run(`ALTER TABLE packages ADD COLUMN daily_income INTEGER`, (err) => {
           if (err && !err.message.includes('duplicate column')) {
             console.log('Note: daily_income column may already exist');
           }
         });
-        // Seed packages
-        seedPackages(db).then(() => {
-          packagesSeeded = true;
-          checkReady();
-        }).catch((seedErr) => {
-          console.error('Error seeding packages:', seedErr);
-          reject(seedErr);
-        });
+        // Packages are seeded by seedPackages() (utils/packages.js) after migrations have run
       });
 
       // Investments table
@@ -253,10 +246,10 @@ function initializeTables(db, resolve, reject) {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         user_id INTEGER NOT NULL,
         package_id INTEGER NOT NULL,
-        deposit_amount REAL NOT NULL,
+        deposit_amount INTEGER NOT NULL,
         start_date DATE NOT NULL,
         maturity_date DATE NOT NULL,
-        total_accruals REAL DEFAULT 0,
+        total_accruals INTEGER DEFAULT 0,
         status TEXT DEFAULT 'active',
         wallet TEXT,
         transaction_txt TEXT,
@@ -279,7 +272,7 @@ function initializeTables(db, resolve, reject) {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         user_id INTEGER NOT NULL,
         type TEXT NOT NULL,
-        amount REAL NOT NULL,
+        amount INTEGER NOT NULL,
         date DATETIME DEFAULT CURRENT_TIMESTAMP,
         investment_id INTEGER,
         deleted INTEGER DEFAULT 0,
@@ -373,7 +366,7 @@ function initializeTables(db, resolve, reject) {
               db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='withdrawal_requests'", (tableErr, tableRow) => {
                 if (tableErr) {
                   console.error('Error checking withdrawal_requests table:', tableErr.message);
-                  transactionsReady = true;
+                  withdrawalRequestsReady = true;
                   checkReady();
                   return;
                 }
@@ -384,7 +377,7 @@ function initializeTables(db, resolve, reject) {
                   db.all("PRAGMA table_info(withdrawal_requests)", (infoErr, columns) => {
                     if (infoErr) {
                       console.error('Error getting table info:', infoErr.message);
-                      transactionsReady = true;
+                      withdrawalRequestsReady = true;
                       checkReady();
                       return;
                     }
@@ -400,7 +393,7 @@ function initializeTables(db, resolve, reject) {
                       db.run('PRAGMA foreign_keys = OFF', (fkErr) => {
                         if (fkErr) {
                           console.error('Error disabling foreign keys:', fkErr.message);
-                          transactionsReady = true;
+                          withdrawalRequestsReady = true;
                           checkReady();
                           return;
                         }
@@ -410,7 +403,7 @@ function initializeTables(db, resolve, reject) {
                           if (selectErr) {
                             console.error('Error reading existing data:', selectErr.message);
                             db.run('PRAGMA foreign_keys = ON', () => {});
-                            transactionsReady = true;
+                            withdrawalRequestsReady = true;
                             checkReady();
                             return;
                           }
@@ -422,7 +415,7 @@ function initializeTables(db, resolve, reject) {
                             if (dropErr) {
                               console.error('Error dropping old table:', dropErr.message);
                               db.run('PRAGMA foreign_keys = ON', () => {});
-                              transactionsReady = true;
+                              withdrawalRequestsReady = true;
                               checkReady();
                               return;
                             }
@@ -432,10 +425,10 @@ function initializeTables(db, resolve, reject) {
                               id INTEGER PRIMARY KEY AUTOINCREMENT,
                               user_id INTEGER NOT NULL,
                               investment_id INTEGER,
-                              amount REAL NOT NULL,
-                              gross_amount REAL NOT NULL,
-                              charge REAL NOT NULL,
-                              net_amount REAL NOT NULL,
+                              amount INTEGER NOT NULL,
+                              gross_amount INTEGER NOT NULL,
+                              charge INTEGER NOT NULL,
+                              net_amount INTEGER NOT NULL,
                               wallet TEXT NOT NULL,
                               phone TEXT NOT NULL,
                               status TEXT DEFAULT 'pending',
@@ -450,7 +443,7 @@ function initializeTables(db, resolve, reject) {
                               if (createErr) {
                                 console.error('Error creating new table:', createErr.message);
                                 db.run('PRAGMA foreign_keys = ON', () => {});
-                                transactionsReady = true;
+                                withdrawalRequestsReady = true;
                                 checkReady();
                                 return;
                               }
@@ -491,7 +484,7 @@ function initializeTables(db, resolve, reject) {
                                       console.error('Error enabling foreign keys:', fkOnErr.message);
                                     }
                                     console.log('✅ Migration completed: investment_id can now be NULL');
-                                    transactionsReady = true;
+                                    withdrawalRequestsReady = true;
                                     checkReady();
                                   });
                                 });
@@ -502,7 +495,7 @@ function initializeTables(db, resolve, reject) {
                                     console.error('Error enabling foreign keys:', fkOnErr.message);
                                   }
                                   console.log('✅ Migration completed: investment_id can now be NULL');
-                                  transactionsReady = true;
+                                  withdrawalRequestsReady = true;
                                   checkReady();
                                 });
                               }
@@ -513,7 +506,7 @@ function initializeTables(db, resolve, reject) {
                     } else {
                       // Table exists and doesn't need migration
                       console.log('Withdrawal requests table ready (investment_id allows NULL)');
-                      transactionsReady = true;
+                      withdrawalRequestsReady = true;
                       checkReady();
                     }
                   });
@@ -523,10 +516,10 @@ function initializeTables(db, resolve, reject) {
                     id INTEGER PRIMARY KEY AUTOINCREMENT,
                     user_id INTEGER NOT NULL,
                     investment_id INTEGER,
-                    amount REAL NOT NULL,
-                    gross_amount REAL NOT NULL,
-                    charge REAL NOT NULL,
-                    net_amount REAL NOT NULL,
+                    amount INTEGER NOT NULL,
+                    gross_amount INTEGER NOT NULL,
+                    charge INTEGER NOT NULL,
+                    net_amount INTEGER NOT NULL,
                     wallet TEXT NOT NULL,
                     phone TEXT NOT NULL,
                     status TEXT DEFAULT 'pending',
@@ -543,7 +536,7 @@ function initializeTables(db, resolve, reject) {
                     } else {
                       console.log('Withdrawal requests table created');
                     }
-                    transactionsReady = true;
+                    withdrawalRequestsReady = true;
                     checkReady();
                   });
                 }
@@ -555,68 +548,12 @@ function initializeTables(db, resolve, reject) {
     });
 }
 
-// Seed packages with amounts and rates (L1-L10 system)
-function seedPackages(db) {
-  return new Promise((resolve, reject) => {
-    // New level-based packages: L1-L10
-    const packages = [
-      { level: 'L1', amount: 200, dailyIncome: 6 },
-      { level: 'L2', amount: 350, dailyIncome: 8 },
-      { level: 'L3', amount: 500, dailyIncome: 16 },
-      { level: 'L4', amount: 1000, dailyIncome: 30 },
-      { level: 'L5', amount: 2000, dailyIncome: 60 },
-      { level: 'L6', amount: 4000, dailyIncome: 130 },
-      { level: 'L7', amount: 6000, dailyIncome: 180 },
-      { level: 'L8', amount: 10000, dailyIncome: 340 },
-      { level: 'L9', amount: 15000, dailyIncome: 400 },
-      { level: 'L10', amount: 20000, dailyIncome: 600 }
-    ];
-
-    // Clear existing packages
-    db.run('DELETE FROM packages', (err) => {
-      if (err) {
-        console.error('Error clearing packages:', err.message);
-        reject(err);
-        return;
-      }
-
-      // Insert packages with calculated daily rates based on daily income
-      const stmt = db.prepare('INSERT INTO packages (amount, daily_rate, level, daily_income) VALUES (?, ?, ?, ?)');
-      let completed = 0;
-      const total = packages.length;
-      
-      packages.forEach(pkg => {
-        // Calculate daily rate: dailyIncome / amount
-        const dailyRate = pkg.dailyIncome / pkg.amount;
-        stmt.run(pkg.amount, dailyRate, pkg.level, pkg.dailyIncome, (err) => {
-          if (err) {
-            console.error(`Error inserting package ${pkg.level}:`, err.message);
-            reject(err);
-            return;
-          }
-          completed++;
-          if (completed === total) {
-            stmt.finalize((err) => {
-              if (err) {
-                console.error('Error finalizing packages insert:', err.message);
-                reject(err);
-              } else {
-                console.log('Packages seeded successfully (L1-L10)');
-                resolve();
-              }
-            });
-          }
-        });
-      });
-    });
-  });
-}
-
 // Get database instance
 function getDB() {
   const db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
-  // Set busy timeout to handle locks better
-  db.run('PRAGMA busy_timeout = 5000', () => {});
+  // Set busy timeout to handle locks better. configure() applies it before the
+  // first statement runs (a PRAGMA could race a following BEGIN IMMEDIATE).
+  db.configure('busyTimeout', 5000);
   return db;
 }
 
@@ -725,12 +662,56 @@ function dbTransaction(queries) {
   });
 }
 
+// Database transaction helper for dependent queries - runs an async unit of work
+// inside BEGIN IMMEDIATE ... COMMIT on a single connection. The callback receives
+// run/get/all helpers bound to that connection; any thrown error rolls back.
+function dbWithTransaction(work) {
+  return new Promise((resolve, reject) => {
+    const db = getDB();
+
+    const tx = {
+      run(query, params = []) {
+        return new Promise((res, rej) => {
+          db.run(query, params, function(err) {
+            if (err) return rej(err);
+            res({ lastID: this.lastID, changes: this.changes });
+          });
+        });
+      },
+      get(query, params = []) {
+        return new Promise((res, rej) => {
+          db.get(query, params, (err, row) => (err ? rej(err) : res(row)));
+        });
+      },
+      all(query, params = []) {
+        return new Promise((res, rej) => {
+          db.all(query, params, (err, rows) => (err ? rej(err) : res(rows || [])));
+        });
+      }
+    };
+
+    tx.run('BEGIN IMMEDIATE')
+      .then(() => work(tx))
+      .then((result) => tx.run('COMMIT').then(() => {
+        db.close();
+        resolve(result);
+      }))
+      .catch((err) => {
+        db.run('ROLLBACK', () => {
+          db.close();
+          reject(err);
+        });
+      });
+  });
+}
+
 module.exports = {
   initDB,
   getDB,
   dbQuery,
   dbRun,
   dbGet,
-  dbTransaction
+  dbTransaction,
+  dbWithTransaction
 };
 
@@ -0,0 +1,159 @@
+const { dbGet, dbQuery, dbWithTransaction } = require('./db');
+const ledger = require('./ledger');
+const { claimTransactionRef, linkTransactionRef, releaseDepositRef } = require('./transaction-refs');
+
+// Mobile money deposits (POST /api/recharge).
+// A deposit adds to the user's balance and is not tied to a level. It is
+// claimed by the user with the transaction TXT of their Airtel/MTN transfer
+// (see utils/transaction-refs.js) and sits in deposit suspense until it is
+// approved or denied:
+//
+//   pending -> approved   the amount is credited to the wallet (transaction_id)
+//   pending -> denied     the amount is released from suspense and the
+//                         transaction reference can be claimed again
+//   any     -> deleted    hidden from the admin list; the ledger is untouched
+//
+// Deposits used to be stored as investments rows with a placeholder package;
+// 014_deposits moved them here with the same ids. Their ledger transactions
+// were posted with investment_id set to that id, which is hashed into the
+// transaction chain and therefore left as it was.
+
+const DEPOSIT_STATUSES = ['pending', 'approved', 'denied', 'deleted'];
+
+/**
+ * Record a pending deposit, claim its transaction reference and move the
+ * claimed amount into deposit suspense
+ * @param {Object} fields - { userId, amount, wallet, transactionTxt }
+ * @returns {Promise<Object>} { deposit } or { error, statusCode } when the
+ *   reference was claimed in the meantime
+ */
+async function createDeposit({ userId, amount, wallet, transactionTxt }) {
+  const depositId = await dbWithTransaction(async (tx) => {
+    if (!(await claimTransactionRef(tx, { userId, wallet, transactionTxt }))) {
+      return null;
+    }
+    const result = await tx.run(
+      `INSERT INTO deposits (user_id, amount, wallet, transaction_txt, status)
+       VALUES (?, ?, ?, ?, 'pending')`,
+      [userId, amount, wallet, transactionTxt]
+    );
+    await linkTransactionRef(tx, { wallet, transactionTxt, depositId: result.lastID });
+    await ledger.postDepositClaim({
+      userId,
+      amount,
+      description: `Deposit claim ${wallet} ${transactionTxt}`
+    }, tx);
+    return result.lastID;
+  });
+  if (!depositId) {
+    return { error: 'This transaction has already been used', statusCode: 400 };
+  }
+
+  return { deposit: await dbGet('SELECT * FROM deposits WHERE id = ?', [depositId]) };
+}
+
+/**
+ * Deposits with their users, pending first, then newest first
+ * @param {Object} [options]
+ * @param {number} [options.userId] - only this user's deposits
+ */
+async function listDeposits({ userId = null } = {}) {
+  return dbQuery(
+    `SELECT d.*, u.phone, u.email, u.full_name
+     FROM deposits d
+     JOIN users u ON d.user_id = u.id
+     WHERE d.status != 'deleted' ${userId ? 'AND d.user_id = ?' : ''}
+     ORDER BY
+       CASE WHEN d.status = 'pending' THEN 0 ELSE 1 END,
+       d.created_at DESC, d.id DESC`,
+    userId ? [userId] : []
+  );
+}
+
+/**
+ * Approve or deny a pending deposit
+ * @param {number} depositId
+ * @param {string} action - 'approve' or 'deny'
+ * @param {Object} options - { adminId, notes }
+ * @returns {Promise<Object>} { deposit } (with its new status) or { error, statusCode }
+ */
+async function processDeposit(depositId, action, { adminId, notes = null }) {
+  return dbWithTransaction(async (tx) => {
+    const deposit = await tx.get('SELECT * FROM deposits WHERE id = ?', [depositId]);
+    if (!deposit) {
+      return { error: 'Deposit not found', statusCode: 404 };
+    }
+    if (deposit.status !== 'pending') {
+      return { error: `Deposit is already ${deposit.status}`, statusCode: 400 };
+    }
+
+    let status;
+    let transactionId = null;
+    if (action === 'approve') {
+      // Credit the balance (moves the claim out of deposit suspense)
+      status = 'approved';
+      ({ transactionId } = await ledger.postTransaction({
+        userId: deposit.user_id,
+        type: 'deposit',
+        amount: deposit.amount,
+        description: `Deposit ${deposit.wallet || ''} ${deposit.transaction_txt || ''}`.trim(),
+        createdBy: adminId
+      }, tx));
+    } else {
+      status = 'denied';
+      await ledger.postDepositClaimDenied({
+        userId: deposit.user_id,
+        amount: deposit.amount,
+        description: `Deposit ${depositId} denied`,
+        createdBy: adminId
+      }, tx);
+      await releaseDepositRef(tx, depositId);
+    }
+
+    await tx.run(
+      `UPDATE deposits
+       SET status = ?, transaction_id = ?, processed_at = datetime('now'), processed_by = ?, admin_notes = ?
+       WHERE id = ?`,
+      [status, transactionId, adminId, notes || null, depositId]
+    );
+
+    return { deposit: { ...deposit, status, transaction_id: transactionId } };
+  });
+}
+
+/**
+ * Hide deposits from the admin list. Balances are not affected: their
+ * transactions stay in the ledger and are only flagged as deleted for display.
+ * @param {number[]} ids
+ * @returns {Promise<number>} number of deposits deleted
+ */
+async function deleteDeposits(ids) {
+  const placeholders = ids.map(() => '?').join(',');
+  return dbWithTransaction(async (tx) => {
+    const deposited = `SELECT transaction_id FROM deposits WHERE id IN (${placeholders}) AND transaction_id IS NOT NULL`;
+    await tx.run(
+      `UPDATE transactions SET deleted = 1 WHERE id IN (${deposited}) OR reversal_of IN (${deposited})`,
+      [...ids, ...ids]
+    );
+    const result = await tx.run(
+      `UPDATE deposits SET status = 'deleted' WHERE id IN (${placeholders}) AND status != 'deleted'`,
+      ids
+    );
+    return result.changes;
+  });
+}
+
+// Total of deposits claimed (pending, approved or denied), for admin stats
+async function totalDeposits() {
+  const row = await dbGet(`SELECT COALESCE(SUM(amount), 0) as total FROM deposits WHERE status != 'deleted'`);
+  return row.total;
+}
+
+module.exports = {
+  DEPOSIT_STATUSES,
+  createDeposit,
+  listDeposits,
+  processDeposit,
+  deleteDeposits,
+  totalDeposits
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { dbQuery } = require('./db');
+
+// Tamper-evident hash chain over the `transactions` table.
+// Every row stores prev_hash (the row_hash of the row before it, by id) and
+// row_hash = sha256 of its contents plus prev_hash. Editing a row by hand breaks
+// its own row_hash; deleting or inserting a row breaks the next row's prev_hash.
+// The `deleted` flag is not hashed: it only hides rows from history lists and
+// is set by admin actions.
+//
+// Rows must be sealed inside the database transaction that inserts them
+// (ledger.postTransaction does this), so concurrent inserts cannot both link
+// to the same previous row.
+
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_BATCH_SIZE = 1000;
+
+// Canonical payload: the hashed columns and prev_hash as a JSON array
+function computeRowHash(row, prevHash) {
+  const payload = JSON.stringify([
+    row.id,
+    row.user_id,
+    row.type,
+    row.amount,
+    row.date,
+    row.investment_id === undefined ? null : row.investment_id,
+    row.reversal_of === undefined ? null : row.reversal_of,
+    row.reversal_reason === undefined ? null : row.reversal_reason,
+    prevHash
+  ]);
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Link a freshly inserted transaction row to the end of the chain.
+// `tx` is the dbWithTransaction handle that inserted the row.
+async function sealTransaction(tx, transactionId) {
+  const row = await tx.get('SELECT * FROM transactions WHERE id = ?', [transactionId]);
+  const previous = await tx.get(
+    'SELECT row_hash FROM transactions WHERE id < ? ORDER BY id DESC LIMIT 1',
+    [transactionId]
+  );
+  const prevHash = previous ? previous.row_hash : GENESIS_HASH;
+  const rowHash = computeRowHash(row, prevHash);
+
+  await tx.run(
+    'UPDATE transactions SET prev_hash = ?, row_hash = ? WHERE id = ?',
+    [prevHash, rowHash, transactionId]
+  );
+  return rowHash;
+}
+
+// Walk the chain from the first row and report the first broken link.
+// Returns { valid, checked, lastHash, firstBroken } where firstBroken is
+// { transactionId, reason, expected, actual } or null.
+async function verifyTransactionChain() {
+  let expectedPrev = GENESIS_HASH;
+  let lastId = 0;
+  let checked = 0;
+
+  for (;;) {
+    const rows = await dbQuery(
+      'SELECT * FROM transactions WHERE id > ? ORDER BY id ASC LIMIT ?',
+      [lastId, VERIFY_BATCH_SIZE]
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      let broken = null;
+      if (!row.row_hash || !row.prev_hash) {
+        broken = { reason: 'Row has no hash (inserted outside the ledger)', expected: null, actual: null };
+      } else if (row.prev_hash !== expectedPrev) {
+        broken = { reason: 'Previous-row hash does not match (a row was deleted, inserted or re-hashed before this one)', expected: expectedPrev, actual: row.prev_hash };
+      } else {
+        const rowHash = computeRowHash(row, row.prev_hash);
+        if (rowHash !== row.row_hash) {
+          broken = { reason: 'Row contents do not match its hash (the row was edited)', expected: rowHash, actual: row.row_hash };
+        }
+      }
+
+      if (broken) {
+        return { valid: false, checked, lastHash: expectedPrev, firstBroken: { transactionId: row.id, ...broken } };
+      }
+
+      expectedPrev = row.row_hash;
+      lastId = row.id;
+      checked++;
+    }
+  }
+
+  return { valid: true, checked, lastHash: expectedPrev, firstBroken: null };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  computeRowHash,
+  sealTransaction,
+  verifyTransactionChain
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { dbGet, dbRun } = require('./db');
+
+// Idempotency keys for money-moving POST endpoints.
+// A client sends an `Idempotency-Key` header (any unique string, e.g. a UUID).
+// The first request with a key runs normally and its response is stored; a
+// retry with the same key gets the stored response back instead of moving
+// money a second time. Keys are scoped to the authenticated user, so the
+// middleware must run after authenticateToken.
+//
+// - A retry while the first request is still running gets 409.
+// - Reusing a key for a different endpoint or request body gets 422.
+// - 5xx responses are not stored, so the client can retry with the same key.
+
+const KEY_MAX_LENGTH = 255;
+const KEY_TTL_HOURS = 24;
+
+function hashRequestBody(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > KEY_MAX_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${KEY_MAX_LENGTH} characters` });
+  }
+
+  const userId = req.user.userId;
+  const endpoint = `${req.method} ${req.path}`;
+  const requestHash = hashRequestBody(req.body);
+
+  try {
+    await dbRun(
+      `DELETE FROM idempotency_keys WHERE created_at < datetime('now', ?)`,
+      [`-${KEY_TTL_HOURS} hours`]
+    );
+
+    // Claim the key; the UNIQUE(user_id, idempotency_key) constraint makes this
+    // atomic when two retries arrive at the same time
+    const claim = await dbRun(
+      `INSERT OR IGNORE INTO idempotency_keys (user_id, idempotency_key, endpoint, request_hash)
+       VALUES (?, ?, ?, ?)`,
+      [userId, key, endpoint, requestHash]
+    );
+
+    if (claim.changes === 0) {
+      const existing = await dbGet(
+        'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+        [userId, key]
+      );
+
+      if (existing.endpoint !== endpoint || existing.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+      }
+      if (existing.status_code === null) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      console.log(`Idempotent replay: user ${userId}, ${endpoint}, key ${key}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.status_code).json(JSON.parse(existing.response_body));
+    }
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({ error: 'Failed to process request' });
+  }
+
+  // Store the response when the route sends it. The response goes out once it
+  // is stored, so a retry that arrives after the client got an answer replays it.
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const statusCode = res.statusCode;
+    const store = statusCode >= 500
+      ? dbRun('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key])
+      : dbRun(
+          'UPDATE idempotency_keys SET status_code = ?, response_body = ? WHERE user_id = ? AND idempotency_key = ?',
+          [statusCode, JSON.stringify(body), userId, key]
+        );
+    store
+      .catch(error => console.error('Failed to store idempotent response:', error))
+      .then(() => originalJson(body));
+    return res;
+  };
+
+  next();
+}
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,380 @@
+const { dbWithTransaction, dbQuery } = require('./db');
+const { sealTransaction } = require('./hash-chain');
+
+// Double-entry ledger.
+// Every money movement is a journal entry whose lines debit and credit ledger
+// accounts; the debits and credits of an entry always balance. The `transactions`
+// table stays as the user-facing history, but each row is posted together with
+// its journal entry, and balances are read from the journal. Each row is also
+// sealed into the tamper-evident hash chain (see utils/hash-chain.js).
+//
+// Accounts:
+// - USER_WALLET:<userId>  liability  money the platform owes the user
+// - DEPOSIT_SUSPENSE      liability  deposits claimed but not yet verified by an admin
+// - WITHDRAWAL_HOLDS      liability  wallet funds reserved by pending withdrawal requests
+// - PAYOUT_CLEARING       liability  approved withdrawals not yet sent to the user
+// - PLATFORM_REVENUE      revenue    withdrawal charges
+// - INVESTOR_INCOME       expense    daily income and bonuses paid to users
+// - INVESTMENT_PRINCIPAL  liability  level purchases paid from the wallet
+// - MOBILE_MONEY_FLOAT    asset      platform Airtel/MTN wallets
+
+const SYSTEM_ACCOUNTS = {
+  DEPOSIT_SUSPENSE: { name: 'Deposit suspense', type: 'liability' },
+  WITHDRAWAL_HOLDS: { name: 'Withdrawal holds', type: 'liability' },
+  PAYOUT_CLEARING: { name: 'Payout clearing', type: 'liability' },
+  PLATFORM_REVENUE: { name: 'Platform revenue', type: 'revenue' },
+  INVESTOR_INCOME: { name: 'Investor income expense', type: 'expense' },
+  INVESTMENT_PRINCIPAL: { name: 'Investment principal', type: 'liability' },
+  MOBILE_MONEY_FLOAT: { name: 'Mobile money float', type: 'asset' }
+};
+
+// Amounts are integer ngwee, so entries must balance exactly. The tolerance only
+// matters for history posted by 001_double_entry_ledger before the ngwee conversion.
+const BALANCE_TOLERANCE = 0.000001;
+
+function walletAccountCode(userId) {
+  return `USER_WALLET:${userId}`;
+}
+
+// Run `work` inside the given transaction, or open one if none was passed
+function inTransaction(tx, work) {
+  return tx ? work(tx) : dbWithTransaction(work);
+}
+
+// Get (or lazily create) the id of a ledger account by code
+async function getAccountId(tx, code) {
+  const existing = await tx.get('SELECT id FROM ledger_accounts WHERE code = ?', [code]);
+  if (existing) {
+    return existing.id;
+  }
+
+  let name;
+  let type;
+  let userId = null;
+  if (code.startsWith('USER_WALLET:')) {
+    userId = parseInt(code.split(':')[1]);
+    name = `User wallet #${userId}`;
+    type = 'liability';
+  } else if (SYSTEM_ACCOUNTS[code]) {
+    name = SYSTEM_ACCOUNTS[code].name;
+    type = SYSTEM_ACCOUNTS[code].type;
+  } else {
+    throw new Error(`Unknown ledger account: ${code}`);
+  }
+
+  const result = await tx.run(
+    'INSERT INTO ledger_accounts (code, name, type, user_id) VALUES (?, ?, ?, ?)',
+    [code, name, type, userId]
+  );
+  return result.lastID;
+}
+
+// Post a balanced journal entry.
+// lines: [{ account: 'PAYOUT_CLEARING', debit: 0, credit: 44 }, ...]
+async function postJournalEntry(entry, tx = null) {
+  const { entryType, userId = null, transactionId = null, description = null, createdBy = null } = entry;
+  // Amounts may arrive as strings from request bodies
+  const lines = entry.lines.map(line => ({
+    account: line.account,
+    debit: Number(line.debit) || 0,
+    credit: Number(line.credit) || 0
+  }));
+
+  const totalDebit = lines.reduce((sum, line) => sum + line.debit, 0);
+  const totalCredit = lines.reduce((sum, line) => sum + line.credit, 0);
+  if (lines.length < 2 || Math.abs(totalDebit - totalCredit) > BALANCE_TOLERANCE) {
+    throw new Error(`Unbalanced journal entry (${entryType}): debits ${totalDebit}, credits ${totalCredit}`);
+  }
+
+  return inTransaction(tx, async (t) => {
+    const entryResult = await t.run(
+      `INSERT INTO journal_entries (entry_type, user_id, transaction_id, description, created_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [entryType, userId, transactionId, description, createdBy]
+    );
+
+    for (const line of lines) {
+      const accountId = await getAccountId(t, line.account);
+      await t.run(
+        'INSERT INTO journal_lines (entry_id, account_id, debit, credit) VALUES (?, ?, ?, ?)',
+        [entryResult.lastID, accountId, line.debit, line.credit]
+      );
+    }
+
+    return entryResult.lastID;
+  });
+}
+
+// Journal lines for a user-facing transaction type.
+// `amount` is the value stored on the transaction row; `charge` and `fromHold`
+// are only used for withdrawals (fromHold: the amount was already moved out of
+// the wallet into WITHDRAWAL_HOLDS when the request was filed).
+function linesForTransaction(type, userId, amount, charge = 0, { fromHold = false } = {}) {
+  const wallet = walletAccountCode(userId);
+
+  switch (type) {
+    case 'deposit':
+      // Verified deposit moves out of suspense into the user's wallet
+      return [
+        { account: 'DEPOSIT_SUSPENSE', debit: amount },
+        { account: wallet, credit: amount }
+      ];
+    case 'accrual':
+    case 'bonus':
+      // A negative amount (a reconciliation correction) takes income back out of the wallet
+      if (amount < 0) {
+        return [
+          { account: wallet, debit: -amount },
+          { account: 'INVESTOR_INCOME', credit: -amount }
+        ];
+      }
+      return [
+        { account: 'INVESTOR_INCOME', debit: amount },
+        { account: wallet, credit: amount }
+      ];
+    case 'investment': {
+      // Balance investments are stored as negative amounts
+      const principal = Math.abs(amount);
+      return [
+        { account: wallet, debit: principal },
+        { account: 'INVESTMENT_PRINCIPAL', credit: principal }
+      ];
+    }
+    case 'withdrawal':
+      // Full gross amount leaves the wallet (or its hold); the charge is platform revenue
+      return [
+        { account: fromHold ? 'WITHDRAWAL_HOLDS' : wallet, debit: amount },
+        { account: 'PAYOUT_CLEARING', credit: amount - charge },
+        { account: 'PLATFORM_REVENUE', credit: charge }
+      ];
+    default:
+      throw new Error(`No ledger mapping for transaction type: ${type}`);
+  }
+}
+
+// Insert a user-facing transaction row and post its journal entry atomically.
+// Returns { transactionId, entryId }.
+async function postTransaction(txn, tx = null) {
+  const { userId, type, investmentId = null, description = null, createdBy = null, fromHold = false } = txn;
+  const amount = Number(txn.amount);
+  const charge = Number(txn.charge) || 0;
+
+  const lines = linesForTransaction(type, userId, amount, charge, { fromHold });
+
+  return inTransaction(tx, async (t) => {
+    const result = await t.run(
+      'INSERT INTO transactions (user_id, type, amount, investment_id, date) VALUES (?, ?, ?, ?, datetime("now"))',
+      [userId, type, amount, investmentId]
+    );
+    await sealTransaction(t, result.lastID);
+
+    const entryId = await postJournalEntry({
+      entryType: type,
+      userId,
+      transactionId: result.lastID,
+      description,
+      createdBy,
+      lines
+    }, t);
+
+    return { transactionId: result.lastID, entryId };
+  });
+}
+
+// A user claims a mobile money deposit: the money is in the platform float
+// but sits in suspense until an admin verifies it
+async function postDepositClaim({ userId, amount, description = null }, tx = null) {
+  return postJournalEntry({
+    entryType: 'deposit_claim',
+    userId,
+    description,
+    lines: [
+      { account: 'MOBILE_MONEY_FLOAT', debit: amount },
+      { account: 'DEPOSIT_SUSPENSE', credit: amount }
+    ]
+  }, tx);
+}
+
+// A deposit that was verified at the moment it was received (Paystack, mock
+// payments, verified transaction TXT): claim and credit in one entry pair
+async function postVerifiedDeposit({ userId, amount, investmentId = null, description = null, createdBy = null }, tx = null) {
+  return inTransaction(tx, async (t) => {
+    await postDepositClaim({ userId, amount, description }, t);
+    return postTransaction({ userId, type: 'deposit', amount, investmentId, description, createdBy }, t);
+  });
+}
+
+// A claimed deposit was denied: take it back out of suspense
+async function postDepositClaimDenied({ userId, amount, description = null, createdBy = null }, tx = null) {
+  return postJournalEntry({
+    entryType: 'deposit_claim_denied',
+    userId,
+    description,
+    createdBy,
+    lines: [
+      { account: 'DEPOSIT_SUSPENSE', debit: amount },
+      { account: 'MOBILE_MONEY_FLOAT', credit: amount }
+    ]
+  }, tx);
+}
+
+// A withdrawal request was filed: reserve the gross amount so it can no longer
+// be spent or requested again while the request is pending
+async function postWithdrawalHold({ userId, amount, description = null }, tx = null) {
+  return postJournalEntry({
+    entryType: 'withdrawal_hold',
+    userId,
+    description,
+    lines: [
+      { account: walletAccountCode(userId), debit: amount },
+      { account: 'WITHDRAWAL_HOLDS', credit: amount }
+    ]
+  }, tx);
+}
+
+// A pending withdrawal request was denied or cancelled: return the hold to the wallet
+async function postWithdrawalHoldReleased({ userId, amount, description = null, createdBy = null }, tx = null) {
+  return postJournalEntry({
+    entryType: 'withdrawal_hold_released',
+    userId,
+    description,
+    createdBy,
+    lines: [
+      { account: 'WITHDRAWAL_HOLDS', debit: amount },
+      { account: walletAccountCode(userId), credit: amount }
+    ]
+  }, tx);
+}
+
+// Net withdrawal amount was sent from the platform float to the user
+async function postPayout({ userId, amount, description = null, createdBy = null }, tx = null) {
+  return postJournalEntry({
+    entryType: 'payout',
+    userId,
+    description,
+    createdBy,
+    lines: [
+      { account: 'PAYOUT_CLEARING', debit: amount },
+      { account: 'MOBILE_MONEY_FLOAT', credit: amount }
+    ]
+  }, tx);
+}
+
+// Post an equal and opposite entry for a user-facing transaction.
+// The reversal is a transaction row of its own (same type, negated amount,
+// reversal_of = original id) whose journal entry swaps the debits and credits
+// of the original entry, so history stays intact and the balance changes.
+// Funds the original took from WITHDRAWAL_HOLDS go back to the user's wallet.
+// A reversed deposit also releases its claim from suspense, and a reversed
+// withdrawal takes its payout back into the float (unless payoutSent is false:
+// a payout that failed never left it).
+// Callers check that the transaction exists and is not already reversed.
+async function reverseTransaction({ transactionId, reason, createdBy = null, payoutSent = true }, tx = null) {
+  return inTransaction(tx, async (t) => {
+    const original = await t.get('SELECT * FROM transactions WHERE id = ?', [transactionId]);
+    const originalLines = await t.all(
+      `SELECT a.code as account, l.debit, l.credit
+       FROM journal_lines l
+       JOIN journal_entries e ON l.entry_id = e.id
+       JOIN ledger_accounts a ON l.account_id = a.id
+       WHERE e.transaction_id = ?
+       ORDER BY l.id`,
+      [transactionId]
+    );
+    if (originalLines.length === 0) {
+      throw new Error(`Transaction ${transactionId} has no journal entry to reverse`);
+    }
+
+    const userId = original.user_id;
+    const wallet = walletAccountCode(userId);
+    const description = `Reversal of transaction ${transactionId}: ${reason}`;
+
+    const result = await t.run(
+      `INSERT INTO transactions (user_id, type, amount, investment_id, date, reversal_of, reversal_reason)
+       VALUES (?, ?, ?, ?, datetime("now"), ?, ?)`,
+      [userId, original.type, -original.amount, original.investment_id, transactionId, reason]
+    );
+    await sealTransaction(t, result.lastID);
+
+    // Income credited to an investment is also counted in its total_accruals
+    if ((original.type === 'accrual' || original.type === 'bonus') && original.investment_id) {
+      await t.run(
+        'UPDATE investments SET total_accruals = total_accruals - ? WHERE id = ?',
+        [original.amount, original.investment_id]
+      );
+    }
+
+    const entryId = await postJournalEntry({
+      entryType: original.type,
+      userId,
+      transactionId: result.lastID,
+      description,
+      createdBy,
+      lines: originalLines.map(line => ({
+        account: line.account === 'WITHDRAWAL_HOLDS' ? wallet : line.account,
+        debit: line.credit,
+        credit: line.debit
+      }))
+    }, t);
+
+    // Unwind the money movement outside the wallet as well
+    const suspense = originalLines.find(line => line.account === 'DEPOSIT_SUSPENSE' && line.debit > 0);
+    if (original.type === 'deposit' && suspense) {
+      await postDepositClaimDenied({ userId, amount: suspense.debit, description, createdBy }, t);
+    }
+    const clearing = originalLines.find(line => line.account === 'PAYOUT_CLEARING' && line.credit > 0);
+    if (original.type === 'withdrawal' && clearing && payoutSent) {
+      await postJournalEntry({
+        entryType: 'payout',
+        userId,
+        description: `Payout returned: ${description}`,
+        createdBy,
+        lines: [
+          { account: 'MOBILE_MONEY_FLOAT', debit: clearing.credit },
+          { account: 'PAYOUT_CLEARING', credit: clearing.credit }
+        ]
+      }, t);
+    }
+
+    return { transactionId: result.lastID, entryId };
+  });
+}
+
+// Trial balance: debit/credit totals per account (user wallets rolled up)
+async function getTrialBalance() {
+  const rows = await dbQuery(
+    `SELECT
+       CASE WHEN a.user_id IS NOT NULL THEN 'USER_WALLETS' ELSE a.code END as code,
+       CASE WHEN a.user_id IS NOT NULL THEN 'User wallets' ELSE a.name END as name,
+       a.type,
+       COALESCE(SUM(l.debit), 0) as debit,
+       COALESCE(SUM(l.credit), 0) as credit
+     FROM ledger_accounts a
+     LEFT JOIN journal_lines l ON l.account_id = a.id
+     GROUP BY 1, 2, 3
+     ORDER BY a.type, 1`
+  );
+
+  return rows.map(row => ({
+    ...row,
+    // Assets and expenses carry debit balances; everything else carries credit balances
+    balance: (row.type === 'asset' || row.type === 'expense') ? row.debit - row.credit : row.credit - row.debit
+  }));
+}
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  walletAccountCode,
+  getAccountId,
+  postJournalEntry,
+  linesForTransaction,
+  postTransaction,
+  postDepositClaim,
+  postVerifiedDeposit,
+  postDepositClaimDenied,
+  postWithdrawalHold,
+  postWithdrawalHoldReleased,
+  postPayout,
+  reverseTransaction,
+  getTrialBalance
+};
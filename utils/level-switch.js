@@ -0,0 +1,120 @@
+const { dbGet } = require('./db');
+const { getBalance } = require('./balance');
+const { businessDate } = require('./timezone');
+
+// Level switching (POST /api/invest-from-balance).
+// A user is on one level at a time: buying a level while an investment is
+// active terminates that investment. The switching policy decides how much of
+// the old principal is credited towards the new level:
+// - full:     the whole old principal
+// - prorated: the old principal times the share of its lock-in (from the terms
+//             it was bought under) that has not run yet; investments whose
+//             terms have no lock-in get full credit
+// - none:     nothing; the new level costs its full price
+// The credit never exceeds the new price, so switching down costs nothing but
+// pays nothing out either. The policy is set with LEVEL_SWITCH_CREDIT.
+//
+// The quote is what GET /api/invest-from-balance/quote shows before the user
+// confirms, and the purchase recomputes it inside its transaction.
+
+const SWITCH_CREDIT_POLICIES = ['full', 'prorated', 'none'];
+const DEFAULT_SWITCH_CREDIT_POLICY = 'full';
+
+function resolvePolicy() {
+  const configured = process.env.LEVEL_SWITCH_CREDIT;
+  if (!configured) {
+    return DEFAULT_SWITCH_CREDIT_POLICY;
+  }
+  if (!SWITCH_CREDIT_POLICIES.includes(configured)) {
+    console.warn(`⚠️ Unknown LEVEL_SWITCH_CREDIT "${configured}", using ${DEFAULT_SWITCH_CREDIT_POLICY}`);
+    return DEFAULT_SWITCH_CREDIT_POLICY;
+  }
+  return configured;
+}
+
+const SWITCH_CREDIT_POLICY = resolvePolicy();
+
+// Whole days between two YYYY-MM-DD dates
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Credit for the old investment's principal under a policy
+ * @param {Object} investment - { deposit_amount, start_date, lock_in_days }
+ * @param {string} policy - one of SWITCH_CREDIT_POLICIES
+ * @param {string} today - business date of the switch
+ * @returns {number} credit in ngwee
+ */
+function switchCreditFor(investment, policy, today) {
+  if (!investment || policy === 'none') {
+    return 0;
+  }
+  if (policy === 'prorated' && investment.lock_in_days) {
+    const daysHeld = Math.max(0, daysBetween(investment.start_date, today));
+    const daysLeft = Math.max(0, investment.lock_in_days - daysHeld);
+    return Math.round(investment.deposit_amount * daysLeft / investment.lock_in_days);
+  }
+  return investment.deposit_amount;
+}
+
+/**
+ * What buying a level from the balance costs the user right now
+ * @param {number} userId
+ * @param {number} packageId
+ * @param {Object} [tx] - dbWithTransaction handle, when called by the purchase
+ * @returns {Promise<Object>} the quote, or { error, message?, statusCode }
+ */
+async function quoteLevelSwitch(userId, packageId, tx = null) {
+  const get = tx ? tx.get : dbGet;
+
+  const packageData = await get('SELECT * FROM packages WHERE id = ?', [packageId]);
+  if (!packageData) {
+    return { error: 'Package not found', statusCode: 404 };
+  }
+  if (!packageData.active) {
+    return { error: 'This package is no longer available', statusCode: 400 };
+  }
+
+  // User can only be on ONE level at a time - switching levels terminates the old investment
+  const current = await get(
+    `SELECT i.id, i.package_id, p.level, i.deposit_amount, i.start_date, v.lock_in_days
+     FROM investments i
+     JOIN packages p ON i.package_id = p.id
+     LEFT JOIN package_versions v ON i.package_version_id = v.id
+     WHERE i.user_id = ? AND i.status = 'active'
+     ORDER BY i.start_date DESC, i.id DESC LIMIT 1`,
+    [userId]
+  );
+
+  if (current && current.level === packageData.level) {
+    return {
+      error: 'Invalid investment',
+      message: `You are already invested in ${packageData.level}. Choose a different level to switch.`,
+      statusCode: 400
+    };
+  }
+
+  const today = businessDate();
+  const credit = Math.min(switchCreditFor(current, SWITCH_CREDIT_POLICY, today), packageData.amount);
+  const netCost = packageData.amount - credit;
+  const { available } = await getBalance(userId, tx);
+
+  return {
+    package: packageData,
+    current: current || null,
+    policy: SWITCH_CREDIT_POLICY,
+    price: packageData.amount,
+    credit,
+    netCost,
+    available,
+    sufficientBalance: available >= netCost
+  };
+}
+
+module.exports = {
+  SWITCH_CREDIT_POLICIES,
+  SWITCH_CREDIT_POLICY,
+  switchCreditFor,
+  quoteLevelSwitch
+};
@@ -0,0 +1,59 @@
+const { dbGet, dbQuery } = require('./db');
+
+// Level registry.
+// The levels a user can be on (users.level) are the packages in the catalog:
+// their codes (L1, L2, ...), order and display names all come from the packages
+// table (utils/packages.js), so adding a level or renaming one is done from the
+// admin panel without code changes. Server validation uses isKnownLevel(), and
+// the SPA loads the same list from GET /api/levels (public/js/levels.js).
+//
+// Inactive levels are still known: users on them keep their level and admins
+// can still credit them.
+
+/**
+ * All levels in catalog order
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly] - only levels that can be bought
+ * @returns {Promise<Array>} [{ level, name, order, active }] - order is 1-based
+ */
+async function getLevels({ activeOnly = false } = {}) {
+  const rows = await dbQuery(
+    `SELECT level, name, active
+     FROM packages
+     WHERE level IS NOT NULL ${activeOnly ? 'AND active = 1' : ''}
+     ORDER BY display_order ASC, amount ASC, id ASC`
+  );
+  return rows.map((row, index) => ({
+    level: row.level,
+    name: row.name || row.level,
+    order: index + 1,
+    active: Boolean(row.active)
+  }));
+}
+
+async function isKnownLevel(level) {
+  if (typeof level !== 'string' || !level) return false;
+  const row = await dbGet('SELECT id FROM packages WHERE level = ?', [level]);
+  return Boolean(row);
+}
+
+// Display name of a level, or the code itself when it has none
+async function levelName(level) {
+  const row = await dbGet('SELECT name FROM packages WHERE level = ?', [level]);
+  return (row && row.name) || level;
+}
+
+// express-validator custom validator: value must be a level in the catalog
+async function validateLevel(value) {
+  if (!(await isKnownLevel(value))) {
+    throw new Error('Invalid level');
+  }
+  return true;
+}
+
+module.exports = {
+  getLevels,
+  isKnownLevel,
+  levelName,
+  validateLevel
+};
@@ -0,0 +1,942 @@
+const { dbRun, dbGet, dbWithTransaction } = require('./db');
+const ledger = require('./ledger');
+const { sealTransaction } = require('./hash-chain');
+const { normalizeTransactionRef } = require('./transaction-refs');
+const { localTimeModifier } = require('./timezone');
+
+// Versioned schema/data migrations.
+// Each migration runs once and is recorded in schema_migrations. Tables for new
+// features are created here rather than in initDB, together with any data
+// backfill from existing rows. A migration's up(tx) runs in the same
+// transaction as its schema_migrations insert, so it is applied whole or not
+// at all.
+
+const MIGRATIONS = [
+  {
+    id: '001_double_entry_ledger',
+    description: 'Create ledger accounts and journal, migrate transaction history',
+    up: migrateDoubleEntryLedger
+  },
+  {
+    id: '002_money_in_ngwee',
+    description: 'Store money columns as integer ngwee instead of REAL Kwacha',
+    up: migrateMoneyToNgwee
+  },
+  {
+    id: '003_withdrawal_holds',
+    description: 'Place ledger holds for pending withdrawal requests',
+    up: migrateWithdrawalHolds
+  },
+  {
+    id: '004_idempotency_keys',
+    description: 'Store responses of money-moving requests by Idempotency-Key',
+    up: createIdempotencyKeys
+  },
+  {
+    id: '005_transaction_reversals',
+    description: 'Link reversal transactions to the transaction they reverse',
+    up: addTransactionReversals
+  },
+  {
+    id: '006_transaction_hash_chain',
+    description: 'Chain transaction rows together with SHA-256 hashes',
+    up: addTransactionHashChain
+  },
+  {
+    id: '007_accrual_reconciliation',
+    description: 'Store accrual reconciliation runs and discrepancies',
+    up: createReconciliationTables
+  },
+  {
+    id: '008_accrual_runs',
+    description: 'Record which business dates the daily accrual has paid',
+    up: createAccrualRuns
+  },
+  {
+    id: '009_accrual_run_items',
+    description: 'Record manual accrual runs, per-investment line items and rollbacks',
+    up: addAccrualRunItems
+  },
+  {
+    id: '010_package_catalog',
+    description: 'Add catalog fields to packages and re-link investments to reseeded packages',
+    up: addPackageCatalog
+  },
+  {
+    id: '011_package_versions',
+    description: 'Version package terms and lock each investment to the terms it was bought under',
+    up: addPackageVersions
+  },
+  {
+    id: '012_level_names',
+    description: 'Add display names to package levels',
+    up: addLevelNames
+  },
+  {
+    id: '013_level_switch_credit',
+    description: 'Record the investment a level switch replaced and the credit given for it',
+    up: addLevelSwitchCredit
+  },
+  {
+    id: '014_deposits',
+    description: 'Move deposits out of investments into their own table',
+    up: createDeposits
+  },
+  {
+    id: '015_statement_imports',
+    description: 'Store mobile money statement imports and how each line matched the deposits',
+    up: createStatementImports
+  },
+  {
+    id: '016_transaction_refs',
+    description: 'Claim mobile money transaction references platform-wide and flag collisions',
+    up: createTransactionRefs
+  },
+  {
+    id: '017_payment_events',
+    description: 'Store Paystack webhook events and process each one once',
+    up: createPaymentEvents
+  },
+  {
+    id: '018_topups',
+    description: 'Store Paystack balance top-ups and link payment events to deposits',
+    up: createTopUps
+  },
+  {
+    id: '019_withdrawal_lifecycle',
+    description: 'Track withdrawal requests from approval to payout with a timeline of transitions',
+    up: createWithdrawalLifecycle
+  },
+  {
+    id: '020_payout_batches',
+    description: 'Store bulk payout batches of approved withdrawals and the provider result files imported for them',
+    up: createPayoutBatches
+  },
+  {
+    id: '021_withdrawal_fee_policies',
+    description: 'Store the withdrawal fee policy (tiers, flat and percentage fees, effective dates) in the database',
+    up: createWithdrawalFeePolicies
+  },
+  {
+    id: '022_withdrawal_processed_at',
+    description: "Store withdrawal processed_at timestamps in SQLite's datetime format",
+    up: normalizeWithdrawalProcessedAt
+  }
+];
+
+// Money columns converted from REAL Kwacha to INTEGER ngwee by 002_money_in_ngwee
+const NGWEE_COLUMNS = {
+  packages: ['amount', 'daily_income'],
+  investments: ['deposit_amount', 'total_accruals'],
+  transactions: ['amount'],
+  withdrawal_requests: ['amount', 'gross_amount', 'charge', 'net_amount'],
+  journal_lines: ['debit', 'credit']
+};
+
+async function migrateDoubleEntryLedger(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )`);
+  await tx.run(`CREATE TABLE IF NOT EXISTS journal_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_type TEXT NOT NULL,
+    user_id INTEGER,
+    transaction_id INTEGER,
+    description TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  )`);
+  await tx.run(`CREATE TABLE IF NOT EXISTS journal_lines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id INTEGER NOT NULL,
+    account_id INTEGER NOT NULL,
+    debit REAL NOT NULL DEFAULT 0,
+    credit REAL NOT NULL DEFAULT 0,
+    FOREIGN KEY (entry_id) REFERENCES journal_entries(id),
+    FOREIGN KEY (account_id) REFERENCES ledger_accounts(id)
+  )`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines(account_id)');
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_journal_lines_entry ON journal_lines(entry_id)');
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_journal_entries_transaction ON journal_entries(transaction_id)');
+
+  // Paid withdrawal requests, used to find the charge for historical withdrawal rows
+  const paidRequests = await tx.all(
+    `SELECT id, user_id, gross_amount, charge, net_amount FROM withdrawal_requests WHERE status = 'paid' ORDER BY id`
+  );
+  const transactions = await tx.all('SELECT * FROM transactions ORDER BY id');
+  let posted = 0;
+
+  for (const t of transactions) {
+    const amount = Number(t.amount) || 0;
+
+    if (t.type === 'deposit') {
+      // Non-positive deposits never counted toward balance
+      if (amount <= 0) continue;
+      await ledger.postDepositClaim({ userId: t.user_id, amount, description: 'Migrated deposit claim' }, tx);
+      await postMigratedEntry(tx, t, ledger.linesForTransaction('deposit', t.user_id, amount));
+    } else if (t.type === 'accrual' || t.type === 'bonus') {
+      await postMigratedEntry(tx, t, signedLines(t.type, t.user_id, amount));
+    } else if (t.type === 'investment') {
+      await postMigratedEntry(tx, t, ledger.linesForTransaction('investment', t.user_id, amount));
+    } else if (t.type === 'withdrawal') {
+      const matchIndex = paidRequests.findIndex(r =>
+        r.user_id === t.user_id && Math.abs(r.gross_amount - Math.abs(amount)) < 0.005
+      );
+      const match = matchIndex >= 0 ? paidRequests.splice(matchIndex, 1)[0] : null;
+      // The withdrawal charge has always been 12% of the gross amount
+      const charge = match ? match.charge : Math.abs(amount) * 0.12;
+      await postMigratedEntry(tx, t, signedLines('withdrawal', t.user_id, amount, charge));
+      if (amount > 0) {
+        await ledger.postPayout({ userId: t.user_id, amount: amount - charge, description: 'Migrated payout' }, tx);
+      }
+    } else {
+      console.warn(`  Skipping transaction ${t.id} with unknown type "${t.type}"`);
+      continue;
+    }
+    posted++;
+  }
+
+  // Deposits still awaiting approval sit in suspense
+  const pendingDeposits = await tx.all(
+    `SELECT user_id, deposit_amount FROM investments
+     WHERE status = 'pending' AND transaction_txt IS NOT NULL AND transaction_txt != ''
+       AND transaction_txt != 'BALANCE_INVESTMENT'`
+  );
+  for (const deposit of pendingDeposits) {
+    await ledger.postDepositClaim({ userId: deposit.user_id, amount: deposit.deposit_amount, description: 'Migrated pending deposit claim' }, tx);
+  }
+
+  console.log(`  Migrated ${posted}/${transactions.length} transactions and ${pendingDeposits.length} pending deposit(s) into the journal`);
+}
+
+async function migrateMoneyToNgwee(tx) {
+  for (const [table, columns] of Object.entries(NGWEE_COLUMNS)) {
+    await convertTableToNgwee(tx, table, columns);
+  }
+
+  // Rounding each column separately can leave derived amounts 1 ngwee off;
+  // recompute them so they still add up
+  await tx.run('UPDATE withdrawal_requests SET net_amount = gross_amount - charge');
+  const rebalanced = await rebalanceJournalEntries(tx);
+
+  console.log(`  Converted money columns to ngwee (${rebalanced} journal entr${rebalanced === 1 ? 'y' : 'ies'} rebalanced after rounding)`);
+}
+
+// Requests filed before holds existed only reduced the available balance
+// through a query; reserve their funds in the ledger like new requests
+async function migrateWithdrawalHolds(tx) {
+  const pending = await tx.all(
+    `SELECT id, user_id, gross_amount FROM withdrawal_requests WHERE status = 'pending' ORDER BY id`
+  );
+  for (const request of pending) {
+    await ledger.postWithdrawalHold({
+      userId: request.user_id,
+      amount: request.gross_amount,
+      description: `Hold for withdrawal request ${request.id}`
+    }, tx);
+  }
+
+  console.log(`  Placed holds for ${pending.length} pending withdrawal request(s)`);
+}
+
+async function createIdempotencyKeys(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status_code INTEGER,
+    response_body TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, idempotency_key),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )`);
+}
+
+async function addTransactionReversals(tx) {
+  await tx.run('ALTER TABLE transactions ADD COLUMN reversal_of INTEGER REFERENCES transactions(id)');
+  await tx.run('ALTER TABLE transactions ADD COLUMN reversal_reason TEXT');
+  // A transaction can be reversed at most once
+  await tx.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_reversal_of ON transactions(reversal_of) WHERE reversal_of IS NOT NULL');
+}
+
+// Seal existing rows in id order, so the chain starts at the first transaction
+async function addTransactionHashChain(tx) {
+  await tx.run('ALTER TABLE transactions ADD COLUMN prev_hash TEXT');
+  await tx.run('ALTER TABLE transactions ADD COLUMN row_hash TEXT');
+
+  const rows = await tx.all('SELECT id FROM transactions ORDER BY id ASC');
+  for (const row of rows) {
+    await sealTransaction(tx, row.id);
+  }
+  console.log(`Sealed ${rows.length} existing transactions into the hash chain`);
+}
+
+async function createReconciliationTables(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    investments_checked INTEGER DEFAULT 0,
+    users_checked INTEGER DEFAULT 0,
+    discrepancy_count INTEGER DEFAULT 0,
+    triggered_by INTEGER,
+    FOREIGN KEY (triggered_by) REFERENCES users(id)
+  )`);
+  await tx.run(`CREATE TABLE IF NOT EXISTS reconciliation_discrepancies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL,
+    scope TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    investment_id INTEGER,
+    recorded_accruals INTEGER NOT NULL,
+    ledger_accruals INTEGER NOT NULL,
+    difference INTEGER NOT NULL,
+    status TEXT DEFAULT 'open',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    repaired_at DATETIME,
+    repaired_by INTEGER,
+    correction_transaction_id INTEGER,
+    FOREIGN KEY (run_id) REFERENCES reconciliation_runs(id),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (investment_id) REFERENCES investments(id),
+    FOREIGN KEY (repaired_by) REFERENCES users(id),
+    FOREIGN KEY (correction_transaction_id) REFERENCES transactions(id)
+  )`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_reconciliation_discrepancies_run ON reconciliation_discrepancies(run_id)');
+}
+
+// The business date index is unique so a date can only be paid once.
+// The business date (platform timezone) of the latest accrual transaction is
+// recorded as paid, whatever its journal description (history migrated by
+// 001 is described 'Migrated from transaction history'), so catch-up starts
+// the day after it.
+async function createAccrualRuns(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS accrual_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    business_date TEXT NOT NULL,
+    source TEXT NOT NULL,
+    triggered_by INTEGER,
+    investments_count INTEGER DEFAULT 0,
+    total_amount INTEGER DEFAULT 0,
+    matured_count INTEGER DEFAULT 0,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    FOREIGN KEY (triggered_by) REFERENCES users(id)
+  )`);
+  await tx.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_accrual_runs_business_date ON accrual_runs(business_date)');
+
+  const local = localTimeModifier();
+  const lastRun = await tx.get(
+    `SELECT date(t.date, ?) as business_date, COUNT(*) as investments_count, SUM(t.amount) as total_amount
+     FROM transactions t
+     WHERE t.type = 'accrual'
+     GROUP BY date(t.date, ?)
+     ORDER BY business_date DESC
+     LIMIT 1`,
+    [local, local]
+  );
+  if (lastRun) {
+    await tx.run(
+      `INSERT INTO accrual_runs (business_date, source, investments_count, total_amount, finished_at)
+       VALUES (?, 'migration', ?, ?, datetime('now'))`,
+      [lastRun.business_date, lastRun.investments_count, lastRun.total_amount]
+    );
+    console.log(`Daily accruals before this release were last paid for ${lastRun.business_date}`);
+  }
+}
+
+// Daily runs stay unique per business date, but only while completed, so a
+// rolled-back date can be paid again. Items of runs paid before this migration
+// are rebuilt from their accrual transactions: by description for engine runs,
+// by business date for the run recorded by 008.
+async function addAccrualRunItems(tx) {
+  await tx.run(`ALTER TABLE accrual_runs ADD COLUMN kind TEXT NOT NULL DEFAULT 'daily'`);
+  await tx.run(`ALTER TABLE accrual_runs ADD COLUMN status TEXT NOT NULL DEFAULT 'completed'`);
+  await tx.run('ALTER TABLE accrual_runs ADD COLUMN level TEXT');
+  await tx.run('ALTER TABLE accrual_runs ADD COLUMN users_count INTEGER DEFAULT 0');
+  await tx.run('ALTER TABLE accrual_runs ADD COLUMN rolled_back_at DATETIME');
+  await tx.run('ALTER TABLE accrual_runs ADD COLUMN rolled_back_by INTEGER REFERENCES users(id)');
+  await tx.run('ALTER TABLE accrual_runs ADD COLUMN rollback_reason TEXT');
+  await tx.run('DROP INDEX IF EXISTS idx_accrual_runs_business_date');
+  await tx.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_accrual_runs_daily_date ON accrual_runs(business_date) WHERE kind = 'daily' AND status = 'completed'`);
+
+  await tx.run(`CREATE TABLE IF NOT EXISTS accrual_run_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    investment_id INTEGER,
+    amount INTEGER NOT NULL,
+    transaction_id INTEGER,
+    matured INTEGER DEFAULT 0,
+    FOREIGN KEY (run_id) REFERENCES accrual_runs(id),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (investment_id) REFERENCES investments(id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+  )`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_accrual_run_items_run ON accrual_run_items(run_id)');
+
+  await tx.run(
+    `INSERT INTO accrual_run_items (run_id, user_id, investment_id, amount, transaction_id)
+     SELECT r.id, t.user_id, t.investment_id, t.amount, t.id
+     FROM accrual_runs r
+     JOIN transactions t ON t.type = 'accrual'
+     WHERE (r.source = 'migration' AND date(t.date, ?) = r.business_date)
+        OR (r.source != 'migration' AND EXISTS (
+          SELECT 1 FROM journal_entries e
+          WHERE e.transaction_id = t.id AND e.description = 'Daily accrual for ' || r.business_date
+        ))
+     ORDER BY t.id`,
+    [localTimeModifier()]
+  );
+  await tx.run(
+    `UPDATE accrual_runs
+     SET users_count = (SELECT COUNT(DISTINCT user_id) FROM accrual_run_items WHERE run_id = accrual_runs.id)`
+  );
+}
+
+// Before this migration every boot deleted and re-inserted the packages, so
+// their ids moved on each restart and older investments point at ids that no
+// longer exist. Deposits (status pending, deposit_completed or denied) use the
+// first package as a placeholder and are re-linked to it; level purchases are
+// re-linked to the package with the same amount, or the first package.
+async function addPackageCatalog(tx) {
+  await tx.run('ALTER TABLE packages ADD COLUMN description TEXT');
+  await tx.run('ALTER TABLE packages ADD COLUMN active INTEGER NOT NULL DEFAULT 1');
+  await tx.run('ALTER TABLE packages ADD COLUMN display_order INTEGER NOT NULL DEFAULT 0');
+  await tx.run('ALTER TABLE packages ADD COLUMN created_at DATETIME');
+  await tx.run('ALTER TABLE packages ADD COLUMN updated_at DATETIME');
+
+  await tx.run(`UPDATE packages SET created_at = datetime('now')`);
+  await tx.run(
+    `UPDATE packages SET display_order = (
+       SELECT COUNT(*) FROM packages p2
+       WHERE p2.amount < packages.amount OR (p2.amount = packages.amount AND p2.id <= packages.id)
+     )`
+  );
+
+  const firstPackage = await tx.get('SELECT id FROM packages ORDER BY display_order ASC LIMIT 1');
+  if (!firstPackage) return;
+
+  const byAmount = await tx.run(
+    `UPDATE investments
+     SET package_id = (SELECT MIN(p.id) FROM packages p WHERE p.amount = investments.deposit_amount)
+     WHERE package_id NOT IN (SELECT id FROM packages)
+       AND status NOT IN ('pending', 'deposit_completed', 'denied')
+       AND EXISTS (SELECT 1 FROM packages p WHERE p.amount = investments.deposit_amount)`
+  );
+  const placeholder = await tx.run(
+    'UPDATE investments SET package_id = ? WHERE package_id NOT IN (SELECT id FROM packages)',
+    [firstPackage.id]
+  );
+  if (byAmount.changes + placeholder.changes > 0) {
+    console.log(`Re-linked ${byAmount.changes} investments to packages by amount and ${placeholder.changes} to the first package`);
+  }
+}
+
+// Every package gets version 1 with its current terms. Existing investments
+// are linked to it: they have been earning under the current terms anyway.
+// Deposits (status pending, deposit_completed or denied) only use a package as
+// a placeholder and get no terms.
+async function addPackageVersions(tx) {
+  await tx.run('ALTER TABLE packages ADD COLUMN lock_in_days INTEGER DEFAULT 26');
+  await tx.run('ALTER TABLE packages ADD COLUMN withdrawal_fee_percent REAL NOT NULL DEFAULT 12');
+  await tx.run('ALTER TABLE packages ADD COLUMN current_version_id INTEGER REFERENCES package_versions(id)');
+  await tx.run(`CREATE TABLE IF NOT EXISTS package_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    package_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    amount INTEGER NOT NULL,
+    daily_income INTEGER NOT NULL,
+    daily_rate REAL NOT NULL,
+    lock_in_days INTEGER,
+    withdrawal_fee_percent REAL NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by INTEGER,
+    FOREIGN KEY (package_id) REFERENCES packages(id),
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    UNIQUE (package_id, version)
+  )`);
+  await tx.run('ALTER TABLE investments ADD COLUMN package_version_id INTEGER REFERENCES package_versions(id)');
+
+  await tx.run(
+    `INSERT INTO package_versions (package_id, version, amount, daily_income, daily_rate, lock_in_days, withdrawal_fee_percent)
+     SELECT id, 1, amount, daily_income, daily_rate, lock_in_days, withdrawal_fee_percent FROM packages`
+  );
+  await tx.run(
+    'UPDATE packages SET current_version_id = (SELECT v.id FROM package_versions v WHERE v.package_id = packages.id AND v.version = 1)'
+  );
+  await tx.run(
+    `UPDATE investments
+     SET package_version_id = (SELECT p.current_version_id FROM packages p WHERE p.id = investments.package_id)
+     WHERE status NOT IN ('pending', 'deposit_completed', 'denied')`
+  );
+}
+
+// Levels without a name are shown by their code (L1, L2, ...)
+async function addLevelNames(tx) {
+  await tx.run('ALTER TABLE packages ADD COLUMN name TEXT');
+}
+
+// The investment row of a level switch keeps the full price as its principal
+// (deposit_amount); switch_credit is the part paid by the terminated investment
+// switched_from_investment_id, and only the rest was debited from the balance.
+async function addLevelSwitchCredit(tx) {
+  await tx.run('ALTER TABLE investments ADD COLUMN switched_from_investment_id INTEGER REFERENCES investments(id)');
+  await tx.run('ALTER TABLE investments ADD COLUMN switch_credit INTEGER NOT NULL DEFAULT 0');
+}
+
+// Deposits were investments rows with the first package as a placeholder,
+// maturity 9999-12-31 and status pending, deposit_completed (approved), denied
+// or deleted. They keep their ids, so their ledger transactions - whose
+// investment_id is hashed into the transaction chain and cannot be rewritten -
+// still carry the deposit id. transaction_id points at the deposit credit.
+async function createDeposits(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS deposits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    amount INTEGER NOT NULL,
+    wallet TEXT,
+    transaction_txt TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    transaction_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    processed_at DATETIME,
+    processed_by INTEGER,
+    admin_notes TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+    FOREIGN KEY (processed_by) REFERENCES users(id)
+  )`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_deposits_user ON deposits(user_id)');
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_deposits_status ON deposits(status)');
+
+  // Transactions of moved deposits keep referring to the removed investment
+  // ids; foreign keys are not enforced on these connections (getDB leaves
+  // them off), so the rows can be deleted
+  const moved = await tx.run(
+    `INSERT INTO deposits (id, user_id, amount, wallet, transaction_txt, status, transaction_id, created_at)
+     SELECT i.id, i.user_id, i.deposit_amount, i.wallet, i.transaction_txt,
+       CASE i.status WHEN 'deposit_completed' THEN 'approved' ELSE i.status END,
+       (SELECT MIN(t.id) FROM transactions t
+        WHERE t.investment_id = i.id AND t.type = 'deposit' AND t.reversal_of IS NULL),
+       i.created_at
+     FROM investments i
+     WHERE i.status IN ('pending', 'deposit_completed', 'denied', 'deleted')
+     ORDER BY i.id`
+  );
+  await tx.run(`DELETE FROM investments WHERE status IN ('pending', 'deposit_completed', 'denied', 'deleted')`);
+  if (moved.changes > 0) {
+    console.log(`Moved ${moved.changes} deposits from investments to deposits`);
+  }
+}
+
+// One row per uploaded statement and one per transaction line in it, with the
+// match result (see utils/statement-import.js). approved_at/approved_by are set
+// when a matched line's deposit is approved from the import.
+async function createStatementImports(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS statement_imports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wallet TEXT NOT NULL,
+    filename TEXT,
+    rows_count INTEGER NOT NULL DEFAULT 0,
+    uploaded_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id)
+  )`);
+  await tx.run(`CREATE TABLE IF NOT EXISTS statement_import_lines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    import_id INTEGER NOT NULL,
+    row_number INTEGER NOT NULL,
+    reference TEXT,
+    amount INTEGER,
+    transaction_date TEXT,
+    sender TEXT,
+    result TEXT NOT NULL,
+    deposit_id INTEGER,
+    note TEXT,
+    approved_at DATETIME,
+    approved_by INTEGER,
+    FOREIGN KEY (import_id) REFERENCES statement_imports(id),
+    FOREIGN KEY (deposit_id) REFERENCES deposits(id),
+    FOREIGN KEY (approved_by) REFERENCES users(id)
+  )`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_statement_import_lines_import ON statement_import_lines(import_id)');
+}
+
+// transaction_refs holds one active claim per wallet and normalized reference
+// (see utils/transaction-refs.js); transaction_ref_flags records attempts to
+// use a reference another user holds. Existing Airtel and MTN deposits and
+// verified level purchases are claimed oldest first; level purchases from the
+// balance ('BALANCE_INVESTMENT') and rows without a mobile money wallet have
+// no reference to claim. Denied deposits are recorded as released, and when two users claimed the same reference before this check
+// existed, the later claim is recorded as released and flagged for review.
+async function createTransactionRefs(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS transaction_refs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wallet TEXT NOT NULL,
+    reference TEXT NOT NULL,
+    transaction_txt TEXT,
+    user_id INTEGER NOT NULL,
+    deposit_id INTEGER,
+    investment_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    released_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (deposit_id) REFERENCES deposits(id),
+    FOREIGN KEY (investment_id) REFERENCES investments(id)
+  )`);
+  await tx.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_transaction_refs_claim
+    ON transaction_refs(wallet, reference) WHERE released_at IS NULL`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_transaction_refs_reference ON transaction_refs(reference)');
+  await tx.run(`CREATE TABLE IF NOT EXISTS transaction_ref_flags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wallet TEXT NOT NULL,
+    reference TEXT NOT NULL,
+    transaction_txt TEXT,
+    user_id INTEGER,
+    claim_id INTEGER,
+    claimed_by INTEGER,
+    source TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME,
+    reviewed_by INTEGER,
+    review_notes TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (claim_id) REFERENCES transaction_refs(id),
+    FOREIGN KEY (claimed_by) REFERENCES users(id),
+    FOREIGN KEY (reviewed_by) REFERENCES users(id)
+  )`);
+
+  const claims = await tx.all(
+    `SELECT id as deposit_id, NULL as investment_id, user_id, wallet, transaction_txt, status, created_at
+     FROM deposits WHERE transaction_txt IS NOT NULL AND wallet IN ('airtel', 'mtn')
+     UNION ALL
+     SELECT NULL, id, user_id, wallet, transaction_txt, status, created_at
+     FROM investments
+     WHERE transaction_txt IS NOT NULL AND transaction_txt != 'BALANCE_INVESTMENT' AND wallet IN ('airtel', 'mtn')
+     ORDER BY created_at, deposit_id, investment_id`
+  );
+
+  const active = new Map();
+  let flagged = 0;
+  for (const claim of claims) {
+    const wallet = claim.wallet;
+    const reference = normalizeTransactionRef(claim.transaction_txt);
+    if (!reference) continue;
+
+    const key = `${wallet}:${reference}`;
+    const holder = active.get(key);
+    const released = claim.status === 'denied' || Boolean(holder);
+    const result = await tx.run(
+      `INSERT INTO transaction_refs (wallet, reference, transaction_txt, user_id, deposit_id, investment_id, created_at, released_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ${released ? "datetime('now')" : 'NULL'})`,
+      [wallet, reference, claim.transaction_txt, claim.user_id, claim.deposit_id, claim.investment_id, claim.created_at]
+    );
+
+    if (!released) {
+      active.set(key, { id: result.lastID, userId: claim.user_id });
+    } else if (holder && holder.userId !== claim.user_id) {
+      await tx.run(
+        `INSERT INTO transaction_ref_flags (wallet, reference, transaction_txt, user_id, claim_id, claimed_by, source)
+         VALUES (?, ?, ?, ?, ?, ?, 'migration')`,
+        [wallet, reference, claim.transaction_txt, claim.user_id, holder.id, holder.userId]
+      );
+      flagged++;
+    }
+  }
+  if (flagged > 0) {
+    console.log(`Flagged ${flagged} transaction references claimed by more than one user`);
+  }
+}
+
+// One row per Paystack event type and reference (see utils/payment-events.js),
+// with the raw payload so events can be replayed
+async function createPaymentEvents(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS payment_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event TEXT NOT NULL,
+    reference TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'received',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    processed_at DATETIME,
+    user_id INTEGER,
+    investment_id INTEGER,
+    replayed_at DATETIME,
+    replayed_by INTEGER,
+    UNIQUE (event, reference),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (investment_id) REFERENCES investments(id),
+    FOREIGN KEY (replayed_by) REFERENCES users(id)
+  )`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_payment_events_status ON payment_events(status)');
+}
+
+// Paystack balance top-ups (see utils/topups.js); a paid top-up is credited
+// as an approved deposit, which the webhook event that credited it points to
+async function createTopUps(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS topups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    reference TEXT NOT NULL UNIQUE,
+    amount INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    authorization_url TEXT,
+    deposit_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (deposit_id) REFERENCES deposits(id)
+  )`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_topups_user ON topups(user_id)');
+  await tx.run('ALTER TABLE payment_events ADD COLUMN deposit_id INTEGER REFERENCES deposits(id)');
+}
+
+// Withdrawal requests move through approved/processing before they are paid
+// (see utils/withdrawals.js). Requests approved before this were marked paid
+// at once; their timeline is rebuilt from requested_at and processed_at, and
+// their withdrawal transaction is found by its journal entry description.
+async function createWithdrawalLifecycle(tx) {
+  await tx.run('ALTER TABLE withdrawal_requests ADD COLUMN transaction_id INTEGER REFERENCES transactions(id)');
+  await tx.run(`CREATE TABLE IF NOT EXISTS withdrawal_transitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    withdrawal_request_id INTEGER NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    actor_id INTEGER,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (withdrawal_request_id) REFERENCES withdrawal_requests(id),
+    FOREIGN KEY (actor_id) REFERENCES users(id)
+  )`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_withdrawal_transitions_request ON withdrawal_transitions(withdrawal_request_id)');
+
+  await tx.run(
+    `UPDATE withdrawal_requests
+     SET transaction_id = (
+       SELECT e.transaction_id FROM journal_entries e
+       WHERE e.entry_type = 'withdrawal' AND e.transaction_id IS NOT NULL
+         AND e.description = 'Withdrawal request ' || withdrawal_requests.id
+       ORDER BY e.id LIMIT 1
+     )
+     WHERE status = 'paid'`
+  );
+  await tx.run(
+    `INSERT INTO withdrawal_transitions (withdrawal_request_id, from_status, to_status, actor_id, created_at)
+     SELECT id, NULL, 'pending', user_id, datetime(requested_at) FROM withdrawal_requests`
+  );
+  await tx.run(
+    `INSERT INTO withdrawal_transitions (withdrawal_request_id, from_status, to_status, actor_id, notes, created_at)
+     SELECT id, 'pending', status, CASE WHEN status = 'cancelled' THEN user_id ELSE processed_by END, admin_notes,
+       COALESCE(datetime(processed_at), datetime(requested_at))
+     FROM withdrawal_requests WHERE status != 'pending'`
+  );
+}
+
+// payout_batches are the bulk payment files exported for approved withdrawal
+// requests, one item per request (see utils/payout-batches.js);
+// payout_result_imports are the provider result files uploaded for a batch
+async function createPayoutBatches(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS payout_batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wallet TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open',
+    request_count INTEGER NOT NULL DEFAULT 0,
+    total_amount INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  )`);
+  await tx.run(`CREATE TABLE IF NOT EXISTS payout_result_imports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    batch_id INTEGER NOT NULL,
+    filename TEXT,
+    rows_count INTEGER NOT NULL DEFAULT 0,
+    paid_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    unmatched_count INTEGER NOT NULL DEFAULT 0,
+    uploaded_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (batch_id) REFERENCES payout_batches(id),
+    FOREIGN KEY (uploaded_by) REFERENCES users(id)
+  )`);
+  await tx.run(`CREATE TABLE IF NOT EXISTS payout_batch_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    batch_id INTEGER NOT NULL,
+    withdrawal_request_id INTEGER NOT NULL UNIQUE,
+    msisdn TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    reference TEXT NOT NULL UNIQUE,
+    result TEXT,
+    provider_status TEXT,
+    provider_reference TEXT,
+    result_note TEXT,
+    result_import_id INTEGER,
+    resulted_at DATETIME,
+    FOREIGN KEY (batch_id) REFERENCES payout_batches(id),
+    FOREIGN KEY (withdrawal_request_id) REFERENCES withdrawal_requests(id),
+    FOREIGN KEY (result_import_id) REFERENCES payout_result_imports(id)
+  )`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_payout_batch_items_batch ON payout_batch_items(batch_id)');
+}
+
+// withdrawal_fee_policies and their tiers hold the withdrawal fee rules (see
+// utils/withdrawal-fees.js). The default policy keeps the fee of the package
+// terms and the K50 minimum withdrawal, which were hard-coded until now.
+async function createWithdrawalFeePolicies(tx) {
+  await tx.run(`CREATE TABLE IF NOT EXISTS withdrawal_fee_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    effective_from TEXT NOT NULL,
+    min_withdrawal INTEGER NOT NULL,
+    notes TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  )`);
+  await tx.run(`CREATE TABLE IF NOT EXISTS withdrawal_fee_tiers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    policy_id INTEGER NOT NULL,
+    level TEXT,
+    min_amount INTEGER NOT NULL DEFAULT 0,
+    max_amount INTEGER,
+    percent REAL,
+    flat_fee INTEGER NOT NULL DEFAULT 0,
+    min_fee INTEGER,
+    max_fee INTEGER,
+    FOREIGN KEY (policy_id) REFERENCES withdrawal_fee_policies(id)
+  )`);
+  await tx.run('CREATE INDEX IF NOT EXISTS idx_withdrawal_fee_tiers_policy ON withdrawal_fee_tiers(policy_id)');
+  await tx.run('ALTER TABLE withdrawal_requests ADD COLUMN fee_policy_id INTEGER REFERENCES withdrawal_fee_policies(id)');
+
+  const policy = await tx.run(
+    `INSERT INTO withdrawal_fee_policies (effective_from, min_withdrawal, notes)
+     VALUES ('2000-01-01', 5000, 'Default: the withdrawal fee of the package terms')`
+  );
+  await tx.run('INSERT INTO withdrawal_fee_tiers (policy_id, min_amount) VALUES (?, 0)', [policy.lastID]);
+}
+
+// Withdrawal requests stored processed_at as an ISO string
+// (2026-10-19T10:00:00.000Z) while every other timestamp is datetime('now')
+// (2026-10-19 10:00:00); rewrite them so they sort and compare as the rest
+async function normalizeWithdrawalProcessedAt(tx) {
+  await tx.run(`UPDATE withdrawal_requests SET processed_at = datetime(processed_at) WHERE processed_at LIKE '%T%'`);
+}
+
+// Rebuild a table with its money columns declared INTEGER and the values
+// multiplied by 100. SQLite cannot change a column type in place, so the
+// table is copied, dropped and renamed, and its indexes are recreated.
+async function convertTableToNgwee(tx, table, columns) {
+  const definition = await tx.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+  if (!definition) {
+    return;
+  }
+  const indexes = await tx.all(
+    `SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL`,
+    [table]
+  );
+  const tableColumns = (await tx.all(`PRAGMA table_info(${table})`)).map(col => col.name);
+
+  const tempTable = `${table}_ngwee`;
+  let createSql = definition.sql.replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?["`]?\w+["`]?/i, `CREATE TABLE ${tempTable}`);
+  for (const column of columns) {
+    createSql = createSql.replace(new RegExp(`(\\b${column}\\s+)REAL\\b`, 'i'), '$1INTEGER');
+  }
+
+  const selectList = tableColumns
+    .map(name => columns.includes(name) ? `CAST(ROUND(${name} * 100) AS INTEGER)` : name)
+    .join(', ');
+
+  await tx.run(createSql);
+  await tx.run(`INSERT INTO ${tempTable} (${tableColumns.join(', ')}) SELECT ${selectList} FROM ${table}`);
+  await tx.run(`DROP TABLE ${table}`);
+  await tx.run(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+  for (const index of indexes) {
+    await tx.run(index.sql);
+  }
+}
+
+// Put any rounding difference of a converted journal entry on its platform
+// revenue line (the withdrawal charge), or else on its largest credit line
+async function rebalanceJournalEntries(tx) {
+  const unbalanced = await tx.all(
+    `SELECT entry_id, SUM(debit) - SUM(credit) as difference
+     FROM journal_lines
+     GROUP BY entry_id
+     HAVING SUM(debit) != SUM(credit)`
+  );
+
+  for (const entry of unbalanced) {
+    const line = await tx.get(
+      `SELECT l.id
+       FROM journal_lines l
+       JOIN ledger_accounts a ON l.account_id = a.id
+       WHERE l.entry_id = ? AND l.credit > 0
+       ORDER BY (a.code = 'PLATFORM_REVENUE') DESC, l.credit DESC
+       LIMIT 1`,
+      [entry.entry_id]
+    );
+    await tx.run('UPDATE journal_lines SET credit = credit + ? WHERE id = ?', [entry.difference, line.id]);
+  }
+
+  return unbalanced.length;
+}
+
+// Lines for a historical row whose amount may be negative (a manual correction):
+// post the absolute amount with debit and credit swapped
+function signedLines(type, userId, amount, charge = 0) {
+  const lines = ledger.linesForTransaction(type, userId, Math.abs(amount), Math.abs(charge));
+  if (amount >= 0) {
+    return lines;
+  }
+  return lines.map(line => ({ account: line.account, debit: line.credit || 0, credit: line.debit || 0 }));
+}
+
+function postMigratedEntry(tx, transaction, lines) {
+  return ledger.postJournalEntry({
+    entryType: transaction.type,
+    userId: transaction.user_id,
+    transactionId: transaction.id,
+    description: 'Migrated from transaction history',
+    lines
+  }, tx);
+}
+
+// Run all pending migrations in order
+async function runMigrations() {
+  await dbRun(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    id TEXT PRIMARY KEY,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  for (const migration of MIGRATIONS) {
+    const applied = await dbGet('SELECT id FROM schema_migrations WHERE id = ?', [migration.id]);
+    if (applied) continue;
+
+    console.log(`Running migration ${migration.id}: ${migration.description}`);
+    // SQLite DDL is transactional: a migration that fails part-way leaves no
+    // columns or tables behind, so it can run again on the next boot
+    await dbWithTransaction(async (tx) => {
+      await migration.up(tx);
+      await tx.run('INSERT INTO schema_migrations (id) VALUES (?)', [migration.id]);
+    });
+    console.log(`✅ Migration ${migration.id} applied`);
+  }
+}
+
+module.exports = {
+  runMigrations
+};
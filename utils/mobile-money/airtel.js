@@ -0,0 +1,93 @@
+const axios = require('axios');
+const { toNgwee } = require('../money');
+
+// Airtel Money collection status lookup (Airtel Africa Open API).
+// Authenticates with client credentials and looks the reference up with the
+// transaction enquiry endpoint. The enquiry reports the status but not always
+// the amount; when it is missing the amount is returned as null.
+
+const AIRTEL_API_URL = process.env.AIRTEL_API_URL || 'https://openapiuat.airtel.africa';
+const AIRTEL_CLIENT_ID = process.env.AIRTEL_CLIENT_ID || '';
+const AIRTEL_CLIENT_SECRET = process.env.AIRTEL_CLIENT_SECRET || '';
+const AIRTEL_COUNTRY = process.env.AIRTEL_COUNTRY || 'ZM';
+const AIRTEL_CURRENCY = process.env.AIRTEL_CURRENCY || 'ZMW';
+
+// Airtel transaction status codes
+const STATUSES = {
+  TS: 'successful',
+  TIP: 'pending',
+  TA: 'pending',
+  TF: 'failed',
+  TE: 'failed'
+};
+
+let cachedToken = null;
+
+function isConfigured() {
+  return Boolean(AIRTEL_CLIENT_ID && AIRTEL_CLIENT_SECRET);
+}
+
+// Access token, reused until shortly before it expires
+async function getAccessToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.token;
+  }
+  const response = await axios.post(
+    `${AIRTEL_API_URL}/auth/oauth2/token`,
+    {
+      client_id: AIRTEL_CLIENT_ID,
+      client_secret: AIRTEL_CLIENT_SECRET,
+      grant_type: 'client_credentials'
+    },
+    { headers: { 'Content-Type': 'application/json' }, timeout: 10000 }
+  );
+  const expiresIn = Number(response.data.expires_in) || 180;
+  cachedToken = {
+    token: response.data.access_token,
+    expiresAt: Date.now() + (expiresIn - 30) * 1000
+  };
+  return cachedToken.token;
+}
+
+/**
+ * Look up an Airtel Money collection
+ * @param {string} reference - transaction ID given by the user
+ * @returns {Promise<Object>} { status, amount, msisdn, reference }
+ */
+async function lookupCollection(reference) {
+  const token = await getAccessToken();
+  try {
+    const response = await axios.get(
+      `${AIRTEL_API_URL}/standard/v1/payments/${encodeURIComponent(reference)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'X-Country': AIRTEL_COUNTRY,
+          'X-Currency': AIRTEL_CURRENCY
+        },
+        timeout: 10000
+      }
+    );
+    const transaction = response.data.data && response.data.data.transaction;
+    if (!transaction) {
+      return { status: 'not_found', amount: null, msisdn: null, reference };
+    }
+    return {
+      status: STATUSES[transaction.status] || 'pending',
+      amount: transaction.amount !== undefined ? toNgwee(transaction.amount) : null,
+      msisdn: transaction.msisdn || null,
+      reference: transaction.airtel_money_id || reference
+    };
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return { status: 'not_found', amount: null, msisdn: null, reference };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'Airtel Money',
+  isConfigured,
+  lookupCollection
+};
@@ -0,0 +1,111 @@
+const { formatKwacha } = require('../money');
+
+// Mobile money verification (verifyTransactionTxt).
+// Checks the transaction ID a user gives for an Airtel Money or MTN MoMo
+// transfer against the wallet provider. MOBILE_MONEY_PROVIDER picks the
+// adapters:
+// - none: no lookup; deposits wait for an admin and level purchases are
+//         accepted on the length check alone (the default)
+// - live: the Airtel Money and MTN MoMo APIs (a wallet whose credentials are
+//         not set falls back to none)
+// - mock: the local simulator (node mobile-money-simulator.js) for both wallets
+//
+// An adapter exports { name, isConfigured(), lookupCollection(reference, wallet) }.
+// lookupCollection resolves to { status, amount, msisdn, reference } where
+// status is successful, pending, failed or not_found and amount is in ngwee
+// (null when the provider does not report it), and throws when the provider
+// cannot be reached.
+
+const airtel = require('./airtel');
+const mtn = require('./mtn');
+const mock = require('./mock');
+
+const MOBILE_MONEY_PROVIDERS = ['none', 'live', 'mock'];
+const DEFAULT_MOBILE_MONEY_PROVIDER = 'none';
+const LIVE_ADAPTERS = { airtel, mtn };
+
+function resolveProvider() {
+  const configured = process.env.MOBILE_MONEY_PROVIDER;
+  if (!configured) {
+    return DEFAULT_MOBILE_MONEY_PROVIDER;
+  }
+  if (!MOBILE_MONEY_PROVIDERS.includes(configured)) {
+    console.warn(`⚠️ Unknown MOBILE_MONEY_PROVIDER "${configured}", using ${DEFAULT_MOBILE_MONEY_PROVIDER}`);
+    return DEFAULT_MOBILE_MONEY_PROVIDER;
+  }
+  if (configured === 'live') {
+    for (const [wallet, adapter] of Object.entries(LIVE_ADAPTERS)) {
+      if (!adapter.isConfigured()) {
+        console.warn(`⚠️ ${adapter.name} credentials are not set; ${wallet} transactions will not be verified`);
+      }
+    }
+  }
+  return configured;
+}
+
+const MOBILE_MONEY_PROVIDER = resolveProvider();
+
+// Adapter that verifies a wallet's transactions, or null when there is none
+function adapterFor(wallet) {
+  if (MOBILE_MONEY_PROVIDER === 'mock') {
+    return mock;
+  }
+  if (MOBILE_MONEY_PROVIDER === 'live' && LIVE_ADAPTERS[wallet] && LIVE_ADAPTERS[wallet].isConfigured()) {
+    return LIVE_ADAPTERS[wallet];
+  }
+  return null;
+}
+
+/**
+ * Verify a mobile money transaction ID with the wallet provider
+ * @param {string} transactionTxt - transaction ID given by the user
+ * @param {string} wallet - 'airtel' or 'mtn'
+ * @param {number} amount - expected amount in ngwee
+ * @returns {Promise<Object>} { verified, status, message, provider }; status is
+ *   verified, unverified (no provider for the wallet), invalid, not_found,
+ *   pending, failed, amount_mismatch or unavailable (provider not reachable)
+ */
+async function verifyTransactionTxt(transactionTxt, wallet, amount) {
+  if (!transactionTxt || transactionTxt.length < 6 || transactionTxt.length > 50) {
+    return { verified: false, status: 'invalid', message: 'Transaction number must be 6 to 50 characters', provider: null };
+  }
+
+  const adapter = adapterFor(wallet);
+  if (!adapter) {
+    console.log(`[Development Mode] Transaction verification: ${transactionTxt} for ${wallet}, amount: ${formatKwacha(amount)}`);
+    return { verified: false, status: 'unverified', message: 'No provider to verify this transaction', provider: null };
+  }
+
+  let collection;
+  try {
+    collection = await adapter.lookupCollection(transactionTxt, wallet);
+  } catch (error) {
+    console.error(`${adapter.name} lookup error:`, error.response?.data || error.message);
+    return { verified: false, status: 'unavailable', message: `${adapter.name} could not be reached`, provider: adapter.name };
+  }
+
+  console.log(`${adapter.name} lookup: ${transactionTxt} for ${wallet} is ${collection.status}, amount: ${collection.amount === null ? 'not reported' : formatKwacha(collection.amount)}`);
+
+  if (collection.status === 'not_found') {
+    return { verified: false, status: 'not_found', message: 'Transaction not found', provider: adapter.name };
+  }
+  if (collection.status !== 'successful') {
+    return { verified: false, status: collection.status, message: `Transaction is ${collection.status}`, provider: adapter.name };
+  }
+  // Providers that do not report the amount are trusted on the status alone
+  if (collection.amount !== null && collection.amount !== amount) {
+    return {
+      verified: false,
+      status: 'amount_mismatch',
+      message: `Transaction amount is ${formatKwacha(collection.amount)}, not ${formatKwacha(amount)}`,
+      provider: adapter.name
+    };
+  }
+  return { verified: true, status: 'verified', message: `Verified with ${adapter.name}`, provider: adapter.name };
+}
+
+module.exports = {
+  MOBILE_MONEY_PROVIDERS,
+  MOBILE_MONEY_PROVIDER,
+  verifyTransactionTxt
+};
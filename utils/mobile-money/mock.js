@@ -0,0 +1,46 @@
+const axios = require('axios');
+const { toNgwee } = require('../money');
+
+// Mock provider for development and tests.
+// Looks collections up on the mobile money simulator
+// (node mobile-money-simulator.js) instead of the live Airtel/MTN APIs, so
+// deposits can be verified end to end without credentials.
+
+const MOBILE_MONEY_SIMULATOR_URL = process.env.MOBILE_MONEY_SIMULATOR_URL || 'http://localhost:4010';
+
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Look up a collection on the simulator
+ * @param {string} reference - transaction ID given by the user
+ * @param {string} wallet - 'airtel' or 'mtn'
+ * @returns {Promise<Object>} { status, amount, msisdn, reference }
+ */
+async function lookupCollection(reference, wallet) {
+  try {
+    const response = await axios.get(
+      `${MOBILE_MONEY_SIMULATOR_URL}/${wallet}/collections/${encodeURIComponent(reference)}`,
+      { timeout: 5000 }
+    );
+    const data = response.data;
+    return {
+      status: data.status,
+      amount: data.amount !== null && data.amount !== undefined ? toNgwee(data.amount) : null,
+      msisdn: data.msisdn || null,
+      reference: data.reference
+    };
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return { status: 'not_found', amount: null, msisdn: null, reference };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'Mobile money simulator',
+  isConfigured,
+  lookupCollection
+};
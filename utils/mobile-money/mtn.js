@@ -0,0 +1,89 @@
+const axios = require('axios');
+const { toNgwee } = require('../money');
+
+// MTN MoMo collection status lookup (MoMo Developer API, Collection product).
+// Authenticates with the API user and key and looks the reference up as a
+// request-to-pay, which reports the status, amount and payer.
+
+const MTN_MOMO_API_URL = process.env.MTN_MOMO_API_URL || 'https://sandbox.momodeveloper.mtn.com';
+const MTN_MOMO_SUBSCRIPTION_KEY = process.env.MTN_MOMO_SUBSCRIPTION_KEY || '';
+const MTN_MOMO_API_USER = process.env.MTN_MOMO_API_USER || '';
+const MTN_MOMO_API_KEY = process.env.MTN_MOMO_API_KEY || '';
+const MTN_MOMO_TARGET_ENVIRONMENT = process.env.MTN_MOMO_TARGET_ENVIRONMENT || 'sandbox';
+
+const STATUSES = {
+  SUCCESSFUL: 'successful',
+  PENDING: 'pending',
+  FAILED: 'failed',
+  REJECTED: 'failed',
+  TIMEOUT: 'failed'
+};
+
+let cachedToken = null;
+
+function isConfigured() {
+  return Boolean(MTN_MOMO_SUBSCRIPTION_KEY && MTN_MOMO_API_USER && MTN_MOMO_API_KEY);
+}
+
+// Access token, reused until shortly before it expires
+async function getAccessToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.token;
+  }
+  const response = await axios.post(
+    `${MTN_MOMO_API_URL}/collection/token/`,
+    null,
+    {
+      auth: { username: MTN_MOMO_API_USER, password: MTN_MOMO_API_KEY },
+      headers: { 'Ocp-Apim-Subscription-Key': MTN_MOMO_SUBSCRIPTION_KEY },
+      timeout: 10000
+    }
+  );
+  const expiresIn = Number(response.data.expires_in) || 3600;
+  cachedToken = {
+    token: response.data.access_token,
+    expiresAt: Date.now() + (expiresIn - 30) * 1000
+  };
+  return cachedToken.token;
+}
+
+/**
+ * Look up an MTN MoMo collection
+ * @param {string} reference - transaction ID given by the user
+ * @returns {Promise<Object>} { status, amount, msisdn, reference }
+ */
+async function lookupCollection(reference) {
+  const token = await getAccessToken();
+  try {
+    const response = await axios.get(
+      `${MTN_MOMO_API_URL}/collection/v1_0/requesttopay/${encodeURIComponent(reference)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'X-Target-Environment': MTN_MOMO_TARGET_ENVIRONMENT,
+          'Ocp-Apim-Subscription-Key': MTN_MOMO_SUBSCRIPTION_KEY
+        },
+        timeout: 10000
+      }
+    );
+    const data = response.data;
+    return {
+      status: STATUSES[data.status] || 'pending',
+      amount: data.amount !== undefined ? toNgwee(data.amount) : null,
+      msisdn: (data.payer && data.payer.partyId) || null,
+      reference: data.financialTransactionId || reference
+    };
+  } catch (error) {
+    // MTN answers 400 for references that are not request-to-pay ids
+    if (error.response && [400, 404].includes(error.response.status)) {
+      return { status: 'not_found', amount: null, msisdn: null, reference };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'MTN MoMo',
+  isConfigured,
+  lookupCollection
+};
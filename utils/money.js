@@ -0,0 +1,41 @@
+// Money helpers.
+// Every amount is stored, calculated and sent over the API as integer ngwee
+// (K1 = 100 ngwee), so sums and percentages never pick up floating-point drift.
+// Convert to Kwacha only when rendering text (emails, log lines, messages).
+
+const NGWEE_PER_KWACHA = 100;
+
+// Convert a Kwacha value (number or string, e.g. '12.50') to integer ngwee
+function toNgwee(kwacha) {
+  return Math.round(Number(kwacha) * NGWEE_PER_KWACHA);
+}
+
+// Whole-ngwee amounts only (rejects fractions, NaN and unsafe integers)
+function isNgwee(value) {
+  return Number.isSafeInteger(value);
+}
+
+// Percentage of an amount, rounded to the nearest ngwee
+function percentOf(ngwee, percent) {
+  return Math.round(ngwee * percent / 100);
+}
+
+// Amount multiplied by a rate (e.g. a package daily_rate), rounded to the nearest ngwee
+function applyRate(ngwee, rate) {
+  return Math.round(ngwee * rate);
+}
+
+// Render ngwee as a Kwacha string: 123450 -> 'K1234.50'
+function formatKwacha(ngwee) {
+  const sign = ngwee < 0 ? '-' : '';
+  return `${sign}K${(Math.abs(ngwee) / NGWEE_PER_KWACHA).toFixed(2)}`;
+}
+
+module.exports = {
+  NGWEE_PER_KWACHA,
+  toNgwee,
+  isNgwee,
+  percentOf,
+  applyRate,
+  formatKwacha
+};
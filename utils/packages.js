@@ -0,0 +1,312 @@
+const { dbGet, dbQuery, dbWithTransaction } = require('./db');
+const { addDays } = require('./timezone');
+
+// Package catalog.
+// Packages (levels L1, L2, ...) are managed by admins under /api/admin/packages
+// and are only seeded when the table is empty (seedPackages), so their ids stay
+// stable for investments.package_id. The level code is what users.level holds;
+// the optional name is how the level is shown (see utils/levels.js).
+//
+// The terms of a package - price, daily income, lock-in and withdrawal fee -
+// are versioned in package_versions. Changing any of them adds a version and
+// points packages.current_version_id at it; versions are never edited. Each
+// investment records the version it was bought under (package_version_id), and
+// the accrual engine and withdrawals read those terms, so editing a package does
+// not change what existing investors earn or pay. The packages row keeps a copy
+// of the current terms for listing. daily_rate is derived from daily_income / amount.
+//
+// Inactive packages are hidden from users and cannot be bought, but existing
+// investments in them keep running. A package that investments refer to cannot
+// be deleted or change level; deactivate it instead.
+
+// Default L1-L10 catalog for an empty database, amounts in ngwee
+const DEFAULT_PACKAGES = [
+  { level: 'L1', amount: 20000, dailyIncome: 600 },
+  { level: 'L2', amount: 35000, dailyIncome: 800 },
+  { level: 'L3', amount: 50000, dailyIncome: 1600 },
+  { level: 'L4', amount: 100000, dailyIncome: 3000 },
+  { level: 'L5', amount: 200000, dailyIncome: 6000 },
+  { level: 'L6', amount: 400000, dailyIncome: 13000 },
+  { level: 'L7', amount: 600000, dailyIncome: 18000 },
+  { level: 'L8', amount: 1000000, dailyIncome: 34000 },
+  { level: 'L9', amount: 1500000, dailyIncome: 40000 },
+  { level: 'L10', amount: 2000000, dailyIncome: 60000 }
+];
+
+const DEFAULT_LOCK_IN_DAYS = 26;
+const DEFAULT_WITHDRAWAL_FEE_PERCENT = 12;
+
+// Catalog fields, changed in place
+const CATALOG_FIELDS = {
+  level: 'level',
+  name: 'name',
+  description: 'description',
+  active: 'active',
+  displayOrder: 'display_order'
+};
+
+// Terms, changed by adding a version
+const TERM_FIELDS = {
+  amount: 'amount',
+  dailyIncome: 'daily_income',
+  lockInDays: 'lock_in_days',
+  withdrawalFeePercent: 'withdrawal_fee_percent'
+};
+
+function dailyRateFor(amount, dailyIncome) {
+  return dailyIncome / amount;
+}
+
+// Packages in catalog order, with their current terms version. Users see the
+// active ones; the admin view also lists inactive packages and how many
+// investments refer to each.
+async function listPackages({ forAdmin = false } = {}) {
+  return dbQuery(
+    `SELECT p.*, v.version${forAdmin ? `,
+       (SELECT COUNT(*) FROM investments i WHERE i.package_id = p.id) as investments_count` : ''}
+     FROM packages p
+     LEFT JOIN package_versions v ON p.current_version_id = v.id
+     ${forAdmin ? '' : 'WHERE p.active = 1'}
+     ORDER BY p.display_order ASC, p.amount ASC, p.id ASC`
+  );
+}
+
+async function getPackage(packageId) {
+  return dbGet(
+    `SELECT p.*, v.version
+     FROM packages p
+     LEFT JOIN package_versions v ON p.current_version_id = v.id
+     WHERE p.id = ?`,
+    [packageId]
+  );
+}
+
+// Terms versions of a package, newest first
+async function getPackageVersions(packageId) {
+  return dbQuery(
+    `SELECT v.*, u.phone as created_by_phone,
+       (SELECT COUNT(*) FROM investments i WHERE i.package_version_id = v.id) as investments_count
+     FROM package_versions v
+     LEFT JOIN users u ON v.created_by = u.id
+     WHERE v.package_id = ?
+     ORDER BY v.version DESC`,
+    [packageId]
+  );
+}
+
+/**
+ * Maturity date of an investment bought on startDate under a package's terms
+ * (a packages or package_versions row). Without a lock-in the investment runs
+ * until it is closed.
+ */
+function maturityDateFor(startDate, terms) {
+  return terms.lock_in_days ? addDays(startDate, terms.lock_in_days) : '9999-12-31';
+}
+
+/**
+ * Withdrawal fee (percent) locked in for a user: the fee in the terms of their
+ * active investment, or the default when they have none
+ * @param {number} userId
+ * @param {number} [investmentId] - use this investment's terms instead
+ */
+async function getWithdrawalFeePercent(userId, investmentId = null) {
+  const terms = await dbGet(
+    `SELECT v.withdrawal_fee_percent
+     FROM investments i
+     JOIN package_versions v ON i.package_version_id = v.id
+     WHERE i.user_id = ? AND ${investmentId ? 'i.id = ?' : "i.status = 'active'"}
+     ORDER BY i.start_date DESC, i.id DESC LIMIT 1`,
+    investmentId ? [userId, investmentId] : [userId]
+  );
+  return terms ? terms.withdrawal_fee_percent : DEFAULT_WITHDRAWAL_FEE_PERCENT;
+}
+
+// Insert the next terms version of a package and make it current
+async function addVersion(tx, packageId, terms, createdBy) {
+  const last = await tx.get('SELECT MAX(version) as version FROM package_versions WHERE package_id = ?', [packageId]);
+  const version = (last.version || 0) + 1;
+  const dailyRate = dailyRateFor(terms.amount, terms.daily_income);
+
+  const result = await tx.run(
+    `INSERT INTO package_versions
+       (package_id, version, amount, daily_income, daily_rate, lock_in_days, withdrawal_fee_percent, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [packageId, version, terms.amount, terms.daily_income, dailyRate, terms.lock_in_days, terms.withdrawal_fee_percent, createdBy]
+  );
+  await tx.run(
+    `UPDATE packages
+     SET current_version_id = ?, amount = ?, daily_income = ?, daily_rate = ?, lock_in_days = ?, withdrawal_fee_percent = ?
+     WHERE id = ?`,
+    [result.lastID, terms.amount, terms.daily_income, dailyRate, terms.lock_in_days, terms.withdrawal_fee_percent, packageId]
+  );
+  return version;
+}
+
+async function countInvestments(packageId) {
+  const row = await dbGet('SELECT COUNT(*) as count FROM investments WHERE package_id = ?', [packageId]);
+  return row.count;
+}
+
+async function levelTaken(level, exceptId = null) {
+  const row = await dbGet('SELECT id FROM packages WHERE level = ? AND id != ?', [level, exceptId || 0]);
+  return Boolean(row);
+}
+
+/**
+ * Create a package with version 1 of its terms
+ * @param {Object} fields - { level, name, amount, dailyIncome, lockInDays, withdrawalFeePercent, description, active, displayOrder }
+ * @param {number|null} [createdBy] - admin user id
+ * @returns {Promise<Object>} { package } or { error, statusCode }
+ */
+async function createPackage(fields, createdBy = null) {
+  if (await levelTaken(fields.level)) {
+    return { error: `A package for level ${fields.level} already exists`, statusCode: 400 };
+  }
+
+  const terms = {
+    amount: fields.amount,
+    daily_income: fields.dailyIncome,
+    lock_in_days: fields.lockInDays !== undefined ? fields.lockInDays : DEFAULT_LOCK_IN_DAYS,
+    withdrawal_fee_percent: fields.withdrawalFeePercent !== undefined ? fields.withdrawalFeePercent : DEFAULT_WITHDRAWAL_FEE_PERCENT
+  };
+
+  const packageId = await dbWithTransaction(async (tx) => {
+    let displayOrder = fields.displayOrder;
+    if (displayOrder === undefined) {
+      const last = await tx.get('SELECT MAX(display_order) as max FROM packages');
+      displayOrder = (last.max || 0) + 1;
+    }
+
+    const result = await tx.run(
+      `INSERT INTO packages (level, name, amount, daily_income, daily_rate, description, active, display_order, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+      [
+        fields.level,
+        fields.name || null,
+        terms.amount,
+        terms.daily_income,
+        dailyRateFor(terms.amount, terms.daily_income),
+        fields.description || null,
+        fields.active === false ? 0 : 1,
+        displayOrder
+      ]
+    );
+    await addVersion(tx, result.lastID, terms, createdBy);
+    return result.lastID;
+  });
+
+  return { package: await getPackage(packageId) };
+}
+
+/**
+ * Update some fields of a package. Changed terms become a new version, which
+ * applies to investments bought from now on.
+ * @param {number} packageId
+ * @param {Object} fields - any of the createPackage fields
+ * @param {number|null} [updatedBy] - admin user id
+ * @returns {Promise<Object>} { package, newVersion } or { error, statusCode }
+ */
+async function updatePackage(packageId, fields, updatedBy = null) {
+  const existing = await getPackage(packageId);
+  if (!existing) {
+    return { error: 'Package not found', statusCode: 404 };
+  }
+
+  if (fields.level !== undefined && fields.level !== existing.level) {
+    if (await countInvestments(packageId) > 0) {
+      return { error: 'The level of a package with investments cannot be changed', statusCode: 400 };
+    }
+    if (await levelTaken(fields.level, packageId)) {
+      return { error: `A package for level ${fields.level} already exists`, statusCode: 400 };
+    }
+  }
+
+  const updates = [];
+  const values = [];
+  for (const [field, column] of Object.entries(CATALOG_FIELDS)) {
+    if (fields[field] === undefined) continue;
+    updates.push(`${column} = ?`);
+    if (field === 'active') {
+      values.push(fields.active ? 1 : 0);
+    } else if (field === 'description' || field === 'name') {
+      values.push(fields[field] || null);
+    } else {
+      values.push(fields[field]);
+    }
+  }
+
+  const terms = {};
+  let termsGiven = false;
+  let termsChanged = false;
+  for (const [field, column] of Object.entries(TERM_FIELDS)) {
+    if (fields[field] === undefined) {
+      terms[column] = existing[column];
+      continue;
+    }
+    termsGiven = true;
+    terms[column] = fields[field];
+    if (fields[field] !== existing[column]) {
+      termsChanged = true;
+    }
+  }
+
+  if (updates.length === 0 && !termsGiven) {
+    return { error: 'Nothing to update', statusCode: 400 };
+  }
+
+  const newVersion = await dbWithTransaction(async (tx) => {
+    updates.push("updated_at = datetime('now')");
+    await tx.run(`UPDATE packages SET ${updates.join(', ')} WHERE id = ?`, [...values, packageId]);
+    return termsChanged ? addVersion(tx, packageId, terms, updatedBy) : null;
+  });
+
+  return { package: await getPackage(packageId), newVersion };
+}
+
+/**
+ * Delete a package that no investment refers to, with its terms versions
+ * @returns {Promise<Object>} { package } (the deleted row) or { error, statusCode }
+ */
+async function deletePackage(packageId) {
+  const existing = await getPackage(packageId);
+  if (!existing) {
+    return { error: 'Package not found', statusCode: 404 };
+  }
+  const investments = await countInvestments(packageId);
+  if (investments > 0) {
+    return { error: `Package has ${investments} investment(s); deactivate it instead`, statusCode: 400 };
+  }
+
+  await dbWithTransaction(async (tx) => {
+    await tx.run('DELETE FROM packages WHERE id = ?', [packageId]);
+    await tx.run('DELETE FROM package_versions WHERE package_id = ?', [packageId]);
+  });
+  return { package: existing };
+}
+
+// Seed the default catalog into an empty packages table. Runs after migrations
+// (see server.js) so rows are written in the current schema.
+async function seedPackages() {
+  const existing = await dbGet('SELECT COUNT(*) as count FROM packages');
+  if (existing.count > 0) {
+    console.log(`Packages table has ${existing.count} packages, skipping seed`);
+    return;
+  }
+
+  for (const [index, pkg] of DEFAULT_PACKAGES.entries()) {
+    await createPackage({ ...pkg, displayOrder: index + 1 });
+  }
+  console.log('Packages seeded successfully (L1-L10)');
+}
+
+module.exports = {
+  listPackages,
+  getPackage,
+  getPackageVersions,
+  maturityDateFor,
+  getWithdrawalFeePercent,
+  createPackage,
+  updatePackage,
+  deletePackage,
+  seedPackages
+};
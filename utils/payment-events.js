@@ -0,0 +1,211 @@
+const { dbGet, dbQuery, dbRun, dbWithTransaction } = require('./db');
+const ledger = require('./ledger');
+const { maturityDateFor } = require('./packages');
+const { businessDate } = require('./timezone');
+const { creditTopUp } = require('./topups');
+const { claimTransactionRef, linkTransactionRef } = require('./transaction-refs');
+
+// Paystack webhook event log (POST /api/paystack/webhook).
+// Every event with a valid signature is stored in payment_events, keyed by its
+// reference (one row per event type and reference, so Paystack's retries of an
+// event land on the same row), and processed exactly once:
+//
+//   received  -> processed   the handler ran and its effects were committed
+//   received  -> ignored     no handler for this event type
+//   received  -> failed      the handler threw; nothing was committed (error)
+//   failed    -> processed   after an admin replays it
+//
+// The status moves to processed in the same database transaction as the
+// handler's effects, so a retry or replay that races it finds the event
+// processed and does nothing. Processed events cannot be replayed.
+
+const PAYMENT_EVENT_STATUSES = ['received', 'processed', 'ignored', 'failed'];
+
+// charge.success for a level purchase: metadata { userId, packageId, amount }
+// was set when the payment was initialized; data.amount is what was paid.
+// Balance top-ups (metadata.purpose 'topup') are credited by utils/topups.js.
+// The reference is claimed in transaction_refs like any deposit's, so it can
+// fund one investment at most.
+async function handleChargeSuccess(tx, data) {
+  const metadata = data.metadata || {};
+  if (metadata.purpose === 'topup') {
+    return creditTopUp(tx, data);
+  }
+  const userId = parseInt(metadata.userId);
+  const packageId = parseInt(metadata.packageId);
+  if (!userId || !packageId) {
+    throw new Error('Charge metadata has no userId and packageId');
+  }
+  if (metadata.amount !== undefined && Number(metadata.amount) !== data.amount) {
+    throw new Error(`Paid amount ${data.amount} differs from the order amount ${metadata.amount}`);
+  }
+
+  const user = await tx.get('SELECT id FROM users WHERE id = ?', [userId]);
+  if (!user) {
+    throw new Error(`User ${userId} not found`);
+  }
+  const packageData = await tx.get('SELECT * FROM packages WHERE id = ?', [packageId]);
+  if (!packageData) {
+    throw new Error(`Package ${packageId} not found`);
+  }
+
+  if (!(await claimTransactionRef(tx, { userId, wallet: 'paystack', transactionTxt: data.reference }))) {
+    throw new Error(`Reference ${data.reference} is already claimed`);
+  }
+
+  // The payment is for the package's current terms
+  const startDate = businessDate();
+  const maturityDate = maturityDateFor(startDate, packageData);
+  const investResult = await tx.run(
+    `INSERT INTO investments (user_id, package_id, package_version_id, deposit_amount, start_date, maturity_date, status, wallet, transaction_txt)
+     VALUES (?, ?, ?, ?, ?, ?, 'active', 'paystack', ?)`,
+    [userId, packageId, packageData.current_version_id, data.amount, startDate, maturityDate, data.reference]
+  );
+  await linkTransactionRef(tx, { wallet: 'paystack', transactionTxt: data.reference, investmentId: investResult.lastID });
+  await ledger.postVerifiedDeposit({
+    userId,
+    amount: data.amount,
+    investmentId: investResult.lastID,
+    description: `Paystack ${data.reference}`
+  }, tx);
+
+  return {
+    userId,
+    investmentId: investResult.lastID,
+    investment: { amount: data.amount, maturityDate }
+  };
+}
+
+// Handlers by event type; each runs inside the event's transaction and returns
+// { userId?, investmentId?, depositId? } plus anything the caller needs afterwards
+const HANDLERS = {
+  'charge.success': handleChargeSuccess
+};
+
+/**
+ * Store a webhook event, or find the stored one when Paystack retries it
+ * @param {Object} payload - parsed webhook body { event, data }
+ * @returns {Promise<Object>} { paymentEvent, duplicate } or { error, statusCode }
+ */
+async function recordPaymentEvent(payload) {
+  const event = payload && payload.event;
+  const reference = payload && payload.data && payload.data.reference;
+  if (!event || !reference) {
+    return { error: 'Event and data.reference are required', statusCode: 400 };
+  }
+
+  const result = await dbRun(
+    `INSERT OR IGNORE INTO payment_events (event, reference, payload) VALUES (?, ?, ?)`,
+    [event, String(reference), JSON.stringify(payload)]
+  );
+  const paymentEvent = await dbGet('SELECT * FROM payment_events WHERE event = ? AND reference = ?', [event, String(reference)]);
+  return { paymentEvent, duplicate: result.changes === 0 };
+}
+
+/**
+ * Run the handler of a stored event unless it already ran
+ * @param {number} eventId
+ * @param {Object} [options]
+ * @param {number} [options.replayedBy] - admin replaying the event
+ * @returns {Promise<Object>} { paymentEvent, result } (result is the handler's,
+ *   null when nothing ran) or { error, statusCode }
+ */
+async function processPaymentEvent(eventId, { replayedBy = null } = {}) {
+  let outcome;
+  try {
+    outcome = await dbWithTransaction(async (tx) => {
+      const paymentEvent = await tx.get('SELECT * FROM payment_events WHERE id = ?', [eventId]);
+      if (!paymentEvent) {
+        return { error: 'Payment event not found', statusCode: 404 };
+      }
+      if (paymentEvent.status === 'processed') {
+        return replayedBy
+          ? { error: 'Payment event was already processed', statusCode: 400 }
+          : { result: null };
+      }
+
+      if (replayedBy) {
+        await tx.run(
+          `UPDATE payment_events SET replayed_at = datetime('now'), replayed_by = ? WHERE id = ?`,
+          [replayedBy, eventId]
+        );
+      }
+
+      const handler = HANDLERS[paymentEvent.event];
+      if (!handler) {
+        await tx.run(
+          `UPDATE payment_events SET status = 'ignored', attempts = attempts + 1, processed_at = datetime('now') WHERE id = ?`,
+          [eventId]
+        );
+        return { result: null };
+      }
+
+      const payload = JSON.parse(paymentEvent.payload);
+      const result = await handler(tx, payload.data || {});
+      await tx.run(
+        `UPDATE payment_events
+         SET status = 'processed', attempts = attempts + 1, error = NULL, processed_at = datetime('now'),
+           user_id = ?, investment_id = ?, deposit_id = ?
+         WHERE id = ?`,
+        [result.userId || null, result.investmentId || null, result.depositId || null, eventId]
+      );
+      return { result };
+    });
+  } catch (error) {
+    // The handler's work was rolled back; keep the error for the admin
+    console.error(`Payment event ${eventId} failed:`, error.message);
+    await dbRun(
+      `UPDATE payment_events
+       SET status = 'failed', attempts = attempts + 1, error = ?,
+         replayed_at = CASE WHEN ? IS NULL THEN replayed_at ELSE datetime('now') END,
+         replayed_by = COALESCE(?, replayed_by)
+       WHERE id = ?`,
+      [error.message, replayedBy, replayedBy, eventId]
+    );
+    outcome = { result: null };
+  }
+
+  if (outcome.error) {
+    return outcome;
+  }
+  return {
+    paymentEvent: await dbGet('SELECT * FROM payment_events WHERE id = ?', [eventId]),
+    result: outcome.result
+  };
+}
+
+/**
+ * Payment events, newest first, without their payloads
+ * @param {Object} [options]
+ * @param {string} [options.status] - only events with this status
+ */
+async function listPaymentEvents({ status = null } = {}) {
+  return dbQuery(
+    `SELECT e.id, e.event, e.reference, e.status, e.attempts, e.error, e.received_at, e.processed_at,
+       e.user_id, e.investment_id, e.deposit_id, e.replayed_at, e.replayed_by, u.phone, a.phone as replayed_by_phone
+     FROM payment_events e
+     LEFT JOIN users u ON e.user_id = u.id
+     LEFT JOIN users a ON e.replayed_by = a.id
+     ${status ? 'WHERE e.status = ?' : ''}
+     ORDER BY e.received_at DESC, e.id DESC
+     LIMIT 500`,
+    status ? [status] : []
+  );
+}
+
+// A payment event with its parsed payload
+async function getPaymentEvent(eventId) {
+  const paymentEvent = await dbGet('SELECT * FROM payment_events WHERE id = ?', [eventId]);
+  if (!paymentEvent) {
+    return null;
+  }
+  return { ...paymentEvent, payload: JSON.parse(paymentEvent.payload) };
+}
+
+module.exports = {
+  PAYMENT_EVENT_STATUSES,
+  recordPaymentEvent,
+  processPaymentEvent,
+  listPaymentEvents,
+  getPaymentEvent
+};
@@ -1,84 +1,105 @@
-const axios = require('axios');
-
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || '';
-const PAYSTACK_PUBLIC_KEY = process.env.PAYSTACK_PUBLIC_KEY || '';
-const PAYSTACK_API_URL = 'https://api.paystack.co';
-
-// Initialize Paystack payment
-async function initializePayment(email, amount, reference, metadata = {}) {
-  try {
-    const response = await axios.post(
-      `${PAYSTACK_API_URL}/transaction/initialize`,
-      {
-        email,
-        amount: amount * 100, // Convert to kobo (smallest currency unit)
-        reference,
-        metadata,
-        callback_url: `${process.env.CALLBACK_URL || 'http://localhost:3000'}/payment/callback`
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    return {
-      success: true,
-      authorization_url: response.data.data.authorization_url,
-      access_code: response.data.data.access_code,
-      reference: response.data.data.reference
-    };
-  } catch (error) {
-    console.error('Paystack initialization error:', error.response?.data || error.message);
-    return {
-      success: false,
-      error: error.response?.data?.message || 'Payment initialization failed'
-    };
-  }
-}
-
-// Verify Paystack payment
-async function verifyPayment(reference) {
-  try {
-    const response = await axios.get(
-      `${PAYSTACK_API_URL}/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    const data = response.data.data;
-    return {
-      success: data.status === 'success',
-      amount: data.amount / 100, // Convert back from kobo
-      reference: data.reference,
-      email: data.customer.email,
-      metadata: data.metadata,
-      status: data.status
-    };
-  } catch (error) {
-    console.error('Paystack verification error:', error.response?.data || error.message);
-    return {
-      success: false,
-      error: error.response?.data?.message || 'Payment verification failed'
-    };
-  }
-}
-
-// Generate unique reference
-function generateReference() {
-  return `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
-
-module.exports = {
-  initializePayment,
-  verifyPayment,
-  generateReference,
-  PAYSTACK_PUBLIC_KEY
-};
-
+const crypto = require('crypto');
+const axios = require('axios');
+
+const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || '';
+const PAYSTACK_PUBLIC_KEY = process.env.PAYSTACK_PUBLIC_KEY || '';
+// Point at a local stub (node paystack-stub.js) to test payments without Paystack
+const PAYSTACK_API_URL = process.env.PAYSTACK_API_URL || 'https://api.paystack.co';
+
+// Payments can only be started and their webhooks trusted with a secret key
+function isPaystackConfigured() {
+  return Boolean(PAYSTACK_SECRET_KEY);
+}
+
+// Initialize Paystack payment
+async function initializePayment(email, amount, reference, metadata = {}) {
+  try {
+    const response = await axios.post(
+      `${PAYSTACK_API_URL}/transaction/initialize`,
+      {
+        email,
+        amount, // Already in ngwee, Paystack's smallest currency unit
+        reference,
+        metadata,
+        callback_url: `${process.env.CALLBACK_URL || 'http://localhost:3000'}/payment/callback`
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    return {
+      success: true,
+      authorization_url: response.data.data.authorization_url,
+      access_code: response.data.data.access_code,
+      reference: response.data.data.reference
+    };
+  } catch (error) {
+    console.error('Paystack initialization error:', error.response?.data || error.message);
+    return {
+      success: false,
+      error: error.response?.data?.message || 'Payment initialization failed'
+    };
+  }
+}
+
+// Verify Paystack payment
+async function verifyPayment(reference) {
+  try {
+    const response = await axios.get(
+      `${PAYSTACK_API_URL}/transaction/verify/${encodeURIComponent(reference)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const data = response.data.data;
+    return {
+      success: data.status === 'success',
+      amount: data.amount, // ngwee
+      reference: data.reference,
+      email: data.customer.email,
+      metadata: data.metadata,
+      status: data.status
+    };
+  } catch (error) {
+    console.error('Paystack verification error:', error.response?.data || error.message);
+    return {
+      success: false,
+      error: error.response?.data?.message || 'Payment verification failed'
+    };
+  }
+}
+
+// Check the x-paystack-signature header of a webhook: the HMAC SHA512 of the
+// raw request body keyed with the secret key. Without a secret key nothing is
+// trusted.
+function verifyWebhookSignature(rawBody, signature) {
+  if (!PAYSTACK_SECRET_KEY || !rawBody || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = crypto.createHmac('sha512', PAYSTACK_SECRET_KEY).update(rawBody).digest('hex');
+  const received = Buffer.from(signature, 'utf8');
+  return received.length === expected.length && crypto.timingSafeEqual(received, Buffer.from(expected, 'utf8'));
+}
+
+// Generate unique reference
+function generateReference() {
+  return `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+module.exports = {
+  initializePayment,
+  verifyPayment,
+  verifyWebhookSignature,
+  isPaystackConfigured,
+  generateReference,
+  PAYSTACK_PUBLIC_KEY
+};
+
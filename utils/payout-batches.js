@@ -0,0 +1,388 @@
+const path = require('path');
+const { dbGet, dbQuery, dbWithTransaction } = require('./db');
+const { normalizeZambianPhone } = require('./auth');
+const { formatKwacha } = require('./money');
+const { readXlsxRows } = require('./xlsx');
+const { parseCsv, parseStatementAmount } = require('./statement-import');
+const { csvField, csvAmount } = require('./statements');
+const { PAYOUT_STATUSES, transitionWithdrawal } = require('./withdrawals');
+
+// Bulk payouts of approved withdrawal requests.
+// Instead of paying each approved request by hand, an admin puts the approved
+// requests of one wallet into a batch and downloads it as the provider's bulk
+// payment file (phone, net amount, reference). Creating the batch moves its
+// requests from approved to processing (the payout was sent), so a request is
+// in at most one batch. After the provider has run the file, the admin uploads
+// its result file and each request is marked from its row:
+//
+//   successful row   processing -> paid
+//   failed row       processing -> failed (the gross amount is back in the
+//                    user's balance, see utils/withdrawals.js)
+//   pending row      left processing for a later result file
+//
+// Rows are matched to the batch's items by reference, or by phone and amount
+// when the provider drops the reference. A batch is completed once none of its
+// requests is still being paid out. Batches, their items and every result
+// file (payout_result_imports) are kept, so who paid what and when can be
+// audited.
+
+const PAYOUT_WALLETS = ['airtel', 'mtn'];
+
+// Bulk payment file layouts: Airtel Money takes the 9-digit local number,
+// MTN MoMo the international number and a currency column
+const PAYOUT_LAYOUTS = {
+  airtel: {
+    headers: ['MSISDN', 'Amount', 'Reference'],
+    row: (item) => [item.msisdn, csvAmount(item.amount), item.reference]
+  },
+  mtn: {
+    headers: ['MSISDN', 'Amount', 'Currency', 'Reference'],
+    row: (item) => [`260${item.msisdn}`, csvAmount(item.amount), 'ZMW', item.reference]
+  }
+};
+
+// Result file header aliases in order of preference (lowercase, punctuation
+// removed); the header row is the first with a status column and a
+// reference or phone column
+const RESULT_COLUMNS = {
+  reference: ['reference', 'external reference', 'external id', 'payee note', 'remarks', 'description', 'narration', 'message'],
+  msisdn: ['msisdn', 'receiver msisdn', 'recipient msisdn', 'phone', 'phone number', 'mobile number', 'id', 'recipient'],
+  amount: ['amount', 'transaction amount', 'amount zmw'],
+  status: ['status', 'transaction status', 'result'],
+  providerReference: ['transaction id', 'txn id', 'financial transaction id', 'receipt', 'receipt number'],
+  reason: ['reason', 'failure reason', 'error', 'error message', 'status description', 'comment']
+};
+
+const HEADER_SEARCH_ROWS = 30;
+// Checked in this order, so 'Unsuccessful' is a failure
+const FAILED_STATUS = /fail|unsuccess|reject|error|declin|cancel|expire|invalid/i;
+const PAID_STATUS = /success|complete|paid|processed/i;
+
+function normalizeHeader(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// The reference a request is paid with; the provider echoes it in the result file
+function payoutReference(requestId) {
+  return `WD${requestId}`;
+}
+
+/**
+ * Put approved withdrawal requests of one wallet into a batch and mark them
+ * as being paid out
+ * @param {Object} options - { wallet, requestIds (default: every approved
+ *   request for the wallet), createdBy }
+ * @returns {Promise<Object>} the batch with its items, or { error, statusCode }
+ */
+async function createPayoutBatch({ wallet, requestIds = null, createdBy }) {
+  const created = await dbWithTransaction(async (tx) => {
+    const requests = await tx.all(
+      `SELECT id, phone, wallet, net_amount FROM withdrawal_requests
+       WHERE status = 'approved' AND wallet = ?
+       ${requestIds ? `AND id IN (${requestIds.map(() => '?').join(',')})` : ''}
+       ORDER BY id`,
+      requestIds ? [wallet, ...requestIds] : [wallet]
+    );
+    if (requestIds) {
+      const missing = requestIds.filter(id => !requests.some(request => request.id === id));
+      if (missing.length > 0) {
+        return { error: `Withdrawal request(s) ${missing.join(', ')} are not approved ${wallet.toUpperCase()} requests`, statusCode: 400 };
+      }
+    }
+    if (requests.length === 0) {
+      return { error: `There are no approved ${wallet.toUpperCase()} withdrawal requests to pay`, statusCode: 400 };
+    }
+    const badPhones = requests.filter(request => !/^\d{9}$/.test(normalizeZambianPhone(request.phone) || ''));
+    if (badPhones.length > 0) {
+      return { error: `Withdrawal request(s) ${badPhones.map(r => r.id).join(', ')} have no valid phone number; pay them by hand`, statusCode: 400 };
+    }
+
+    const total = requests.reduce((sum, request) => sum + request.net_amount, 0);
+    const batch = await tx.run(
+      'INSERT INTO payout_batches (wallet, request_count, total_amount, created_by) VALUES (?, ?, ?, ?)',
+      [wallet, requests.length, total, createdBy]
+    );
+    for (const request of requests) {
+      await tx.run(
+        'INSERT INTO payout_batch_items (batch_id, withdrawal_request_id, msisdn, amount, reference) VALUES (?, ?, ?, ?, ?)',
+        [batch.lastID, request.id, normalizeZambianPhone(request.phone), request.net_amount, payoutReference(request.id)]
+      );
+      const result = await transitionWithdrawal(request.id, 'process', {
+        actorId: createdBy,
+        notes: `Payout batch #${batch.lastID}`
+      }, tx);
+      if (result.error) {
+        // The requests were read as approved in this transaction
+        throw new Error(`Withdrawal request ${request.id}: ${result.error}`);
+      }
+    }
+    return { batchId: batch.lastID };
+  });
+  if (created.error) {
+    return created;
+  }
+  return getPayoutBatch(created.batchId);
+}
+
+/**
+ * A batch as the provider's bulk payment CSV
+ * @returns {Promise<Object|null>} { filename, csv }
+ */
+async function payoutBatchCsv(batchId) {
+  const batch = await dbGet('SELECT id, wallet FROM payout_batches WHERE id = ?', [batchId]);
+  if (!batch) {
+    return null;
+  }
+  const items = await dbQuery('SELECT * FROM payout_batch_items WHERE batch_id = ? ORDER BY id', [batchId]);
+  const layout = PAYOUT_LAYOUTS[batch.wallet];
+  const rows = [layout.headers, ...items.map(layout.row)];
+  return {
+    filename: `payout-batch-${batch.id}-${batch.wallet}.csv`,
+    csv: rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+  };
+}
+
+// Find the header row and the index of each known column in it
+function findResultColumns(rows) {
+  for (let rowIndex = 0; rowIndex < Math.min(rows.length, HEADER_SEARCH_ROWS); rowIndex++) {
+    const headers = rows[rowIndex].map(normalizeHeader);
+    const columns = {};
+    for (const [column, names] of Object.entries(RESULT_COLUMNS)) {
+      const name = names.find(alias => headers.includes(alias));
+      columns[column] = name ? headers.indexOf(name) : -1;
+    }
+    if (columns.status >= 0 && (columns.reference >= 0 || columns.msisdn >= 0)) {
+      return { headerRow: rowIndex, columns };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a provider result file into its rows
+ * @returns {Object} { rows: [{ rowNumber, reference, msisdn, amount, status,
+ *   providerReference, reason }] } or { error, statusCode }
+ */
+function parseResultFile(buffer, filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  let rows;
+  try {
+    if (extension === '.xlsx') {
+      rows = readXlsxRows(buffer);
+    } else if (extension === '.csv' || extension === '.txt') {
+      rows = parseCsv(buffer.toString('utf8'));
+    } else {
+      return { error: 'Upload the result file as a .csv or .xlsx file (save .xls files as .xlsx first)', statusCode: 400 };
+    }
+  } catch (error) {
+    return { error: `Could not read the result file: ${error.message}`, statusCode: 400 };
+  }
+
+  const found = findResultColumns(rows);
+  if (!found) {
+    return { error: 'Could not find the status and reference (or phone) columns in the result file', statusCode: 400 };
+  }
+
+  const { headerRow, columns } = found;
+  const cell = (row, column) => (columns[column] >= 0 ? String(row[columns[column]] || '').trim() : '');
+  const results = [];
+  for (let rowIndex = headerRow + 1; rowIndex < rows.length; rowIndex++) {
+    const row = rows[rowIndex];
+    if (row.every(value => String(value || '').trim() === '')) continue;
+    const amount = cell(row, 'amount');
+    results.push({
+      rowNumber: rowIndex + 1,
+      reference: cell(row, 'reference').replace(/\s+/g, '').toUpperCase(),
+      msisdn: normalizeZambianPhone(cell(row, 'msisdn')),
+      amount: amount ? parseStatementAmount(amount) : null,
+      status: cell(row, 'status'),
+      providerReference: cell(row, 'providerReference').slice(0, 60) || null,
+      reason: cell(row, 'reason').slice(0, 200) || null
+    });
+  }
+  return { rows: results };
+}
+
+// The batch item a result row is for: by reference, else the only item with
+// the row's phone and amount
+function matchResultRow(row, items) {
+  if (row.reference) {
+    const item = items.find(candidate => candidate.reference === row.reference);
+    if (item) return item;
+  }
+  if (row.msisdn && Number.isFinite(row.amount)) {
+    const candidates = items.filter(candidate => candidate.msisdn === row.msisdn && candidate.amount === row.amount);
+    if (candidates.length === 1) return candidates[0];
+  }
+  return null;
+}
+
+/**
+ * Mark a batch's requests paid or failed from the provider's result file
+ * @param {number} batchId
+ * @param {Object} options - { filename, buffer, uploadedBy }
+ * @returns {Promise<Object>} { resultImport, paid, failed, pending,
+ *   unmatched, skipped } - paid and failed are the requests moved (with the
+ *   user's email, for notifications); the rest are rows { rowNumber, reference,
+ *   note } - or { error, statusCode }
+ */
+async function importPayoutResults(batchId, { filename, buffer, uploadedBy }) {
+  const batch = await dbGet('SELECT * FROM payout_batches WHERE id = ?', [batchId]);
+  if (!batch) {
+    return { error: 'Payout batch not found', statusCode: 404 };
+  }
+  const parsed = parseResultFile(buffer, filename);
+  if (parsed.error) {
+    return parsed;
+  }
+  if (parsed.rows.length === 0) {
+    return { error: 'The result file has no rows', statusCode: 400 };
+  }
+
+  return dbWithTransaction(async (tx) => {
+    const items = await tx.all(
+      `SELECT i.*, wr.status as request_status
+       FROM payout_batch_items i
+       JOIN withdrawal_requests wr ON i.withdrawal_request_id = wr.id
+       WHERE i.batch_id = ?`,
+      [batchId]
+    );
+    const resultImport = await tx.run(
+      'INSERT INTO payout_result_imports (batch_id, filename, rows_count, uploaded_by) VALUES (?, ?, ?, ?)',
+      [batchId, filename, parsed.rows.length, uploadedBy]
+    );
+    const importId = resultImport.lastID;
+
+    const paid = [];
+    const failed = [];
+    const pending = [];
+    const unmatched = [];
+    const skipped = [];
+    const seen = new Set();
+    for (const row of parsed.rows) {
+      const note = text => ({ rowNumber: row.rowNumber, reference: row.reference || row.msisdn || null, note: text });
+      const item = matchResultRow(row, items);
+      if (!item) {
+        unmatched.push(note('No request in this batch has this reference, or this phone and amount'));
+        continue;
+      }
+      if (seen.has(item.id)) {
+        skipped.push(note(`Request #${item.withdrawal_request_id} is in the file more than once`));
+        continue;
+      }
+      seen.add(item.id);
+      if (Number.isFinite(row.amount) && row.amount !== item.amount) {
+        skipped.push(note(`Request #${item.withdrawal_request_id} is for ${formatKwacha(item.amount)}, the file shows ${formatKwacha(row.amount)}`));
+        continue;
+      }
+      if (!PAYOUT_STATUSES.includes(item.request_status)) {
+        skipped.push(note(`Request #${item.withdrawal_request_id} is already ${item.request_status}`));
+        continue;
+      }
+
+      const action = FAILED_STATUS.test(row.status) ? 'fail' : PAID_STATUS.test(row.status) ? 'pay' : null;
+      if (!action) {
+        pending.push(note(`Request #${item.withdrawal_request_id}: status ${row.status || 'missing'}`));
+        continue;
+      }
+      const notes = action === 'pay'
+        ? `Payout batch #${batchId}${row.providerReference ? `, ${batch.wallet.toUpperCase()} transaction ${row.providerReference}` : ''}`
+        : `Payout batch #${batchId}: ${row.reason || row.status}`;
+      const result = await transitionWithdrawal(item.withdrawal_request_id, action, { actorId: uploadedBy, notes }, tx);
+      if (result.error) {
+        skipped.push(note(`Request #${item.withdrawal_request_id}: ${result.error}`));
+        continue;
+      }
+      item.request_status = result.request.status;
+      await tx.run(
+        `UPDATE payout_batch_items
+         SET result = ?, provider_status = ?, provider_reference = ?, result_note = ?, result_import_id = ?, resulted_at = datetime('now')
+         WHERE id = ?`,
+        [result.request.status, row.status, row.providerReference, row.reason, importId, item.id]
+      );
+      (action === 'pay' ? paid : failed).push({ ...result.request, notes });
+    }
+
+    await tx.run(
+      'UPDATE payout_result_imports SET paid_count = ?, failed_count = ?, unmatched_count = ? WHERE id = ?',
+      [paid.length, failed.length, unmatched.length, importId]
+    );
+    if (!items.some(item => PAYOUT_STATUSES.includes(item.request_status))) {
+      await tx.run(
+        `UPDATE payout_batches SET status = 'completed', completed_at = datetime('now') WHERE id = ? AND status = 'open'`,
+        [batchId]
+      );
+    }
+
+    return {
+      resultImport: await tx.get('SELECT * FROM payout_result_imports WHERE id = ?', [importId]),
+      paid,
+      failed,
+      pending,
+      unmatched,
+      skipped
+    };
+  });
+}
+
+// Batches newest first, with how many of their requests are paid and failed
+async function listPayoutBatches(limit = 50) {
+  return dbQuery(
+    `SELECT b.*, u.phone as created_by_phone,
+       (SELECT COUNT(*) FROM payout_batch_items i JOIN withdrawal_requests wr ON i.withdrawal_request_id = wr.id
+        WHERE i.batch_id = b.id AND wr.status IN ('paid', 'reversed')) as paid_count,
+       (SELECT COUNT(*) FROM payout_batch_items i JOIN withdrawal_requests wr ON i.withdrawal_request_id = wr.id
+        WHERE i.batch_id = b.id AND wr.status = 'failed') as failed_count
+     FROM payout_batches b
+     LEFT JOIN users u ON b.created_by = u.id
+     ORDER BY b.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+}
+
+/**
+ * A batch with its items (and each request's current status) and the result
+ * files imported for it
+ * @returns {Promise<Object|null>} { batch, items, resultImports }
+ */
+async function getPayoutBatch(batchId) {
+  const batch = await dbGet(
+    `SELECT b.*, u.phone as created_by_phone
+     FROM payout_batches b
+     LEFT JOIN users u ON b.created_by = u.id
+     WHERE b.id = ?`,
+    [batchId]
+  );
+  if (!batch) {
+    return null;
+  }
+
+  const items = await dbQuery(
+    `SELECT i.*, wr.status as request_status, wr.user_id, wr.gross_amount, u.full_name, u.phone as user_phone
+     FROM payout_batch_items i
+     JOIN withdrawal_requests wr ON i.withdrawal_request_id = wr.id
+     LEFT JOIN users u ON wr.user_id = u.id
+     WHERE i.batch_id = ?
+     ORDER BY i.id`,
+    [batchId]
+  );
+  const resultImports = await dbQuery(
+    `SELECT r.*, u.phone as uploaded_by_phone
+     FROM payout_result_imports r
+     LEFT JOIN users u ON r.uploaded_by = u.id
+     WHERE r.batch_id = ?
+     ORDER BY r.id`,
+    [batchId]
+  );
+  return { batch, items, resultImports };
+}
+
+module.exports = {
+  PAYOUT_WALLETS,
+  createPayoutBatch,
+  payoutBatchCsv,
+  importPayoutResults,
+  listPayoutBatches,
+  getPayoutBatch
+};
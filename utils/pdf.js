@@ -0,0 +1,102 @@
+// Minimal PDF writer for plain-text documents such as account statements.
+// Uses the fonts built into every PDF reader (Helvetica, Helvetica-Bold and
+// Courier), so no font files or third-party libraries are needed. Courier is
+// monospaced, which keeps padded table columns aligned. Only printable ASCII
+// is supported; any other character is written as '?'.
+
+const PAGE_WIDTH = 595; // A4, in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+  mono: { resource: 'F3', baseFont: 'Courier' }
+};
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7E]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+// Split lines into pages, top to bottom
+function paginate(lines) {
+  const pages = [];
+  let current = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    const size = line.size || 10;
+    const height = size + (line.spaceBefore || 0) + 4;
+    if (y - height < MARGIN && current.length > 0) {
+      pages.push(current);
+      current = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+    current.push({ ...line, size, y });
+  }
+  pages.push(current);
+  return pages;
+}
+
+function contentStream(pageLines, pageNumber, pageCount) {
+  const operations = pageLines.map(line => {
+    const font = FONTS[line.font] || FONTS.regular;
+    return `BT /${font.resource} ${line.size} Tf ${MARGIN} ${line.y} Td (${escapeText(line.text)}) Tj ET`;
+  });
+  operations.push(`BT /${FONTS.regular.resource} 8 Tf ${PAGE_WIDTH - MARGIN - 60} ${MARGIN / 2} Td (Page ${pageNumber} of ${pageCount}) Tj ET`);
+  return operations.join('\n');
+}
+
+/**
+ * Render text lines to a PDF document
+ * @param {Array<{text: string, font?: 'regular'|'bold'|'mono', size?: number, spaceBefore?: number}>} lines
+ * @returns {Buffer} PDF file contents
+ */
+function renderTextPdf(lines) {
+  const pages = paginate(lines);
+  const fontIds = { regular: 3, bold: 4, mono: 5 };
+  const firstPageId = 6;
+  const objects = [];
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  const kids = pages.map((_, index) => `${firstPageId + index * 2} 0 R`).join(' ');
+  objects[2] = `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`;
+  for (const [key, id] of Object.entries(fontIds)) {
+    objects[id] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[key].baseFont} /Encoding /WinAnsiEncoding >>`;
+  }
+  const fontResources = Object.entries(fontIds)
+    .map(([key, id]) => `/${FONTS[key].resource} ${id} 0 R`)
+    .join(' ');
+
+  pages.forEach((pageLines, index) => {
+    const pageId = firstPageId + index * 2;
+    const stream = contentStream(pageLines, index + 1, pages.length);
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  // Body, then a cross-reference table with the byte offset of every object
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  renderTextPdf
+};
@@ -0,0 +1,193 @@
+const { dbGet, dbQuery, dbRun, dbWithTransaction } = require('./db');
+const ledger = require('./ledger');
+const { formatKwacha } = require('./money');
+
+// Accrual reconciliation.
+// investments.total_accruals is updated separately from the accrual and bonus
+// rows posted to `transactions` (daily accrual job, admin daily income and
+// bonuses), so the two can drift apart when one write succeeds and the other
+// fails. A run compares them:
+// - per investment: total_accruals vs the accrual/bonus rows linked to it
+// - per user: the sum over the user's investments vs the user's linked rows
+//   (catches rows linked to another user's investment)
+// Reversals carry negative amounts and count toward the ledger side. Standalone
+// income (no investment) never touches total_accruals and is not compared.
+//
+// Each run stores its discrepancies and supersedes the open ones of earlier
+// runs. Repairing an investment discrepancy posts an accrual correction for
+// the difference, so the ledger matches what the investment shows as earned.
+
+const INCOME_TYPES = "('accrual', 'bonus')";
+
+async function findInvestmentDiscrepancies() {
+  return dbQuery(
+    `SELECT investment_id, user_id, recorded_accruals, ledger_accruals FROM (
+       SELECT i.id as investment_id, i.user_id, i.total_accruals as recorded_accruals,
+         COALESCE((SELECT SUM(t.amount) FROM transactions t
+                   WHERE t.investment_id = i.id AND t.type IN ${INCOME_TYPES}), 0) as ledger_accruals
+       FROM investments i
+     )
+     WHERE recorded_accruals != ledger_accruals
+     ORDER BY investment_id`
+  );
+}
+
+async function findUserDiscrepancies() {
+  return dbQuery(
+    `SELECT user_id, recorded_accruals, ledger_accruals FROM (
+       SELECT u.id as user_id,
+         COALESCE((SELECT SUM(i.total_accruals) FROM investments i WHERE i.user_id = u.id), 0) as recorded_accruals,
+         COALESCE((SELECT SUM(t.amount) FROM transactions t
+                   WHERE t.user_id = u.id AND t.investment_id IS NOT NULL AND t.type IN ${INCOME_TYPES}), 0) as ledger_accruals
+       FROM users u
+     )
+     WHERE recorded_accruals != ledger_accruals
+     ORDER BY user_id`
+  );
+}
+
+/**
+ * Compare total_accruals with the ledger and store the discrepancies
+ * @param {Object} options
+ * @param {number|null} options.triggeredBy - admin user id, or null for the nightly job
+ * @returns {Promise<Object>} the stored run
+ */
+async function runReconciliation({ triggeredBy = null } = {}) {
+  const run = await dbRun('INSERT INTO reconciliation_runs (triggered_by) VALUES (?)', [triggeredBy]);
+  const runId = run.lastID;
+
+  const investments = await findInvestmentDiscrepancies();
+  const users = await findUserDiscrepancies();
+  const investmentsChecked = await dbGet('SELECT COUNT(*) as count FROM investments');
+  const usersChecked = await dbGet('SELECT COUNT(*) as count FROM users');
+
+  await dbWithTransaction(async (tx) => {
+    await tx.run(`UPDATE reconciliation_discrepancies SET status = 'superseded' WHERE status = 'open' AND run_id != ?`, [runId]);
+
+    const rows = [
+      ...investments.map(row => ({ scope: 'investment', ...row })),
+      ...users.map(row => ({ scope: 'user', investment_id: null, ...row }))
+    ];
+    for (const row of rows) {
+      await tx.run(
+        `INSERT INTO reconciliation_discrepancies
+           (run_id, scope, user_id, investment_id, recorded_accruals, ledger_accruals, difference)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [runId, row.scope, row.user_id, row.investment_id, row.recorded_accruals, row.ledger_accruals,
+          row.recorded_accruals - row.ledger_accruals]
+      );
+    }
+
+    await tx.run(
+      `UPDATE reconciliation_runs
+       SET finished_at = datetime('now'), investments_checked = ?, users_checked = ?, discrepancy_count = ?
+       WHERE id = ?`,
+      [investmentsChecked.count, usersChecked.count, rows.length, runId]
+    );
+  });
+
+  if (investments.length > 0 || users.length > 0) {
+    console.warn(`⚠️ Accrual reconciliation run ${runId}: ${investments.length} investment and ${users.length} user discrepancies`);
+  } else {
+    console.log(`Accrual reconciliation run ${runId}: no discrepancies`);
+  }
+
+  return dbGet('SELECT * FROM reconciliation_runs WHERE id = ?', [runId]);
+}
+
+// Latest run with its discrepancies (and the phone of each user for display)
+async function getLatestReconciliation() {
+  const run = await dbGet('SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT 1');
+  if (!run) {
+    return { run: null, discrepancies: [] };
+  }
+
+  const discrepancies = await dbQuery(
+    `SELECT d.*, u.phone, u.email
+     FROM reconciliation_discrepancies d
+     LEFT JOIN users u ON d.user_id = u.id
+     WHERE d.run_id = ?
+     ORDER BY d.scope ASC, d.id ASC`,
+    [run.id]
+  );
+  return { run, discrepancies };
+}
+
+/**
+ * Repair an open investment discrepancy by posting an accrual correction.
+ * The difference is recomputed inside the transaction, so a stale report never
+ * posts twice; if the investment has been reconciled since, nothing is posted.
+ * Returns { status, correctionTransactionId, amount } or { error, statusCode }.
+ */
+async function repairDiscrepancy(discrepancyId, adminId) {
+  return dbWithTransaction(async (tx) => {
+    const discrepancy = await tx.get('SELECT * FROM reconciliation_discrepancies WHERE id = ?', [discrepancyId]);
+    if (!discrepancy) {
+      return { error: 'Discrepancy not found', statusCode: 404 };
+    }
+    if (discrepancy.status !== 'open') {
+      return { error: `Discrepancy is already ${discrepancy.status}`, statusCode: 400 };
+    }
+    if (discrepancy.scope !== 'investment') {
+      return { error: 'User totals are repaired through their investment discrepancies', statusCode: 400 };
+    }
+
+    const investment = await tx.get('SELECT id, user_id, total_accruals FROM investments WHERE id = ?', [discrepancy.investment_id]);
+    if (!investment) {
+      return { error: 'Investment no longer exists', statusCode: 400 };
+    }
+    const linked = await tx.get(
+      `SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE investment_id = ? AND type IN ${INCOME_TYPES}`,
+      [investment.id]
+    );
+    const difference = investment.total_accruals - linked.total;
+
+    if (difference === 0) {
+      await tx.run(
+        `UPDATE reconciliation_discrepancies SET status = 'resolved', repaired_at = datetime('now'), repaired_by = ? WHERE id = ?`,
+        [adminId, discrepancyId]
+      );
+      return { status: 'resolved', correctionTransactionId: null, amount: 0 };
+    }
+
+    const correction = await ledger.postTransaction({
+      userId: investment.user_id,
+      type: 'accrual',
+      amount: difference,
+      investmentId: investment.id,
+      description: `Reconciliation correction for discrepancy ${discrepancyId} (${formatKwacha(difference)})`,
+      createdBy: adminId
+    }, tx);
+
+    await tx.run(
+      `UPDATE reconciliation_discrepancies
+       SET status = 'repaired', repaired_at = datetime('now'), repaired_by = ?, correction_transaction_id = ?
+       WHERE id = ?`,
+      [adminId, correction.transactionId, discrepancyId]
+    );
+
+    // The user's total is reconciled once all of their investments are
+    const userTotals = await tx.get(
+      `SELECT
+         COALESCE((SELECT SUM(total_accruals) FROM investments WHERE user_id = ?), 0) as recorded,
+         COALESCE((SELECT SUM(amount) FROM transactions
+                   WHERE user_id = ? AND investment_id IS NOT NULL AND type IN ${INCOME_TYPES}), 0) as linked`,
+      [investment.user_id, investment.user_id]
+    );
+    if (userTotals.recorded === userTotals.linked) {
+      await tx.run(
+        `UPDATE reconciliation_discrepancies SET status = 'resolved', repaired_at = datetime('now'), repaired_by = ?
+         WHERE scope = 'user' AND user_id = ? AND status = 'open'`,
+        [adminId, investment.user_id]
+      );
+    }
+
+    return { status: 'repaired', correctionTransactionId: correction.transactionId, amount: difference };
+  });
+}
+
+module.exports = {
+  runReconciliation,
+  getLatestReconciliation,
+  repairDiscrepancy
+};
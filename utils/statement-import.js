@@ -0,0 +1,404 @@
+const path = require('path');
+const { dbGet, dbQuery, dbRun, dbWithTransaction } = require('./db');
+const { toNgwee, formatKwacha } = require('./money');
+const { readXlsxRows, excelSerialToDate } = require('./xlsx');
+const { processDeposit } = require('./deposits');
+const { normalizeTransactionRef } = require('./transaction-refs');
+
+// Mobile money statement import.
+// Admins upload the CSV or XLSX statement export of the platform's Airtel Money
+// or MTN MoMo wallet. Each incoming transaction is matched by reference (the
+// transaction TXT users enter on /api/recharge, normalized as in
+// utils/transaction-refs.js)
+// and amount against the deposits, and every line is stored with its result:
+//
+//   matched            one pending deposit with the same reference, amount and wallet
+//   amount_mismatch    a pending deposit claims the reference for a different amount
+//   wallet_mismatch    a pending deposit claims the reference for the other wallet
+//   unknown            no deposit claims the reference
+//   duplicate          the reference is in the statement more than once, or is
+//                      claimed by more than one pending deposit
+//   already_processed  the deposits claiming it are already approved, denied or deleted
+//   skipped            not an incoming successful transaction (no reference,
+//                      amount <= 0, or a failed status)
+//
+// Only matched lines can be approved in bulk (approveStatementMatches); the
+// rest are for the admin to check by hand. Column names differ between the
+// providers' exports and over time, so each is found by the aliases below; the
+// header row is the first row in which the reference and amount columns are
+// found (exports often start with a few lines of account details).
+
+const STATEMENT_WALLETS = ['airtel', 'mtn'];
+
+// Header aliases in order of preference (lowercase, punctuation removed)
+const STATEMENT_COLUMNS = {
+  airtel: {
+    reference: ['transaction id', 'txn id', 'trans id', 'transaction reference', 'reference', 'reference no', 'id'],
+    amount: ['amount', 'transaction amount', 'credit', 'credit amount', 'amount zmw'],
+    date: ['transaction date', 'txn date', 'date time', 'date'],
+    sender: ['sender msisdn', 'sender name', 'sender', 'from', 'msisdn'],
+    status: ['transaction status', 'status']
+  },
+  mtn: {
+    reference: ['financial transaction id', 'transaction id', 'external transaction id', 'reference', 'id'],
+    amount: ['amount', 'transaction amount', 'credit', 'amount zmw'],
+    date: ['date', 'transaction date', 'date time'],
+    sender: ['from', 'from msisdn', 'from name', 'sender'],
+    status: ['status', 'transaction status']
+  }
+};
+
+const HEADER_SEARCH_ROWS = 30;
+const SUCCESSFUL_STATUS = /success|complete|approved/i;
+const QUERY_CHUNK_SIZE = 500;
+
+function normalizeHeader(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Parse CSV text into rows. Handles quoted fields, and detects comma,
+// semicolon or tab separators from the first line.
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// 'K1,250.50', 'ZMW 1250.5' or '1 250,00' -> ngwee; NaN when not a number
+function parseStatementAmount(value) {
+  let text = String(value || '').replace(/[^0-9.,-]/g, '');
+  // A comma followed by exactly two digits at the end is a decimal comma
+  if (/,\d{2}$/.test(text) && !text.includes('.')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+  text = text.replace(/,/g, '');
+  return text ? toNgwee(text) : NaN;
+}
+
+// Find the header row and the index of each known column in it
+function findColumns(rows, wallet) {
+  const aliases = STATEMENT_COLUMNS[wallet];
+  for (let rowIndex = 0; rowIndex < Math.min(rows.length, HEADER_SEARCH_ROWS); rowIndex++) {
+    const headers = rows[rowIndex].map(normalizeHeader);
+    const columns = {};
+    for (const [column, names] of Object.entries(aliases)) {
+      const name = names.find(alias => headers.includes(alias));
+      columns[column] = name ? headers.indexOf(name) : -1;
+    }
+    if (columns.reference >= 0 && columns.amount >= 0) {
+      return { headerRow: rowIndex, columns };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a statement export into its transaction lines
+ * @param {Buffer} buffer - file contents
+ * @param {string} filename - used to tell CSV from XLSX
+ * @param {string} wallet - 'airtel' or 'mtn'
+ * @returns {Object} { lines } or { error, statusCode }
+ */
+function parseStatement(buffer, filename, wallet) {
+  const extension = path.extname(filename || '').toLowerCase();
+  let rows;
+  try {
+    if (extension === '.xlsx') {
+      rows = readXlsxRows(buffer);
+    } else if (extension === '.csv' || extension === '.txt') {
+      rows = parseCsv(buffer.toString('utf8'));
+    } else {
+      return { error: 'Upload the statement as a .csv or .xlsx file (save .xls exports as .xlsx first)', statusCode: 400 };
+    }
+  } catch (error) {
+    return { error: `Could not read the statement: ${error.message}`, statusCode: 400 };
+  }
+
+  const found = findColumns(rows, wallet);
+  if (!found) {
+    return { error: 'Could not find the transaction ID and amount columns in the statement', statusCode: 400 };
+  }
+
+  const { headerRow, columns } = found;
+  const cell = (row, column) => (columns[column] >= 0 ? String(row[columns[column]] || '').trim() : '');
+  const lines = [];
+  for (let rowIndex = headerRow + 1; rowIndex < rows.length; rowIndex++) {
+    const row = rows[rowIndex];
+    if (row.every(value => String(value || '').trim() === '')) continue;
+
+    let transactionDate = cell(row, 'date');
+    if (extension === '.xlsx' && /^\d{5}(\.\d+)?$/.test(transactionDate)) {
+      transactionDate = excelSerialToDate(transactionDate);
+    }
+
+    lines.push({
+      rowNumber: rowIndex + 1,
+      reference: cell(row, 'reference'),
+      amount: parseStatementAmount(cell(row, 'amount')),
+      transactionDate: transactionDate.slice(0, 40) || null,
+      sender: cell(row, 'sender').slice(0, 60) || null,
+      status: cell(row, 'status')
+    });
+  }
+  return { lines };
+}
+
+// Deposits (any status) claiming one of the references, by normalized reference
+async function depositsByReference(references) {
+  const byReference = new Map();
+  for (let i = 0; i < references.length; i += QUERY_CHUNK_SIZE) {
+    const chunk = references.slice(i, i + QUERY_CHUNK_SIZE);
+    const rows = await dbQuery(
+      `SELECT d.id, d.user_id, d.amount, d.wallet, d.transaction_txt, d.status, r.reference
+       FROM transaction_refs r
+       JOIN deposits d ON r.deposit_id = d.id
+       WHERE r.reference IN (${chunk.map(() => '?').join(',')})
+       ORDER BY d.id`,
+      chunk
+    );
+    for (const deposit of rows) {
+      if (!byReference.has(deposit.reference)) byReference.set(deposit.reference, []);
+      byReference.get(deposit.reference).push(deposit);
+    }
+  }
+  return byReference;
+}
+
+// Classify each statement line against the deposits
+async function matchLines(lines, wallet) {
+  const counts = new Map();
+  for (const line of lines) {
+    const reference = normalizeTransactionRef(line.reference);
+    if (reference) counts.set(reference, (counts.get(reference) || 0) + 1);
+  }
+  const deposits = await depositsByReference([...counts.keys()]);
+
+  return lines.map(line => {
+    const reference = normalizeTransactionRef(line.reference);
+    const result = (outcome, depositId = null, note = null) => ({ ...line, result: outcome, depositId, note });
+
+    if (!reference) {
+      return result('skipped', null, 'No reference');
+    }
+    if (!(line.amount > 0)) {
+      return result('skipped', null, 'Not an incoming amount');
+    }
+    if (line.status && !SUCCESSFUL_STATUS.test(line.status)) {
+      return result('skipped', null, `Status ${line.status}`);
+    }
+    if (counts.get(reference) > 1) {
+      return result('duplicate', null, `Reference appears ${counts.get(reference)} times in the statement`);
+    }
+
+    const claims = deposits.get(reference) || [];
+    if (claims.length === 0) {
+      return result('unknown');
+    }
+    // A reference is claimed once per wallet, so pending claims for the
+    // statement's wallet come first; one for the other wallet is a mismatch
+    const pendingFor = list => list.filter(deposit => deposit.status === 'pending');
+    let pending = pendingFor(claims.filter(deposit => deposit.wallet === wallet));
+    if (pending.length === 0) {
+      pending = pendingFor(claims);
+    }
+    if (pending.length > 1) {
+      return result('duplicate', null, `Claimed by ${pending.length} pending deposits (#${pending.map(d => d.id).join(', #')})`);
+    }
+    if (pending.length === 0) {
+      return result('already_processed', claims[0].id, `Deposit #${claims[0].id} is ${claims[0].status}`);
+    }
+
+    const deposit = pending[0];
+    if (deposit.amount !== line.amount) {
+      return result('amount_mismatch', deposit.id, `Claimed ${formatKwacha(deposit.amount)}, statement shows ${formatKwacha(line.amount)}`);
+    }
+    if (deposit.wallet !== wallet) {
+      return result('wallet_mismatch', deposit.id, `Claimed as ${String(deposit.wallet || 'unknown').toUpperCase()}`);
+    }
+    return result('matched', deposit.id);
+  });
+}
+
+/**
+ * Parse a statement, match it against the deposits and store the import
+ * @param {Object} options - { wallet, filename, buffer, uploadedBy }
+ * @returns {Promise<Object>} the stored import with its lines, or { error, statusCode }
+ */
+async function importStatement({ wallet, filename, buffer, uploadedBy }) {
+  const parsed = parseStatement(buffer, filename, wallet);
+  if (parsed.error) {
+    return parsed;
+  }
+  if (parsed.lines.length === 0) {
+    return { error: 'The statement has no transactions', statusCode: 400 };
+  }
+
+  const lines = await matchLines(parsed.lines, wallet);
+  const importId = await dbWithTransaction(async (tx) => {
+    const result = await tx.run(
+      'INSERT INTO statement_imports (wallet, filename, rows_count, uploaded_by) VALUES (?, ?, ?, ?)',
+      [wallet, filename, lines.length, uploadedBy]
+    );
+    for (const line of lines) {
+      await tx.run(
+        `INSERT INTO statement_import_lines
+           (import_id, row_number, reference, amount, transaction_date, sender, result, deposit_id, note)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          result.lastID,
+          line.rowNumber,
+          line.reference || null,
+          Number.isFinite(line.amount) ? line.amount : null,
+          line.transactionDate,
+          line.sender,
+          line.result,
+          line.depositId,
+          line.note
+        ]
+      );
+    }
+    return result.lastID;
+  });
+
+  return getStatementImport(importId);
+}
+
+// Imports newest first, with the number of lines per result
+async function listStatementImports(limit = 50) {
+  return dbQuery(
+    `SELECT s.*, u.phone as uploaded_by_phone,
+       (SELECT COUNT(*) FROM statement_import_lines l WHERE l.import_id = s.id AND l.result = 'matched') as matched_count,
+       (SELECT COUNT(*) FROM statement_import_lines l WHERE l.import_id = s.id AND l.approved_at IS NOT NULL) as approved_count
+     FROM statement_imports s
+     LEFT JOIN users u ON s.uploaded_by = u.id
+     ORDER BY s.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+}
+
+/**
+ * An import with its lines, the deposit each refers to and a count per result
+ * @returns {Promise<Object|null>} { import, lines, counts }
+ */
+async function getStatementImport(importId) {
+  const statementImport = await dbGet(
+    `SELECT s.*, u.phone as uploaded_by_phone
+     FROM statement_imports s
+     LEFT JOIN users u ON s.uploaded_by = u.id
+     WHERE s.id = ?`,
+    [importId]
+  );
+  if (!statementImport) {
+    return null;
+  }
+
+  const lines = await dbQuery(
+    `SELECT l.*, d.user_id, d.amount as deposit_amount, d.wallet as deposit_wallet,
+       d.transaction_txt as deposit_transaction_txt, d.status as deposit_status, u.phone, u.full_name
+     FROM statement_import_lines l
+     LEFT JOIN deposits d ON l.deposit_id = d.id
+     LEFT JOIN users u ON d.user_id = u.id
+     WHERE l.import_id = ?
+     ORDER BY l.row_number`,
+    [importId]
+  );
+
+  const counts = {};
+  for (const line of lines) {
+    counts[line.result] = (counts[line.result] || 0) + 1;
+  }
+  return { import: statementImport, lines, counts };
+}
+
+/**
+ * Approve the deposits of an import's exact matches
+ * @param {number} importId
+ * @param {Object} options - { adminId, lineIds } (lineIds: only these matched lines)
+ * @returns {Promise<Object>} { approved, failed: [{ lineId, depositId, error }] } or { error, statusCode }
+ */
+async function approveStatementMatches(importId, { adminId, lineIds = null }) {
+  const statementImport = await dbGet('SELECT id FROM statement_imports WHERE id = ?', [importId]);
+  if (!statementImport) {
+    return { error: 'Statement import not found', statusCode: 404 };
+  }
+
+  const lines = await dbQuery(
+    `SELECT id, row_number, deposit_id FROM statement_import_lines
+     WHERE import_id = ? AND result = 'matched' AND approved_at IS NULL
+     ORDER BY row_number`,
+    [importId]
+  );
+  const selected = lineIds ? lines.filter(line => lineIds.includes(line.id)) : lines;
+
+  let approved = 0;
+  const failed = [];
+  for (const line of selected) {
+    // Each deposit is approved in its own transaction; one that was processed
+    // by hand in the meantime is reported rather than stopping the batch
+    const result = await processDeposit(line.deposit_id, 'approve', {
+      adminId,
+      notes: `Matched statement import #${importId}, row ${line.row_number}`
+    });
+    if (result.error) {
+      failed.push({ lineId: line.id, depositId: line.deposit_id, error: result.error });
+      continue;
+    }
+    await dbRun(
+      `UPDATE statement_import_lines SET approved_at = datetime('now'), approved_by = ? WHERE id = ?`,
+      [adminId, line.id]
+    );
+    approved++;
+  }
+
+  return { approved, failed };
+}
+
+module.exports = {
+  STATEMENT_WALLETS,
+  parseCsv,
+  parseStatementAmount,
+  parseStatement,
+  importStatement,
+  listStatementImports,
+  getStatementImport,
+  approveStatementMatches
+};
@@ -0,0 +1,222 @@
+const { dbGet, dbQuery } = require('./db');
+const { formatKwacha } = require('./money');
+const { renderTextPdf } = require('./pdf');
+const { PLATFORM_TIMEZONE, localTimeModifier, formatLocalDateTime } = require('./timezone');
+
+// Account statements.
+// A statement covers the user's `transactions` rows dated within [from, to]
+// (inclusive, YYYY-MM-DD calendar days in the platform timezone; rows and
+// request times are stored in UTC and shown in platform time), with the balance before the first day as the
+// opening balance and a running balance after each line. Amounts follow the
+// same rules as getBalance(): withdrawals reduce the balance by their gross
+// amount, balance investments are stored negative, reversals carry the
+// negated amount of the transaction they reverse, and deleted rows still count.
+// Funds held by pending withdrawal requests are still part of the balance, so
+// requests filed in the period are listed separately from `withdrawal_requests`.
+// The fee on each withdrawal is the platform revenue posted with it.
+
+const TYPE_LABELS = {
+  deposit: 'Deposit',
+  accrual: 'Daily income',
+  bonus: 'Bonus',
+  investment: 'Level purchase',
+  withdrawal: 'Withdrawal'
+};
+
+// Effect of a transaction row on the user's balance
+function signedAmount(transaction) {
+  return transaction.type === 'withdrawal' ? -transaction.amount : transaction.amount;
+}
+
+function describe(transaction) {
+  const label = TYPE_LABELS[transaction.type] || transaction.type;
+  if (transaction.reversal_of) {
+    return `${label} reversal of #${transaction.reversal_of}: ${transaction.reversal_reason}`;
+  }
+  if (transaction.package_level) {
+    return `${label} - ${transaction.package_level}`;
+  }
+  return label;
+}
+
+/**
+ * Build a statement for a user and period
+ * @param {number} userId
+ * @param {string} from - first day, YYYY-MM-DD
+ * @param {string} to - last day, YYYY-MM-DD
+ */
+async function buildStatement(userId, from, to) {
+  const user = await dbGet('SELECT id, email, phone FROM users WHERE id = ?', [userId]);
+  const local = localTimeModifier();
+
+  const opening = await dbGet(
+    `SELECT COALESCE(SUM(CASE WHEN type = 'withdrawal' THEN -amount ELSE amount END), 0) as balance
+     FROM transactions
+     WHERE user_id = ? AND date(date, ?) < date(?)`,
+    [userId, local, from]
+  );
+
+  const transactions = await dbQuery(
+    `SELECT t.id, t.type, t.amount, datetime(t.date, ?) as date, t.reversal_of, t.reversal_reason, p.level as package_level,
+       (SELECT COALESCE(SUM(l.credit - l.debit), 0)
+        FROM journal_lines l
+        JOIN journal_entries e ON l.entry_id = e.id
+        JOIN ledger_accounts a ON l.account_id = a.id
+        WHERE e.transaction_id = t.id AND a.code = 'PLATFORM_REVENUE') as fee
+     FROM transactions t
+     LEFT JOIN investments i ON t.investment_id = i.id
+     LEFT JOIN packages p ON i.package_id = p.id
+     WHERE t.user_id = ? AND date(t.date, ?) BETWEEN date(?) AND date(?)
+     ORDER BY t.date ASC, t.id ASC`,
+    [local, userId, local, from, to]
+  );
+
+  const withdrawalRequests = await dbQuery(
+    `SELECT id, gross_amount, charge, net_amount, wallet, status,
+       datetime(requested_at, ?) as requested_at, datetime(processed_at, ?) as processed_at
+     FROM withdrawal_requests
+     WHERE user_id = ? AND date(requested_at, ?) BETWEEN date(?) AND date(?)
+     ORDER BY requested_at ASC, id ASC`,
+    [local, local, userId, local, from, to]
+  );
+
+  let balance = opening.balance;
+  let moneyIn = 0;
+  let moneyOut = 0;
+  let fees = 0;
+  const lines = transactions.map(transaction => {
+    const amount = signedAmount(transaction);
+    balance += amount;
+    if (amount >= 0) {
+      moneyIn += amount;
+    } else {
+      moneyOut -= amount;
+    }
+    fees += transaction.fee;
+    return {
+      id: transaction.id,
+      date: transaction.date,
+      type: transaction.type,
+      description: describe(transaction),
+      amount,
+      fee: transaction.fee,
+      balance
+    };
+  });
+
+  return {
+    user,
+    from,
+    to,
+    timezone: PLATFORM_TIMEZONE,
+    generatedAt: formatLocalDateTime(),
+    openingBalance: opening.balance,
+    lines,
+    totals: { moneyIn, moneyOut, fees },
+    closingBalance: balance,
+    withdrawalRequests
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV amounts are plain Kwacha decimals so spreadsheets can sum them
+function csvAmount(ngwee) {
+  return (ngwee / 100).toFixed(2);
+}
+
+function statementToCsv(statement) {
+  const rows = [
+    ['Date', 'Transaction ID', 'Type', 'Description', 'Amount (K)', 'Fee (K)', 'Balance (K)'],
+    [statement.from, '', '', 'Opening balance', '', '', csvAmount(statement.openingBalance)]
+  ];
+
+  for (const line of statement.lines) {
+    rows.push([line.date, line.id, line.type, line.description, csvAmount(line.amount), csvAmount(line.fee), csvAmount(line.balance)]);
+  }
+
+  rows.push([statement.to, '', '', 'Total fees', '', csvAmount(statement.totals.fees), '']);
+  rows.push([statement.to, '', '', 'Closing balance', '', '', csvAmount(statement.closingBalance)]);
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function pad(text, width, alignRight = false) {
+  const value = String(text);
+  const clipped = value.length > width ? value.slice(0, width - 1) + '~' : value;
+  return alignRight ? clipped.padStart(width) : clipped.padEnd(width);
+}
+
+// Columns sized for 9pt Courier on an A4 page (91 characters)
+function statementRow(date, description, amount, fee, balance) {
+  return [
+    pad(date, 19),
+    pad(description, 31),
+    pad(amount, 13, true),
+    pad(fee, 10, true),
+    pad(balance, 14, true)
+  ].join(' ');
+}
+
+function statementToPdf(statement) {
+  const mono = (text) => ({ text, font: 'mono', size: 9 });
+  const lines = [
+    { text: 'Account Statement', font: 'bold', size: 16 },
+    { text: `${statement.user.email}${statement.user.phone ? ` / ${statement.user.phone}` : ''}`, spaceBefore: 6 },
+    { text: `Period: ${statement.from} to ${statement.to}` },
+    { text: `Generated: ${statement.generatedAt}. All dates and times are ${statement.timezone} time.`, size: 8 },
+    { text: 'Transactions', font: 'bold', size: 12, spaceBefore: 12 },
+    { ...mono(statementRow('Date', 'Description', 'Amount', 'Fee', 'Balance')), spaceBefore: 4 },
+    mono('-'.repeat(91)),
+    mono(statementRow(statement.from, 'Opening balance', '', '', formatKwacha(statement.openingBalance)))
+  ];
+
+  for (const line of statement.lines) {
+    lines.push(mono(statementRow(
+      line.date,
+      line.description,
+      formatKwacha(line.amount),
+      line.fee ? formatKwacha(line.fee) : '',
+      formatKwacha(line.balance)
+    )));
+  }
+  if (statement.lines.length === 0) {
+    lines.push(mono('No transactions in this period.'));
+  }
+
+  lines.push(mono('-'.repeat(91)));
+  lines.push(mono(statementRow(statement.to, 'Closing balance', '', '', formatKwacha(statement.closingBalance))));
+
+  lines.push({ text: 'Summary', font: 'bold', size: 12, spaceBefore: 12 });
+  lines.push(mono(`Money in:        ${formatKwacha(statement.totals.moneyIn)}`));
+  lines.push(mono(`Money out:       ${formatKwacha(statement.totals.moneyOut)}`));
+  lines.push(mono(`Fees (included): ${formatKwacha(statement.totals.fees)}`));
+
+  if (statement.withdrawalRequests.length > 0) {
+    lines.push({ text: 'Withdrawal requests', font: 'bold', size: 12, spaceBefore: 12 });
+    lines.push({ ...mono(statementRow('Requested', 'Status', 'Gross', 'Fee', 'Net')), spaceBefore: 4 });
+    lines.push(mono('-'.repeat(91)));
+    for (const request of statement.withdrawalRequests) {
+      lines.push(mono(statementRow(
+        request.requested_at,
+        `#${request.id} ${request.status} (${request.wallet})`,
+        formatKwacha(request.gross_amount),
+        formatKwacha(request.charge),
+        formatKwacha(request.net_amount)
+      )));
+    }
+  }
+
+  return renderTextPdf(lines);
+}
+
+module.exports = {
+  csvField,
+  csvAmount,
+  buildStatement,
+  statementToCsv,
+  statementToPdf
+};
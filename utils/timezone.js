@@ -0,0 +1,105 @@
+// Platform timezone.
+// Users are on Central Africa Time while the server clock (Render) is UTC, so
+// every "today" the business cares about - the accrual business date, the
+// once-per-day withdrawal rule, investment start and maturity dates, statement
+// periods - is the calendar date in PLATFORM_TIMEZONE, not the server's.
+// The cron jobs are scheduled in the same zone, and the SPA reads it from
+// GET /api/config to render dates.
+//
+// Timestamps (created_at, transactions.date, ...) are still stored in UTC by
+// SQLite's CURRENT_TIMESTAMP / datetime('now'); convert them with
+// localTimeModifier() when a query needs their local calendar date.
+
+const DEFAULT_TIMEZONE = 'Africa/Lusaka';
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function resolveTimezone() {
+  const configured = process.env.PLATFORM_TIMEZONE;
+  if (!configured) {
+    return DEFAULT_TIMEZONE;
+  }
+  if (!isValidTimezone(configured)) {
+    console.warn(`⚠️ Unknown PLATFORM_TIMEZONE "${configured}", using ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+  return configured;
+}
+
+const PLATFORM_TIMEZONE = resolveTimezone();
+
+// Calendar fields of an instant in the platform timezone
+function localParts(at) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: PLATFORM_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at);
+  const fields = {};
+  for (const part of parts) {
+    fields[part.type] = part.value;
+  }
+  return fields;
+}
+
+/**
+ * Business date (YYYY-MM-DD) of an instant in the platform timezone
+ * @param {Date} [at] - defaults to now
+ */
+function businessDate(at = new Date()) {
+  const { year, month, day } = localParts(at);
+  return `${year}-${month}-${day}`;
+}
+
+// Add days to a YYYY-MM-DD date
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+// Offset of the platform timezone from UTC at an instant, in minutes
+function utcOffsetMinutes(at = new Date()) {
+  const { year, month, day, hour, minute, second } = localParts(at);
+  const localAsUtc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  return Math.round((localAsUtc - Math.floor(at.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * SQLite date modifier that shifts a stored UTC timestamp to platform time,
+ * e.g. date(t.date, ?) with '+120 minutes'. Uses the current offset, which is
+ * exact for zones without daylight saving time such as Africa/Lusaka.
+ */
+function localTimeModifier(at = new Date()) {
+  const offset = utcOffsetMinutes(at);
+  return `${offset < 0 ? '-' : '+'}${Math.abs(offset)} minutes`;
+}
+
+/**
+ * Render an instant as 'YYYY-MM-DD HH:MM:SS' in the platform timezone
+ * @param {Date} [at] - defaults to now
+ */
+function formatLocalDateTime(at = new Date()) {
+  const { year, month, day, hour, minute, second } = localParts(at);
+  return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+}
+
+module.exports = {
+  PLATFORM_TIMEZONE,
+  businessDate,
+  addDays,
+  utcOffsetMinutes,
+  localTimeModifier,
+  formatLocalDateTime
+};
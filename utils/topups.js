@@ -0,0 +1,135 @@
+const { dbGet, dbQuery, dbRun } = require('./db');
+const ledger = require('./ledger');
+const { initializePayment } = require('./payments');
+const { claimTransactionRef, linkTransactionRef } = require('./transaction-refs');
+
+// Paystack balance top-ups (POST /api/topups).
+// A user adds any amount to their balance by card or mobile money on Paystack's
+// checkout page, which sends them back to /payment/callback:
+//
+//   pending -> success     Paystack reported the charge; the amount is credited
+//                          as an approved deposit (deposit_id)
+//   pending -> failed      the charge failed
+//   pending -> abandoned   the user left the checkout page without paying
+//                          (after TOPUP_CHECKOUT_MINUTES)
+//
+// A top-up is credited only by its charge.success payment event
+// (utils/payment-events.js). The webhook and the callback page's check of the
+// transaction both go through that event, so whichever comes first credits
+// the top-up and the other finds it processed.
+
+const TOPUP_STATUSES = ['pending', 'success', 'failed', 'abandoned'];
+const TOPUP_WALLET = 'paystack';
+// Paystack reports every unpaid transaction as abandoned, including one the
+// user is still paying, so only older top-ups are closed as abandoned
+const TOPUP_CHECKOUT_MINUTES = 30;
+
+// Paystack needs a customer email; users registered without one get an
+// address made from their phone number
+function paystackEmail(user) {
+  return user.email || `${user.phone}@users.zambia-youth.com`;
+}
+
+function topUpReference() {
+  return `TOPUP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Start a top-up: initialize the charge with Paystack and record it as pending
+ * @param {Object} user - { id, phone, email }
+ * @param {number} amount - ngwee
+ * @returns {Promise<Object>} { topUp } (with authorization_url, the checkout
+ *   page) or { error, statusCode }
+ */
+async function startTopUp(user, amount) {
+  const reference = topUpReference();
+  const payment = await initializePayment(paystackEmail(user), amount, reference, {
+    purpose: 'topup',
+    userId: user.id,
+    amount
+  });
+  if (!payment.success) {
+    return { error: payment.error, statusCode: 502 };
+  }
+
+  await dbRun(
+    `INSERT INTO topups (user_id, reference, amount, status, authorization_url) VALUES (?, ?, ?, 'pending', ?)`,
+    [user.id, reference, amount, payment.authorization_url]
+  );
+  return { topUp: await getTopUp(reference) };
+}
+
+/**
+ * charge.success handler for a top-up, run inside the payment event's
+ * transaction: credit the amount as an approved deposit
+ * @param {Object} tx - dbWithTransaction handle
+ * @param {Object} data - the event's data { reference, amount }
+ * @returns {Promise<Object>} { userId, depositId, topUp }
+ */
+async function creditTopUp(tx, data) {
+  const topUp = await tx.get('SELECT * FROM topups WHERE reference = ?', [data.reference]);
+  if (!topUp) {
+    throw new Error(`No top-up with reference ${data.reference}`);
+  }
+  if (topUp.status === 'success') {
+    throw new Error(`Top-up ${data.reference} was already credited`);
+  }
+  if (data.amount !== topUp.amount) {
+    throw new Error(`Paid amount ${data.amount} differs from the top-up amount ${topUp.amount}`);
+  }
+
+  const userId = topUp.user_id;
+  if (!(await claimTransactionRef(tx, { userId, wallet: TOPUP_WALLET, transactionTxt: topUp.reference }))) {
+    throw new Error(`Reference ${topUp.reference} is already claimed`);
+  }
+  const description = `Paystack top-up ${topUp.reference}`;
+  const { transactionId } = await ledger.postVerifiedDeposit({ userId, amount: topUp.amount, description }, tx);
+  const deposit = await tx.run(
+    `INSERT INTO deposits (user_id, amount, wallet, transaction_txt, status, transaction_id, processed_at, admin_notes)
+     VALUES (?, ?, ?, ?, 'approved', ?, datetime('now'), 'Paid with Paystack')`,
+    [userId, topUp.amount, TOPUP_WALLET, topUp.reference, transactionId]
+  );
+  await linkTransactionRef(tx, { wallet: TOPUP_WALLET, transactionTxt: topUp.reference, depositId: deposit.lastID });
+  await tx.run(
+    `UPDATE topups SET status = 'success', deposit_id = ?, completed_at = datetime('now') WHERE id = ?`,
+    [deposit.lastID, topUp.id]
+  );
+
+  return {
+    userId,
+    depositId: deposit.lastID,
+    topUp: { amount: topUp.amount, reference: topUp.reference }
+  };
+}
+
+// Close a pending top-up that Paystack reports as failed or abandoned
+async function closeTopUp(reference, status) {
+  await dbRun(
+    `UPDATE topups SET status = ?, completed_at = datetime('now')
+     WHERE reference = ? AND status = 'pending'
+       AND (? = 'failed' OR created_at <= datetime('now', ?))`,
+    [status, reference, status, `-${TOPUP_CHECKOUT_MINUTES} minutes`]
+  );
+}
+
+async function getTopUp(reference) {
+  return dbGet('SELECT * FROM topups WHERE reference = ?', [reference]);
+}
+
+// A user's top-ups, newest first
+async function listTopUps(userId) {
+  return dbQuery(
+    `SELECT id, reference, amount, status, deposit_id, created_at, completed_at
+     FROM topups WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 50`,
+    [userId]
+  );
+}
+
+module.exports = {
+  TOPUP_STATUSES,
+  startTopUp,
+  creditTopUp,
+  closeTopUp,
+  getTopUp,
+  listTopUps
+};
@@ -0,0 +1,159 @@
+const { dbGet, dbQuery, dbRun } = require('./db');
+
+// Mobile money transaction references (the transaction TXT of a deposit or a
+// verified level purchase).
+// References are normalized - whitespace removed, upper case - so 'pp 261019.a1'
+// and 'PP261019.A1' are the same Airtel/MTN transaction. Every deposit and
+// level purchase claims its reference in transaction_refs, whose unique index
+// allows one active claim per wallet and reference across the whole platform.
+// A denied deposit releases its claim, so the user who really paid can still
+// use the reference.
+//
+// When a user tries to use a reference that another user holds, the attempt is
+// rejected and recorded in transaction_ref_flags for admins to review as
+// possible fraud. Reusing one's own reference is a plain duplicate.
+
+const REFERENCE_FLAG_STATUSES = ['open', 'reviewed', 'all'];
+
+function normalizeTransactionRef(transactionTxt) {
+  return String(transactionTxt || '').replace(/\s+/g, '').toUpperCase();
+}
+
+// Active claim on a reference, with the phone of the user holding it
+async function findActiveClaim(wallet, reference, tx = null) {
+  const get = tx ? tx.get : dbGet;
+  return get(
+    `SELECT r.*, u.phone
+     FROM transaction_refs r
+     LEFT JOIN users u ON r.user_id = u.id
+     WHERE r.wallet = ? AND r.reference = ? AND r.released_at IS NULL`,
+    [wallet, reference]
+  );
+}
+
+/**
+ * Check that a reference is free before it is claimed. Attempts to use another
+ * user's reference are flagged.
+ * @param {Object} attempt - { userId, wallet, transactionTxt, source }; source
+ *   is the endpoint, e.g. 'recharge'
+ * @returns {Promise<Object|null>} null when free, else { error, statusCode }
+ */
+async function checkTransactionRef({ userId, wallet, transactionTxt, source }) {
+  const reference = normalizeTransactionRef(transactionTxt);
+  const claim = await findActiveClaim(wallet, reference);
+  if (!claim) {
+    return null;
+  }
+  if (claim.user_id !== userId) {
+    await flagCollision({ userId, wallet, transactionTxt, source, claim });
+  }
+  return { error: 'This transaction has already been used', statusCode: 400 };
+}
+
+/**
+ * Claim a reference inside the transaction that records the deposit or
+ * investment. Returns false when someone claimed it first (the check and the
+ * claim raced), in which case nothing was written.
+ * @param {Object} tx - dbWithTransaction handle
+ * @param {Object} claim - { userId, wallet, transactionTxt, depositId?, investmentId? }
+ * @returns {Promise<boolean>}
+ */
+async function claimTransactionRef(tx, { userId, wallet, transactionTxt, depositId = null, investmentId = null }) {
+  const result = await tx.run(
+    `INSERT OR IGNORE INTO transaction_refs (wallet, reference, transaction_txt, user_id, deposit_id, investment_id)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [wallet, normalizeTransactionRef(transactionTxt), transactionTxt, userId, depositId, investmentId]
+  );
+  return result.changes > 0;
+}
+
+// Link a claim made before its deposit or investment row existed
+async function linkTransactionRef(tx, { wallet, transactionTxt, depositId = null, investmentId = null }) {
+  await tx.run(
+    `UPDATE transaction_refs SET deposit_id = COALESCE(?, deposit_id), investment_id = COALESCE(?, investment_id)
+     WHERE wallet = ? AND reference = ? AND released_at IS NULL`,
+    [depositId, investmentId, wallet, normalizeTransactionRef(transactionTxt)]
+  );
+}
+
+// Release the claim of a denied deposit
+async function releaseDepositRef(tx, depositId) {
+  await tx.run(
+    `UPDATE transaction_refs SET released_at = datetime('now') WHERE deposit_id = ? AND released_at IS NULL`,
+    [depositId]
+  );
+}
+
+// Record an attempt to use a reference another user holds
+async function flagCollision({ userId, wallet, transactionTxt, source, claim }) {
+  await dbRun(
+    `INSERT INTO transaction_ref_flags (wallet, reference, transaction_txt, user_id, claim_id, claimed_by, source)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [wallet, claim.reference, transactionTxt, userId, claim.id, claim.user_id, source]
+  );
+  console.warn(`⚠️ Possible fraud: user ${userId} tried to use ${wallet} reference ${claim.reference} held by user ${claim.user_id} (${source})`);
+}
+
+/**
+ * Reference collision flags, newest first
+ * @param {Object} [options]
+ * @param {string} [options.status] - open (default), reviewed or all
+ */
+async function listReferenceFlags({ status = 'open' } = {}) {
+  const where = {
+    open: 'WHERE f.reviewed_at IS NULL',
+    reviewed: 'WHERE f.reviewed_at IS NOT NULL',
+    all: ''
+  }[status];
+  return dbQuery(
+    `SELECT f.*,
+       u.phone, u.full_name,
+       c.phone as claimed_by_phone, c.full_name as claimed_by_name,
+       r.deposit_id as claim_deposit_id, r.investment_id as claim_investment_id, r.released_at as claim_released_at,
+       a.phone as reviewed_by_phone
+     FROM transaction_ref_flags f
+     LEFT JOIN users u ON f.user_id = u.id
+     LEFT JOIN users c ON f.claimed_by = c.id
+     LEFT JOIN transaction_refs r ON f.claim_id = r.id
+     LEFT JOIN users a ON f.reviewed_by = a.id
+     ${where}
+     ORDER BY f.created_at DESC, f.id DESC`
+  );
+}
+
+/**
+ * Mark a flag as reviewed
+ * @returns {Promise<Object|null>} null, or { error, statusCode }
+ */
+async function reviewReferenceFlag(flagId, { adminId, notes = null }) {
+  const flag = await dbGet('SELECT * FROM transaction_ref_flags WHERE id = ?', [flagId]);
+  if (!flag) {
+    return { error: 'Flag not found', statusCode: 404 };
+  }
+  if (flag.reviewed_at) {
+    return { error: 'Flag is already reviewed', statusCode: 400 };
+  }
+  await dbRun(
+    `UPDATE transaction_ref_flags SET reviewed_at = datetime('now'), reviewed_by = ?, review_notes = ? WHERE id = ?`,
+    [adminId, notes || null, flagId]
+  );
+  return null;
+}
+
+// Number of flags not reviewed yet, for admin stats
+async function countOpenReferenceFlags() {
+  const row = await dbGet('SELECT COUNT(*) as count FROM transaction_ref_flags WHERE reviewed_at IS NULL');
+  return row.count;
+}
+
+module.exports = {
+  REFERENCE_FLAG_STATUSES,
+  normalizeTransactionRef,
+  checkTransactionRef,
+  claimTransactionRef,
+  linkTransactionRef,
+  releaseDepositRef,
+  listReferenceFlags,
+  reviewReferenceFlag,
+  countOpenReferenceFlags
+};
@@ -0,0 +1,235 @@
+const { dbGet, dbQuery, dbRun, dbWithTransaction } = require('./db');
+const { businessDate } = require('./timezone');
+const { isKnownLevel } = require('./levels');
+const { getWithdrawalFeePercent } = require('./packages');
+const { calculateWithdrawalFee, describeWithdrawalFee } = require('../public/js/withdrawal-fees');
+
+// Withdrawal fee policies.
+// The fee charged on a withdrawal and the minimum withdrawal come from the
+// policy in effect on the business date. Policies are versioned like package
+// terms: admins add a new policy with an effective date instead of editing
+// one, and a policy can only be deleted before it takes effect. Each
+// withdrawal request records the policy it was charged under (fee_policy_id).
+//
+// The rules themselves (which tier applies, percent + flat fee, minimum and
+// maximum fee) are in public/js/withdrawal-fees.js, which the SPA loads too.
+// A tier without a percent charges the withdrawal fee of the user's package
+// terms (utils/packages.js); the default policy is one such tier, so fees are
+// the package terms until admins set a policy.
+//
+// Tiers for every level (level null) must cover every amount: the first starts
+// at 0, each starts right after the one before, and the last has no upper
+// limit. Tiers for a level override them over their range and must not
+// overlap each other.
+
+const MAX_FEE_TIERS = 50;
+
+async function tiersFor(policyIds) {
+  if (policyIds.length === 0) {
+    return [];
+  }
+  return dbQuery(
+    `SELECT id, policy_id, level, min_amount, max_amount, percent, flat_fee, min_fee, max_fee
+     FROM withdrawal_fee_tiers
+     WHERE policy_id IN (${policyIds.map(() => '?').join(',')})
+     ORDER BY policy_id, level IS NOT NULL, level, min_amount`,
+    policyIds
+  );
+}
+
+function withTiers(policy, tiers) {
+  return { ...policy, tiers: tiers.filter(tier => tier.policy_id === policy.id) };
+}
+
+/**
+ * The policy in effect on a date, with its tiers
+ * @param {string} [date] - YYYY-MM-DD business date, default today
+ */
+async function getEffectiveFeePolicy(date = businessDate()) {
+  const policy = await dbGet(
+    `SELECT * FROM withdrawal_fee_policies
+     WHERE effective_from <= ?
+     ORDER BY effective_from DESC, id DESC LIMIT 1`,
+    [date]
+  );
+  if (!policy) {
+    return null;
+  }
+  return withTiers(policy, await tiersFor([policy.id]));
+}
+
+/**
+ * All policies, latest effective date first, with the number of withdrawal
+ * requests charged under each; current marks the one in effect and scheduled
+ * the ones still to come
+ */
+async function listFeePolicies() {
+  const today = businessDate();
+  const current = await getEffectiveFeePolicy(today);
+  const policies = await dbQuery(
+    `SELECT p.*, u.phone as created_by_phone,
+       (SELECT COUNT(*) FROM withdrawal_requests wr WHERE wr.fee_policy_id = p.id) as withdrawal_count
+     FROM withdrawal_fee_policies p
+     LEFT JOIN users u ON p.created_by = u.id
+     ORDER BY p.effective_from DESC, p.id DESC`
+  );
+  const tiers = await tiersFor(policies.map(policy => policy.id));
+  return policies.map(policy => ({
+    ...withTiers(policy, tiers),
+    current: Boolean(current && policy.id === current.id),
+    scheduled: policy.effective_from > today
+  }));
+}
+
+// Check a new policy's tiers; returns an error message or null
+async function checkTiers(tiers) {
+  if (tiers.length === 0 || tiers.length > MAX_FEE_TIERS) {
+    return `A policy needs between 1 and ${MAX_FEE_TIERS} tiers`;
+  }
+  for (const [index, tier] of tiers.entries()) {
+    const name = `Tier ${index + 1}`;
+    if (tier.max_amount != null && tier.max_amount < tier.min_amount) {
+      return `${name}: the upper amount is below the lower amount`;
+    }
+    if (tier.min_fee != null && tier.max_fee != null && tier.max_fee < tier.min_fee) {
+      return `${name}: the maximum fee is below the minimum fee`;
+    }
+    if (tier.level != null && !(await isKnownLevel(tier.level))) {
+      return `${name}: unknown level ${tier.level}`;
+    }
+  }
+
+  const byLevel = new Map();
+  for (const tier of tiers) {
+    if (!byLevel.has(tier.level)) byLevel.set(tier.level, []);
+    byLevel.get(tier.level).push(tier);
+  }
+  for (const [level, levelTiers] of byLevel) {
+    levelTiers.sort((a, b) => a.min_amount - b.min_amount);
+    for (let i = 1; i < levelTiers.length; i++) {
+      const previous = levelTiers[i - 1];
+      if (previous.max_amount == null || levelTiers[i].min_amount <= previous.max_amount) {
+        return `Tiers for ${level || 'all levels'} overlap`;
+      }
+      if (level == null && levelTiers[i].min_amount !== previous.max_amount + 1) {
+        return 'Tiers for all levels must follow on from each other with no gap';
+      }
+    }
+  }
+  const allLevels = byLevel.get(null) || [];
+  if (allLevels.length === 0 || allLevels[0].min_amount !== 0 || allLevels[allLevels.length - 1].max_amount != null) {
+    return 'Tiers for all levels must start at 0 and the last one must have no upper amount';
+  }
+  return null;
+}
+
+/**
+ * Add a policy
+ * @param {Object} fields - { effectiveFrom (YYYY-MM-DD, today or later),
+ *   minWithdrawal, notes, tiers: [{ level, minAmount, maxAmount, percent,
+ *   flatFee, minFee, maxFee }] } - amounts in ngwee
+ * @param {number} createdBy - admin user id
+ * @returns {Promise<Object>} { policy } or { error, statusCode }
+ */
+async function createFeePolicy(fields, createdBy) {
+  if (fields.effectiveFrom < businessDate()) {
+    return { error: 'A policy cannot take effect in the past', statusCode: 400 };
+  }
+  const tiers = fields.tiers.map(tier => ({
+    level: tier.level || null,
+    min_amount: tier.minAmount || 0,
+    max_amount: tier.maxAmount != null ? tier.maxAmount : null,
+    percent: tier.percent != null ? tier.percent : null,
+    flat_fee: tier.flatFee || 0,
+    min_fee: tier.minFee != null ? tier.minFee : null,
+    max_fee: tier.maxFee != null ? tier.maxFee : null
+  }));
+  const tierError = await checkTiers(tiers);
+  if (tierError) {
+    return { error: tierError, statusCode: 400 };
+  }
+
+  const policyId = await dbWithTransaction(async (tx) => {
+    const result = await tx.run(
+      'INSERT INTO withdrawal_fee_policies (effective_from, min_withdrawal, notes, created_by) VALUES (?, ?, ?, ?)',
+      [fields.effectiveFrom, fields.minWithdrawal, fields.notes || null, createdBy]
+    );
+    for (const tier of tiers) {
+      await tx.run(
+        `INSERT INTO withdrawal_fee_tiers (policy_id, level, min_amount, max_amount, percent, flat_fee, min_fee, max_fee)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [result.lastID, tier.level, tier.min_amount, tier.max_amount, tier.percent, tier.flat_fee, tier.min_fee, tier.max_fee]
+      );
+    }
+    return result.lastID;
+  });
+
+  const policy = await dbGet('SELECT * FROM withdrawal_fee_policies WHERE id = ?', [policyId]);
+  return { policy: withTiers(policy, await tiersFor([policyId])) };
+}
+
+/**
+ * Delete a policy that has not taken effect yet
+ * @returns {Promise<Object>} { policy } (the deleted row) or { error, statusCode }
+ */
+async function deleteFeePolicy(policyId) {
+  const policy = await dbGet('SELECT * FROM withdrawal_fee_policies WHERE id = ?', [policyId]);
+  if (!policy) {
+    return { error: 'Fee policy not found', statusCode: 404 };
+  }
+  if (policy.effective_from <= businessDate()) {
+    return { error: 'Only policies that have not taken effect can be deleted', statusCode: 400 };
+  }
+  await dbRun('DELETE FROM withdrawal_fee_tiers WHERE policy_id = ?', [policyId]);
+  await dbRun('DELETE FROM withdrawal_fee_policies WHERE id = ?', [policyId]);
+  return { policy };
+}
+
+/**
+ * What a user needs to compute their withdrawal fees: the policy in effect,
+ * their level and the fee percent of their package terms
+ * @param {Object} user - { id, level }
+ * @param {number} [investmentId] - the investment withdrawn from
+ */
+async function getUserFeeRules(user, investmentId = null) {
+  return {
+    policy: await getEffectiveFeePolicy(),
+    level: user.level || null,
+    termsPercent: await getWithdrawalFeePercent(user.id, investmentId)
+  };
+}
+
+/**
+ * Fee of a withdrawal under the policy in effect
+ * @param {Object} user - { id, level }
+ * @param {number} amount - gross amount, ngwee
+ * @param {number} [investmentId]
+ * @returns {Promise<Object>} { charge, net, percent, description, policyId }
+ *   or { error, statusCode }
+ */
+async function quoteWithdrawalFee(user, amount, investmentId = null) {
+  const { policy, level, termsPercent } = await getUserFeeRules(user, investmentId);
+  if (!policy) {
+    return { error: 'No withdrawal fee policy is in effect', statusCode: 503 };
+  }
+  const fee = calculateWithdrawalFee(policy, amount, { level, termsPercent });
+  if (fee.error) {
+    return { error: fee.error, statusCode: 400 };
+  }
+  return {
+    charge: fee.charge,
+    net: fee.net,
+    percent: fee.percent,
+    description: describeWithdrawalFee(fee.tier, termsPercent),
+    policyId: policy.id
+  };
+}
+
+module.exports = {
+  getEffectiveFeePolicy,
+  listFeePolicies,
+  createFeePolicy,
+  deleteFeePolicy,
+  getUserFeeRules,
+  quoteWithdrawalFee
+};
@@ -0,0 +1,198 @@
+const { dbQuery, dbWithTransaction } = require('./db');
+const ledger = require('./ledger');
+const { businessDate } = require('./timezone');
+
+// Withdrawal request lifecycle.
+// Filing a request holds its gross amount (POST /api/withdraw); from there:
+//
+//   pending    -> approved     an admin approved it: the gross amount leaves the
+//                              hold, the charge is revenue and the net amount
+//                              waits in payout clearing (transaction_id)
+//   pending    -> denied       an admin refused it: the hold is released
+//   pending    -> cancelled    the user withdrew it: the hold is released
+//   approved   -> processing   the payout was sent to the wallet provider
+//   approved   -> paid         the user received the net amount: it leaves the
+//   processing -> paid         float
+//   approved   -> failed       the payout did not go through: the withdrawal is
+//   processing -> failed       reversed, so the gross amount (charge included)
+//                              is back in the user's balance
+//   paid       -> reversed     the provider returned a payout that was paid: the
+//                              withdrawal and the payout are reversed
+//
+// Every transition is recorded in withdrawal_transitions with its time, actor
+// and notes; that is the timeline users see. Before 019_withdrawal_lifecycle,
+// approving a request marked it paid at once.
+
+const WITHDRAWAL_STATUSES = ['pending', 'approved', 'processing', 'paid', 'failed', 'reversed', 'denied', 'cancelled'];
+
+// Action -> the statuses it applies to and the status it leads to
+const WITHDRAWAL_ACTIONS = {
+  approve: { from: ['pending'], to: 'approved' },
+  deny: { from: ['pending'], to: 'denied' },
+  cancel: { from: ['pending'], to: 'cancelled' },
+  process: { from: ['approved'], to: 'processing' },
+  pay: { from: ['approved', 'processing'], to: 'paid' },
+  fail: { from: ['approved', 'processing'], to: 'failed' },
+  reverse: { from: ['paid'], to: 'reversed' }
+};
+
+// Actions admins take (cancel is the user's); fail and reverse need a reason
+const ADMIN_WITHDRAWAL_ACTIONS = ['approve', 'deny', 'process', 'pay', 'fail', 'reverse'];
+const ACTIONS_NEEDING_NOTES = ['fail', 'reverse'];
+
+// Statuses whose net amount is in payout clearing, waiting to be paid or failed
+const PAYOUT_STATUSES = ['approved', 'processing'];
+
+/**
+ * Record a transition in the request's timeline
+ * @param {Object} tx - dbWithTransaction handle
+ * @param {Object} transition - { requestId, from (null when filed), to, actorId, notes }
+ */
+async function recordWithdrawalTransition(tx, { requestId, from = null, to, actorId = null, notes = null }) {
+  await tx.run(
+    `INSERT INTO withdrawal_transitions (withdrawal_request_id, from_status, to_status, actor_id, notes)
+     VALUES (?, ?, ?, ?, ?)`,
+    [requestId, from, to, actorId, notes || null]
+  );
+}
+
+// The ledger side of each action; the request row is updated by the caller
+async function postActionEntries(tx, action, request, { actorId, notes }) {
+  const description = `Withdrawal request ${request.id}`;
+  switch (action) {
+    case 'approve': {
+      await tx.run('UPDATE users SET last_withdrawal_date = ? WHERE id = ?', [businessDate(), request.user_id]);
+      // The full gross amount leaves the hold (the charge is not left in the
+      // balance); the net amount stays in payout clearing until it is paid
+      const { transactionId } = await ledger.postTransaction({
+        userId: request.user_id,
+        type: 'withdrawal',
+        amount: request.gross_amount,
+        investmentId: request.investment_id || null,
+        charge: request.charge,
+        fromHold: true,
+        description,
+        createdBy: actorId
+      }, tx);
+      return { transactionId };
+    }
+    case 'deny':
+    case 'cancel':
+      await ledger.postWithdrawalHoldReleased({
+        userId: request.user_id,
+        amount: request.gross_amount,
+        description: `${description} ${action === 'deny' ? 'denied' : 'cancelled by user'}`,
+        createdBy: actorId
+      }, tx);
+      return {};
+    case 'pay':
+      await ledger.postPayout({
+        userId: request.user_id,
+        amount: request.net_amount,
+        description: `${description} paid to ${request.phone} via ${request.wallet}`,
+        createdBy: actorId
+      }, tx);
+      return {};
+    case 'fail':
+    case 'reverse':
+      // A failed payout never left the float; a reversed one comes back to it
+      await ledger.reverseTransaction({
+        transactionId: request.transaction_id,
+        reason: `${description} ${action === 'fail' ? 'failed' : 'reversed'}: ${notes}`,
+        createdBy: actorId,
+        payoutSent: action === 'reverse'
+      }, tx);
+      return {};
+    default:
+      return {};
+  }
+}
+
+/**
+ * Move a withdrawal request through its lifecycle
+ * @param {number} requestId
+ * @param {string} action - a key of WITHDRAWAL_ACTIONS
+ * @param {Object} options - { actorId, notes, userId }; userId limits the
+ *   action to that user's own request (cancel)
+ * @param {Object} [tx] - run inside this dbWithTransaction handle rather than
+ *   a transaction of its own (payout batches move many requests at once)
+ * @returns {Promise<Object>} { request, from } (the request with its new
+ *   status, and the status it had) or { error, statusCode }
+ */
+async function transitionWithdrawal(requestId, action, { actorId, notes = null, userId = null }, tx = null) {
+  const { from, to } = WITHDRAWAL_ACTIONS[action];
+  if (ACTIONS_NEEDING_NOTES.includes(action) && !notes) {
+    return { error: 'A reason is required', statusCode: 400 };
+  }
+
+  const run = tx ? (callback) => callback(tx) : dbWithTransaction;
+  return run(async (tx) => {
+    const request = await tx.get(
+      `SELECT wr.*, u.email
+       FROM withdrawal_requests wr
+       JOIN users u ON wr.user_id = u.id
+       WHERE wr.id = ? ${userId ? 'AND wr.user_id = ?' : ''}`,
+      userId ? [requestId, userId] : [requestId]
+    );
+    if (!request) {
+      return { error: 'Withdrawal request not found', statusCode: 404 };
+    }
+    if (!from.includes(request.status)) {
+      return { error: `Withdrawal request is ${request.status} and cannot be moved to ${to}`, statusCode: 400 };
+    }
+    if ((action === 'fail' || action === 'reverse') && !request.transaction_id) {
+      return { error: 'Withdrawal request has no withdrawal transaction to reverse', statusCode: 400 };
+    }
+
+    const { transactionId = request.transaction_id } = await postActionEntries(tx, action, request, { actorId, notes });
+    await tx.run(
+      `UPDATE withdrawal_requests
+       SET status = ?, transaction_id = ?, processed_at = datetime('now'), processed_by = ?, admin_notes = COALESCE(?, admin_notes)
+       WHERE id = ?`,
+      [to, transactionId, action === 'cancel' ? request.processed_by : actorId, action === 'cancel' ? null : notes, requestId]
+    );
+    await recordWithdrawalTransition(tx, { requestId, from: request.status, to, actorId, notes });
+    const { processed_at: processedAt } = await tx.get('SELECT processed_at FROM withdrawal_requests WHERE id = ?', [requestId]);
+
+    return {
+      request: { ...request, status: to, transaction_id: transactionId, processed_at: processedAt },
+      from: request.status
+    };
+  });
+}
+
+/**
+ * Timelines of withdrawal requests, oldest transition first
+ * @param {number[]} requestIds
+ * @returns {Promise<Object>} { requestId: [{ from_status, to_status, actor_id,
+ *   actor_role, notes, created_at }] }
+ */
+async function getWithdrawalTimelines(requestIds) {
+  const timelines = {};
+  if (requestIds.length === 0) {
+    return timelines;
+  }
+  const rows = await dbQuery(
+    `SELECT t.withdrawal_request_id, t.from_status, t.to_status, t.actor_id, t.notes, t.created_at,
+       CASE WHEN t.actor_id IS NULL THEN 'system' WHEN t.actor_id = wr.user_id THEN 'user' ELSE 'admin' END as actor_role
+     FROM withdrawal_transitions t
+     JOIN withdrawal_requests wr ON t.withdrawal_request_id = wr.id
+     WHERE t.withdrawal_request_id IN (${requestIds.map(() => '?').join(',')})
+     ORDER BY t.created_at, t.id`,
+    requestIds
+  );
+  for (const { withdrawal_request_id: requestId, ...transition } of rows) {
+    (timelines[requestId] = timelines[requestId] || []).push(transition);
+  }
+  return timelines;
+}
+
+module.exports = {
+  WITHDRAWAL_STATUSES,
+  WITHDRAWAL_ACTIONS,
+  ADMIN_WITHDRAWAL_ACTIONS,
+  PAYOUT_STATUSES,
+  recordWithdrawalTransition,
+  transitionWithdrawal,
+  getWithdrawalTimelines
+};
@@ -0,0 +1,183 @@
+const zlib = require('zlib');
+
+// Minimal XLSX reader for tabular exports such as mobile money statements.
+// An .xlsx file is a zip archive of XML parts; this reads the first worksheet
+// of the workbook as rows of strings, using only Node's zlib, so no
+// third-party libraries are needed. Formulas are read as their cached values,
+// and dates come out as Excel serial numbers (see excelSerialToDate).
+// Zip64 archives and encrypted workbooks are not supported.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Zip entries by name: { name: { method, compressedSize, localOffset } }
+function readZipDirectory(buffer) {
+  // The end of central directory record is in the last 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = {};
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries[name] = {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function readZipEntry(buffer, entry) {
+  const offset = entry.localOffset;
+  if (buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+    throw new Error('Corrupt zip entry');
+  }
+  const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) {
+    return data;
+  }
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data);
+  }
+  throw new Error(`Unsupported zip compression method ${entry.method}`);
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Text of an <si> or <is> element: all its <t> runs joined
+function richText(xml) {
+  const runs = [];
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    runs.push(decodeXml(match[1]));
+  }
+  return runs.join('');
+}
+
+// 'A' -> 0, 'Z' -> 25, 'AA' -> 26
+function columnIndex(cellRef) {
+  const letters = /^[A-Z]+/.exec(cellRef)[0];
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// Path of the first worksheet, from the workbook and its relationships
+function firstSheetPath(buffer, entries) {
+  const fallback = 'xl/worksheets/sheet1.xml';
+  if (!entries['xl/workbook.xml'] || !entries['xl/_rels/workbook.xml.rels']) {
+    return fallback;
+  }
+  const workbook = readZipEntry(buffer, entries['xl/workbook.xml']).toString('utf8');
+  const rels = readZipEntry(buffer, entries['xl/_rels/workbook.xml.rels']).toString('utf8');
+  const sheet = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook);
+  if (!sheet) {
+    return fallback;
+  }
+  const relationship = new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*>`).exec(rels);
+  const target = relationship && /\bTarget="([^"]+)"/.exec(relationship[0]);
+  if (!target) {
+    return fallback;
+  }
+  return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+}
+
+/**
+ * Rows of the first worksheet of an .xlsx file
+ * @param {Buffer} buffer - file contents
+ * @returns {string[][]} rows of cell values; empty cells are ''
+ */
+function readXlsxRows(buffer) {
+  const entries = readZipDirectory(buffer);
+  const sheetPath = firstSheetPath(buffer, entries);
+  if (!entries[sheetPath]) {
+    throw new Error('Workbook has no worksheet');
+  }
+
+  const sharedStrings = [];
+  if (entries['xl/sharedStrings.xml']) {
+    const xml = readZipEntry(buffer, entries['xl/sharedStrings.xml']).toString('utf8');
+    const pattern = /<si>([\s\S]*?)<\/si>/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+      sharedStrings.push(richText(match[1]));
+    }
+  }
+
+  const sheet = readZipEntry(buffer, entries[sheetPath]).toString('utf8');
+  const rows = [];
+  const rowPattern = /<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(sheet)) !== null) {
+    const row = [];
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowMatch[1] || '')) !== null) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const ref = /\br="([A-Z]+\d+)"/.exec(attributes);
+      const type = /\bt="([^"]+)"/.exec(attributes);
+      const index = ref ? columnIndex(ref[1]) : row.length;
+
+      let value = '';
+      if (type && type[1] === 'inlineStr') {
+        const inline = /<is>([\s\S]*?)<\/is>/.exec(content);
+        value = inline ? richText(inline[1]) : '';
+      } else {
+        const raw = /<v>([\s\S]*?)<\/v>/.exec(content);
+        value = raw ? decodeXml(raw[1]) : '';
+        if (type && type[1] === 's') {
+          value = sharedStrings[parseInt(value, 10)] || '';
+        }
+      }
+
+      while (row.length < index) row.push('');
+      row[index] = value;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Excel serial day number (days since 1899-12-30) to a YYYY-MM-DD date
+function excelSerialToDate(serial) {
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(serial)) * 24 * 60 * 60 * 1000);
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  readXlsxRows,
+  excelSerialToDate
+};